@@ -6,35 +6,106 @@ const toastEl = document.getElementById('toast');
 const store = {
   get token(){ return localStorage.getItem('adm_token') || '' },
   set token(v){ localStorage.setItem('adm_token', v || ''); },
+  get refresh(){ return localStorage.getItem('adm_refresh') || '' },
+  set refresh(v){ localStorage.setItem('adm_refresh', v || ''); },
   get role(){ return localStorage.getItem('adm_role') || '' },
   set role(v){ localStorage.setItem('adm_role', v || ''); },
-  clear(){ localStorage.removeItem('adm_token'); localStorage.removeItem('adm_role'); }
+  get permissions(){ return JSON.parse(localStorage.getItem('adm_perms') || '[]') },
+  set permissions(v){ localStorage.setItem('adm_perms', JSON.stringify(v || [])); },
+  clear(){ ['adm_token','adm_refresh','adm_role','adm_perms'].forEach(k => localStorage.removeItem(k)); }
 };
 
+// permission check like the API's ('*' = all)
+function can(perm){
+  const perms = store.permissions;
+  return perms.includes('*') || perms.includes(perm);
+}
+
+// text for innerHTML
+function esc(v){
+  return String(v ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]);
+}
+
 function toast(msg, ms=1800){
   toastEl.textContent = msg; toastEl.classList.add('show');
   setTimeout(()=>toastEl.classList.remove('show'), ms);
 }
 
-async function jfetch(path, opts={}){
+// swaps the refresh token for a new pair; false = log in again
+let refreshing = null;
+async function refreshTokens(){
+  if (!store.refresh) return false;
+  refreshing = refreshing || fetch(API + '/auth/refresh', {
+    method:'POST',
+    headers:{'Content-Type':'application/json'},
+    body: JSON.stringify({refreshToken: store.refresh})
+  }).then(async res => {
+    if (!res.ok) return false;
+    const body = await res.json();
+    store.token = body.token;
+    store.refresh = body.refreshToken;
+    return true;
+  }).catch(() => false).finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+async function jfetch(path, opts={}, retried=false){
   const headers = Object.assign({'Content-Type':'application/json'}, opts.headers||{});
   if (store.token) headers['Authorization'] = 'Bearer ' + store.token;
   const res = await fetch(API + path, {...opts, headers});
   let body=null;
   try{ body = await res.json(); } catch(_){}
+  if(res.status === 401 && body?.errorCode === 'TOKEN_EXPIRED' && !retried && await refreshTokens()){
+    return jfetch(path, opts, true);
+  }
+  if(res.status === 401 && store.token && path !== '/auth/login'){
+    store.clear();
+    location.hash = '#/login';
+  }
   if(!res.ok){
     throw new Error(body?.message || body?.error || `HTTP ${res.status}`);
   }
   return body;
 }
 
+// saves a ?format=csv|xlsx list export, dates in the browser's locale and time zone
+async function download(path, params, format){
+  const q = new URLSearchParams(params);
+  q.set('format', format);
+  q.set('locale', navigator.language || 'en-GB');
+  q.set('tz', Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+  try{
+    let res = await fetch(`${API}${path}?${q}`, {headers:{Authorization: 'Bearer ' + store.token}});
+    if (res.status === 401 && await refreshTokens()) {
+      res = await fetch(`${API}${path}?${q}`, {headers:{Authorization: 'Bearer ' + store.token}});
+    }
+    if (!res.ok) {
+      const body = await res.json().catch(()=>({}));
+      throw new Error(body.error || `HTTP ${res.status}`);
+    }
+    const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || `export.${format}`;
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = url; a.download = name; a.click();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  }catch(e){ toast('Export failed: ' + e.message); }
+}
+
+function exportButtons(id){
+  return `<button data-export="${id}" data-format="csv">Export CSV</button>
+          <button data-export="${id}" data-format="xlsx">Export Excel</button>`;
+}
+
 function nav(active){
   const links = [
     ['#/dashboard','Dashboard'],
     ['#/skus','SKUs'],
     ['#/sales','Sales'],
     ['#/attendance','Attendance'],
+    ['#/rewards','Rewards'],
+    ['#/reward-orders','Reward Orders (admin)'],
     ['#/users','Users (admin)'],
+    ['#/imports','Imports (admin)'],
     ['#/profile','Profile']
   ];
   return `
@@ -48,6 +119,16 @@ function nav(active){
   `;
 }
 
+// false (and back to the dashboard) when the section is not allowed
+function guard(allowed){
+  if (!allowed) {
+    location.hash = '#/dashboard';
+    toast('You do not have access to this section');
+    return false;
+  }
+  return true;
+}
+
 function guardAdmin(){
   if (store.role !== 'admin') {
     location.hash = '#/dashboard';
@@ -57,7 +138,8 @@ function guardAdmin(){
   return true;
 }
 
-window.logout = () => {
+window.logout = async () => {
+  try{ await jfetch('/auth/logout', {method:'POST'}); }catch(_){}
   store.clear();
   location.hash = '#/login';
   render();
@@ -81,10 +163,19 @@ function loginView(){
         </div>
         <br/>
         <button class="primary" id="btnLogin">Login</button>
+        <button id="btnForgot">Forgot password?</button>
         <div id="err" style="color:#ffb4b4;margin-top:8px"></div>
       </div>
     </div>
   `;
+  document.getElementById('btnForgot').onclick = async () => {
+    const email = document.getElementById('email').value.trim();
+    if(!email){ document.getElementById('err').textContent = 'Enter your email first'; return; }
+    try{
+      const res = await jfetch('/auth/forgot-password',{ method:'POST', body: JSON.stringify({email}) });
+      toast(res.message, 3000);
+    }catch(e){ document.getElementById('err').textContent = e.message; }
+  };
   document.getElementById('btnLogin').onclick = async () => {
     const email = document.getElementById('email').value.trim();
     const password = document.getElementById('password').value;
@@ -94,7 +185,9 @@ function loginView(){
         body: JSON.stringify({email,password})
       });
       store.token = res.token;
+      store.refresh = res.refreshToken;
       store.role  = res.user?.role || 'user';
+      store.permissions = (await jfetch('/auth/me')).permissions;
       toast('Logged in');
       location.hash = '#/dashboard';
       render();
@@ -104,17 +197,78 @@ function loginView(){
   };
 }
 
+// link from the password_reset mail: #/reset-password?token=...
+function resetPasswordView(){
+  const token = new URLSearchParams(location.hash.split('?')[1] || '').get('token') || '';
+  app.innerHTML = `
+    <div class="app">
+      <div class="card login-card">
+        <h1>Choose a new password</h1>
+        <label>New password</label>
+        <input id="pw1" type="password"/>
+        <label>Repeat password</label>
+        <input id="pw2" type="password"/>
+        <br/><br/>
+        <button class="primary" id="btnReset">Save password</button>
+        <div id="err" style="color:#ffb4b4;margin-top:8px"></div>
+      </div>
+    </div>
+  `;
+  document.getElementById('btnReset').onclick = async () => {
+    const password = document.getElementById('pw1').value;
+    if(password !== document.getElementById('pw2').value){
+      document.getElementById('err').textContent = 'Passwords do not match'; return;
+    }
+    try{
+      await jfetch('/auth/reset-password',{ method:'POST', body: JSON.stringify({token, password}) });
+      toast('Password changed, please log in');
+      location.hash = '#/login';
+    }catch(e){ document.getElementById('err').textContent = e.message; }
+  };
+}
+
+// small SVG bar chart of one series key
+function barChart(series, key, title){
+  const W = 560, H = 160, pad = 24;
+  const max = Math.max(1, ...series.map(r=>r[key]));
+  const bw = (W - pad) / Math.max(1, series.length);
+  const bars = series.map((r,i)=>{
+    const h = Math.round((r[key] / max) * (H - pad));
+    return `<rect x="${pad + i*bw + 1}" y="${H - pad - h}" width="${Math.max(1, bw - 2)}" height="${h}" fill="var(--primary)"><title>${r.bucket}: ${r[key]}</title></rect>`;
+  }).join('');
+  const first = series[0]?.bucket || '', last = series[series.length-1]?.bucket || '';
+  return `
+    <div class="chart">
+      <div class="lbl">${title} — ${series.reduce((a,r)=>a+r[key],0).toLocaleString()}</div>
+      <svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+        <text x="0" y="12" fill="var(--muted)" font-size="11">${max.toLocaleString()}</text>
+        <line x1="${pad}" y1="${H - pad}" x2="${W}" y2="${H - pad}" stroke="var(--border)"/>
+        ${bars}
+        <text x="${pad}" y="${H - 6}" fill="var(--muted)" font-size="11">${first}</text>
+        <text x="${W}" y="${H - 6}" fill="var(--muted)" font-size="11" text-anchor="end">${last}</text>
+      </svg>
+    </div>`;
+}
+
 async function dashboardView(){
   app.innerHTML = `
     <div class="app">
       ${nav('#/dashboard')}
       <div class="card"><h1>Dashboard</h1>
-        <div id="kpis" class="kpi">
-          <div class="box"><div class="val">—</div><div class="lbl">Users</div></div>
-          <div class="box"><div class="val">—</div><div class="lbl">SKUs</div></div>
-          <div class="box"><div class="val">—</div><div class="lbl">Sales</div></div>
-          <div class="box"><div class="val">—</div><div class="lbl">Attendance</div></div>
+        <div class="row">
+          <div class="col"><label>From</label><input id="stFrom" type="date"/></div>
+          <div class="col"><label>To</label><input id="stTo" type="date"/></div>
+          <div class="col"><label>Group by</label>
+            <select id="stGran"><option value="day">Day</option><option value="week">Week</option><option value="month">Month</option></select></div>
+          <div class="col"><label>City</label><select id="stCity"><option value="">All cities</option></select></div>
+          <div class="col"><label>SKU</label><input id="stSku" placeholder="All SKUs"/></div>
+          <div class="col"><label>&nbsp;</label><button id="stLoad" class="primary">Apply</button></div>
         </div>
+        <div id="kpis" class="kpi" style="margin-top:12px"></div>
+      </div>
+      <div class="card">
+        <h2>Trends</h2>
+        <div id="charts" class="charts"></div>
       </div>
       <div class="card">
         <h2>Recent Sales</h2>
@@ -123,148 +277,537 @@ async function dashboardView(){
           <tbody></tbody>
         </table>
       </div>
+      <div class="card">
+        <h2>Exports</h2>
+        <table class="table">
+          <tbody>
+            <tr><td>Users</td><td>${exportButtons('users')}</td></tr>
+            <tr><td>Sales (confirmed order lines)</td><td>${exportButtons('sales')}</td></tr>
+            <tr><td>Attendance</td><td>${exportButtons('attendance')}</td></tr>
+            <tr><td>QR codes</td><td>${exportButtons('qr')}</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="card" id="bkCard" style="display:none">
+        <h2>Backups</h2>
+        <div class="row">
+          <div class="col"><input id="bkLabel" placeholder="Label (optional, kept as a snapshot)"/></div>
+          <div class="col"><button class="primary" id="bkNow">Back up now</button></div>
+        </div>
+        <p id="bkInfo"></p>
+        <table class="table" id="bkTbl">
+          <thead><tr><th>File</th><th>Kind</th><th>Schema</th><th>Size</th><th>Integrity</th><th>Created</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
     </div>
   `;
-  const kpiBoxes = document.querySelectorAll('#kpis .val');
-  try{
-    // Prefer admin stats if available; fall back to stitched counts
-    let stats;
-    try { stats = await jfetch('/admin/stats'); }
-    catch { stats = null; }
-
-    if(!stats){
-      const [skus,sales,att,prof] = await Promise.allSettled([
-        jfetch('/skus'),
-        jfetch('/admin/sales').catch(_=>jfetch('/sales')),
-        jfetch('/attendance/history').catch(_=>({items:[]})),
-        jfetch('/profile').catch(_=>({}))
-      ]);
-      kpiBoxes[0].textContent = (stats?.users ?? (prof.value?.user?1:0)); // rough
-      kpiBoxes[1].textContent = (skus.value?.items?.length || skus.value?.length || 0);
-      kpiBoxes[2].textContent = (sales.value?.items?.length || sales.value?.length || 0);
-      kpiBoxes[3].textContent = (att.value?.items?.length || 0);
-
-      const rows = (sales.value?.items || sales.value || []).slice(0,10)
-        .map(s => `<tr>
-          <td>${s.id || s.saleId || '-'}</td>
-          <td>${s.userEmail || s.userId || '-'}</td>
-          <td>${s.sku || '-'}</td>
-          <td>${s.quantity || 0}</td>
-          <td>${new Date(s.createdAt||s.created_at||Date.now()).toLocaleString()}</td>
-        </tr>`).join('');
-      document.querySelector('#salesTbl tbody').innerHTML = rows || '<tr><td colspan="5">No data</td></tr>';
-    } else {
-      kpiBoxes[0].textContent = stats.users || 0;
-      kpiBoxes[1].textContent = stats.skus || 0;
-      kpiBoxes[2].textContent = stats.sales || 0;
-      kpiBoxes[3].textContent = stats.attendance || 0;
+  const exportPaths = { users:'/admin/users', sales:'/admin/sales', attendance:'/admin/attendance', qr:'/qr' };
+  document.querySelectorAll('[data-export]').forEach(b=>b.onclick=()=>download(exportPaths[b.dataset.export], {}, b.dataset.format));
+
+  async function loadBackups(){
+    try{
+      const data = await jfetch('/admin/backups');
+      document.getElementById('bkInfo').textContent =
+        `${data.intervalMinutes ? `Every ${data.intervalMinutes} min` : 'No schedule'}, keeping the newest ${data.retention.keep}`
+        + (data.retention.maxAgeDays ? ` up to ${data.retention.maxAgeDays} days` : '') + '. Restore: npm run db:restore (server stopped).';
+      document.querySelector('#bkTbl tbody').innerHTML =
+        (data.items||[]).map(b=>`<tr>
+          <td>${b.file}${b.exists ? '' : ' (missing)'}</td><td>${b.kind}</td><td>v${b.schemaVersion}</td>
+          <td>${(b.bytes/1024).toFixed(0)} KB</td><td>${b.integrity}</td><td>${new Date(b.createdAt).toLocaleString()}</td>
+        </tr>`).join('') || '<tr><td colspan="6">No backups yet</td></tr>';
+    }catch(e){ toast('Backups error: '+e.message); }
+  }
+  function showBackups(){
+    if (!can('backups:manage')) return;
+    document.getElementById('bkCard').style.display = '';
+    document.getElementById('bkNow').onclick = async ()=>{
+      try{
+        const label = document.getElementById('bkLabel').value.trim();
+        const b = await jfetch('/admin/backups', {method:'POST', body: JSON.stringify(label ? {label} : {})});
+        toast('Backup written: ' + b.file); loadBackups();
+      }catch(e){ toast(e.message); }
+    };
+    loadBackups();
+  }
+  // permissions may have changed since login
+  jfetch('/auth/me').then(me=>{ store.permissions = me.permissions; showBackups(); }).catch(showBackups);
+  const kpi = (val, lbl) => `<div class="box"><div class="val">${Number(val||0).toLocaleString()}</div><div class="lbl">${lbl}</div></div>`;
+  let citiesLoaded = false;
+
+  async function load(){
+    const q = new URLSearchParams({ granularity: document.getElementById('stGran').value });
+    const from = document.getElementById('stFrom').value;
+    const to = document.getElementById('stTo').value;
+    const city = document.getElementById('stCity').value;
+    const sku = document.getElementById('stSku').value.trim();
+    if (from) q.set('from', from);
+    if (to) q.set('to', to);
+    if (city) q.set('city', city);
+    if (sku) q.set('sku', sku);
+    try{
+      const stats = await jfetch('/admin/stats?' + q);
+      if (!citiesLoaded) {
+        document.getElementById('stCity').innerHTML += stats.cities.map(c=>`<option>${c}</option>`).join('');
+        citiesLoaded = true;
+      }
+      const t = stats.totals, p = stats.period;
+      document.getElementById('kpis').innerHTML = [
+        kpi(stats.users, 'Users'),
+        kpi(stats.skus, 'SKUs'),
+        kpi(stats.sales, 'Sales'),
+        kpi(stats.attendance, 'Attendance'),
+        kpi(t.sales.revenue, 'Revenue (net)'),
+        kpi(t.qr.generated, 'QR generated'),
+        kpi(t.qr.redeemed, 'QR redeemed'),
+        kpi(t.points.issued, 'Points issued'),
+        kpi(t.points.transferred, 'Points transferred'),
+        kpi(p.salesRevenue, `Revenue ${stats.from} – ${stats.to}`),
+        kpi(p.newUsers, 'New users in range'),
+        kpi(p.pointsIssued, 'Points issued in range'),
+      ].join('');
+
+      document.getElementById('charts').innerHTML = [
+        ['salesRevenue','Revenue'], ['salesOrders','Orders'], ['salesUnits','Units sold'],
+        ['newUsers','New users'], ['attendanceMarks','Attendance marks'], ['qrRedeemed','QR redeemed'],
+        ['pointsIssued','Points issued'], ['pointsTransferred','Points transferred'],
+      ].map(([key, title]) => barChart(stats.series, key, title)).join('');
 
       const rows = (stats.recentSales||[]).map(s => `<tr>
         <td>${s.id}</td><td>${s.userEmail}</td><td>${s.sku}</td>
         <td>${s.quantity}</td><td>${new Date(s.createdAt).toLocaleString()}</td>
       </tr>`).join('');
       document.querySelector('#salesTbl tbody').innerHTML = rows || '<tr><td colspan="5">No data</td></tr>';
+    }catch(e){
+      toast('Dashboard error: ' + e.message);
     }
-  }catch(e){
-    toast('Dashboard error: ' + e.message);
   }
+  document.getElementById('stLoad').onclick = load;
+  load();
 }
 
 async function skusView(){
+  const manage = can('skus:manage');
   app.innerHTML = `
     <div class="app">
       ${nav('#/skus')}
       <div class="card">
         <h1>SKUs</h1>
+        <div class="row">
+          <div class="col"><label>Search</label><input id="skuQ" placeholder="Number, name or barcode"/></div>
+          <div class="col"><label>Category</label><select id="skuCat"><option value="">All</option></select></div>
+          ${manage ? `<div class="col"><label>Status</label>
+            <select id="skuStatus">
+              <option value="all">All</option>
+              <option value="sellable">Sellable</option>
+              <option value="inactive">Inactive</option>
+              <option value="archived">Archived</option>
+            </select></div>` : ''}
+        </div>
+        <br/>
         <table class="table" id="skuTbl">
-          <thead><tr><th>SKU</th><th>Name</th><th>Price</th></tr></thead>
+          <thead><tr><th>SKU</th><th>Name</th><th>Category</th><th>Unit</th><th>Barcode</th><th>Price</th><th>Status</th>${manage?'<th></th>':''}</tr></thead>
           <tbody></tbody>
         </table>
       </div>
+      ${manage ? `
+      <div class="card">
+        <h2 id="skuFormTitle">Add SKU</h2>
+        <div class="row">
+          <div class="col"><label>Number</label><input id="fNumber"/></div>
+          <div class="col"><label>Name</label><input id="fName"/></div>
+          <div class="col"><label>Category</label><select id="fCat"><option value="">None</option></select></div>
+        </div>
+        <div class="row">
+          <div class="col"><label>Price</label><input id="fPrice" type="number" min="0" step="0.01"/></div>
+          <div class="col"><label>Unit</label><input id="fUnit" value="pcs"/></div>
+          <div class="col"><label>Barcode / EAN</label><input id="fBarcode"/></div>
+        </div>
+        <div class="row">
+          <div class="col"><label>Description</label><input id="fDesc"/></div>
+          <div class="col"><label>Price change note</label><input id="fNote" placeholder="only stored when the price changes"/></div>
+          <div class="col"><label>Active</label>
+            <select id="fActive"><option value="1">Yes</option><option value="0">No</option></select></div>
+        </div>
+        <br/>
+        <button id="btnSkuSave" class="success">Save</button>
+        <button id="btnSkuNew" style="width:auto;margin-top:8px">New SKU</button>
+        <div id="skuPrices" style="margin-top:12px"></div>
+      </div>
+      <div class="card">
+        <h2>Categories</h2>
+        <div class="row">
+          <div class="col"><input id="catName" placeholder="New category name"/></div>
+          <div class="col"><button id="btnCat" class="primary">Add category</button></div>
+        </div>
+        <br/>
+        <table class="table" id="catTbl">
+          <thead><tr><th>Name</th><th>SKUs</th><th></th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>` : ''}
     </div>
   `;
-  try{
-    const data = await jfetch('/skus');
-    const items = data.items || data || [];
-    document.querySelector('#skuTbl tbody').innerHTML =
-      items.map(x => `<tr><td>${x.sku}</td><td>${x.name||'-'}</td><td>${x.price??'-'}</td></tr>`).join('') ||
-      '<tr><td colspan="3">No SKUs</td></tr>';
-  }catch(e){
-    toast('SKUs error: ' + e.message);
+
+  let editing = null; // SKU being edited, null = new
+  const $ = id => document.getElementById(id);
+
+  async function loadCategories(){
+    try{
+      const data = await jfetch('/skus/categories');
+      const opts = (data.items||[]).map(c=>`<option value="${c.id}">${c.name}</option>`).join('');
+      $('skuCat').innerHTML = '<option value="">All</option>' + opts;
+      if(!manage) return;
+      $('fCat').innerHTML = '<option value="">None</option>' + opts;
+      document.querySelector('#catTbl tbody').innerHTML =
+        (data.items||[]).map(c=>`<tr><td>${c.name}</td><td>${c.skuCount}</td>
+          <td><button class="danger" data-cat="${c.id}">Delete</button></td></tr>`).join('')
+        || '<tr><td colspan="3">No categories</td></tr>';
+    }catch(e){ toast('Categories error: ' + e.message); }
+  }
+
+  async function load(){
+    const params = new URLSearchParams();
+    if($('skuQ').value.trim()) params.set('q', $('skuQ').value.trim());
+    if($('skuCat').value) params.set('categoryId', $('skuCat').value);
+    if(manage) params.set('status', $('skuStatus').value);
+    try{
+      const data = await jfetch('/skus?' + params);
+      document.querySelector('#skuTbl tbody').innerHTML =
+        (data.items||[]).map(x => `<tr>
+          <td>${x.number}</td><td>${x.name}</td><td>${x.categoryName||'-'}</td><td>${x.unit}</td>
+          <td>${x.barcode||'-'}</td><td>${x.price}</td>
+          <td>${x.archived ? 'archived' : (x.active ? 'active' : 'inactive')}</td>
+          ${manage ? `<td>
+            <button class="primary" data-edit="${x.id}">Edit</button>
+            ${x.archived
+              ? `<button class="success" data-restore="${x.id}">Restore</button>`
+              : `<button class="danger" data-archive="${x.id}">Archive</button>`}
+          </td>` : ''}
+        </tr>`).join('') || `<tr><td colspan="${manage?8:7}">No SKUs</td></tr>`;
+    }catch(e){
+      toast('SKUs error: ' + e.message);
+    }
+  }
+
+  function fillForm(sku){
+    editing = sku;
+    $('skuFormTitle').textContent = sku ? `Edit ${sku.number}` : 'Add SKU';
+    $('fNumber').value = sku?.number || '';
+    $('fName').value = sku?.name || '';
+    $('fCat').value = sku?.categoryId || '';
+    $('fPrice').value = sku?.price ?? '';
+    $('fUnit').value = sku?.unit || 'pcs';
+    $('fBarcode').value = sku?.barcode || '';
+    $('fDesc').value = sku?.description || '';
+    $('fNote').value = '';
+    $('fActive').value = sku && !sku.active ? '0' : '1';
+    $('skuPrices').innerHTML = sku?.priceHistory?.length ? `
+      <h2>Price history</h2>
+      <table class="table"><thead><tr><th>From</th><th>Price</th><th>Previous</th><th>By</th><th>Note</th></tr></thead>
+      <tbody>${sku.priceHistory.map(h=>`<tr>
+        <td>${new Date(h.effectiveFrom).toLocaleString()}</td><td>${h.price}</td><td>${h.previousPrice??'-'}</td>
+        <td>${h.changedBy||'-'}</td><td>${h.note||'-'}</td></tr>`).join('')}</tbody></table>` : '';
+  }
+
+  $('skuQ').oninput = load;
+  $('skuCat').onchange = load;
+  if(manage){
+    $('skuStatus').onchange = load;
+    $('btnSkuNew').onclick = ()=>fillForm(null);
+
+    $('skuTbl').onclick = async (ev)=>{
+      const {edit, archive, restore} = ev.target.dataset;
+      try{
+        if(edit){ fillForm(await jfetch('/skus/' + edit)); return; }
+        if(archive){
+          if(!confirm('Archive this SKU? It can no longer be sold.')) return;
+          await jfetch('/skus/' + archive, {method:'DELETE'});
+          toast('SKU archived');
+        }
+        if(restore){
+          await jfetch(`/skus/${restore}/restore`, {method:'POST'});
+          toast('SKU restored');
+        }
+        if(archive || restore){ load(); loadCategories(); }
+      }catch(e){ toast(e.message); }
+    };
+
+    $('btnSkuSave').onclick = async ()=>{
+      const body = {
+        number: $('fNumber').value.trim(),
+        name: $('fName').value.trim(),
+        categoryId: $('fCat').value || null,
+        price: Number($('fPrice').value || 0),
+        unit: $('fUnit').value.trim(),
+        barcode: $('fBarcode').value.trim() || null,
+        description: $('fDesc').value.trim() || null,
+        active: $('fActive').value === '1'
+      };
+      try{
+        if(editing){
+          body.priceNote = $('fNote').value.trim() || undefined;
+          const sku = await jfetch('/skus/' + editing.id, {method:'PUT', body: JSON.stringify(body)});
+          toast(sku.priceChanged ? 'SKU saved, price change recorded' : 'SKU saved');
+          fillForm(await jfetch('/skus/' + sku.id));
+        } else {
+          await jfetch('/skus', {method:'POST', body: JSON.stringify(body)});
+          toast('SKU created'); fillForm(null);
+        }
+        load(); loadCategories();
+      }catch(e){ toast(e.message); }
+    };
+
+    $('btnCat').onclick = async ()=>{
+      const name = $('catName').value.trim();
+      if(!name) return toast('Enter a category name');
+      try{
+        await jfetch('/skus/categories', {method:'POST', body: JSON.stringify({name})});
+        $('catName').value = ''; toast('Category added'); loadCategories();
+      }catch(e){ toast(e.message); }
+    };
+
+    $('catTbl').onclick = async (ev)=>{
+      const id = ev.target.dataset.cat;
+      if(!id) return;
+      try{
+        await jfetch('/skus/categories/' + id, {method:'DELETE'});
+        toast('Category deleted'); loadCategories();
+      }catch(e){ toast(e.message); }
+    };
   }
+
+  await loadCategories();
+  load();
 }
 
 async function salesView(){
+  const staff = can('sales:read');
   app.innerHTML = `
     <div class="app">
       ${nav('#/sales')}
       <div class="card">
-        <h1>Create Sale</h1>
+        <h1>New Order</h1>
         <div class="row">
-          <div class="col">
-            <label>SKU</label>
-            <select id="skuSel"></select>
-          </div>
-          <div class="col">
-            <label>Quantity</label>
-            <input id="qty" type="number" min="1" value="1"/>
-          </div>
+          <div class="col"><label>Customer name</label><input id="custName"/></div>
+          <div class="col"><label>Customer phone</label><input id="custPhone"/></div>
+          <div class="col"><label>Customer user ID (optional)</label><input id="custUid"/></div>
+        </div>
+        <br/>
+        <table class="table" id="linesTbl">
+          <thead><tr><th>SKU</th><th>Qty</th><th>Discount %</th><th>Tax</th><th></th></tr></thead>
+          <tbody></tbody>
+        </table>
+        <button id="btnAddLine" style="width:auto;margin-top:8px">Add line</button>
+        <div class="row" style="margin-top:12px">
+          <div class="col"><label>Order discount</label><input id="ordDisc" type="number" min="0" step="0.01" value="0"/></div>
+          <div class="col"><label>Order discount type</label>
+            <select id="ordDiscType"><option value="amount">Amount</option><option value="percent">Percent</option></select></div>
+          <div class="col"><label>Note</label><input id="ordNote"/></div>
         </div>
         <br/>
-        <button id="btnSale" class="success">Create</button>
-        <span id="saleMsg" style="margin-left:10px;color:#a3ffd1"></span>
+        <button id="btnDraft" class="primary">Save draft</button>
+        <button id="btnConfirm" class="success" style="margin-top:8px">Confirm &amp; invoice</button>
       </div>
 
       <div class="card">
-        <h2>Sales History</h2>
+        <h2>${staff ? 'All Orders' : 'My Orders'}</h2>
+        <div class="row">
+          <div class="col"><select id="ordStatusF">
+            <option value="">All statuses</option><option value="draft">Draft</option>
+            <option value="confirmed">Confirmed</option><option value="cancelled">Cancelled</option>
+          </select></div>
+          ${staff ? '<div class="col"><input id="ordQ" placeholder="Invoice, customer or phone"/></div>' : ''}
+        </div>
+        <br/>
         <table class="table" id="salesTbl">
-          <thead><tr><th>ID</th><th>User</th><th>SKU</th><th>Qty</th><th>At</th></tr></thead>
+          <thead><tr><th>Invoice</th><th>Rep</th><th>Customer</th><th>Status</th><th>Total</th><th>Returned</th><th>At</th></tr></thead>
           <tbody></tbody>
         </table>
       </div>
     </div>
   `;
-  // load SKUs
-  let skus=[];
+  const $ = id => document.getElementById(id);
+
+  let skus=[], taxRates=[];
   try{
-    const data = await jfetch('/skus');
-    skus = data.items || data || [];
-  }catch{ skus=[]; }
-  const sel = document.getElementById('skuSel');
-  sel.innerHTML = skus.map(s=>`<option value="${s.sku}">${s.sku} — ${s.name||''}</option>`).join('') || '<option value="">No SKUs</option>';
-
-  document.getElementById('btnSale').onclick = async ()=>{
-    const sku = sel.value;
-    const quantity = Number(document.getElementById('qty').value||0);
-    if(!sku) return toast('Choose a SKU');
-    if(quantity<=0) return toast('Quantity must be > 0');
+    const [s, t] = await Promise.all([jfetch('/skus'), jfetch('/sales/tax-rates')]);
+    skus = s.items || []; taxRates = t.items || [];
+  }catch(e){ toast('Catalog error: ' + e.message); }
+
+  function addLine(){
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><select class="lnSku">${skus.map(s=>`<option value="${s.number}">${s.number} — ${s.name} (${s.price})</option>`).join('')}</select></td>
+      <td><input class="lnQty" type="number" min="1" value="1"/></td>
+      <td><input class="lnDisc" type="number" min="0" max="100" step="0.01" value="0"/></td>
+      <td><select class="lnTax">${taxRates.map(t=>`<option value="${t.code}">${t.name} (${t.rate}%)</option>`).join('')}</select></td>
+      <td><button class="danger" data-remove="1">Remove</button></td>`;
+    document.querySelector('#linesTbl tbody').appendChild(tr);
+  }
+  $('btnAddLine').onclick = addLine;
+  $('linesTbl').onclick = ev => { if(ev.target.dataset.remove) ev.target.closest('tr').remove(); };
+  addLine();
+
+  async function submit(confirm){
+    const lines = [...document.querySelectorAll('#linesTbl tbody tr')].map(tr => {
+      const disc = Number(tr.querySelector('.lnDisc').value || 0);
+      return {
+        sku: tr.querySelector('.lnSku').value,
+        quantity: Number(tr.querySelector('.lnQty').value || 0),
+        discount: disc > 0 ? {type:'percent', value: disc} : undefined,
+        taxRate: tr.querySelector('.lnTax').value || undefined
+      };
+    });
+    if(!lines.length) return toast('Add at least one line');
+    const ordDisc = Number($('ordDisc').value || 0);
+    const body = {
+      customer: {
+        name: $('custName').value.trim() || undefined,
+        phone: $('custPhone').value.trim() || undefined,
+        uid: $('custUid').value.trim() || undefined
+      },
+      lines,
+      discount: ordDisc > 0 ? {type: $('ordDiscType').value, value: ordDisc} : undefined,
+      note: $('ordNote').value.trim() || undefined,
+      confirm
+    };
     try{
-      const res = await jfetch('/sales', {method:'POST', body: JSON.stringify({sku, quantity})});
-      document.getElementById('saleMsg').textContent = 'Saved: #' + (res.id || res.saleId || 'ok');
-      loadSales();
-    }catch(e){ toast('Create sale failed: '+e.message); }
-  };
+      const order = await jfetch('/sales', {method:'POST', body: JSON.stringify(body)});
+      toast(confirm ? `Invoice ${order.invoiceNumber} — total ${order.total}` : `Draft #${order.id} saved`);
+      location.hash = '#/sales/' + order.id;
+    }catch(e){ toast('Order failed: '+e.message); }
+  }
+  $('btnDraft').onclick = ()=>submit(false);
+  $('btnConfirm').onclick = ()=>submit(true);
 
   async function loadSales(){
+    const params = new URLSearchParams();
+    if($('ordStatusF').value) params.set('status', $('ordStatusF').value);
+    if(staff && $('ordQ').value.trim()) params.set('q', $('ordQ').value.trim());
     try{
-      let data;
-      try { data = await jfetch('/admin/sales'); }
-      catch { data = await jfetch('/sales'); }
-      const items = data.items || data || [];
+      const data = await jfetch((staff ? '/sales/all?' : '/sales?') + params);
       document.querySelector('#salesTbl tbody').innerHTML =
-        items.map(s => `<tr>
-          <td>${s.id || s.saleId || '-'}</td>
-          <td>${s.userEmail || s.userId || '-'}</td>
-          <td>${s.sku}</td>
-          <td>${s.quantity}</td>
-          <td>${new Date(s.createdAt||s.created_at||Date.now()).toLocaleString()}</td>
-        </tr>`).join('') || '<tr><td colspan="5">No sales yet</td></tr>';
+        (data.items||[]).map(o => `<tr>
+          <td><a href="#/sales/${o.id}">${o.invoiceNumber || 'Draft #'+o.id}</a></td>
+          <td>${esc(o.userName || o.userEmail)}</td>
+          <td>${esc(o.customerName || '-')}</td>
+          <td>${o.status}</td>
+          <td>${o.total}</td>
+          <td>${o.creditedTotal || '-'}</td>
+          <td>${new Date(o.confirmedAt || o.createdAt).toLocaleString()}</td>
+        </tr>`).join('') || '<tr><td colspan="7">No orders yet</td></tr>';
     }catch(e){ toast('Sales load error: ' + e.message); }
   }
+  $('ordStatusF').onchange = loadSales;
+  if(staff) $('ordQ').oninput = loadSales;
   loadSales();
 }
 
+async function salesOrderView(id){
+  const staff = can('sales:manage');
+  app.innerHTML = `
+    <div class="app">
+      ${nav('#/sales')}
+      <div class="card"><h1 id="soTitle">Order #${id}</h1><div id="soHead">Loading...</div></div>
+      <div class="card">
+        <h2>Lines</h2>
+        <table class="table" id="soLines">
+          <thead><tr><th>SKU</th><th>Qty</th><th>Unit</th><th>Discount</th><th>Order disc.</th><th>Tax</th><th>Total</th><th>Returned</th>${staff?'<th></th>':''}</tr></thead>
+          <tbody></tbody>
+        </table>
+        <br/>
+        <div id="soActions"></div>
+      </div>
+      <div class="card">
+        <h2>Credit Notes</h2>
+        <table class="table" id="soCredits">
+          <thead><tr><th>Number</th><th>Reason</th><th>Net</th><th>Tax</th><th>Total</th><th>At</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  const $ = x => document.getElementById(x);
+  let order = null;
+
+  async function load(){
+    try{ order = await jfetch('/sales/' + id); }
+    catch(e){ toast('Order error: ' + e.message); return; }
+
+    $('soTitle').textContent = order.invoiceNumber ? `Invoice ${order.invoiceNumber}` : `Draft order #${order.id}`;
+    $('soHead').innerHTML = `
+      <div class="row">
+        <div class="col">Status: <b>${order.status}</b>${order.cancelReason ? ' ('+esc(order.cancelReason)+')' : ''}<br/>Rep: ${esc(order.userName || order.userEmail)}</div>
+        <div class="col">Customer: ${esc(order.customerName || '-')}${order.customerUserCode ? ' ('+esc(order.customerUserCode)+')' : ''}<br/>${esc(order.customerPhone || '')}</div>
+        <div class="col">Subtotal: ${order.subtotal}<br/>Discounts: ${order.discountTotal}<br/>Tax: ${order.taxTotal}</div>
+        <div class="col">Total: <b>${order.total}</b><br/>Returned: ${order.creditedTotal}</div>
+      </div>
+      ${order.note ? `<p>${esc(order.note)}</p>` : ''}
+    `;
+    const canReturn = staff && order.status === 'confirmed';
+    document.querySelector('#soLines tbody').innerHTML = order.lines.map(l => `<tr>
+      <td>${esc(l.skuNumber)} — ${esc(l.skuName)}</td><td>${l.quantity}</td><td>${l.unitPrice}</td>
+      <td>${l.discountAmount}</td><td>${l.orderDiscountShare}</td>
+      <td>${l.taxAmount} (${l.taxRate}%)</td><td>${l.lineTotal}</td><td>${l.returnedQuantity}</td>
+      ${staff ? `<td>${canReturn && l.returnedQuantity < l.quantity
+        ? `<button class="danger" data-line="${l.id}" data-left="${l.quantity - l.returnedQuantity}">Return</button>` : ''}</td>` : ''}
+    </tr>`).join('');
+    document.querySelector('#soCredits tbody').innerHTML = order.creditNotes.map(c => `<tr>
+      <td>${c.creditNumber}</td><td>${esc(c.reason || '-')}</td><td>${c.netAmount}</td><td>${c.taxAmount}</td>
+      <td>${c.total}</td><td>${new Date(c.createdAt).toLocaleString()}</td>
+    </tr>`).join('') || '<tr><td colspan="6">No returns</td></tr>';
+
+    const actions = [];
+    if(order.status === 'draft') actions.push('<button id="soConfirm" class="success">Confirm &amp; invoice</button>');
+    if(order.status === 'draft' || (staff && order.status === 'confirmed' && !order.creditNotes.length)){
+      actions.push('<button id="soCancel" class="danger" style="margin-top:8px">Cancel order</button>');
+    }
+    $('soActions').innerHTML = actions.join('');
+    if($('soConfirm')) $('soConfirm').onclick = async ()=>{
+      try{ await jfetch(`/sales/${id}/confirm`, {method:'POST'}); toast('Order confirmed'); load(); }
+      catch(e){ toast(e.message); }
+    };
+    if($('soCancel')) $('soCancel').onclick = async ()=>{
+      const reason = prompt('Reason for cancelling (optional)');
+      if(reason === null) return;
+      try{
+        await jfetch(`/sales/${id}/cancel`, {method:'POST', body: JSON.stringify({reason: reason || undefined})});
+        toast('Order cancelled'); load();
+      }catch(e){ toast(e.message); }
+    };
+  }
+
+  $('soLines').onclick = async (ev)=>{
+    const {line, left} = ev.target.dataset;
+    if(!line) return;
+    const quantity = Number(prompt(`Units to return (max ${left})`, left));
+    if(!quantity) return;
+    const reason = prompt('Reason (optional)') || undefined;
+    try{
+      const r = await jfetch(`/sales/${id}/returns`, {method:'POST', body: JSON.stringify({lines:[{lineId: Number(line), quantity}], reason})});
+      toast(`Credit note ${r.creditNote.creditNumber} — ${r.creditNote.total}`); load();
+    }catch(e){ toast(e.message); }
+  };
+
+  load();
+}
+
+// browser position for attendance marks, {} when unavailable/denied
+function currentPosition(){
+  return new Promise(resolve=>{
+    if(!navigator.geolocation) return resolve({});
+    navigator.geolocation.getCurrentPosition(
+      p=>resolve({lat:p.coords.latitude, lng:p.coords.longitude, accuracy:Math.round(p.coords.accuracy)}),
+      ()=>resolve({}),
+      {enableHighAccuracy:true, timeout:10000}
+    );
+  });
+}
+
 async function attendanceView(){
+  const read = can('attendance:read');
+  const manage = can('attendance:manage');
   app.innerHTML = `
     <div class="app">
       ${nav('#/attendance')}
@@ -279,10 +822,53 @@ async function attendanceView(){
           </div>
         </div>
       </div>
+      ${manage ? `
+      <div class="card">
+        <h2>Work Sites</h2>
+        <input id="wsId" type="hidden"/>
+        <div class="row">
+          <div class="col"><label>Name</label><input id="wsName"/></div>
+          <div class="col"><label>Address</label><input id="wsAddress"/></div>
+        </div>
+        <div class="row">
+          <div class="col"><label>Lat</label><input id="wsLat" type="number" step="any"/></div>
+          <div class="col"><label>Lng</label><input id="wsLng" type="number" step="any"/></div>
+          <div class="col"><label>Radius (m)</label><input id="wsRadius" type="number" value="150"/></div>
+        </div>
+        <div class="row">
+          <div class="col"><button id="wsSave" class="primary">Save Site</button></div>
+          <div class="col"><button id="wsHere">Use my location</button></div>
+        </div>
+        <p id="wsMode"></p>
+        <table class="table" id="wsTbl">
+          <thead><tr><th>ID</th><th>Name</th><th>Lat</th><th>Lng</th><th>Radius</th><th>Users</th><th>Active</th><th>Actions</th></tr></thead>
+          <tbody></tbody>
+        </table>
+        <h3>Assign user</h3>
+        <div class="row">
+          <div class="col"><label>User ID</label><input id="wsUid" placeholder="userCode"/></div>
+          <div class="col"><label>Site IDs (comma separated, empty = any)</label><input id="wsUserSites"/></div>
+          <div class="col"><button id="wsAssign" class="success">Assign</button></div>
+        </div>
+      </div>` : ''}
+      <div class="card">
+        <h2>Timesheet</h2>
+        <div class="row">
+          <div class="col"><label>From</label><input id="tsFrom" type="date"/></div>
+          <div class="col"><label>To</label><input id="tsTo" type="date"/></div>
+          ${read ? '<div class="col"><label>User ID</label><input id="tsUid" placeholder="all users"/></div>' : ''}
+          <div class="col"><button id="tsLoad" class="primary">Show</button></div>
+        </div>
+        <table class="table" id="tsTbl">
+          <thead><tr><th>Date</th><th>User</th><th>Shift</th><th>First IN</th><th>Last OUT</th><th>Hours</th><th>Late</th><th>Early</th><th>Overtime</th><th>Anomalies</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
       <div class="card">
         <h2>History</h2>
+        ${read ? `<label><input id="attFlagged" type="checkbox"/> Flagged only</label> ${exportButtons('attendance')}` : ''}
         <table class="table" id="attTbl">
-          <thead><tr><th>ID</th><th>User</th><th>Action</th><th>At</th><th>Lat</th><th>Lng</th></tr></thead>
+          <thead><tr><th>ID</th><th>User</th><th>Action</th><th>At</th><th>Site</th><th>Distance</th><th>Status</th></tr></thead>
           <tbody></tbody>
         </table>
       </div>
@@ -291,23 +877,21 @@ async function attendanceView(){
   const btnIn = document.getElementById('btnIn');
   const btnOut = document.getElementById('btnOut');
 
-  btnIn.onclick = async ()=>{
-    try{
-      await jfetch('/attendance/mark',{method:'POST', body: JSON.stringify({action:'IN'})});
-      toast('Marked IN'); load();
-    }catch(e){ toast(e.message); }
-  };
-  btnOut.onclick = async ()=>{
+  async function mark(action){
     try{
-      await jfetch('/attendance/mark',{method:'POST', body: JSON.stringify({action:'OUT'})});
-      toast('Marked OUT'); load();
+      const pos = await currentPosition();
+      const r = await jfetch('/attendance/mark',{method:'POST', body: JSON.stringify({action, ...pos})});
+      toast(r.geoStatus === 'flagged' ? `Marked ${action} (flagged: ${r.flagReason})` : `Marked ${action}`); load();
     }catch(e){ toast(e.message); }
-  };
+  }
+  btnIn.onclick = ()=>mark('IN');
+  btnOut.onclick = ()=>mark('OUT');
 
   async function load(){
     try{
       let data;
-      try { data = await jfetch('/admin/attendance'); }
+      const flagged = document.getElementById('attFlagged')?.checked;
+      try { data = await jfetch('/admin/attendance' + (flagged ? '?status=flagged' : '')); }
       catch { data = await jfetch('/attendance/history'); }
       const items = data.items || data || [];
       document.querySelector('#attTbl tbody').innerHTML =
@@ -316,40 +900,697 @@ async function attendanceView(){
           <td>${a.userEmail || a.userId || '-'}</td>
           <td>${a.action}</td>
           <td>${new Date(a.createdAt||a.created_at||Date.now()).toLocaleString()}</td>
-          <td>${a.lat ?? '-'}</td>
-          <td>${a.lng ?? '-'}</td>
-        </tr>`).join('') || '<tr><td colspan="6">No records</td></tr>';
+          <td>${esc(a.siteName || '-')}</td>
+          <td>${a.distanceMeters != null ? a.distanceMeters + ' m' : '-'}${a.accuracy != null ? ` (±${a.accuracy})` : ''}</td>
+          <td>${a.geoStatus || '-'}${a.flagReason ? ` — ${a.flagReason}` : ''}</td>
+        </tr>`).join('') || '<tr><td colspan="7">No records</td></tr>';
     }catch(e){ toast('Load failed: '+e.message); }
   }
+
+  const time = iso => iso ? new Date(iso).toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'}) : '-';
+  const mins = m => m ? `${m} min` : '-';
+  async function loadTimesheet(){
+    const from = document.getElementById('tsFrom').value;
+    const to = document.getElementById('tsTo').value;
+    const uid = document.getElementById('tsUid')?.value.trim();
+    const q = new URLSearchParams();
+    if (from) q.set('from', from);
+    if (to) q.set('to', to);
+    if (uid) q.set('uid', uid);
+    try{
+      const data = await jfetch((read ? '/attendance/timesheets/daily?' : '/attendance/timesheet?') + q);
+      document.querySelector('#tsTbl tbody').innerHTML =
+        data.items.map(d=>`<tr>
+          <td>${d.date}</td><td>${d.userEmail}</td><td>${d.shift ? d.shift.name : '-'}</td>
+          <td>${time(d.firstIn)}</td><td>${d.inProgress ? 'in progress' : time(d.lastOut)}</td>
+          <td>${d.workedHours}</td><td>${mins(d.lateMinutes)}</td><td>${mins(d.earlyLeaveMinutes)}</td>
+          <td>${mins(d.overtimeMinutes)}</td><td>${d.anomalies.join(', ') || '-'}</td>
+        </tr>`).join('') || '<tr><td colspan="10">No records</td></tr>';
+    }catch(e){ toast(e.message); }
+  }
+  document.getElementById('tsLoad').onclick = loadTimesheet;
+
+  if (read) {
+    document.getElementById('attFlagged').onchange = load;
+    document.querySelectorAll('[data-export="attendance"]').forEach(b=>b.onclick=()=>
+      download('/admin/attendance', document.getElementById('attFlagged').checked ? {status:'flagged'} : {}, b.dataset.format));
+  }
+
+  if (manage) {
+    async function loadSites(){
+      try{
+        const data = await jfetch('/attendance/sites?all=1');
+        document.getElementById('wsMode').textContent = `Geofence mode: ${data.mode}`;
+        document.querySelector('#wsTbl tbody').innerHTML =
+          data.items.map(w=>`<tr>
+            <td>${w.id}</td><td>${esc(w.name)}</td><td>${w.lat}</td><td>${w.lng}</td><td>${w.radiusMeters} m</td>
+            <td>${w.userCount}</td><td>${w.active ? 'Yes' : 'No'}</td>
+            <td>
+              <button data-edit="${w.id}">Edit</button>
+              ${w.active ? `<button class="danger" data-off="${w.id}">Deactivate</button>` : ''}
+            </td>
+          </tr>`).join('') || '<tr><td colspan="8">No sites — attendance is not geofenced</td></tr>';
+
+        document.querySelectorAll('[data-edit]').forEach(b=>b.onclick=()=>{
+          const w = data.items.find(x=>x.id===Number(b.dataset.edit));
+          document.getElementById('wsId').value = w.id;
+          document.getElementById('wsName').value = w.name;
+          document.getElementById('wsAddress').value = w.address || '';
+          document.getElementById('wsLat').value = w.lat;
+          document.getElementById('wsLng').value = w.lng;
+          document.getElementById('wsRadius').value = w.radiusMeters;
+        });
+        document.querySelectorAll('[data-off]').forEach(b=>b.onclick=async ()=>{
+          try{ await jfetch(`/attendance/sites/${b.dataset.off}`,{method:'DELETE'}); toast('Site deactivated'); loadSites(); }
+          catch(e){ toast(e.message); }
+        });
+      }catch(e){ toast('Sites load failed: '+e.message); }
+    }
+
+    document.getElementById('wsHere').onclick = async ()=>{
+      const pos = await currentPosition();
+      if (pos.lat == null) return toast('Location unavailable');
+      document.getElementById('wsLat').value = pos.lat;
+      document.getElementById('wsLng').value = pos.lng;
+    };
+    document.getElementById('wsSave').onclick = async ()=>{
+      const id = document.getElementById('wsId').value;
+      const body = {
+        name: document.getElementById('wsName').value.trim(),
+        address: document.getElementById('wsAddress').value.trim(),
+        lat: document.getElementById('wsLat').value,
+        lng: document.getElementById('wsLng').value,
+        radiusMeters: Number(document.getElementById('wsRadius').value),
+      };
+      try{
+        await jfetch(id ? `/attendance/sites/${id}` : '/attendance/sites', {method: id ? 'PUT' : 'POST', body: JSON.stringify(body)});
+        toast('Site saved');
+        document.getElementById('wsId').value = '';
+        loadSites();
+      }catch(e){ toast(e.message); }
+    };
+    document.getElementById('wsAssign').onclick = async ()=>{
+      const uid = document.getElementById('wsUid').value.trim();
+      const siteIds = document.getElementById('wsUserSites').value.split(',').map(s=>s.trim()).filter(Boolean).map(Number);
+      if (!uid) return toast('User ID required');
+      try{
+        const r = await jfetch(`/attendance/users/${uid}/sites`, {method:'PUT', body: JSON.stringify({siteIds})});
+        toast(r.count ? `${uid}: ${r.items.map(w=>w.name).join(', ')}` : `${uid}: any active site`); loadSites();
+      }catch(e){ toast(e.message); }
+    };
+    loadSites();
+  }
   load();
+  loadTimesheet();
 }
 
-async function usersView(){
+async function rewardsView(){
+  const isAdmin = store.role === 'admin';
+  app.innerHTML = `
+    <div class="app">
+      ${nav('#/rewards')}
+      ${isAdmin ? `
+      <div class="card">
+        <h1>Add / Edit Reward</h1>
+        <input id="rwId" type="hidden"/>
+        <div class="row">
+          <div class="col"><label>Name</label><input id="rwName"/></div>
+          <div class="col"><label>Points cost</label><input id="rwCost" type="number" min="1"/></div>
+          <div class="col"><label>Stock (empty = unlimited)</label><input id="rwStock" type="number" min="0"/></div>
+        </div>
+        <div class="row">
+          <div class="col"><label>Description</label><input id="rwDesc"/></div>
+          <div class="col"><label>Image</label><input id="rwImage" type="file" accept="image/png,image/jpeg,image/webp,image/gif"/></div>
+        </div>
+        <br/>
+        <button id="btnRwSave" class="success">Save</button>
+      </div>` : ''}
+      <div class="card">
+        <h1>Rewards</h1>
+        <table class="table" id="rwTbl">
+          <thead><tr><th></th><th>Name</th><th>Points</th><th>Stock</th><th></th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="card">
+        <h2>My Orders</h2>
+        <table class="table" id="myOrdTbl">
+          <thead><tr><th>ID</th><th>Reward</th><th>Qty</th><th>Points</th><th>Status</th><th>At</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+
+  let items = [];
+  async function loadItems(){
+    try{
+      const data = await jfetch('/rewards' + (isAdmin ? '?all=1' : ''));
+      items = data.items || [];
+      document.querySelector('#rwTbl tbody').innerHTML =
+        items.map(r=>`<tr>
+          <td>${r.imageUrl ? `<img src="${r.imageUrl}" alt="" style="height:40px;border-radius:6px"/>` : ''}</td>
+          <td>${r.name}${r.active ? '' : ' (inactive)'}<div style="color:var(--muted);font-size:12px">${r.description||''}</div></td>
+          <td>${r.pointsCost}</td>
+          <td>${r.stock ?? '∞'}</td>
+          <td>
+            ${r.active ? `<button class="primary" data-order="${r.id}">Redeem</button>` : ''}
+            ${isAdmin ? `<button data-edit="${r.id}">Edit</button>` : ''}
+            ${isAdmin && r.active ? `<button class="danger" data-off="${r.id}">Deactivate</button>` : ''}
+          </td>
+        </tr>`).join('') || '<tr><td colspan="5">No rewards</td></tr>';
+    }catch(e){ toast('Rewards error: '+e.message); }
+  }
+
+  async function loadMyOrders(){
+    try{
+      const data = await jfetch('/rewards/orders');
+      document.querySelector('#myOrdTbl tbody').innerHTML =
+        (data.items||[]).map(o=>`<tr>
+          <td>${o.id}</td><td>${o.itemName}</td><td>${o.quantity}</td><td>${o.pointsTotal}</td>
+          <td>${o.status}${o.trackingRef ? ' · '+o.trackingRef : ''}</td>
+          <td>${new Date(o.createdAt).toLocaleString()}</td>
+        </tr>`).join('') || '<tr><td colspan="6">No orders yet</td></tr>';
+    }catch(e){ toast('Orders error: '+e.message); }
+  }
+
+  document.getElementById('rwTbl').onclick = async (ev)=>{
+    const t = ev.target;
+    if(t.dataset.order){
+      const quantity = Number(prompt('Quantity', '1') || 0);
+      if(quantity <= 0) return;
+      try{
+        const res = await jfetch('/rewards/orders', {method:'POST', body: JSON.stringify({itemId:Number(t.dataset.order), quantity})});
+        toast('Order placed, balance: ' + res.balanceAfter);
+        loadItems(); loadMyOrders();
+      }catch(e){ toast('Order failed: '+e.message); }
+    }
+    if(t.dataset.edit){
+      const r = items.find(x=>String(x.id)===t.dataset.edit);
+      document.getElementById('rwId').value = r.id;
+      document.getElementById('rwName').value = r.name;
+      document.getElementById('rwCost').value = r.pointsCost;
+      document.getElementById('rwStock').value = r.stock ?? '';
+      document.getElementById('rwDesc').value = r.description || '';
+      window.scrollTo(0,0);
+    }
+    if(t.dataset.off){
+      if(!confirm('Deactivate reward?')) return;
+      try{ await jfetch('/rewards/'+t.dataset.off, {method:'DELETE'}); loadItems(); }
+      catch(e){ toast(e.message); }
+    }
+  };
+
+  if(isAdmin){
+    document.getElementById('btnRwSave').onclick = async ()=>{
+      const id = document.getElementById('rwId').value;
+      const stock = document.getElementById('rwStock').value;
+      const body = {
+        name: document.getElementById('rwName').value.trim(),
+        pointsCost: Number(document.getElementById('rwCost').value||0),
+        stock: stock === '' ? null : Number(stock),
+        description: document.getElementById('rwDesc').value.trim()
+      };
+      try{
+        const saved = await jfetch(id ? '/rewards/'+id : '/rewards', {method: id ? 'PUT' : 'POST', body: JSON.stringify(body)});
+        const file = document.getElementById('rwImage').files[0];
+        if(file){
+          const res = await fetch(API + '/rewards/' + saved.id + '/image', {
+            method:'PUT',
+            headers:{'Content-Type': file.type, 'Authorization': 'Bearer ' + store.token},
+            body: file
+          });
+          if(!res.ok) throw new Error((await res.json().catch(()=>({}))).error || `HTTP ${res.status}`);
+        }
+        toast('Saved');
+        rewardsView();
+      }catch(e){ toast('Save failed: '+e.message); }
+    };
+  }
+
+  loadItems();
+  loadMyOrders();
+}
+
+async function rewardOrdersView(){
   if(!guardAdmin()) return;
+  const next = {pending:['approved','rejected'], approved:['dispatched','rejected'], dispatched:['delivered']};
+  app.innerHTML = `
+    <div class="app">
+      ${nav('#/reward-orders')}
+      <div class="card">
+        <h1>Reward Orders</h1>
+        <div class="row">
+          <div class="col">
+            <label>Status</label>
+            <select id="ordStatus">
+              <option value="">All</option>
+              ${['pending','approved','dispatched','delivered','rejected'].map(s=>`<option>${s}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <br/>
+        <table class="table" id="ordTbl">
+          <thead><tr><th>ID</th><th>User</th><th>Reward</th><th>Qty</th><th>Points</th><th>Address</th><th>Status</th><th></th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  const sel = document.getElementById('ordStatus');
+  sel.value = 'pending';
+
+  async function load(){
+    try{
+      const data = await jfetch('/rewards/orders/all' + (sel.value ? '?status='+sel.value : ''));
+      document.querySelector('#ordTbl tbody').innerHTML =
+        (data.items||[]).map(o=>`<tr>
+          <td>${o.id}</td>
+          <td>${o.userName || o.userEmail} (${o.userCode})</td>
+          <td>${o.itemName}</td><td>${o.quantity}</td><td>${o.pointsTotal}</td>
+          <td>${o.shippingAddress||'-'}</td>
+          <td>${o.status}</td>
+          <td>${(next[o.status]||[]).map(s=>
+            `<button class="${s==='rejected'?'danger':'primary'}" data-id="${o.id}" data-status="${s}">${s}</button>`
+          ).join(' ')}</td>
+        </tr>`).join('') || '<tr><td colspan="8">No orders</td></tr>';
+    }catch(e){ toast('Orders error: '+e.message); }
+  }
+
+  document.getElementById('ordTbl').onclick = async (ev)=>{
+    const {id, status} = ev.target.dataset;
+    if(!id) return;
+    const body = {status};
+    if(status === 'rejected'){
+      body.note = prompt('Reason (points will be refunded)') || undefined;
+    }
+    if(status === 'dispatched'){
+      body.trackingRef = prompt('Tracking reference (optional)') || undefined;
+    }
+    try{
+      await jfetch(`/rewards/orders/${id}/status`, {method:'POST', body: JSON.stringify(body)});
+      toast('Order ' + status); load();
+    }catch(e){ toast(e.message); }
+  };
+  sel.onchange = load;
+  load();
+}
+
+async function usersView(){
+  if(!guard(can('users:read'))) return;
+  const manage = can('users:manage');
   app.innerHTML = `
     <div class="app">
       ${nav('#/users')}
       <div class="card">
         <h1>Users</h1>
+        <div class="row">
+          <div class="col">
+            <label>Search</label>
+            <input id="usrQ" placeholder="User ID, name, email or phone"/>
+          </div>
+          <div class="col">
+            <label>Role</label>
+            <select id="usrRole"><option value="">All</option></select>
+          </div>
+          <div class="col">
+            <label>Status</label>
+            <select id="usrStatus">
+              <option value="">All</option>
+              <option value="active">Active</option>
+              <option value="suspended">Suspended</option>
+            </select>
+          </div>
+        </div>
+        <div class="row" style="margin-top:8px"><div class="col">${exportButtons('users')}</div></div>
+        <br/>
         <table class="table" id="usrTbl">
-          <thead><tr><th>ID</th><th>Name</th><th>Email</th><th>Role</th><th>Created</th></tr></thead>
+          <thead><tr><th>ID</th><th>Name</th><th>Email</th><th>Phone</th><th>Role</th><th>Status</th><th>Created</th></tr></thead>
           <tbody></tbody>
         </table>
+        <div id="usrPager" style="margin-top:10px"></div>
       </div>
+
+      ${manage ? `
+      <div class="card">
+        <h2>Create User</h2>
+        <div class="row">
+          <div class="col"><label>First name</label><input id="nuFirst"/></div>
+          <div class="col"><label>Last name</label><input id="nuLast"/></div>
+          <div class="col"><label>Email</label><input id="nuEmail" type="email"/></div>
+        </div>
+        <div class="row">
+          <div class="col"><label>Phone</label><input id="nuPhone"/></div>
+          <div class="col"><label>City</label><input id="nuCity"/></div>
+          <div class="col"><label>Address</label><input id="nuAddr"/></div>
+        </div>
+        <div class="row">
+          <div class="col"><label>Role</label><select id="nuRole"></select></div>
+          <div class="col">
+            <label>Password (empty = mail a set-password link)</label>
+            <input id="nuPass" type="password"/>
+          </div>
+        </div>
+        <br/>
+        <button id="btnNewUser" class="success">Create</button>
+      </div>` : ''}
     </div>
   `;
+
   try{
-    const data = await jfetch('/admin/users');
-    const items = data.items || data || [];
-    document.querySelector('#usrTbl tbody').innerHTML =
-      items.map(u=>`<tr>
-        <td>${u.id}</td>
-        <td>${(u.firstName||'')+' '+(u.lastName||'')}</td>
-        <td>${u.email}</td>
-        <td>${u.role||'user'}</td>
-        <td>${new Date(u.createdAt||u.created_at||Date.now()).toLocaleString()}</td>
-      </tr>`).join('') || '<tr><td colspan="5">No users</td></tr>';
-  }catch(e){ toast('Users error: '+e.message); }
+    const roles = await jfetch('/roles');
+    const opts = (roles.items||[]).map(r=>`<option value="${esc(r.code)}">${esc(r.name)}</option>`).join('');
+    document.getElementById('usrRole').innerHTML += opts;
+    if (manage) {
+      document.getElementById('nuRole').innerHTML = opts;
+      document.getElementById('nuRole').value = 'user';
+    }
+  }catch(_){
+    if (manage) document.getElementById('nuRole').innerHTML = '<option value="user">User</option>';
+  }
+
+  let page = 1;
+  function filters(){
+    const params = {};
+    const q = document.getElementById('usrQ').value.trim();
+    const role = document.getElementById('usrRole').value;
+    const status = document.getElementById('usrStatus').value;
+    if(q) params.q = q;
+    if(role) params.role = role;
+    if(status) params.status = status;
+    return params;
+  }
+  document.querySelectorAll('[data-export="users"]').forEach(b=>b.onclick=()=>download('/admin/users', filters(), b.dataset.format));
+
+  async function load(){
+    const params = new URLSearchParams({page, ...filters()});
+    try{
+      const data = await jfetch('/admin/users?' + params);
+      document.querySelector('#usrTbl tbody').innerHTML =
+        (data.items||[]).map(u=>`<tr>
+          <td><a href="#/users/${encodeURIComponent(u.userCode)}">${esc(u.userCode)}</a></td>
+          <td>${esc((u.firstName||'')+' '+(u.lastName||''))}</td>
+          <td>${esc(u.email)}</td>
+          <td>${esc(u.phoneNumber||'-')}</td>
+          <td>${esc(u.role)}</td>
+          <td>${esc(u.status)}</td>
+          <td>${new Date(u.createdAt).toLocaleString()}</td>
+        </tr>`).join('') || '<tr><td colspan="7">No users</td></tr>';
+      const pages = Math.max(1, Math.ceil(data.total / data.limit));
+      document.getElementById('usrPager').innerHTML = `
+        <button id="usrPrev" style="width:auto" ${page<=1?'disabled':''}>Prev</button>
+        <span style="margin:0 10px">Page ${page} / ${pages} (${data.total} users)</span>
+        <button id="usrNext" style="width:auto" ${page>=pages?'disabled':''}>Next</button>
+      `;
+      document.getElementById('usrPrev').onclick = ()=>{ page--; load(); };
+      document.getElementById('usrNext').onclick = ()=>{ page++; load(); };
+    }catch(e){ toast('Users error: '+e.message); }
+  }
+
+  let timer = null;
+  document.getElementById('usrQ').oninput = ()=>{ clearTimeout(timer); timer = setTimeout(()=>{ page = 1; load(); }, 300); };
+  document.getElementById('usrRole').onchange = ()=>{ page = 1; load(); };
+  document.getElementById('usrStatus').onchange = ()=>{ page = 1; load(); };
+
+  if (manage) document.getElementById('btnNewUser').onclick = async ()=>{
+    const body = {
+      firstName: document.getElementById('nuFirst').value.trim(),
+      lastName: document.getElementById('nuLast').value.trim(),
+      email: document.getElementById('nuEmail').value.trim(),
+      phoneNumber: document.getElementById('nuPhone').value.trim(),
+      city: document.getElementById('nuCity').value.trim(),
+      residentialAddress: document.getElementById('nuAddr').value.trim(),
+      role: document.getElementById('nuRole').value,
+      password: document.getElementById('nuPass').value || undefined
+    };
+    try{
+      const u = await jfetch('/admin/users', {method:'POST', body: JSON.stringify(body)});
+      toast(u.linkSent ? 'User created, set-password link sent' : 'User created');
+      location.hash = '#/users/' + encodeURIComponent(u.userCode);
+    }catch(e){ toast(e.message); }
+  };
+
+  load();
+}
+
+async function userDetailView(uid){
+  if(!guard(can('users:read'))) return;
+  const manage = can('users:manage');
+  const path = '/admin/users/' + encodeURIComponent(uid);
+  app.innerHTML = `
+    <div class="app">
+      ${nav('#/users')}
+      <div class="card"><h1>User ${esc(uid)}</h1><div id="udSummary">Loading...</div></div>
+      <div class="card">
+        <h2>Profile</h2>
+        <div class="row">
+          <div class="col"><label>First name</label><input id="udFirst"/></div>
+          <div class="col"><label>Last name</label><input id="udLast"/></div>
+          <div class="col"><label>Email</label><input id="udEmail" type="email"/></div>
+        </div>
+        <div class="row">
+          <div class="col"><label>Phone</label><input id="udPhone"/></div>
+          <div class="col"><label>City</label><input id="udCity"/></div>
+          <div class="col"><label>Address</label><input id="udAddr"/></div>
+        </div>
+        ${manage ? '<br/><button id="btnSaveUser" class="primary">Save</button>' : ''}
+      </div>
+      ${manage || can('roles:manage') ? `
+      <div class="card">
+        <h2>Account</h2>
+        ${can('roles:manage') ? `
+        <div class="row">
+          <div class="col"><label>Role</label><select id="udRole"></select></div>
+          <div class="col"><label>&nbsp;</label><button id="btnRole" class="primary">Change role</button></div>
+        </div>` : ''}
+        ${manage ? `
+        <br/>
+        <div class="row">
+          <div class="col"><button id="btnSuspend" class="danger"></button></div>
+          <div class="col"><button id="btnForceReset" class="danger">Force password reset</button></div>
+        </div>` : ''}
+      </div>` : ''}
+      <div class="card">
+        <h2>QR Scans</h2>
+        <table class="table" id="udScans">
+          <thead><tr><th>Code</th><th>Points</th><th>At</th></tr></thead><tbody></tbody>
+        </table>
+      </div>
+      <div class="card">
+        <h2>Sales</h2>
+        <table class="table" id="udSales">
+          <thead><tr><th>Invoice</th><th>Customer</th><th>Status</th><th>Total</th><th>At</th></tr></thead><tbody></tbody>
+        </table>
+      </div>
+      <div class="card">
+        <h2>Attendance</h2>
+        <table class="table" id="udAtt">
+          <thead><tr><th>ID</th><th>Action</th><th>Lat</th><th>Lng</th><th>At</th></tr></thead><tbody></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+
+  const fields = {udFirst:'firstName', udLast:'lastName', udEmail:'email', udPhone:'phoneNumber', udCity:'city', udAddr:'residentialAddress'};
+  let user = null;
+
+  async function load(){
+    try{
+      user = await jfetch(path);
+    }catch(e){ toast('User error: '+e.message); return; }
+
+    document.getElementById('udSummary').innerHTML = `
+      <div class="row">
+        <div class="col"><b>${esc((user.firstName||'')+' '+(user.lastName||''))}</b><br/>${esc(user.email)}</div>
+        <div class="col">Balance: <b>${esc(user.balance)}</b> pts<br/>Tier: ${esc(user.tier?.name||'-')}</div>
+        <div class="col">Status: <b>${esc(user.status)}</b>${user.suspendedReason ? ' ('+esc(user.suspendedReason)+')' : ''}
+          <br/>Verified: email ${user.emailVerified?'yes':'no'}, phone ${user.phoneVerified?'yes':'no'}</div>
+        <div class="col">Role: ${esc(user.role)}<br/>Active sessions: ${esc(user.activeSessions)}
+          ${user.passwordResetRequired ? '<br/>Password reset pending' : ''}</div>
+      </div>
+    `;
+    for(const [id, f] of Object.entries(fields)) {
+      document.getElementById(id).value = user[f] || '';
+      document.getElementById(id).readOnly = !manage;
+    }
+    if (can('roles:manage')) document.getElementById('udRole').value = user.role;
+    if (manage) {
+      document.getElementById('btnSuspend').textContent = user.status === 'suspended' ? 'Reactivate' : 'Suspend';
+      document.getElementById('btnSuspend').className = user.status === 'suspended' ? 'success' : 'danger';
+    }
+
+    document.querySelector('#udScans tbody').innerHTML =
+      user.scans.recent.map(s=>`<tr><td>${esc(s.code)}</td><td>${esc(s.points)}</td><td>${new Date(s.redeemedAt).toLocaleString()}</td></tr>`).join('')
+      || '<tr><td colspan="3">No scans</td></tr>';
+    document.querySelector('#udSales tbody').innerHTML =
+      user.sales.recent.map(s=>`<tr><td><a href="#/sales/${esc(s.id)}">${esc(s.invoiceNumber || 'Draft #'+s.id)}</a></td><td>${esc(s.customerName||'-')}</td><td>${esc(s.status)}</td><td>${esc(s.total)}</td><td>${new Date(s.createdAt).toLocaleString()}</td></tr>`).join('')
+      || '<tr><td colspan="5">No sales</td></tr>';
+    document.querySelector('#udAtt tbody').innerHTML =
+      user.attendance.recent.map(a=>`<tr><td>${esc(a.id)}</td><td>${esc(a.action)}</td><td>${esc(a.lat??'-')}</td><td>${esc(a.lng??'-')}</td><td>${new Date(a.createdAt).toLocaleString()}</td></tr>`).join('')
+      || '<tr><td colspan="5">No attendance</td></tr>';
+  }
+
+  if (can('roles:manage')) {
+    try{
+      const roles = await jfetch('/roles');
+      document.getElementById('udRole').innerHTML =
+        (roles.items||[]).map(r=>`<option value="${esc(r.code)}">${esc(r.name)}</option>`).join('');
+    }catch(_){}
+
+    document.getElementById('btnRole').onclick = async ()=>{
+      try{
+        const role = document.getElementById('udRole').value;
+        await jfetch(path + '/role', {method:'PUT', body: JSON.stringify({role})});
+        toast('Role changed'); load();
+      }catch(e){ toast(e.message); }
+    };
+  }
+
+  if (!manage) return load();
+
+  document.getElementById('btnSaveUser').onclick = async ()=>{
+    const body = {};
+    for(const [id, f] of Object.entries(fields)) body[f] = document.getElementById(id).value.trim();
+    try{
+      await jfetch(path, {method:'PUT', body: JSON.stringify(body)});
+      toast('Profile saved'); load();
+    }catch(e){ toast(e.message); }
+  };
+
+  document.getElementById('btnSuspend').onclick = async ()=>{
+    try{
+      if(user.status === 'suspended'){
+        await jfetch(path + '/reactivate', {method:'POST'});
+        toast('User reactivated');
+      } else {
+        const reason = prompt('Reason for suspending (optional)');
+        if(reason === null) return;
+        await jfetch(path + '/suspend', {method:'POST', body: JSON.stringify({reason: reason || undefined})});
+        toast('User suspended');
+      }
+      load();
+    }catch(e){ toast(e.message); }
+  };
+
+  document.getElementById('btnForceReset').onclick = async ()=>{
+    if(!confirm('Sign this user out everywhere and require a new password?')) return;
+    try{
+      const r = await jfetch(path + '/force-password-reset', {method:'POST'});
+      toast(r.linkSent ? 'Reset link sent' : 'Reset required, mail failed'); load();
+    }catch(e){ toast(e.message); }
+  };
+
+  load();
+}
+
+async function importsView(){
+  const kinds = [
+    ['users', 'Users', 'users:manage', 'firstName*, lastName, email*, phoneNumber, residentialAddress, city*, role'],
+    ['skus', 'SKUs', 'skus:manage', 'number*, name*, price, unit, barcode, category, description, active'],
+    ['qr', 'QR codes', 'qr:generate', 'code*, points, batchId'],
+  ].filter(([, , perm]) => can(perm));
+  if(!guard(kinds.length)) return;
+  const columns = Object.fromEntries(kinds.map(([kind, , , cols]) => [kind, cols]));
+  app.innerHTML = `
+    <div class="app">
+      ${nav('#/imports')}
+      <div class="card">
+        <h1>Bulk Import</h1>
+        <div class="row">
+          <div class="col">
+            <label>Import</label>
+            <select id="impKind">
+              ${kinds.map(([kind, label]) => `<option value="${kind}">${label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col">
+            <label>CSV file</label>
+            <input id="impFile" type="file" accept=".csv,text/csv"/>
+          </div>
+        </div>
+        <p>Columns (* required): <span id="impCols"></span></p>
+        <label id="impInviteRow"><input id="impInvite" type="checkbox" checked/> Mail new users a set-password link on commit</label>
+        <br/>
+        <button class="primary" id="impCheck">Validate (dry run)</button>
+      </div>
+      <div class="card">
+        <h2>Import Jobs</h2>
+        <table class="table" id="impTbl">
+          <thead><tr><th>ID</th><th>Kind</th><th>File</th><th>Status</th><th>Rows</th><th>Valid</th><th>Errors</th><th>Created</th><th></th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="card" id="impReportCard" style="display:none">
+        <h2 id="impReportTitle"></h2>
+        <table class="table" id="impReport">
+          <thead><tr><th>Row</th><th>Key</th><th>Status</th><th>Error</th><th>Created</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  const kindSel = document.getElementById('impKind');
+  function showKind(){
+    document.getElementById('impCols').textContent = columns[kindSel.value];
+    document.getElementById('impInviteRow').style.display = kindSel.value === 'users' ? '' : 'none';
+  }
+  kindSel.onchange = showKind;
+  showKind();
+
+  function showReport(job){
+    document.getElementById('impReportCard').style.display = '';
+    document.getElementById('impReportTitle').textContent = `Import #${job.id} (${job.kind}, ${job.status})`;
+    document.querySelector('#impReport tbody').innerHTML =
+      (job.report||[]).map(r=>`<tr>
+        <td>${r.row}</td><td>${esc(r.key||'-')}</td><td>${r.status}</td><td>${esc(r.error||'')}</td><td>${esc(r.ref||'')}</td>
+      </tr>`).join('') || '<tr><td colspan="5">No rows</td></tr>';
+  }
+
+  async function load(){
+    try{
+      const data = await jfetch('/admin/imports');
+      document.querySelector('#impTbl tbody').innerHTML =
+        (data.items||[]).map(j=>`<tr>
+          <td>${j.id}</td><td>${j.kind}</td><td>${esc(j.fileName||'-')}</td><td>${j.status}</td>
+          <td>${j.totalRows}</td><td>${j.validRows}</td><td>${j.errorRows}</td>
+          <td>${new Date(j.createdAt).toLocaleString()}</td>
+          <td>
+            <button data-view="${j.id}">Report</button>
+            ${j.status === 'validated' ? `<button class="primary" data-commit="${j.id}" data-kind="${j.kind}">Commit</button>` : ''}
+            <button data-report="${j.id}" data-format="csv">CSV</button>
+            <button data-report="${j.id}" data-format="xlsx">Excel</button>
+          </td>
+        </tr>`).join('') || '<tr><td colspan="9">No imports yet</td></tr>';
+    }catch(e){ toast('Imports error: '+e.message); }
+  }
+
+  document.getElementById('impCheck').onclick = async ()=>{
+    const file = document.getElementById('impFile').files[0];
+    if(!file) return toast('Choose a CSV file');
+    try{
+      const job = await jfetch(`/admin/imports/${kindSel.value}?fileName=${encodeURIComponent(file.name)}`, {
+        method:'POST', headers:{'Content-Type':'text/csv'}, body: await file.text()
+      });
+      toast(job.errorRows ? `${job.errorRows} of ${job.totalRows} rows have errors` : `${job.totalRows} rows are valid, ready to commit`);
+      showReport(job); load();
+    }catch(e){ toast(e.message); }
+  };
+
+  document.getElementById('impTbl').onclick = async (ev)=>{
+    const {view, commit, report, format, kind} = ev.target.dataset;
+    try{
+      if(view) showReport(await jfetch('/admin/imports/' + view));
+      if(report) download(`/admin/imports/${report}/report`, {}, format);
+      if(commit){
+        if(!confirm(`Import every row of job #${commit}?`)) return;
+        const invite = kind === 'users' && document.getElementById('impInvite').checked;
+        const job = await jfetch(`/admin/imports/${commit}/commit`, {method:'POST', body: JSON.stringify({invite})});
+        toast(`Imported ${job.totalRows} rows` + (job.invites ? `, ${job.invites.sent} invites sent` : ''));
+        showReport(job); load();
+      }
+    }catch(e){ toast(e.message); load(); }
+  };
+  load();
 }
 
 async function profileView(){
@@ -372,14 +1613,20 @@ async function profileView(){
 // ===== router =====
 function render(){
   const hash = location.hash || '#/login';
+  if(hash.startsWith('#/reset-password')) return resetPasswordView();
   if(!store.token && hash !== '#/login'){ location.hash = '#/login'; return loginView(); }
+  if(hash.startsWith('#/sales/')) return salesOrderView(hash.slice('#/sales/'.length));
+  if(hash.startsWith('#/users/')) return userDetailView(decodeURIComponent(hash.slice('#/users/'.length)));
   switch(hash){
     case '#/login': return loginView();
     case '#/dashboard': return dashboardView();
     case '#/skus': return skusView();
     case '#/sales': return salesView();
     case '#/attendance': return attendanceView();
+    case '#/rewards': return rewardsView();
+    case '#/reward-orders': return rewardOrdersView();
     case '#/users': return usersView();
+    case '#/imports': return importsView();
     case '#/profile': return profileView();
     default: location.hash = '#/dashboard'; return dashboardView();
   }
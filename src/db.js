@@ -1,11 +1,15 @@
 // src/db.js
+const fs = require('fs');
 const Database = require('better-sqlite3');
 const path = require('path');
-const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
-const DB_PATH = path.join(process.cwd(), 'data.sqlite');
+// DB_PATH (ENV, default data.sqlite) is resolved against the project root, not the working directory
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DB_PATH = path.resolve(ROOT_DIR, process.env.DB_PATH || 'data.sqlite');
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
 const db = new Database(DB_PATH, { fileMustExist: false });
+db.pragma('foreign_keys = ON');
 
 const now = () => new Date().toISOString();
 
@@ -31,118 +35,22 @@ function makeQrCodeAlnum(length = 12) {
   return crypto.randomBytes(16).toString('base64url').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, length);
 }
 
-function ensureDb() {
-  db.exec(`
-    PRAGMA foreign_keys = ON;
-
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      userCode            TEXT NOT NULL UNIQUE,         -- 👈 8-char visible user ID
-      firstName           TEXT NOT NULL,
-      lastName            TEXT DEFAULT '',
-      email               TEXT NOT NULL UNIQUE,
-      passwordHash        TEXT NOT NULL,
-      role                TEXT NOT NULL DEFAULT 'user',
-      residentialAddress  TEXT,
-      phoneNumber         TEXT,
-      city                TEXT,
-      createdAt           TEXT NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS skus (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      number    TEXT NOT NULL UNIQUE,
-      name      TEXT NOT NULL,
-      price     REAL NOT NULL DEFAULT 0,
-      createdAt TEXT NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS sales (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      userId    INTEGER NOT NULL,
-      skuId     INTEGER NOT NULL,
-      quantity  INTEGER NOT NULL,
-      total     REAL NOT NULL,
-      createdAt TEXT NOT NULL,
-      FOREIGN KEY (userId) REFERENCES users(id),
-      FOREIGN KEY (skuId)  REFERENCES skus(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS attendance (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      userId    INTEGER NOT NULL,
-      action    TEXT NOT NULL,
-      lat       REAL,
-      lng       REAL,
-      createdAt TEXT NOT NULL,
-      FOREIGN KEY (userId) REFERENCES users(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS user_points (
-      id        INTEGER PRIMARY KEY AUTOINCREMENT,
-      userId    INTEGER NOT NULL,
-      points    INTEGER NOT NULL,
-      reason    TEXT,
-      createdAt TEXT NOT NULL,
-      FOREIGN KEY (userId) REFERENCES users(id)
-    );
-
-    -- ✅ QR codes table (one-time redeem)
-    CREATE TABLE IF NOT EXISTS qr_codes (
-      id                 INTEGER PRIMARY KEY AUTOINCREMENT,
-      code               TEXT NOT NULL UNIQUE,          -- the number printed in QR
-      points             INTEGER NOT NULL DEFAULT 0,    -- how many points this QR gives
-      createdAt          TEXT NOT NULL,
-      redeemedByUserId   INTEGER,                       -- who redeemed it
-      redeemedAt         TEXT,
-      FOREIGN KEY (redeemedByUserId) REFERENCES users(id)
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_qr_codes_code ON qr_codes(code);
-    CREATE INDEX IF NOT EXISTS idx_qr_codes_redeemedBy ON qr_codes(redeemedByUserId);
-  `);
-
-  // --- seed admin from ENV ---
-  const adminEmail = process.env.ADMIN_EMAIL || 'admin@example.com';
-  const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-
-  const admin = db.prepare('SELECT id FROM users WHERE email = ?').get(adminEmail);
-  if (!admin) {
-    const hash = bcrypt.hashSync(adminPassword, 10);
-
-    // generate unique userCode
-    let userCode = makeUserCode();
-    while (db.prepare('SELECT 1 FROM users WHERE userCode=?').get(userCode)) {
-      userCode = makeUserCode();
-    }
-
-    db.prepare(`
-      INSERT INTO users (userCode, firstName, lastName, email, passwordHash, role, createdAt)
-      VALUES (?, 'Admin','User', ?, ?, 'admin', ?)
-    `).run(userCode, adminEmail, hash, now());
-
-    console.log(`[db] Seeded admin: ${adminEmail} / ${adminPassword}`);
-  }
-
-  // --- seed SKUs once ---
-  const skuCount = db.prepare('SELECT COUNT(*) AS c FROM skus').get().c;
-  if (skuCount === 0) {
-    const ins = db.prepare('INSERT INTO skus (number, name, price, createdAt) VALUES (?,?,?,?)');
-    ins.run('SKU-100', 'Blue Tea Pack', 200, now());
-    ins.run('SKU-200', 'Green Tea Pack', 180, now());
-    ins.run('SKU-300', 'Black Tea Pack', 220, now());
-    console.log('[db] Seeded sample SKUs');
-  }
+// ALTER TABLE ... ADD COLUMN only when the column is not there yet; true when added
+// (for migrations that must also run on schemas of unknown age, see 001_baseline)
+function addColumnIfMissing(table, column, ddl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (cols.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+  return true;
 }
 
 module.exports = {
   db,
+  DB_PATH,
+  ROOT_DIR,
   now,
-  ensureDb,
+  addColumnIfMissing,
   makeUserCode,
   makeQrCodeNumeric,
   makeQrCodeAlnum,
 };
-
-
-
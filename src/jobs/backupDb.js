@@ -0,0 +1,68 @@
+// src/jobs/backupDb.js
+if (require.main === module) require('dotenv').config(); // before db.js reads DB_PATH
+const { backupSettings, createBackup, listBackups, restoreBackup } = require('../services/backups');
+
+/**
+ * Scheduled online backups + the backup / snapshot / restore commands
+ * - scheduled by server.js every BACKUP_INTERVAL_MINUTES (default 1440, 0 = off); on start
+ *   one runs at once when the newest backup is older than the interval
+ * - on demand: POST /api/admin/backups (backups:manage) or `npm run db:backup`
+ * - restore only from the command line, with the server stopped; "latest" is the newest
+ *   intact backup that is not a pre-restore copy
+ */
+
+function scheduleBackups() {
+  const minutes = backupSettings().intervalMinutes;
+  if (!minutes) return null;
+
+  const tick = async () => {
+    try {
+      const result = await createBackup({ kind: 'scheduled' });
+      if (!result.ok) console.error('[backup] scheduled backup failed:', result.body.error);
+    } catch (err) {
+      console.error('[backup] scheduled backup error:', err);
+    }
+  };
+
+  const last = listBackups().find(b => b.integrity === 'ok');
+  if (!last || Date.parse(last.createdAt) < Date.now() - minutes * 60 * 1000) tick();
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { scheduleBackups };
+
+// CLI: node src/jobs/backupDb.js backup | snapshot <label> | list | restore <file|latest> [--no-safety-copy]
+if (require.main === module) {
+  const [cmd = 'backup', arg] = process.argv.slice(2);
+  const fail = msg => {
+    console.error(`[backup] ${msg}`);
+    process.exitCode = 1;
+  };
+
+  (async () => {
+    if (cmd === 'backup' || cmd === 'snapshot') {
+      if (cmd === 'snapshot' && !arg) return fail('usage: snapshot <label>');
+      const result = await createBackup(cmd === 'snapshot' ? { label: arg } : { kind: 'manual' });
+      if (!result.ok) return fail(result.body.error);
+      console.log(`[backup] done: ${result.backup.file}`);
+    } else if (cmd === 'list') {
+      for (const b of listBackups()) {
+        console.log(`${b.file}  ${b.kind}  v${b.schemaVersion}  ${b.bytes} bytes  ${b.integrity}${b.exists ? '' : '  (file missing)'}`);
+      }
+    } else if (cmd === 'restore') {
+      if (!arg) return fail('usage: restore <file|latest> [--no-safety-copy] (latest skips pre-restore copies)');
+      const result = await restoreBackup(arg, { safetyCopy: !process.argv.includes('--no-safety-copy') });
+      if (!result.ok) return fail(result.error);
+      console.log(`[backup] restored ${result.restored} (schema version ${result.schemaVersion})`
+        + `${result.safetyCopy ? `, previous database saved as ${result.safetyCopy}` : ''}`);
+      if (result.pendingMigrations) {
+        console.log(`[backup] ${result.pendingMigrations} migrations will run on the next start (npm run db:migrate)`);
+      }
+    } else {
+      fail('usage: node src/jobs/backupDb.js backup | snapshot <label> | list | restore <file|latest> [--no-safety-copy]'
+        + ' (latest = newest intact backup that is not a pre-restore copy)');
+    }
+  })().catch(err => fail(err.message));
+}
@@ -0,0 +1,49 @@
+// src/jobs/expirePoints.js
+if (require.main === module) require('dotenv').config(); // before db.js reads DB_PATH
+const { expireLots } = require('../services/ledger');
+const { expirePendingTransfers } = require('../services/transfers');
+
+/**
+ * Points expiry sweep (+ pending transfers past their window go back to the sender)
+ * - scheduled by server.js every POINTS_EXPIRY_SWEEP_MINUTES (default 60, 0 = off)
+ * - on demand: POST /api/points/expire (points:manage) or `npm run points:expire`
+ */
+
+function runExpirySweep() {
+  const transfers = expirePendingTransfers();
+  if (transfers > 0) console.log(`[expiry] returned ${transfers} pending transfers to their senders`);
+
+  const result = expireLots();
+  if (result.lots > 0) {
+    console.log(`[expiry] expired ${result.points} points from ${result.lots} lots`);
+  }
+  return { ...result, transfers };
+}
+
+function scheduleExpirySweep() {
+  const minutes = Number(process.env.POINTS_EXPIRY_SWEEP_MINUTES ?? 60);
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+
+  const tick = () => {
+    try {
+      runExpirySweep();
+    } catch (err) {
+      console.error('[expiry] sweep error:', err);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { runExpirySweep, scheduleExpirySweep };
+
+// CLI: node src/jobs/expirePoints.js
+if (require.main === module) {
+  const { migrateOnStart } = require('../migrate');
+  migrateOnStart();
+  const result = runExpirySweep();
+  console.log(`[expiry] done: ${result.points} points from ${result.lots} lots`);
+}
@@ -1,24 +1,104 @@
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'super-secret-change-me';
+const { authenticateApiKey } = require('../services/apiKeys');
+const { verifyAccessToken, isSessionActive } = require('../services/sessions');
+const { isRequiredFor, getVerificationStatus } = require('../services/verification');
+const { loadUserAccess, hasPermission } = require('../services/permissions');
 
 function authRequired(req, res, next) {
   const h = req.headers.authorization || '';
   const token = h.startsWith('Bearer ') ? h.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'missing token' });
 
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    // payload = { id, role, email } from your login/signup
-    req.user = payload;
-    next();
-  } catch {
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'token expired', errorCode: 'TOKEN_EXPIRED' });
+    }
     return res.status(401).json({ error: 'invalid token' });
   }
+
+  // payload = { id, userCode, email, role, sid } from services/sessions.js
+  // (tokens issued before sessions existed carry no sid and are refused)
+  if (!payload.sid || !isSessionActive(payload.sid)) {
+    return res.status(401).json({ error: 'session revoked', errorCode: 'SESSION_REVOKED' });
+  }
+
+  // role from the DB, not the token: role changes apply on the next request
+  const access = loadUserAccess(payload.id);
+  if (!access) return res.status(401).json({ error: 'user not found' });
+  if (access.suspended) return res.status(403).json({ error: 'account suspended', errorCode: 'ACCOUNT_SUSPENDED' });
+
+  req.user = { ...payload, role: access.role, permissions: access.permissions };
+  next();
+}
+
+// verifies a Bearer token when one is sent, otherwise continues without req.user
+function optionalAuth(req, res, next) {
+  const h = req.headers.authorization || '';
+  if (!h.startsWith('Bearer ')) return next();
+  return authRequired(req, res, next);
+}
+
+// after authRequired: the caller's role must grant every listed permission
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const missing = permissions.filter(p => !hasPermission(req.user, p));
+    if (!missing.length) return next();
+    return res.status(403).json({ error: `missing permission: ${missing.join(', ')}`, errorCode: 'FORBIDDEN' });
+  };
+}
+
+// after authRequired: blocks unverified accounts when VERIFY_REQUIRED_FOR lists `action`
+function verifiedFor(action) {
+  return (req, res, next) => {
+    if (!isRequiredFor(action)) return next();
+    const verification = getVerificationStatus(req.user.id);
+    if (verification.verified) return next();
+    return res.status(403).json({ error: 'verify your account first', errorCode: 'ACCOUNT_NOT_VERIFIED', verification });
+  };
+}
+
+// X-API-Key header, key must carry `scope`
+function apiKeyRequired(scope) {
+  return (req, res, next) => {
+    const raw = req.headers['x-api-key'];
+    if (!raw) return res.status(401).json({ error: 'missing api key' });
+
+    const result = authenticateApiKey(raw, req.ip);
+    if (!result.ok) return res.status(401).json({ error: result.error });
+    if (!result.key.scopes.includes(scope)) {
+      return res.status(403).json({ error: `api key lacks scope ${scope}` });
+    }
+
+    req.apiKey = result.key;
+    next();
+  };
+}
+
+// machine clients use an API key with `scope`, people need a JWT whose role grants
+// the permission of the same name (qr:generate, qr:read)
+function permissionOrApiKey(scope) {
+  const keyCheck = apiKeyRequired(scope);
+  const permCheck = requirePermission(scope);
+  return (req, res, next) => {
+    if (req.headers['x-api-key']) return keyCheck(req, res, next);
+    return authRequired(req, res, () => permCheck(req, res, next));
+  };
 }
 
-function adminOnly(req, res, next) {
-  if (req.user?.role === 'admin') return next();
-  return res.status(403).json({ error: 'admin only' });
+// validates an API key only when one is sent
+function optionalApiKey(scope) {
+  const keyCheck = apiKeyRequired(scope);
+  return (req, res, next) => (req.headers['x-api-key'] ? keyCheck(req, res, next) : next());
 }
 
-module.exports = { authRequired, adminOnly };
+module.exports = {
+  authRequired,
+  optionalAuth,
+  requirePermission,
+  verifiedFor,
+  apiKeyRequired,
+  permissionOrApiKey,
+  optionalApiKey,
+};
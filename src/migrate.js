@@ -0,0 +1,149 @@
+// src/migrate.js
+if (require.main === module) require('dotenv').config(); // before db.js reads DB_PATH
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db, now } = require('./db');
+
+/**
+ * Versioned schema migrations (schema_migrations)
+ *
+ * - src/migrations/NNN_name.js exports up(db); pending ones run in version order,
+ *   each in its own transaction together with its schema_migrations row
+ * - forward-only: a migration that ran is never edited, mistakes are fixed by a new one.
+ *   An applied file whose sha256 changed ("changed") or an applied version this code
+ *   does not have ("missing", e.g. an older build on a newer DB) stops migrate()
+ *   before anything runs
+ * - server.js migrates on start; with MIGRATE_ON_START=0 it refuses to start while
+ *   migrations are pending (run them with `npm run db:migrate`)
+ *
+ * CLI: npm run db:migrate | npm run db:status
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// "001_baseline", as the file is named
+const label = m => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+function ensureMigrationsTable() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      checksum   TEXT NOT NULL,                    -- sha256 of the file, LF line endings
+      appliedAt  TEXT NOT NULL,
+      durationMs INTEGER NOT NULL
+    );
+  `);
+}
+
+function checksumOf(file) {
+  const source = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+  return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+// the migration files, oldest first: [{ version, name, file, checksum }]
+function listMigrations() {
+  const seen = new Map();
+  for (const f of fs.readdirSync(MIGRATIONS_DIR)) {
+    const m = FILE_RE.exec(f);
+    if (!m) continue;
+    const version = Number(m[1]);
+    if (seen.has(version)) throw new Error(`two migrations with version ${version}: ${seen.get(version).name}, ${m[2]}`);
+    const file = path.join(MIGRATIONS_DIR, f);
+    seen.set(version, { version, name: m[2], file, checksum: checksumOf(file) });
+  }
+  return [...seen.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Every known or applied migration with its status:
+ * applied | pending | changed (file edited after it ran) | missing (ran, file gone)
+ */
+function migrationStatus() {
+  ensureMigrationsTable();
+  const applied = new Map(db.prepare('SELECT * FROM schema_migrations').all().map(r => [r.version, r]));
+
+  const items = listMigrations().map(m => {
+    const row = applied.get(m.version);
+    applied.delete(m.version);
+    let status = 'pending';
+    if (row) status = row.checksum === m.checksum ? 'applied' : 'changed';
+    return { version: m.version, name: m.name, status, appliedAt: row ? row.appliedAt : null };
+  });
+  for (const row of applied.values()) {
+    items.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.appliedAt });
+  }
+  return items.sort((a, b) => a.version - b.version);
+}
+
+// highest applied version, 0 on a new database
+function schemaVersion() {
+  ensureMigrationsTable();
+  return db.prepare('SELECT COALESCE(MAX(version), 0) AS v FROM schema_migrations').get().v;
+}
+
+/**
+ * Runs the pending migrations.
+ * returns { applied: [versions], version }; throws on changed / missing
+ * migrations or when one fails (that one is rolled back, earlier ones stay)
+ */
+function migrate() {
+  const status = migrationStatus();
+  const broken = status.filter(m => m.status === 'changed' || m.status === 'missing');
+  if (broken.length) {
+    throw new Error(`migrations do not match the database: ${broken.map(m => `${label(m)} (${m.status})`).join(', ')}`);
+  }
+
+  const pending = new Set(status.filter(m => m.status === 'pending').map(m => m.version));
+  const applied = [];
+  for (const m of listMigrations().filter(x => pending.has(x.version))) {
+    const started = Date.now();
+    db.transaction(() => {
+      require(m.file).up(db);
+      db.prepare(`
+        INSERT INTO schema_migrations (version, name, checksum, appliedAt, durationMs) VALUES (?,?,?,?,?)
+      `).run(m.version, m.name, m.checksum, now(), Date.now() - started);
+    })();
+    console.log(`[migrate] applied ${label(m)} (${Date.now() - started} ms)`);
+    applied.push(m.version);
+  }
+  return { applied, version: schemaVersion() };
+}
+
+// startup: migrate, or with MIGRATE_ON_START=0 only check that nothing is pending
+function migrateOnStart() {
+  if (process.env.MIGRATE_ON_START !== '0') return migrate();
+  const pending = migrationStatus().filter(m => m.status !== 'applied');
+  if (pending.length) {
+    throw new Error(`database is not up to date (${pending.map(m => `${label(m)} ${m.status}`).join(', ')}), run npm run db:migrate`);
+  }
+  return { applied: [], version: schemaVersion() };
+}
+
+module.exports = { listMigrations, migrationStatus, schemaVersion, migrate, migrateOnStart };
+
+// CLI: node src/migrate.js [up|status]
+if (require.main === module) {
+  const cmd = process.argv[2] || 'up';
+  try {
+    if (cmd === 'status') {
+      const items = migrationStatus();
+      for (const m of items) {
+        console.log(`${label(m)}  ${m.status}${m.appliedAt ? `  ${m.appliedAt}` : ''}`);
+      }
+      console.log(`[migrate] schema version ${schemaVersion()}`);
+      if (items.some(m => m.status !== 'applied')) process.exitCode = 1;
+    } else if (cmd === 'up') {
+      const result = migrate();
+      console.log(`[migrate] schema version ${result.version}, ${result.applied.length} applied`);
+    } else {
+      console.error('usage: node src/migrate.js [up|status]');
+      process.exitCode = 2;
+    }
+  } catch (err) {
+    console.error('[migrate] error:', err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,610 @@
+// src/migrations/001_baseline.js
+const { addColumnIfMissing } = require('../db');
+
+/**
+ * The schema as ensureDb() built it before versioned migrations.
+ * It has to run on an empty file as well as on any older data.sqlite, so every
+ * statement checks first (IF NOT EXISTS, addColumnIfMissing); later migrations
+ * run exactly once and can be plain DDL.
+ */
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userCode            TEXT NOT NULL UNIQUE,         -- 👈 8-char visible user ID
+        firstName           TEXT NOT NULL,
+        lastName            TEXT DEFAULT '',
+        email               TEXT NOT NULL UNIQUE,
+        passwordHash        TEXT NOT NULL,
+        role                TEXT NOT NULL DEFAULT 'user',
+        residentialAddress  TEXT,
+        phoneNumber         TEXT,
+        city                TEXT,
+        createdAt           TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS skus (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        number    TEXT NOT NULL UNIQUE,
+        name      TEXT NOT NULL,
+        price     REAL NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS sales (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId    INTEGER NOT NULL,
+        skuId     INTEGER NOT NULL,
+        quantity  INTEGER NOT NULL,
+        total     REAL NOT NULL,
+        createdAt TEXT NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id),
+        FOREIGN KEY (skuId)  REFERENCES skus(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS attendance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId    INTEGER NOT NULL,
+        action    TEXT NOT NULL,
+        lat       REAL,
+        lng       REAL,
+        createdAt TEXT NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS user_points (
+        id        INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId    INTEGER NOT NULL,
+        points    INTEGER NOT NULL,
+        reason    TEXT,
+        createdAt TEXT NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id)
+      );
+
+      -- ✅ membership tiers (see services/tiers.js)
+      CREATE TABLE IF NOT EXISTS tiers (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        code               TEXT NOT NULL UNIQUE,          -- e.g. SILVER
+        name               TEXT NOT NULL,
+        minLifetimePoints  INTEGER NOT NULL UNIQUE,       -- threshold on lifetime earned points
+        qrMultiplier       REAL NOT NULL DEFAULT 1,       -- QR scan points x multiplier
+        transferLimit      INTEGER,                       -- max points per transfer, null = no limit
+        dailyTransferLimit INTEGER,                       -- max points sent per 24h, null = no limit
+        createdAt          TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS tier_history (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId          INTEGER NOT NULL,
+        fromTierId      INTEGER,
+        toTierId        INTEGER,
+        lifetimePoints  INTEGER NOT NULL,
+        createdAt       TEXT NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id)
+      );
+
+      -- ✅ points ledger (double-entry, see services/ledger.js)
+      -- user_points above is the pre-ledger table, kept read-only for history
+      CREATE TABLE IF NOT EXISTS points_ledger (
+        id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+        txnId               TEXT NOT NULL,                -- shared by all legs of one transaction
+        type                TEXT NOT NULL,                -- see TYPES in services/ledger.js
+        userId              INTEGER,                      -- null on system legs
+        account             TEXT NOT NULL DEFAULT 'user', -- 'user' | 'system:<type>'
+        points              INTEGER NOT NULL,             -- signed
+        counterpartyUserId  INTEGER,
+        sourceType          TEXT,                         -- e.g. qr_code
+        sourceRef           TEXT,                         -- e.g. the redeemed code
+        memo                TEXT,
+        legacyPointsId      INTEGER,                      -- user_points.id this leg was migrated from
+        createdAt           TEXT NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id),
+        FOREIGN KEY (counterpartyUserId) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_points_ledger_user ON points_ledger(userId, createdAt);
+      CREATE INDEX IF NOT EXISTS idx_points_ledger_txn ON points_ledger(txnId);
+      CREATE INDEX IF NOT EXISTS idx_points_ledger_legacy ON points_ledger(legacyPointsId);
+
+      -- earned points, consumed FIFO and expired by jobs/expirePoints.js
+      CREATE TABLE IF NOT EXISTS point_lots (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId         INTEGER NOT NULL,
+        ledgerEntryId  INTEGER NOT NULL,                  -- the credit leg that opened the lot
+        points         INTEGER NOT NULL,
+        remaining      INTEGER NOT NULL,
+        earnedAt       TEXT NOT NULL,
+        expiresAt      TEXT,                              -- null = never expires
+        expiredAt      TEXT,
+        createdAt      TEXT NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id),
+        FOREIGN KEY (ledgerEntryId) REFERENCES points_ledger(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_point_lots_user ON point_lots(userId, remaining);
+      CREATE INDEX IF NOT EXISTS idx_point_lots_expires ON point_lots(expiresAt);
+
+      -- ✅ rewards catalog + redemption orders
+      CREATE TABLE IF NOT EXISTS reward_items (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        name        TEXT NOT NULL,
+        description TEXT,
+        pointsCost  INTEGER NOT NULL,
+        stock       INTEGER,                              -- null = unlimited
+        imagePath   TEXT,                                 -- relative to UPLOAD_DIR
+        active      INTEGER NOT NULL DEFAULT 1,
+        createdAt   TEXT NOT NULL,
+        updatedAt   TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS reward_orders (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId          INTEGER NOT NULL,
+        itemId          INTEGER NOT NULL,
+        quantity        INTEGER NOT NULL,
+        pointsCost      INTEGER NOT NULL,                 -- per unit, at order time
+        pointsTotal     INTEGER NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'pending',  -- pending | approved | dispatched | delivered | rejected
+        shippingAddress TEXT,
+        note            TEXT,
+        adminNote       TEXT,
+        trackingRef     TEXT,
+        txnId           TEXT,                             -- ledger debit
+        refundTxnId     TEXT,                             -- ledger credit when rejected
+        createdAt       TEXT NOT NULL,
+        updatedAt       TEXT NOT NULL,
+        approvedAt      TEXT,
+        dispatchedAt    TEXT,
+        deliveredAt     TEXT,
+        rejectedAt      TEXT,
+        FOREIGN KEY (userId) REFERENCES users(id),
+        FOREIGN KEY (itemId) REFERENCES reward_items(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reward_orders_user ON reward_orders(userId);
+      CREATE INDEX IF NOT EXISTS idx_reward_orders_status ON reward_orders(status);
+
+      -- ✅ roles + permissions (see services/permissions.js); users.role = roles.code
+      CREATE TABLE IF NOT EXISTS roles (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        code         TEXT NOT NULL UNIQUE,                -- e.g. retailer
+        name         TEXT NOT NULL,
+        description  TEXT,
+        builtin      INTEGER NOT NULL DEFAULT 0,          -- seeded roles cannot be deleted
+        createdAt    TEXT NOT NULL,
+        updatedAt    TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        roleId      INTEGER NOT NULL,
+        permission  TEXT NOT NULL,                        -- e.g. qr:generate, '*' = all
+        PRIMARY KEY (roleId, permission),
+        FOREIGN KEY (roleId) REFERENCES roles(id) ON DELETE CASCADE
+      );
+
+      -- ✅ login sessions + rotating refresh tokens (see services/sessions.js)
+      CREATE TABLE IF NOT EXISTS sessions (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId         INTEGER NOT NULL,
+        userAgent      TEXT,
+        ip             TEXT,
+        createdAt      TEXT NOT NULL,
+        lastUsedAt     TEXT,
+        expiresAt      TEXT NOT NULL,
+        revokedAt      TEXT,
+        revokedReason  TEXT,                              -- see revokeSession() in services/sessions.js
+        FOREIGN KEY (userId) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        sessionId   INTEGER NOT NULL,
+        tokenHash   TEXT NOT NULL UNIQUE,                 -- sha256 of the raw token
+        createdAt   TEXT NOT NULL,
+        usedAt      TEXT,                                 -- set when rotated; seeing it again = reuse
+        FOREIGN KEY (sessionId) REFERENCES sessions(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(userId);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(sessionId);
+
+      -- email / phone verification codes (see services/verification.js)
+      CREATE TABLE IF NOT EXISTS otp_codes (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId       INTEGER NOT NULL,
+        channel      TEXT NOT NULL,                       -- email | phone
+        destination  TEXT NOT NULL,                       -- address / number the code went to
+        codeHash     TEXT NOT NULL,                       -- bcrypt
+        attempts     INTEGER NOT NULL DEFAULT 0,
+        expiresAt    TEXT NOT NULL,
+        createdAt    TEXT NOT NULL,
+        consumedAt   TEXT,                                -- verified, replaced or burned
+        FOREIGN KEY (userId) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_otp_codes_user ON otp_codes(userId, channel);
+
+      -- single-use password reset tokens (see services/passwords.js)
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId       INTEGER NOT NULL,
+        tokenHash    TEXT NOT NULL UNIQUE,                -- sha256 of the mailed token
+        requestedIp  TEXT,
+        createdAt    TEXT NOT NULL,
+        expiresAt    TEXT NOT NULL,
+        usedAt       TEXT,
+        FOREIGN KEY (userId) REFERENCES users(id)
+      );
+
+      -- ✅ point transfers (see services/transfers.js)
+      CREATE TABLE IF NOT EXISTS transfers (
+        id                INTEGER PRIMARY KEY AUTOINCREMENT,
+        senderId          INTEGER NOT NULL,
+        receiverId        INTEGER NOT NULL,
+        points            INTEGER NOT NULL,
+        status            TEXT NOT NULL,                  -- pending | completed | cancelled | declined | expired | reversed
+        holdTxnId         TEXT,                           -- sender -> escrow (pending only)
+        txnId             TEXT,                           -- points reaching the receiver
+        refundTxnId       TEXT,                           -- escrow -> sender when not accepted
+        reversalTxnId     TEXT,
+        expiresAt         TEXT,                           -- pending: receiver must accept before this
+        reversalReason    TEXT,
+        reversedByUserId  INTEGER,
+        createdAt         TEXT NOT NULL,
+        updatedAt         TEXT NOT NULL,
+        completedAt       TEXT,
+        cancelledAt       TEXT,
+        reversedAt        TEXT,
+        FOREIGN KEY (senderId) REFERENCES users(id),
+        FOREIGN KEY (receiverId) REFERENCES users(id),
+        FOREIGN KEY (reversedByUserId) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_transfers_sender ON transfers(senderId, createdAt);
+      CREATE INDEX IF NOT EXISTS idx_transfers_receiver ON transfers(receiverId);
+      CREATE INDEX IF NOT EXISTS idx_transfers_status ON transfers(status, expiresAt);
+
+      -- ✅ QR batches / campaigns (one print run, launch or region)
+      CREATE TABLE IF NOT EXISTS qr_batches (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        name               TEXT NOT NULL,
+        description        TEXT,
+        startsAt           TEXT,                          -- null = active immediately
+        expiresAt          TEXT,                          -- null = never expires
+        defaultPoints      INTEGER NOT NULL DEFAULT 0,
+        maxRedemptions     INTEGER,                       -- null = unlimited budget
+        createdAt          TEXT NOT NULL
+      );
+
+      -- ✅ QR codes table (one-time redeem)
+      CREATE TABLE IF NOT EXISTS qr_codes (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        code               TEXT NOT NULL UNIQUE,          -- the number printed in QR
+        points             INTEGER NOT NULL DEFAULT 0,    -- how many points this QR gives
+        createdAt          TEXT NOT NULL,
+        redeemedByUserId   INTEGER,                       -- who redeemed it
+        redeemedAt         TEXT,
+        FOREIGN KEY (redeemedByUserId) REFERENCES users(id)
+      );
+
+      -- API keys for machine clients (hashed, scoped)
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        name            TEXT NOT NULL,
+        keyPrefix       TEXT NOT NULL,                    -- shown in lists, not secret
+        keyHash         TEXT NOT NULL UNIQUE,             -- sha256 of the full key
+        scopes          TEXT NOT NULL DEFAULT '',         -- comma separated, e.g. qr:read,qr:generate
+        expiresAt       TEXT,
+        lastUsedAt      TEXT,
+        lastUsedIp      TEXT,
+        createdByUserId INTEGER,
+        createdAt       TEXT NOT NULL,
+        revokedAt       TEXT,
+        FOREIGN KEY (createdByUserId) REFERENCES users(id)
+      );
+
+      -- rejected scans, counted per reason (not_found, bad_signature, ...)
+      CREATE TABLE IF NOT EXISTS qr_scan_rejections (
+        id        INTEGER PRIMARY KEY AUTOINCREMENT,
+        reason    TEXT NOT NULL,
+        code      TEXT,                                   -- what was scanned (truncated)
+        uid       TEXT,
+        ip        TEXT,
+        createdAt TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS sku_categories (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        name        TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        createdAt   TEXT NOT NULL,
+        updatedAt   TEXT NOT NULL
+      );
+
+      -- one row per price a SKU has had; the newest effectiveFrom is the current price
+      CREATE TABLE IF NOT EXISTS sku_price_history (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        skuId           INTEGER NOT NULL,
+        price           REAL NOT NULL,
+        previousPrice   REAL,                             -- null for the first price
+        changedByUserId INTEGER,                          -- null = system / seed
+        note            TEXT,
+        effectiveFrom   TEXT NOT NULL,
+        FOREIGN KEY (skuId) REFERENCES skus(id),
+        FOREIGN KEY (changedByUserId) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS tax_rates (
+        id        INTEGER PRIMARY KEY AUTOINCREMENT,
+        code      TEXT NOT NULL UNIQUE,                   -- e.g. STD, ZERO
+        name      TEXT NOT NULL,
+        rate      REAL NOT NULL,                          -- percent, 17 = 17%
+        isDefault INTEGER NOT NULL DEFAULT 0,             -- used for lines without a rate
+        active    INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL
+      );
+
+      -- gap-free document numbers (invoice, credit_note)
+      CREATE TABLE IF NOT EXISTS document_sequences (
+        name      TEXT PRIMARY KEY,
+        lastValue INTEGER NOT NULL DEFAULT 0
+      );
+
+      -- sales orders: draft -> confirmed (gets an invoice number) -> cancelled
+      CREATE TABLE IF NOT EXISTS sales_orders (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        invoiceNumber      TEXT UNIQUE,                   -- set on confirm
+        userId             INTEGER NOT NULL,              -- rep who booked it
+        customerUserId     INTEGER,                       -- customer with an account, optional
+        customerName       TEXT,
+        customerPhone      TEXT,
+        status             TEXT NOT NULL DEFAULT 'draft', -- draft | confirmed | cancelled
+        discountType       TEXT,                          -- order-level: percent | amount
+        discountValue      REAL NOT NULL DEFAULT 0,
+        subtotal           REAL NOT NULL DEFAULT 0,       -- before any discount
+        discountTotal      REAL NOT NULL DEFAULT 0,       -- line + order discounts
+        taxTotal           REAL NOT NULL DEFAULT 0,
+        total              REAL NOT NULL DEFAULT 0,
+        creditedTotal      REAL NOT NULL DEFAULT 0,       -- sum of credit notes
+        note               TEXT,
+        legacySaleId       INTEGER UNIQUE,                -- migrated from sales
+        createdAt          TEXT NOT NULL,
+        updatedAt          TEXT NOT NULL,
+        confirmedAt        TEXT,
+        cancelledAt        TEXT,
+        cancelReason       TEXT,
+        FOREIGN KEY (userId) REFERENCES users(id),
+        FOREIGN KEY (customerUserId) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS sales_order_lines (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId            INTEGER NOT NULL,
+        skuId              INTEGER NOT NULL,
+        skuNumber          TEXT NOT NULL,                 -- snapshot at booking time
+        skuName            TEXT NOT NULL,
+        quantity           INTEGER NOT NULL,
+        unitPrice          REAL NOT NULL,
+        discountType       TEXT,                          -- percent | amount
+        discountValue      REAL NOT NULL DEFAULT 0,
+        discountAmount     REAL NOT NULL DEFAULT 0,       -- this line's own discount
+        orderDiscountShare REAL NOT NULL DEFAULT 0,       -- its part of the order discount
+        taxRateCode        TEXT,
+        taxRate            REAL NOT NULL DEFAULT 0,
+        taxAmount          REAL NOT NULL DEFAULT 0,
+        lineTotal          REAL NOT NULL DEFAULT 0,       -- after discounts, incl. tax
+        returnedQuantity   INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (orderId) REFERENCES sales_orders(id),
+        FOREIGN KEY (skuId) REFERENCES skus(id)
+      );
+
+      -- returns: reverse quantities and amounts of a confirmed order
+      CREATE TABLE IF NOT EXISTS credit_notes (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        creditNumber    TEXT NOT NULL UNIQUE,
+        orderId         INTEGER NOT NULL,
+        reason          TEXT,
+        netAmount       REAL NOT NULL,
+        taxAmount       REAL NOT NULL,
+        total           REAL NOT NULL,
+        createdByUserId INTEGER,
+        createdAt       TEXT NOT NULL,
+        FOREIGN KEY (orderId) REFERENCES sales_orders(id),
+        FOREIGN KEY (createdByUserId) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS credit_note_lines (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        creditNoteId INTEGER NOT NULL,
+        orderLineId  INTEGER NOT NULL,
+        quantity     INTEGER NOT NULL,
+        netAmount    REAL NOT NULL,
+        taxAmount    REAL NOT NULL,
+        total        REAL NOT NULL,
+        FOREIGN KEY (creditNoteId) REFERENCES credit_notes(id),
+        FOREIGN KEY (orderLineId) REFERENCES sales_order_lines(id)
+      );
+
+      -- points a SKU earns when it is sold (services/saleRewards.js)
+      CREATE TABLE IF NOT EXISTS sku_point_rules (
+        id        INTEGER PRIMARY KEY AUTOINCREMENT,
+        skuId     INTEGER NOT NULL,
+        mode      TEXT NOT NULL,                          -- per_unit | percent
+        value     REAL NOT NULL,                          -- points per unit | percent of the line amount
+        startsAt  TEXT,                                   -- null = open ended
+        endsAt    TEXT,
+        dailyCap  INTEGER,                                -- max points per user per day, null = none
+        active    INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL,
+        FOREIGN KEY (skuId) REFERENCES skus(id)
+      );
+
+      -- what each confirmed order line earned, and how much was clawed back
+      CREATE TABLE IF NOT EXISTS sale_point_awards (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId     INTEGER NOT NULL,
+        orderLineId INTEGER NOT NULL UNIQUE,
+        ruleId      INTEGER NOT NULL,
+        userId      INTEGER NOT NULL,
+        points      INTEGER NOT NULL,
+        clawedBack  INTEGER NOT NULL DEFAULT 0,
+        createdAt   TEXT NOT NULL,
+        FOREIGN KEY (orderId) REFERENCES sales_orders(id),
+        FOREIGN KEY (orderLineId) REFERENCES sales_order_lines(id),
+        FOREIGN KEY (ruleId) REFERENCES sku_point_rules(id),
+        FOREIGN KEY (userId) REFERENCES users(id)
+      );
+
+      -- ✅ attendance geofencing (see services/attendance.js)
+      CREATE TABLE IF NOT EXISTS work_sites (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        name         TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        address      TEXT,
+        lat          REAL NOT NULL,
+        lng          REAL NOT NULL,
+        radiusMeters INTEGER NOT NULL,
+        active       INTEGER NOT NULL DEFAULT 1,
+        createdAt    TEXT NOT NULL,
+        updatedAt    TEXT NOT NULL
+      );
+
+      -- users with rows here may only mark at these sites, others at any active site
+      CREATE TABLE IF NOT EXISTS user_work_sites (
+        userId    INTEGER NOT NULL,
+        siteId    INTEGER NOT NULL,
+        createdAt TEXT NOT NULL,
+        PRIMARY KEY (userId, siteId),
+        FOREIGN KEY (userId) REFERENCES users(id),
+        FOREIGN KEY (siteId) REFERENCES work_sites(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_work_sites_site ON user_work_sites(siteId);
+
+      -- ✅ shifts + timesheets (see services/timesheets.js); times are HH:MM local
+      CREATE TABLE IF NOT EXISTS shifts (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        name         TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        startTime    TEXT NOT NULL,
+        endTime      TEXT NOT NULL,                     -- before startTime = ends the next day
+        graceMinutes INTEGER NOT NULL DEFAULT 0,
+        isDefault    INTEGER NOT NULL DEFAULT 0,
+        active       INTEGER NOT NULL DEFAULT 1,
+        createdAt    TEXT NOT NULL,
+        updatedAt    TEXT NOT NULL
+      );
+
+      -- audit trail of manual attendance corrections
+      CREATE TABLE IF NOT EXISTS attendance_corrections (
+        id                INTEGER PRIMARY KEY AUTOINCREMENT,
+        attendanceId      INTEGER NOT NULL,
+        kind              TEXT NOT NULL,                -- add | edit | void
+        before            TEXT,                         -- JSON of the record before
+        after             TEXT,
+        reason            TEXT NOT NULL,
+        correctedByUserId INTEGER NOT NULL,
+        createdAt         TEXT NOT NULL,
+        FOREIGN KEY (attendanceId) REFERENCES attendance(id),
+        FOREIGN KEY (correctedByUserId) REFERENCES users(id)
+      );
+
+      -- ✅ bulk CSV imports (see services/importer.js)
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id                INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind              TEXT NOT NULL,                -- users | skus | qr
+        fileName          TEXT,
+        status            TEXT NOT NULL,                -- validated | invalid | committed
+        totalRows         INTEGER NOT NULL DEFAULT 0,
+        validRows         INTEGER NOT NULL DEFAULT 0,
+        errorRows         INTEGER NOT NULL DEFAULT 0,
+        source            TEXT NOT NULL,                -- the uploaded CSV, commit re-reads it
+        report            TEXT NOT NULL,                -- JSON [{ row, key, status, error, ref }]
+        createdByUserId   INTEGER NOT NULL,
+        createdAt         TEXT NOT NULL,
+        committedByUserId INTEGER,
+        committedAt       TEXT,
+        FOREIGN KEY (createdByUserId) REFERENCES users(id),
+        FOREIGN KEY (committedByUserId) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_attendance_corrections_record ON attendance_corrections(attendanceId);
+      CREATE INDEX IF NOT EXISTS idx_sku_point_rules_sku ON sku_point_rules(skuId);
+      CREATE INDEX IF NOT EXISTS idx_sale_point_awards_rule ON sale_point_awards(ruleId, userId, createdAt);
+      CREATE INDEX IF NOT EXISTS idx_sales_orders_user ON sales_orders(userId, createdAt);
+      CREATE INDEX IF NOT EXISTS idx_sales_orders_status ON sales_orders(status, confirmedAt);
+      CREATE INDEX IF NOT EXISTS idx_sales_order_lines_order ON sales_order_lines(orderId);
+      CREATE INDEX IF NOT EXISTS idx_credit_notes_order ON credit_notes(orderId);
+      CREATE INDEX IF NOT EXISTS idx_sku_price_history_sku ON sku_price_history(skuId, effectiveFrom);
+      CREATE INDEX IF NOT EXISTS idx_qr_scan_rejections_reason ON qr_scan_rejections(reason, createdAt);
+      CREATE INDEX IF NOT EXISTS idx_qr_codes_code ON qr_codes(code);
+      CREATE INDEX IF NOT EXISTS idx_qr_codes_redeemedBy ON qr_codes(redeemedByUserId);
+      -- date-range scans of services/stats.js
+      CREATE INDEX IF NOT EXISTS idx_qr_codes_createdAt ON qr_codes(createdAt);
+      CREATE INDEX IF NOT EXISTS idx_qr_codes_redeemedAt ON qr_codes(redeemedAt);
+      CREATE INDEX IF NOT EXISTS idx_points_ledger_createdAt ON points_ledger(createdAt);
+      CREATE INDEX IF NOT EXISTS idx_users_createdAt ON users(createdAt);
+      CREATE INDEX IF NOT EXISTS idx_credit_note_lines_line ON credit_note_lines(orderLineId);
+    `);
+
+    // columns added after the first release
+    addColumnIfMissing('users', 'tierId', 'INTEGER REFERENCES tiers(id)');
+    addColumnIfMissing('users', 'tierUpdatedAt', 'TEXT');
+    addColumnIfMissing('users', 'transferLimit', 'INTEGER');       // per-user overrides of the tier limits
+    addColumnIfMissing('users', 'dailyTransferLimit', 'INTEGER');
+    addColumnIfMissing('users', 'transactionPinHash', 'TEXT');
+    addColumnIfMissing('users', 'pinFailedCount', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('users', 'pinLockedUntil', 'TEXT');
+    addColumnIfMissing('tiers', 'dailyTransferLimit', 'INTEGER');
+    addColumnIfMissing('users', 'suspendedAt', 'TEXT');                 // set = cannot log in or use tokens
+    addColumnIfMissing('users', 'suspendedReason', 'TEXT');
+    addColumnIfMissing('users', 'passwordResetRequired', 'INTEGER NOT NULL DEFAULT 0');
+    // accounts created before verification existed count as verified
+    if (addColumnIfMissing('users', 'emailVerifiedAt', 'TEXT')) {
+      db.prepare('UPDATE users SET emailVerifiedAt = createdAt').run();
+    }
+    if (addColumnIfMissing('users', 'phoneVerifiedAt', 'TEXT')) {
+      db.prepare('UPDATE users SET phoneVerifiedAt = createdAt WHERE phoneNumber IS NOT NULL').run();
+    }
+    addColumnIfMissing('qr_codes', 'batchId', 'INTEGER REFERENCES qr_batches(id)');
+    addColumnIfMissing('qr_codes', 'scannedByUserId', 'INTEGER REFERENCES users(id)'); // differs from redeemedBy on behalf
+    addColumnIfMissing('qr_codes', 'scanMode', 'TEXT');                                // self | on_behalf | api_key | uid
+    db.exec('CREATE INDEX IF NOT EXISTS idx_qr_codes_batch ON qr_codes(batchId);');
+    addColumnIfMissing('skus', 'description', 'TEXT');
+    addColumnIfMissing('skus', 'categoryId', 'INTEGER REFERENCES sku_categories(id)');
+    addColumnIfMissing('skus', 'unit', "TEXT NOT NULL DEFAULT 'pcs'");
+    addColumnIfMissing('skus', 'barcode', 'TEXT');                                   // EAN / UPC / internal code
+    addColumnIfMissing('skus', 'active', 'INTEGER NOT NULL DEFAULT 1');              // 0 = cannot be sold
+    addColumnIfMissing('skus', 'archivedAt', 'TEXT');                                // soft delete
+    if (addColumnIfMissing('skus', 'updatedAt', 'TEXT')) {
+      db.prepare('UPDATE skus SET updatedAt = createdAt').run();
+    }
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_skus_barcode ON skus(barcode) WHERE barcode IS NOT NULL;');
+    addColumnIfMissing('attendance', 'siteId', 'INTEGER REFERENCES work_sites(id)');  // nearest allowed site
+    addColumnIfMissing('attendance', 'distanceMeters', 'REAL');
+    addColumnIfMissing('attendance', 'accuracy', 'REAL');                              // as reported by the client, meters
+    addColumnIfMissing('attendance', 'geoStatus', 'TEXT');                             // inside | flagged | unchecked
+    addColumnIfMissing('attendance', 'flagReason', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_attendance_user ON attendance(userId, createdAt);');
+    addColumnIfMissing('attendance', 'source', "TEXT NOT NULL DEFAULT 'device'");      // device | manual
+    addColumnIfMissing('attendance', 'correctedAt', 'TEXT');
+    addColumnIfMissing('attendance', 'voidedAt', 'TEXT');                              // set = ignored by timesheets
+    addColumnIfMissing('users', 'shiftId', 'INTEGER REFERENCES shifts(id)');           // null = the default shift
+    // early SKUs were stamped with sqlite datetime('now') instead of ISO
+    db.prepare(`
+      UPDATE skus SET createdAt = strftime('%Y-%m-%dT%H:%M:%fZ', createdAt) WHERE createdAt NOT LIKE '%T%'
+    `).run();
+    // the price a sale was made at, older sales get it from their total
+    if (addColumnIfMissing('sales', 'unitPrice', 'REAL')) {
+      db.prepare('UPDATE sales SET unitPrice = ROUND(total / quantity, 2) WHERE quantity > 0').run();
+    }
+
+    // SKUs without a price history start it with their current price
+    db.prepare(`
+      INSERT INTO sku_price_history (skuId, price, effectiveFrom)
+      SELECT s.id, s.price, s.createdAt FROM skus s
+      WHERE NOT EXISTS (SELECT 1 FROM sku_price_history h WHERE h.skuId = s.id)
+    `).run();
+  },
+};
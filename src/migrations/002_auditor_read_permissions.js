@@ -0,0 +1,27 @@
+// src/migrations/002_auditor_read_permissions.js
+
+/**
+ * The built-in auditor role gets its read permissions when it is first created, so
+ * databases whose auditor predates qr:read, reward_orders:read, sales:read,
+ * attendance:read or stats:read were missing them. Adds every :read permission the
+ * auditor lacks; on a new database the role does not exist yet and this does nothing.
+ */
+const READ_PERMISSIONS = [
+  'users:read',
+  'roles:read',
+  'qr:read',
+  'reward_orders:read',
+  'sales:read',
+  'attendance:read',
+  'stats:read',
+];
+
+module.exports = {
+  up(db) {
+    const ins = db.prepare(`
+      INSERT OR IGNORE INTO role_permissions (roleId, permission)
+      SELECT id, ? FROM roles WHERE code = 'auditor' AND builtin = 1
+    `);
+    for (const p of READ_PERMISSIONS) ins.run(p);
+  },
+};
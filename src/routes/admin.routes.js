@@ -1,37 +1,558 @@
+// src/routes/admin.routes.js
+const crypto = require('crypto');
 const express = require('express');
-const { db } = require('../db');
-const { authRequired, adminOnly } = require('../middleware/auth');
+const bcrypt = require('bcryptjs');
+const { db, now, makeUserCode } = require('../db');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const { hasPermission, assignRole } = require('../services/permissions');
+const { getEffectiveBalance } = require('../services/ledger');
+const { getTierSummary } = require('../services/tiers');
+const { getVerificationStatus } = require('../services/verification');
+const { revokeUserSessions, listUserSessions } = require('../services/sessions');
+const { checkPasswordStrength, mailResetLink } = require('../services/passwords');
+const { getSku } = require('../services/skus');
+const { parseStatsRange, getSeries, getTotals, sumSeries, listCities, recentSales } = require('../services/stats');
+const { exportList } = require('../services/exporter');
+const { backupSettings, listBackups, isBackupRunning, createBackup } = require('../services/backups');
 
 const router = express.Router();
 
-// GET /api/admin/users
-router.get('/users', authRequired, adminOnly, (req, res) => {
-  const rows = db.prepare('SELECT id, firstName, lastName, email, role, createdAt FROM users ORDER BY id DESC').all();
-  res.json(rows);
+// ------------------------ helpers ------------------------
+const PROFILE_FIELDS = ['firstName', 'lastName', 'email', 'phoneNumber', 'residentialAddress', 'city'];
+
+function formatUser(u) {
+  return {
+    id: u.userCode,          // visible ID
+    userCode: u.userCode,
+    dbId: u.id,
+    firstName: u.firstName,
+    lastName: u.lastName,
+    email: u.email,
+    phoneNumber: u.phoneNumber,
+    residentialAddress: u.residentialAddress,
+    city: u.city,
+    role: u.role,
+    status: u.suspendedAt ? 'suspended' : 'active',
+    suspendedAt: u.suspendedAt || null,
+    suspendedReason: u.suspendedReason || null,
+    passwordResetRequired: !!u.passwordResetRequired,
+    emailVerified: !!u.emailVerifiedAt,
+    phoneVerified: !!u.phoneVerifiedAt,
+    createdAt: u.createdAt,
+  };
+}
+
+// WHERE parts of GET /users (?q, ?role, ?status)
+function userFilters(query) {
+  const where = [];
+  const params = [];
+
+  const q = String(query.q || '').trim();
+  if (q) {
+    const like = `%${q}%`;
+    where.push(`(userCode = ? OR email LIKE ? OR phoneNumber LIKE ?
+                 OR (firstName || ' ' || COALESCE(lastName, '')) LIKE ?)`);
+    params.push(q.toUpperCase(), like, like, like);
+  }
+  if (query.role) {
+    where.push('role = ?');
+    params.push(String(query.role));
+  }
+  if (query.status === 'suspended') where.push('suspendedAt IS NOT NULL');
+  else if (query.status === 'active') where.push('suspendedAt IS NULL');
+
+  return { where, params };
+}
+
+// export columns (?format=csv|xlsx&columns=), keys as in the JSON rows
+const USER_COLUMNS = [
+  { key: 'userCode', header: 'User ID' },
+  { key: 'firstName', header: 'First name' },
+  { key: 'lastName', header: 'Last name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phoneNumber', header: 'Phone' },
+  { key: 'residentialAddress', header: 'Address' },
+  { key: 'city', header: 'City' },
+  { key: 'role', header: 'Role' },
+  { key: 'status', header: 'Status' },
+  { key: 'emailVerified', header: 'Email verified' },
+  { key: 'phoneVerified', header: 'Phone verified' },
+  { key: 'suspendedAt', header: 'Suspended at', type: 'date' },
+  { key: 'createdAt', header: 'Created at', type: 'date' },
+];
+
+const SALES_COLUMNS = [
+  { key: 'id', header: 'Line ID', type: 'number' },
+  { key: 'orderId', header: 'Order ID', type: 'number' },
+  { key: 'invoiceNumber', header: 'Invoice' },
+  { key: 'userEmail', header: 'User' },
+  { key: 'skuNumber', header: 'SKU' },
+  { key: 'skuName', header: 'SKU name' },
+  { key: 'quantity', header: 'Quantity', type: 'number' },
+  { key: 'total', header: 'Total', type: 'number' },
+  { key: 'createdAt', header: 'Confirmed at', type: 'date' },
+];
+
+const ATTENDANCE_COLUMNS = [
+  { key: 'id', header: 'ID', type: 'number' },
+  { key: 'userEmail', header: 'User' },
+  { key: 'action', header: 'Action' },
+  { key: 'createdAt', header: 'At', type: 'date' },
+  { key: 'siteName', header: 'Site' },
+  { key: 'distanceMeters', header: 'Distance (m)', type: 'number' },
+  { key: 'accuracy', header: 'Accuracy (m)', type: 'number' },
+  { key: 'lat', header: 'Lat', type: 'number' },
+  { key: 'lng', header: 'Lng', type: 'number' },
+  { key: 'geoStatus', header: 'Geo status' },
+  { key: 'flagReason', header: 'Flag reason' },
+];
+
+function findUser(uid) {
+  return db.prepare('SELECT * FROM users WHERE userCode = ?').get(uid);
+}
+
+// trims the known profile fields present in body; { value } or { error }
+function parseProfile(body, { partial }) {
+  const value = {};
+  for (const f of PROFILE_FIELDS) {
+    if (body[f] === undefined) continue;
+    value[f] = body[f] === null ? '' : String(body[f]).trim();
+  }
+
+  if (!partial && (!value.firstName || !value.email)) return { error: 'firstName and email are required' };
+  if (value.firstName === '') return { error: 'firstName cannot be empty' };
+  if (value.email !== undefined && !/^[^@\s]+@[^@\s]+$/.test(value.email)) return { error: 'invalid email' };
+  return { value };
+}
+
+// ------------------------ USERS ------------------------
+/**
+ * GET /api/admin/users?q=&role=&status=active|suspended&page=1&limit=50
+ * Permission: users:read
+ * - q matches userCode, name, email or phone (partial)
+ * - ?format=csv|xlsx downloads every match (no paging), see services/exporter.js
+ */
+router.get('/users', authRequired, requirePermission('users:read'), (req, res) => {
+  try {
+    const { where, params } = userFilters(req.query);
+
+    if (req.query.format) {
+      return exportList(req, res, {
+        name: 'users',
+        columns: USER_COLUMNS,
+        nextPage: (last, limit) => db.prepare(`
+          SELECT * FROM users WHERE ${[...where, 'id < ?'].join(' AND ')} ORDER BY id DESC LIMIT ?
+        `).all(...params, last ? last.dbId : Number.MAX_SAFE_INTEGER, limit).map(formatUser),
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) AS c FROM users ${whereSql}`).get(...params).c;
+    const items = db.prepare(`
+      SELECT * FROM users ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, (page - 1) * limit).map(formatUser);
+
+    return res.json({ total, page, limit, count: items.length, items });
+  } catch (err) {
+    console.error('[admin.users] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/users/lookup?userCode=... | ?email=... | ?phone=...
+ * Permission: users:read - exact match, 404 when nobody matches
+ */
+router.get('/users/lookup', authRequired, requirePermission('users:read'), (req, res) => {
+  try {
+    const { userCode, email, phone } = req.query;
+    let user;
+    if (userCode) user = findUser(String(userCode).trim().toUpperCase());
+    else if (email) user = db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE').get(String(email).trim());
+    else if (phone) user = db.prepare('SELECT * FROM users WHERE phoneNumber = ?').get(String(phone).trim());
+    else return res.status(400).json({ error: 'userCode, email or phone is required' });
+
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    return res.json(formatUser(user));
+  } catch (err) {
+    console.error('[admin.lookup] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/users/:uid
+ * Permission: users:read
+ * - profile + balance, tier, verification, active sessions and the latest
+ *   QR scans, sales orders and attendance (20 each, with totals; sales = confirmed, net of returns)
+ */
+router.get('/users/:uid', authRequired, requirePermission('users:read'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const scans = db.prepare(`
+      SELECT code, points, redeemedAt FROM qr_codes
+      WHERE redeemedByUserId = ? ORDER BY redeemedAt DESC LIMIT 20
+    `).all(user.id);
+    const scanTotals = db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(SUM(points), 0) AS points FROM qr_codes WHERE redeemedByUserId = ?
+    `).get(user.id);
+
+    const sales = db.prepare(`
+      SELECT id, invoiceNumber, status, customerName, total, creditedTotal, createdAt
+      FROM sales_orders WHERE userId = ? ORDER BY id DESC LIMIT 20
+    `).all(user.id);
+    const salesTotals = db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(SUM(total - creditedTotal), 0) AS amount
+      FROM sales_orders WHERE userId = ? AND status = 'confirmed'
+    `).get(user.id);
+
+    const attendance = db.prepare(`
+      SELECT id, action, lat, lng, distanceMeters, geoStatus, createdAt FROM attendance WHERE userId = ? ORDER BY id DESC LIMIT 20
+    `).all(user.id);
+    const attendanceCount = db.prepare('SELECT COUNT(*) AS c FROM attendance WHERE userId = ?').get(user.id).c;
+
+    return res.json({
+      ...formatUser(user),
+      balance: getEffectiveBalance(user.id),
+      tier: getTierSummary(user.id),
+      verification: getVerificationStatus(user.id),
+      activeSessions: listUserSessions(user.id).filter(s => s.active).length,
+      scans: { ...scanTotals, recent: scans },
+      sales: { ...salesTotals, recent: sales },
+      attendance: { count: attendanceCount, recent: attendance },
+    });
+  } catch (err) {
+    console.error('[admin.userDetail] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Permission: users:manage (+ roles:manage for a role other than "user")
+ *
+ * Body: { "firstName", "lastName", "email", "phoneNumber", "residentialAddress", "city",
+ *         "role": "user", "password": "optional" }
+ * - without a password the account gets a random one, must reset it before
+ *   the first login, and a set-password link is mailed (template account_created)
+ */
+router.post('/users', authRequired, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const parsed = parseProfile(body, { partial: false });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    const role = String(body.role || 'user').trim();
+    if (role !== 'user' && !hasPermission(req.user, 'roles:manage')) {
+      return res.status(403).json({ error: 'missing permission: roles:manage', errorCode: 'FORBIDDEN' });
+    }
+    if (!db.prepare('SELECT 1 FROM roles WHERE code = ?').get(role)) {
+      return res.status(400).json({ error: 'unknown role' });
+    }
+
+    const password = body.password ? String(body.password) : null;
+    if (password) {
+      const weak = checkPasswordStrength(password);
+      if (weak) return res.status(400).json({ error: weak });
+    }
+
+    if (db.prepare('SELECT 1 FROM users WHERE email = ? COLLATE NOCASE').get(v.email)) {
+      return res.status(409).json({ error: 'email already registered' });
+    }
+
+    const userCode = makeUserCode();
+    const hash = bcrypt.hashSync(password || crypto.randomBytes(24).toString('base64url'), 10);
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO users (
+        userCode, firstName, lastName, email, passwordHash, role,
+        residentialAddress, phoneNumber, city, passwordResetRequired, createdAt
+      )
+      VALUES (?,?,?,?,?,?,?,?,?,?,?)
+    `).run(
+      userCode,
+      v.firstName,
+      v.lastName || '',
+      v.email,
+      hash,
+      role,
+      v.residentialAddress || null,
+      v.phoneNumber || null,
+      v.city || null,
+      password ? 0 : 1,
+      now()
+    );
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(lastInsertRowid);
+    const linkSent = password ? false : await mailResetLink(user, 'account_created', req.ip);
+
+    return res.status(201).json({ ...formatUser(user), linkSent });
+  } catch (err) {
+    console.error('[admin.createUser] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
 });
 
-// GET /api/admin/sales
-router.get('/sales', authRequired, adminOnly, (req, res) => {
-  const rows = db.prepare(`
-    SELECT s.id, u.email as userEmail, sk.number as skuNumber, sk.name as skuName,
-           s.quantity, s.total, s.createdAt
-    FROM sales s
-    JOIN users u ON u.id = s.userId
-    JOIN skus sk ON sk.id = s.skuId
-    ORDER BY s.id DESC
-  `).all();
+/**
+ * PUT /api/admin/users/:uid
+ * Permission: users:manage
+ *
+ * Body: any of firstName, lastName, email, phoneNumber, residentialAddress, city
+ * - a new email / phone number has to be verified again
+ */
+router.put('/users/:uid', authRequired, requirePermission('users:manage'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const parsed = parseProfile(req.body || {}, { partial: true });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+    if (!Object.keys(v).length) return res.status(400).json({ error: 'nothing to update' });
+
+    const emailChanged = v.email !== undefined && v.email.toLowerCase() !== user.email.toLowerCase();
+    const phoneChanged = v.phoneNumber !== undefined && v.phoneNumber !== (user.phoneNumber || '');
+
+    if (emailChanged && db.prepare('SELECT 1 FROM users WHERE email = ? COLLATE NOCASE AND id <> ?').get(v.email, user.id)) {
+      return res.status(409).json({ error: 'email already registered' });
+    }
+
+    const sets = Object.keys(v).map(f => `${f} = @${f}`);
+    if (emailChanged) sets.push('emailVerifiedAt = NULL');
+    if (phoneChanged) sets.push('phoneVerifiedAt = NULL');
+    db.prepare(`UPDATE users SET ${sets.join(', ')} WHERE id = @id`).run({ ...v, id: user.id });
+
+    return res.json(formatUser(findUser(user.userCode)));
+  } catch (err) {
+    console.error('[admin.updateUser] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:uid/role
+ * Permission: roles:manage
+ *
+ * Body: { "role": "retailer" } - same rules as PUT /api/roles/users/:uid
+ */
+router.put('/users/:uid/role', authRequired, requirePermission('roles:manage'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const result = assignRole(user.id, String(req.body?.role || '').trim());
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.json({ ok: true, userId: user.userCode, from: result.from, role: result.to });
+  } catch (err) {
+    console.error('[admin.setRole] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ ACCOUNT STATUS ------------------------
+/**
+ * POST /api/admin/users/:uid/suspend
+ * Permission: users:manage
+ *
+ * Body: { "reason": "optional" }
+ * - login, token refresh and every authenticated request answer 403 ACCOUNT_SUSPENDED
+ * - signs the user out everywhere
+ */
+router.post('/users/:uid/suspend', authRequired, requirePermission('users:manage'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+    if (user.id === req.user.id) return res.status(400).json({ error: 'you cannot suspend yourself' });
+    if (user.suspendedAt) return res.status(409).json({ error: 'user is already suspended' });
+
+    const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+    const revoked = db.transaction(() => {
+      db.prepare('UPDATE users SET suspendedAt = ?, suspendedReason = ? WHERE id = ?').run(now(), reason, user.id);
+      return revokeUserSessions(user.id, 'suspended');
+    })();
+
+    return res.json({ ...formatUser(findUser(user.userCode)), revokedSessions: revoked });
+  } catch (err) {
+    console.error('[admin.suspend] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:uid/reactivate
+ * Permission: users:manage
+ */
+router.post('/users/:uid/reactivate', authRequired, requirePermission('users:manage'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+    if (!user.suspendedAt) return res.status(409).json({ error: 'user is not suspended' });
+
+    db.prepare('UPDATE users SET suspendedAt = NULL, suspendedReason = NULL WHERE id = ?').run(user.id);
+    return res.json(formatUser(findUser(user.userCode)));
+  } catch (err) {
+    console.error('[admin.reactivate] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:uid/force-password-reset
+ * Permission: users:manage
+ * - signs the user out everywhere, blocks login until a new password is set
+ *   and mails a reset link (template password_reset_required)
+ */
+router.post('/users/:uid/force-password-reset', authRequired, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const revoked = db.transaction(() => {
+      db.prepare('UPDATE users SET passwordResetRequired = 1 WHERE id = ?').run(user.id);
+      return revokeUserSessions(user.id, 'password_reset');
+    })();
+    const linkSent = await mailResetLink(user, 'password_reset_required', req.ip);
+
+    return res.json({ ok: true, userId: user.userCode, revokedSessions: revoked, linkSent });
+  } catch (err) {
+    console.error('[admin.forcePasswordReset] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ STATS ------------------------
+/**
+ * GET /api/admin/stats?from=2026-09-20&to=2026-10-19&granularity=day|week|month&city=&sku=
+ * Permission: stats:read
+ *
+ * - totals: all-time; period: sums over [from, to]; series: one row per bucket
+ * - users / skus / sales / attendance: the headline numbers the dashboard shows
+ */
+router.get('/stats', authRequired, requirePermission('stats:read'), (req, res) => {
+  try {
+    const range = parseStatsRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const city = req.query.city ? String(req.query.city).trim() : null;
+    let sku = null;
+    if (req.query.sku) {
+      sku = getSku(req.query.sku);
+      if (!sku) return res.status(404).json({ error: 'sku not found' });
+    }
+    const filters = { city, skuId: sku ? sku.id : null };
+
+    const totals = getTotals(filters);
+    const series = getSeries({ ...range.value, ...filters });
+
+    res.json({
+      ...range.value,
+      filters: { city, sku: sku ? sku.number : null },
+      users: totals.users.total,
+      skus: totals.skus.sellable,
+      sales: totals.sales.orders,
+      attendance: totals.attendance.marks,
+      totals,
+      period: sumSeries(series),
+      series,
+      cities: listCities(),
+      recentSales: recentSales(filters),
+    });
+  } catch (err) {
+    console.error('[admin.stats] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ SALES / ATTENDANCE ------------------------
+// GET /api/admin/sales  -> lines of confirmed orders (full orders: GET /api/sales/all)
+//   ?format=csv|xlsx&columns=&locale=&tz= downloads them
+const SALES_SELECT = `
+  SELECT l.id, o.id as orderId, o.invoiceNumber, u.email as userEmail, l.skuNumber, l.skuName,
+         l.quantity, l.lineTotal as total, o.confirmedAt as createdAt
+  FROM sales_order_lines l
+  JOIN sales_orders o ON o.id = l.orderId
+  JOIN users u ON u.id = o.userId
+  WHERE o.status = 'confirmed'
+`;
+
+router.get('/sales', authRequired, requirePermission('sales:read'), (req, res) => {
+  if (req.query.format) {
+    return exportList(req, res, {
+      name: 'sales',
+      columns: SALES_COLUMNS,
+      nextPage: (last, limit) => (last
+        ? db.prepare(`${SALES_SELECT} AND (o.id < ? OR (o.id = ? AND l.id > ?)) ORDER BY o.id DESC, l.id LIMIT ?`)
+          .all(last.orderId, last.orderId, last.id, limit)
+        : db.prepare(`${SALES_SELECT} ORDER BY o.id DESC, l.id LIMIT ?`).all(limit)),
+    });
+  }
+  const rows = db.prepare(`${SALES_SELECT} ORDER BY o.id DESC, l.id`).all();
   res.json(rows);
 });
 
-// GET /api/admin/attendance
-router.get('/attendance', authRequired, adminOnly, (req, res) => {
-  const rows = db.prepare(`
-    SELECT a.id, u.email as userEmail, a.action, a.lat, a.lng, a.createdAt
+// GET /api/admin/attendance  (?status=flagged for marks outside the geofence)
+//   ?format=csv|xlsx&columns=&locale=&tz= downloads them
+router.get('/attendance', authRequired, requirePermission('attendance:read'), (req, res) => {
+  const where = ['a.id < ?'];
+  if (req.query.status === 'flagged') where.push("a.geoStatus = 'flagged'");
+  const page = (beforeId, limit) => db.prepare(`
+    SELECT a.id, u.email as userEmail, a.action, a.lat, a.lng, a.accuracy, w.name as siteName,
+           a.distanceMeters, a.geoStatus, a.flagReason, a.createdAt
     FROM attendance a
     JOIN users u ON u.id = a.userId
-    ORDER BY a.id DESC
-  `).all();
-  res.json(rows);
+    LEFT JOIN work_sites w ON w.id = a.siteId
+    WHERE ${where.join(' AND ')}
+    ORDER BY a.id DESC ${limit ? 'LIMIT ?' : ''}
+  `).all(beforeId, ...(limit ? [limit] : []));
+
+  if (req.query.format) {
+    return exportList(req, res, {
+      name: 'attendance',
+      columns: ATTENDANCE_COLUMNS,
+      nextPage: (last, limit) => page(last ? last.id : Number.MAX_SAFE_INTEGER, limit),
+    });
+  }
+  res.json(page(Number.MAX_SAFE_INTEGER));
+});
+
+// ------------------------ BACKUPS ------------------------
+/**
+ * GET /api/admin/backups
+ * Permission: backups:manage - newest first, with the retention settings
+ */
+router.get('/backups', authRequired, requirePermission('backups:manage'), (req, res) => {
+  try {
+    const { keep, maxAgeDays, intervalMinutes } = backupSettings();
+    const items = listBackups();
+    res.json({ count: items.length, items, running: isBackupRunning(), retention: { keep, maxAgeDays }, intervalMinutes });
+  } catch (err) {
+    console.error('[admin.backups] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/backups
+ * Permission: backups:manage
+ *
+ * Body: { "label": "before-tier-change" } (optional, makes it a snapshot that retention keeps)
+ * - online copy, the API keeps serving; 409 BACKUP_RUNNING while another one runs
+ * - restoring is a command (npm run db:restore) with the server stopped
+ */
+router.post('/backups', authRequired, requirePermission('backups:manage'), async (req, res) => {
+  try {
+    const result = await createBackup({ kind: 'manual', label: req.body?.label });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json({ ...result.backup, pruned: result.pruned });
+  } catch (err) {
+    console.error('[admin.backup] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,95 @@
+// src/routes/apikeys.routes.js
+const express = require('express');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const { SCOPES, createApiKey, getApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeys');
+
+const router = express.Router();
+
+// ------------------------ CREATE ------------------------
+/**
+ * POST /api/api-keys
+ * Permission: api_keys:manage
+ *
+ * Body: { "name": "Print vendor", "scopes": ["qr:generate","qr:read"], "expiresAt": "2026-01-01" }
+ * - expiresInDays may be used instead of expiresAt
+ * - the raw key is returned ONCE, only its hash is stored
+ */
+router.post('/', authRequired, requirePermission('api_keys:manage'), (req, res) => {
+  try {
+    const { name, scopes, expiresAt, expiresInDays } = req.body || {};
+
+    const keyName = String(name || '').trim();
+    if (!keyName) return res.status(400).json({ error: 'name is required' });
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: `scopes must be a non-empty array of: ${SCOPES.join(', ')}` });
+    }
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length) return res.status(400).json({ error: `unknown scopes: ${unknown.join(', ')}` });
+
+    let expires = null;
+    if (expiresAt) {
+      const d = new Date(expiresAt);
+      if (Number.isNaN(d.getTime())) return res.status(400).json({ error: 'expiresAt must be a valid date' });
+      expires = d.toISOString();
+    } else if (expiresInDays !== undefined) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days <= 0) {
+        return res.status(400).json({ error: 'expiresInDays must be a positive integer' });
+      }
+      expires = new Date(Date.now() + days * 24 * 3600 * 1000).toISOString();
+    }
+    if (expires && expires <= new Date().toISOString()) {
+      return res.status(400).json({ error: 'expiry must be in the future' });
+    }
+
+    const { key, record } = createApiKey({
+      name: keyName,
+      scopes: [...new Set(scopes)],
+      expiresAt: expires,
+      createdByUserId: req.user.id,
+    });
+
+    return res.status(201).json({ key, ...record });
+  } catch (err) {
+    console.error('[apikeys.create] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ LIST ------------------------
+/**
+ * GET /api/api-keys
+ * Permission: api_keys:manage (never returns the key itself)
+ */
+router.get('/', authRequired, requirePermission('api_keys:manage'), (req, res) => {
+  try {
+    const items = listApiKeys();
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[apikeys.list] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ REVOKE ------------------------
+/**
+ * DELETE /api/api-keys/:id
+ * Permission: api_keys:manage
+ */
+router.delete('/:id', authRequired, requirePermission('api_keys:manage'), (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = Number.isInteger(id) ? getApiKey(id) : null;
+    if (!existing) return res.status(404).json({ error: 'api key not found' });
+    if (existing.revokedAt) return res.status(409).json({ error: 'api key already revoked' });
+
+    revokeApiKey(id);
+    res.json({ ok: true, ...getApiKey(id) });
+  } catch (err) {
+    console.error('[apikeys.revoke] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,435 @@
+// src/routes/attendance.routes.js
 const express = require('express');
-const { db, now } = require('../db');
-const { authRequired } = require('../middleware/auth');
+const { db } = require('../db');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const {
+  fenceMode,
+  getSite,
+  listSites,
+  parseSiteInput,
+  createSite,
+  updateSite,
+  getUserSites,
+  setUserSites,
+  allowedSites,
+  parsePosition,
+  markAttendance,
+  getRecord,
+  listUserRecords,
+  parseCorrection,
+  addRecord,
+  editRecord,
+  voidRecord,
+  listCorrections,
+} = require('../services/attendance');
+const {
+  getShift,
+  listShifts,
+  shiftForUser,
+  parseShiftInput,
+  createShift,
+  updateShift,
+  assignShift,
+  parseRange,
+  monthRange,
+  dailyTimesheets,
+  monthlyTimesheets,
+} = require('../services/timesheets');
 
 const router = express.Router();
 
-// POST /api/attendance/mark  { action: 'IN'|'OUT', lat?, lng? }
+// ------------------------ helpers ------------------------
+function findUser(uid) {
+  return db.prepare('SELECT id, userCode FROM users WHERE userCode = ?').get(uid);
+}
+
+// shared ?uid=&siteId= filters of the timesheet endpoints; { value } or { status, error }
+function timesheetFilters(query) {
+  const value = { userId: null, siteId: null };
+  if (query.uid) {
+    const user = findUser(String(query.uid));
+    if (!user) return { status: 404, error: 'user not found for given uid' };
+    value.userId = user.id;
+  }
+  if (query.siteId) {
+    if (!getSite(query.siteId)) return { status: 404, error: 'site not found' };
+    value.siteId = Number(query.siteId);
+  }
+  return { value };
+}
+
+// ------------------------ MARK ------------------------
+/**
+ * POST /api/attendance/mark
+ * Auth required
+ *
+ * Body: { "action": "IN" | "OUT", "lat": 24.8607, "lng": 67.0011, "accuracy": 12 }
+ * - IN while checked in / OUT while not: 409 ALREADY_CHECKED_IN / NOT_CHECKED_IN
+ * - checked against the nearest allowed work site (see services/attendance.js);
+ *   outside it is 403 OUTSIDE_GEOFENCE, or stored with geoStatus 'flagged'
+ */
 router.post('/mark', authRequired, (req, res) => {
-  const { action, lat, lng } = req.body || {};
-  if (!action || !['IN', 'OUT'].includes(action)) {
-    return res.status(400).json({ error: "action must be 'IN' or 'OUT'" });
+  try {
+    const { action } = req.body || {};
+    if (!action || !['IN', 'OUT'].includes(action)) {
+      return res.status(400).json({ error: "action must be 'IN' or 'OUT'" });
+    }
+    const pos = parsePosition(req.body);
+    if (pos.error) return res.status(400).json({ error: pos.error });
+
+    const result = markAttendance(req.user.id, action, pos.value);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json(result.record);
+  } catch (err) {
+    console.error('[attendance.mark] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
   }
-  const stmt = db.prepare('INSERT INTO attendance (userId, action, lat, lng, createdAt) VALUES (?,?,?,?,?)');
-  const { lastInsertRowid } = stmt.run(req.user.id, action, lat ?? null, lng ?? null, now());
-  res.status(201).json({ id: Number(lastInsertRowid), action, lat, lng });
 });
 
 // GET /api/attendance/history
 router.get('/history', authRequired, (req, res) => {
-  const rows = db.prepare(`
-    SELECT id, action, lat, lng, createdAt
-    FROM attendance WHERE userId = ? ORDER BY id DESC
-  `).all(req.user.id);
-  res.json(rows);
+  try {
+    res.json(listUserRecords(req.user.id));
+  } catch (err) {
+    console.error('[attendance.history] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/timesheet?from=2026-10-01&to=2026-10-19
+ * Auth required - the caller's own days (default today) and shift
+ */
+router.get('/timesheet', authRequired, (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const items = dailyTimesheets({ ...range.value, userId: req.user.id });
+    res.json({ ...range.value, shift: shiftForUser(req.user.id), count: items.length, items });
+  } catch (err) {
+    console.error('[attendance.timesheet] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ TIMESHEETS ------------------------
+/**
+ * GET /api/attendance/timesheets/daily?from=&to=&uid=&siteId=
+ * Permission: attendance:read - one row per user and day (range up to 92 days, default today)
+ */
+router.get('/timesheets/daily', authRequired, requirePermission('attendance:read'), (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const filters = timesheetFilters(req.query);
+    if (filters.error) return res.status(filters.status).json({ error: filters.error });
+
+    const items = dailyTimesheets({ ...range.value, ...filters.value });
+    res.json({ ...range.value, count: items.length, items });
+  } catch (err) {
+    console.error('[attendance.daily] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/timesheets/monthly?month=2026-10&uid=&siteId=
+ * Permission: attendance:read - per-user totals (default this month)
+ */
+router.get('/timesheets/monthly', authRequired, requirePermission('attendance:read'), (req, res) => {
+  try {
+    const range = monthRange(req.query.month);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const filters = timesheetFilters(req.query);
+    if (filters.error) return res.status(filters.status).json({ error: filters.error });
+
+    const items = monthlyTimesheets({ ...range.value, ...filters.value });
+    res.json({ ...range.value, count: items.length, items });
+  } catch (err) {
+    console.error('[attendance.monthly] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ CORRECTIONS ------------------------
+/**
+ * GET /api/attendance/records/:id
+ * Permission: attendance:read - a record with its correction history
+ */
+router.get('/records/:id', authRequired, requirePermission('attendance:read'), (req, res) => {
+  try {
+    const record = getRecord(Number(req.params.id));
+    if (!record) return res.status(404).json({ error: 'record not found' });
+    res.json({ ...record, corrections: listCorrections(record.id) });
+  } catch (err) {
+    console.error('[attendance.record] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/attendance/records
+ * Permission: attendance:manage
+ *
+ * Body: { "uid": "RKXX6U2M", "action": "OUT", "at": "2026-10-18T17:05:00+05:00", "siteId": 1,
+ *         "reason": "forgot to check out" }
+ * - adds a missed mark (source 'manual', not geofenced)
+ */
+router.post('/records', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const user = findUser(String(req.body?.uid || ''));
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const parsed = parseCorrection(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    res.status(201).json(addRecord(user.id, parsed.value, req.user.id));
+  } catch (err) {
+    console.error('[attendance.addRecord] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/attendance/records/:id
+ * Permission: attendance:manage
+ * Body: any of { "action", "at", "siteId" } + "reason" (required)
+ */
+router.put('/records/:id', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const current = getRecord(Number(req.params.id));
+    if (!current) return res.status(404).json({ error: 'record not found' });
+    if (current.voidedAt) return res.status(409).json({ error: 'record is voided' });
+
+    const parsed = parseCorrection(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    res.json(editRecord(current, parsed.value, req.user.id));
+  } catch (err) {
+    console.error('[attendance.editRecord] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/attendance/records/:id
+ * Permission: attendance:manage
+ * Body: { "reason": "duplicate tap" } - voids (kept, ignored by timesheets)
+ */
+router.delete('/records/:id', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const current = getRecord(Number(req.params.id));
+    if (!current) return res.status(404).json({ error: 'record not found' });
+    if (current.voidedAt) return res.status(409).json({ error: 'record is already voided' });
+
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+    res.json(voidRecord(current, reason, req.user.id));
+  } catch (err) {
+    console.error('[attendance.voidRecord] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ SHIFTS ------------------------
+/**
+ * GET /api/attendance/shifts?all=1
+ * Permission: attendance:read - active shifts, ?all=1 includes inactive ones
+ */
+router.get('/shifts', authRequired, requirePermission('attendance:read'), (req, res) => {
+  try {
+    const items = listShifts({ all: req.query.all === '1' || req.query.all === 'true' });
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[attendance.shifts] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/attendance/shifts
+ * Permission: attendance:manage
+ * Body: { "name": "Night", "startTime": "22:00", "endTime": "06:00", "graceMinutes": 10, "isDefault": false }
+ */
+router.post('/shifts', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const parsed = parseShiftInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const result = createShift(parsed.value);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json(result.shift);
+  } catch (err) {
+    console.error('[attendance.createShift] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/attendance/shifts/:id
+ * Permission: attendance:manage - any of name, startTime, endTime, graceMinutes, isDefault, active
+ * (timesheets are computed on read, so past days follow the new times too)
+ */
+router.put('/shifts/:id', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const current = getShift(req.params.id);
+    if (!current) return res.status(404).json({ error: 'shift not found' });
+
+    const parsed = parseShiftInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const result = updateShift(current.id, parsed.value);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json(result.shift);
+  } catch (err) {
+    console.error('[attendance.updateShift] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/attendance/users/:uid/shift
+ * Permission: attendance:manage
+ * Body: { "shiftId": 2 }  - null = the default shift
+ */
+router.put('/users/:uid/shift', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const raw = req.body?.shiftId;
+    const result = assignShift(user.id, raw === undefined || raw === null || raw === '' ? null : Number(raw));
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json({ userId: user.userCode, shift: result.shift });
+  } catch (err) {
+    console.error('[attendance.assignShift] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ WORK SITES ------------------------
+/**
+ * GET /api/attendance/sites/mine
+ * Auth required - active sites the user may mark at, and the geofence mode
+ */
+router.get('/sites/mine', authRequired, (req, res) => {
+  try {
+    const items = allowedSites(req.user.id);
+    res.json({ mode: fenceMode(), count: items.length, items });
+  } catch (err) {
+    console.error('[attendance.mySites] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/attendance/sites?all=1
+ * Permission: attendance:manage - active sites, ?all=1 includes inactive ones
+ */
+router.get('/sites', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const items = listSites({ all: req.query.all === '1' || req.query.all === 'true' });
+    res.json({ mode: fenceMode(), count: items.length, items });
+  } catch (err) {
+    console.error('[attendance.sites] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/attendance/sites
+ * Permission: attendance:manage
+ * Body: { "name": "Karachi Warehouse", "address": "...", "lat": 24.86, "lng": 67.00, "radiusMeters": 150 }
+ */
+router.post('/sites', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const parsed = parseSiteInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const result = createSite(parsed.value);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json(result.site);
+  } catch (err) {
+    console.error('[attendance.createSite] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/attendance/sites/:id
+ * Permission: attendance:manage - any of name, address, lat, lng, radiusMeters, active
+ * (past records keep the distance they were checked with)
+ */
+router.put('/sites/:id', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const current = getSite(req.params.id);
+    if (!current) return res.status(404).json({ error: 'site not found' });
+
+    const parsed = parseSiteInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const result = updateSite(current.id, parsed.value);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json(result.site);
+  } catch (err) {
+    console.error('[attendance.updateSite] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/attendance/sites/:id
+ * Permission: attendance:manage - deactivates (records keep pointing at it)
+ */
+router.delete('/sites/:id', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const current = getSite(req.params.id);
+    if (!current) return res.status(404).json({ error: 'site not found' });
+    res.json(updateSite(current.id, { ...current, active: 0 }).site);
+  } catch (err) {
+    console.error('[attendance.deleteSite] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ ASSIGNMENTS ------------------------
+/**
+ * GET /api/attendance/users/:uid/sites
+ * Permission: attendance:manage - empty = the user may mark at any active site
+ */
+router.get('/users/:uid/sites', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+    const items = getUserSites(user.id);
+    res.json({ userId: user.userCode, count: items.length, items });
+  } catch (err) {
+    console.error('[attendance.userSites] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/attendance/users/:uid/sites
+ * Permission: attendance:manage
+ * Body: { "siteIds": [1, 3] }  - replaces the list, [] = any active site
+ */
+router.put('/users/:uid/sites', authRequired, requirePermission('attendance:manage'), (req, res) => {
+  try {
+    const user = findUser(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const siteIds = req.body?.siteIds;
+    if (!Array.isArray(siteIds)) return res.status(400).json({ error: 'siteIds must be an array' });
+
+    const result = setUserSites(user.id, siteIds);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json({ userId: user.userCode, count: result.sites.length, items: result.sites });
+  } catch (err) {
+    console.error('[attendance.assignSites] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
 });
 
 module.exports = router;
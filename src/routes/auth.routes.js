@@ -1,16 +1,40 @@
 // src/routes/auth.routes.js
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { db, now, makeUserCode } = require('../db');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const { getTierSummary } = require('../services/tiers');
+const {
+  createSession,
+  refreshSession,
+  getSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+} = require('../services/sessions');
+const {
+  checkPasswordStrength,
+  setPassword,
+  resetUrl,
+  issueResetToken,
+  consumeResetToken,
+} = require('../services/passwords');
+const { sendTemplate } = require('../services/mailer');
+const {
+  requiredChannels,
+  getVerificationStatus,
+  sendCode,
+  verifyCode,
+} = require('../services/verification');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'super-secret-change-me';
+
+const clientInfo = req => ({ userAgent: req.headers['user-agent'], ip: req.ip });
 
 // POST /api/auth/signup
 //i want to insert random numbers through post api and i generate qr code in against of these numbers on paper and i want to scan throgh mobile app and if the scan sucessful then user gets points in against of these successful QR scan. and if the qr already scan by some user then it is unable to scan again. one qr able to scan 1 time only.
-router.post('/signup', (req, res) => {
+// the account is usable at once; VERIFY_REQUIRED_FOR decides what waits for verification
+router.post('/signup', async (req, res) => {
   const {
     firstName,
     lastName = '',
@@ -61,19 +85,22 @@ router.post('/signup', (req, res) => {
     now()
   );
 
-  const token = jwt.sign(
-    {
-      id: Number(lastInsertRowid), // numeric DB id
-      userCode,                    // 8-char visible ID
-      email,
-      role: 'user'
-    },
-    JWT_SECRET,
-    { expiresIn: '7d' }
+  const tokens = createSession(
+    { id: Number(lastInsertRowid), userCode, email, role: 'user' },
+    clientInfo(req)
   );
 
+  // first codes go out right away; failures only mean the user has to press "resend"
+  for (const channel of requiredChannels()) {
+    try {
+      await sendCode(Number(lastInsertRowid), channel);
+    } catch (err) {
+      console.error(`[auth.signup] ${channel} code error:`, err);
+    }
+  }
+
   return res.status(201).json({
-    token,
+    ...tokens,
     user: {
       id: userCode,          // visible ID for frontend
       userCode,
@@ -82,7 +109,8 @@ router.post('/signup', (req, res) => {
       lastName,
       email,
       role: 'user'
-    }
+    },
+    verification: getVerificationStatus(Number(lastInsertRowid))
   });
 });
 
@@ -98,19 +126,18 @@ router.post('/login', (req, res) => {
   const ok = bcrypt.compareSync(password, user.passwordHash);
   if (!ok) return res.status(401).json({ error: 'invalid credentials' });
 
-  const token = jwt.sign(
-    {
-      id: user.id,
-      userCode: user.userCode,
-      email: user.email,
-      role: user.role
-    },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  if (user.suspendedAt) return res.status(403).json({ error: 'account suspended', errorCode: 'ACCOUNT_SUSPENDED' });
+  if (user.passwordResetRequired) {
+    return res.status(403).json({
+      error: 'password reset required, use the link sent by email',
+      errorCode: 'PASSWORD_RESET_REQUIRED'
+    });
+  }
+
+  const tokens = createSession(user, clientInfo(req));
 
   res.json({
-    token,
+    ...tokens,
     user: {
       id: user.userCode,
       userCode: user.userCode,
@@ -154,10 +181,278 @@ router.get('/me', authRequired, (req, res) => {
     residentialAddress: u.residentialAddress,
     phoneNumber: u.phoneNumber,
     city: u.city,
-    createdAt: u.createdAt
+    createdAt: u.createdAt,
+    permissions: req.user.permissions,
+    tier: getTierSummary(u.id),
+    verification: getVerificationStatus(u.id)
   });
 });
 
+// ------------------------ VERIFICATION ------------------------
+/**
+ * POST /api/auth/verify/send
+ * Auth required
+ *
+ * Body: { "channel": "email" | "phone" }
+ * - (re)sends a 6-digit code; throttled (429, errorCode OTP_THROTTLED, retryAfter seconds)
+ */
+router.post('/verify/send', authRequired, async (req, res) => {
+  try {
+    const result = await sendCode(req.user.id, String(req.body?.channel || ''));
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.json(result);
+  } catch (err) {
+    console.error('[auth.verifySend] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Auth required
+ *
+ * Body: { "channel": "email" | "phone", "code": "123456" }
+ * - errorCodes: OTP_INVALID (attemptsLeft), OTP_ATTEMPTS_EXCEEDED, OTP_EXPIRED
+ */
+router.post('/verify', authRequired, (req, res) => {
+  try {
+    const { channel, code } = req.body || {};
+    const result = verifyCode(req.user.id, String(channel || ''), code);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.json({ ok: true, verification: result.status });
+  } catch (err) {
+    console.error('[auth.verify] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ REFRESH / LOGOUT ------------------------
+/**
+ * POST /api/auth/refresh
+ * Body: { "refreshToken": "rt_..." }
+ * - returns a new { token, refreshToken }; the old refresh token stops working
+ * - re-using a rotated refresh token revokes the whole session (REFRESH_TOKEN_REUSED)
+ */
+router.post('/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const result = refreshSession(refreshToken, clientInfo(req));
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    const { ok, ...tokens } = result;
+    return res.json(tokens);
+  } catch (err) {
+    console.error('[auth.refresh] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Auth required - ends the current session (its access + refresh tokens)
+ */
+router.post('/logout', authRequired, (req, res) => {
+  try {
+    revokeSession(req.user.sid, 'logout');
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[auth.logout] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Auth required - ends every session of the caller ("log out all devices")
+ */
+router.post('/logout-all', authRequired, (req, res) => {
+  try {
+    const revoked = revokeUserSessions(req.user.id, 'logout_all');
+    return res.json({ ok: true, revoked });
+  } catch (err) {
+    console.error('[auth.logoutAll] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ PASSWORDS ------------------------
+/**
+ * POST /api/auth/forgot-password
+ * Body: { "email": "user@example.com" }
+ * - always answers 200 so the endpoint does not reveal which emails exist
+ * - mails a single-use reset link (template password_reset)
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim();
+    if (!email) return res.status(400).json({ error: 'email is required' });
+
+    const user = db.prepare('SELECT id, firstName, email FROM users WHERE email = ?').get(email);
+    if (user) {
+      const { token, ttlMinutes } = issueResetToken(user.id, { ip: req.ip });
+      try {
+        await sendTemplate(user.email, 'password_reset', {
+          firstName: user.firstName,
+          resetUrl: resetUrl(token),
+          ttlMinutes,
+        });
+      } catch (err) {
+        console.error('[auth.forgotPassword] mail error:', err);
+      }
+    }
+
+    return res.json({ ok: true, message: 'if the email is registered, a reset link has been sent' });
+  } catch (err) {
+    console.error('[auth.forgotPassword] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// notice after any password change; failures are logged, never surfaced
+// keptCurrent: the device that changed it stays signed in (change-password)
+async function notifyPasswordChanged(userId, { keptCurrent = false } = {}) {
+  const u = db.prepare('SELECT firstName, email FROM users WHERE id = ?').get(userId);
+  if (!u) return;
+  try {
+    await sendTemplate(u.email, 'password_changed', {
+      firstName: u.firstName,
+      changedAt: now(),
+      signedOut: keptCurrent ? 'every other device' : 'every device',
+    });
+  } catch (err) {
+    console.error('[auth.passwordChanged] mail error:', err);
+  }
+}
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { "token": "...", "password": "new password" }
+ * - signs the user out everywhere
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || typeof token !== 'string') return res.status(400).json({ error: 'token is required' });
+
+    const weak = checkPasswordStrength(password);
+    if (weak) return res.status(400).json({ error: weak });
+
+    const result = consumeResetToken(token, password);
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    revokeUserSessions(result.userId, 'password_reset');
+    await notifyPasswordChanged(result.userId);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[auth.resetPassword] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Auth required
+ *
+ * Body: { "currentPassword": "...", "newPassword": "..." }
+ * - other sessions are signed out, the current one stays
+ */
+router.post('/change-password', authRequired, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    const u = db.prepare('SELECT passwordHash FROM users WHERE id = ?').get(req.user.id);
+    if (!u || !currentPassword || !bcrypt.compareSync(String(currentPassword), u.passwordHash)) {
+      return res.status(401).json({ error: 'current password is incorrect' });
+    }
+
+    const weak = checkPasswordStrength(newPassword);
+    if (weak) return res.status(400).json({ error: weak });
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'new password must differ from the current one' });
+    }
+
+    setPassword(req.user.id, newPassword);
+    const signedOut = revokeUserSessions(req.user.id, 'password_change', { exceptSessionId: req.user.sid });
+    await notifyPasswordChanged(req.user.id, { keptCurrent: true });
+    return res.json({ ok: true, signedOut });
+  } catch (err) {
+    console.error('[auth.changePassword] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ SESSIONS ------------------------
+/**
+ * GET /api/auth/sessions
+ * Auth required - the caller's sessions (current one flagged)
+ */
+router.get('/sessions', authRequired, (req, res) => {
+  try {
+    const items = listUserSessions(req.user.id).map(s => ({ ...s, current: s.id === req.user.sid }));
+    return res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[auth.sessions] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/users/:uid/sessions
+ * Permission: users:read
+ */
+router.get('/users/:uid/sessions', authRequired, requirePermission('users:read'), (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, userCode FROM users WHERE userCode = ?').get(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const items = listUserSessions(user.id);
+    return res.json({ userId: user.userCode, count: items.length, items });
+  } catch (err) {
+    console.error('[auth.userSessions] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:uid/sessions
+ * Permission: users:sessions - revokes every session of the user
+ */
+router.delete('/users/:uid/sessions', authRequired, requirePermission('users:sessions'), (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, userCode FROM users WHERE userCode = ?').get(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const revoked = revokeUserSessions(user.id, 'admin');
+    return res.json({ ok: true, userId: user.userCode, revoked });
+  } catch (err) {
+    console.error('[auth.revokeUserSessions] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Permission: users:sessions
+ */
+router.delete('/sessions/:id', authRequired, requirePermission('users:sessions'), (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const session = Number.isInteger(id) ? getSession(id) : null;
+    if (!session) return res.status(404).json({ error: 'session not found' });
+    if (session.revokedAt) return res.status(409).json({ error: 'session already revoked' });
+
+    revokeSession(id, 'admin');
+    return res.json({ ok: true, id });
+  } catch (err) {
+    console.error('[auth.revokeSession] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,174 @@
+// src/routes/imports.routes.js
+const express = require('express');
+const { db } = require('../db');
+const { authRequired } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { mailResetLink } = require('../services/passwords');
+const { KINDS, getJob, listJobs, createJob, commitJob } = require('../services/importer');
+const { exportList } = require('../services/exporter');
+
+const router = express.Router();
+
+// ------------------------ helpers ------------------------
+const REPORT_COLUMNS = [
+  { key: 'row', header: 'Row', type: 'number' },
+  { key: 'key', header: 'Key' },
+  { key: 'status', header: 'Status' },
+  { key: 'error', header: 'Error' },
+  { key: 'ref', header: 'Created' },
+];
+
+// the permission of the kind, 403 body when missing
+function kindForbidden(user, kind) {
+  const permission = KINDS[kind].permission;
+  if (hasPermission(user, permission)) return null;
+  return { error: `missing permission: ${permission}`, errorCode: 'FORBIDDEN' };
+}
+
+// the job of :id when the caller may import its kind, else answers 404 / 403
+function loadJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: 'import not found' });
+    return null;
+  }
+  const forbidden = kindForbidden(req.user, job.kind);
+  if (forbidden) {
+    res.status(403).json(forbidden);
+    return null;
+  }
+  return job;
+}
+
+// invites the users of a committed import, { sent, failed }
+async function inviteUsers(userCodes, ip) {
+  const invites = { sent: 0, failed: 0 };
+  for (const code of userCodes) {
+    const user = db.prepare('SELECT * FROM users WHERE userCode = ?').get(code);
+    if (await mailResetLink(user, 'account_created', ip)) invites.sent++;
+    else invites.failed++;
+  }
+  return invites;
+}
+
+// ------------------------ JOBS ------------------------
+/**
+ * GET /api/admin/imports?kind=users|skus|qr
+ * Auth required - the jobs of the kinds the caller may import, newest first (no report)
+ */
+router.get('/', authRequired, (req, res) => {
+  try {
+    let kinds = Object.keys(KINDS).filter(k => !kindForbidden(req.user, k));
+    if (req.query.kind) kinds = kinds.filter(k => k === req.query.kind);
+    const items = listJobs({ kinds });
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[imports.list] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/imports/:id
+ * Permission of the job's kind - the job with its row report
+ */
+router.get('/:id', authRequired, (req, res) => {
+  try {
+    const job = loadJob(req, res);
+    if (job) res.json(job);
+  } catch (err) {
+    console.error('[imports.detail] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/imports/:id/report?format=csv|xlsx&columns=
+ * Permission of the job's kind - the row report as a download
+ */
+router.get('/:id/report', authRequired, (req, res) => {
+  const job = loadJob(req, res);
+  if (!job) return;
+  return exportList(req, res, {
+    name: `import-${job.id}-${job.kind}`,
+    columns: REPORT_COLUMNS,
+    nextPage: (last, limit) => {
+      const from = last ? job.report.indexOf(last) + 1 : 0;
+      return job.report.slice(from, from + limit);
+    },
+  });
+});
+
+/**
+ * POST /api/admin/imports/:kind?fileName=distributors.csv&commit=1&invite=1
+ * Permission: users:manage (users), skus:manage (skus), qr:generate (qr);
+ *             roles:manage as well for users with a role other than "user"
+ *
+ * Body: the CSV file, Content-Type text/csv (max 5 MB), or JSON { "csv": "...", "fileName": "..." }
+ * - dry run by default: every row is checked, nothing is written, the job keeps the report
+ * - commit=1 imports right away when every row is valid (the job stays "invalid" otherwise)
+ * - invite=1 (users) mails each new account a set-password link (template account_created)
+ * - file level problems (missing columns, no rows, too many rows) are a 400 without a job
+ */
+router.post(
+  '/:kind',
+  authRequired,
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const kind = req.params.kind;
+      if (!KINDS[kind]) return res.status(404).json({ error: `kind must be one of: ${Object.keys(KINDS).join(', ')}` });
+      const forbidden = kindForbidden(req.user, kind);
+      if (forbidden) return res.status(403).json(forbidden);
+
+      const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (!text || typeof text !== 'string') return res.status(400).json({ error: 'CSV body is empty' });
+
+      const opts = { userId: req.user.id, canAssignRoles: hasPermission(req.user, 'roles:manage') };
+      const created = createJob(kind, text, { ...opts, fileName: req.query.fileName || req.body?.fileName });
+      if (!created.ok) return res.status(created.status).json(created.body);
+
+      const commit = ['1', 'true'].includes(String(req.query.commit));
+      if (!commit || created.job.status !== 'validated') return res.status(201).json(created.job);
+
+      const result = commitJob(created.job.id, opts);
+      if (!result.ok) return res.status(result.status).json(result.body);
+      const invite = kind === 'users' && ['1', 'true'].includes(String(req.query.invite));
+      return res.status(201).json({
+        ...result.job,
+        ...(invite ? { invites: await inviteUsers(result.refs, req.ip) } : {}),
+      });
+    } catch (err) {
+      console.error('[imports.create] error:', err);
+      return res.status(500).json({ error: 'internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/imports/:id/commit
+ * Permission of the job's kind
+ *
+ * Body: { "invite": true } (users, optional)
+ * - the stored file is checked again; all rows are imported in one transaction
+ * - 409 IMPORT_INVALID (with the refreshed job) when a row no longer passes, nothing is imported
+ */
+router.post('/:id/commit', authRequired, async (req, res) => {
+  try {
+    const job = loadJob(req, res);
+    if (!job) return;
+
+    const result = commitJob(job.id, { userId: req.user.id, canAssignRoles: hasPermission(req.user, 'roles:manage') });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    const invite = job.kind === 'users' && !!req.body?.invite;
+    return res.json({
+      ...result.job,
+      ...(invite ? { invites: await inviteUsers(result.refs, req.ip) } : {}),
+    });
+  } catch (err) {
+    console.error('[imports.commit] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,92 +1,77 @@
 // src/routes/points.routes.js
 const express = require('express');
-const { db, now } = require('../db');
-const { authRequired } = require('../middleware/auth');
+const bcrypt = require('bcryptjs');
+const { db } = require('../db');
+const { authRequired, requirePermission, verifiedFor } = require('../middleware/auth');
+const {
+  BASE_POINTS,
+  getLedgerTotal,
+  getEffectiveBalance,
+  postSystemEntry,
+  buildHistoryText,
+  getUserEntries,
+  getExpiringSoon,
+} = require('../services/ledger');
+const { runExpirySweep } = require('../jobs/expirePoints');
+const { getTierSummary } = require('../services/tiers');
+const {
+  isPinRequired,
+  getTransferLimits,
+  getSentLast24h,
+  setPin,
+  hasPin,
+  listUserTransfers,
+  createTransfer,
+  acceptTransfer,
+  cancelTransfer,
+  declineTransfer,
+  reverseTransfer,
+} = require('../services/transfers');
 
 const router = express.Router();
 
-// ✅ Every user starts with 50 points by default
-const BASE_POINTS = 50;
-
 // ------------------------ helpers ------------------------
-function getDbPointsTotal(dbUserId) {
-  const row = db
-    .prepare('SELECT COALESCE(SUM(points), 0) AS totalPoints FROM user_points WHERE userId = ?')
-    .get(dbUserId);
-
-  return Number(row?.totalPoints || 0);
+function formatTransfer(t, viewerId) {
+  return {
+    id: t.id,
+    fromUserId: t.senderCode,
+    toUserId: t.receiverCode,
+    ...(viewerId ? { direction: t.senderId === viewerId ? 'sent' : 'received' } : {}),
+    points: t.points,
+    status: t.status,
+    txnId: t.txnId,
+    expiresAt: t.expiresAt,
+    createdAt: t.createdAt,
+    completedAt: t.completedAt,
+    cancelledAt: t.cancelledAt,
+    reversedAt: t.reversedAt,
+    reversalReason: t.reversalReason,
+  };
 }
 
-function getEffectiveBalance(dbUserId) {
-  return BASE_POINTS + getDbPointsTotal(dbUserId);
-}
-
-function getUserNameByCode(userCode) {
-  if (!userCode) return null;
-
-  const u = db
-    .prepare('SELECT firstName, lastName FROM users WHERE userCode = ?')
-    .get(userCode);
-
-  if (!u) return null;
-  const full = `${u.firstName || ''} ${u.lastName || ''}`.trim();
-  return full || null;
-}
-
-// supports both:
-// - new: "SEND_TO:ABC12345" / "RECEIVE_FROM:ABC12345"
-// - old: "SEND to ABC12345" / "RECEIVED from ABC12345"
-function extractOtherUserCode(reason) {
-  if (!reason || typeof reason !== 'string') return null;
-
-  // new format
-  if (reason.startsWith('SEND_TO:')) return reason.replace('SEND_TO:', '').trim();
-  if (reason.startsWith('RECEIVE_FROM:')) return reason.replace('RECEIVE_FROM:', '').trim();
-
-  // old format
-  if (reason.startsWith('SEND to ')) return reason.replace('SEND to ', '').trim();
-  if (reason.startsWith('RECEIVED from ')) return reason.replace('RECEIVED from ', '').trim();
-
-  return null;
-}
-
-function buildHistoryText(row) {
-  const pts = Number(row.points || 0);
-  const absPts = Math.abs(pts);
-
-  const reason = row.reason || '';
-  const otherCode = extractOtherUserCode(reason);
-  const otherName = otherCode ? (getUserNameByCode(otherCode) || otherCode) : null;
-
-  // Transfer cases
-  if (pts > 0 && (reason.startsWith('RECEIVE_FROM:') || reason.startsWith('RECEIVED from '))) {
-    return `${absPts} reward points receive from ${otherName}`;
-  }
-
-  if (pts < 0 && (reason.startsWith('SEND_TO:') || reason.startsWith('SEND to '))) {
-    return `${absPts} reward points send to ${otherName}`;
-  }
-
-  // QR earn example (if you use it later)
-  // store reason like "QR:<CODE>"
-  if (pts > 0 && typeof reason === 'string' && reason.startsWith('QR:')) {
-    return `${absPts} reward points earned from QR scan`;
-  }
-
-  // fallback
-  if (pts > 0) return `${absPts} reward points added`;
-  if (pts < 0) return `${absPts} reward points deducted`;
-  return `0 points`;
+function parseLimit(v, key) {
+  if (v === null || v === '') return { value: null };
+  const n = Number(v);
+  if (!Number.isInteger(n) || n <= 0) return { error: `${key} must be a positive integer or null` };
+  return { value: n };
 }
 
 // ------------------------ SEND POINTS ------------------------
-
-router.post('/send', authRequired, (req, res) => {
+/**
+ * POST /api/points/send
+ * Auth required
+ *
+ * Body: { "points": 100, "uid": "RKXX6U2M", "pin": "1234" }
+ * - pin: required once the sender has set one (always when TRANSFER_PIN_REQUIRED=1)
+ * - per-transfer and 24h limits: user override -> tier -> env (see services/transfers.js)
+ * - points >= TRANSFER_PENDING_THRESHOLD: 202, held until the receiver accepts
+ * - blocked for unverified senders when VERIFY_REQUIRED_FOR includes transfer
+ */
+router.post('/send', authRequired, verifiedFor('transfer'), (req, res) => {
   try {
-    const { points, uid } = req.body || {};
+    const { points, uid, pin } = req.body || {};
 
     const senderDbId = req.user.id;        // numeric DB id
-    const senderCode = req.user.userCode;  // 8-char visible ID
 
     // --- validation ---
     if (!Number.isInteger(points) || points <= 0) {
@@ -107,62 +92,184 @@ router.post('/send', authRequired, (req, res) => {
     }
 
     const receiverDbId = receiver.id;
-    const receiverCode = receiver.userCode;
 
     // cannot send to self
     if (receiverDbId === senderDbId) {
       return res.status(400).json({ error: 'cannot send points to yourself' });
     }
 
-    // --- check sender balance (includes BASE_POINTS) ---
-    const senderBalanceBefore = getEffectiveBalance(senderDbId);
-    if (senderBalanceBefore < points) {
-      return res.status(400).json({
-        error: 'insufficient points',
-        senderBalance: senderBalanceBefore
-      });
-    }
+    // --- limits + PIN + balance check (includes BASE_POINTS) + ledger ---
+    const result = createTransfer({ senderId: senderDbId, receiverId: receiverDbId, points, pin });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    const t = result.transfer;
+    return res.status(t.status === 'pending' ? 202 : 201).json({
+      transferId: t.id,
+      ...formatTransfer(t),
+      senderBalanceAfter: getEffectiveBalance(senderDbId),
+      // the receiver's balance is not revealed while the transfer is pending
+      ...(t.status === 'completed' ? { receiverBalanceAfter: getEffectiveBalance(receiverDbId) } : {}),
+    });
+  } catch (err) {
+    console.error('[points.send] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ TRANSFERS ------------------------
+/**
+ * GET /api/points/transfers?status=pending
+ * Auth required - transfers the caller sent or received
+ */
+router.get('/transfers', authRequired, (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    const items = listUserTransfers(req.user.id, status).map(t => formatTransfer(t, req.user.id));
+    return res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[points.transfers] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/points/transfers/:id/reverse
+ * Permission: transfers:reverse
+ *
+ * Body: { "reason": "sent to wrong uid" }
+ * - completed transfers only; posts a compensating 'reversal' (receiver -> sender),
+ *   the receiver may go negative if the points were already spent
+ */
+router.post('/transfers/:id/reverse', authRequired, requirePermission('transfers:reverse'), (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(404).json({ error: 'transfer not found' });
+
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
 
-    // --- transaction: move points from sender -> receiver ---
-    const transferTx = db.transaction(() => {
-      // sender: negative
-      db.prepare(`
-        INSERT INTO user_points (userId, points, reason, createdAt)
-        VALUES (?,?,?,?)
-      `).run(
-        senderDbId,
-        -points,
-        `SEND_TO:${receiverCode}`,   // ✅ clean format
-        now()
-      );
-
-      // receiver: positive
-      db.prepare(`
-        INSERT INTO user_points (userId, points, reason, createdAt)
-        VALUES (?,?,?,?)
-      `).run(
-        receiverDbId,
-        points,
-        `RECEIVE_FROM:${senderCode}`, // ✅ clean format
-        now()
-      );
+    const result = reverseTransfer(id, { adminId: req.user.id, reason });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    const t = result.transfer;
+    return res.json({
+      ok: true,
+      ...formatTransfer(t),
+      reversalTxnId: t.reversalTxnId,
+      senderBalanceAfter: getEffectiveBalance(t.senderId),
+      receiverBalanceAfter: getEffectiveBalance(t.receiverId),
     });
+  } catch (err) {
+    console.error('[points.reverse] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
 
-    transferTx();
+/**
+ * POST /api/points/transfers/:id/accept | /decline   (receiver)
+ * POST /api/points/transfers/:id/cancel             (sender)
+ * Auth required - pending transfers only
+ */
+const transferActions = {
+  accept: acceptTransfer,
+  decline: declineTransfer,
+  cancel: cancelTransfer,
+};
+
+// after /reverse, which has its own permission
+router.post('/transfers/:id/:action', authRequired, (req, res) => {
+  const fn = transferActions[req.params.action];
+  if (!fn) return res.status(404).json({ error: `unknown action: ${req.params.action}` });
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(404).json({ error: 'transfer not found' });
 
-    // balances after (includes BASE_POINTS)
-    const senderBalanceAfter = getEffectiveBalance(senderDbId);
-    const receiverBalanceAfter = getEffectiveBalance(receiverDbId);
+    const result = fn(id, req.user.id);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.json({ ok: true, ...formatTransfer(result.transfer, req.user.id) });
+  } catch (err) {
+    console.error(`[points.transfer.${req.params.action}] error:`, err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
 
-    return res.status(201).json({
-      fromUserId: senderCode,
-      toUserId: receiverCode,
-      points,
-      senderBalanceAfter,
-      receiverBalanceAfter
+// ------------------------ LIMITS + PIN ------------------------
+/**
+ * GET /api/points/limits
+ * Auth required - the caller's effective limits, what is left in the last 24h and PIN status
+ */
+router.get('/limits', authRequired, (req, res) => {
+  try {
+    const limits = getTransferLimits(req.user.id);
+    const sent = getSentLast24h(req.user.id);
+    return res.json({
+      perTransfer: limits.perTransfer,
+      daily: limits.daily,
+      sentLast24h: sent,
+      remainingToday: limits.daily === null ? null : Math.max(0, limits.daily - sent),
+      pinSet: hasPin(req.user.id),
+      pinRequired: isPinRequired(),
     });
   } catch (err) {
-    console.error('[points.send] error:', err);
+    console.error('[points.limits] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/points/limits/:uid
+ * Permission: points:manage - per-user overrides (null = fall back to the tier / env limit)
+ *
+ * Body: { "transferLimit": 200, "dailyTransferLimit": 500 }
+ */
+router.put('/limits/:uid', authRequired, requirePermission('points:manage'), (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, userCode, transferLimit, dailyTransferLimit FROM users WHERE userCode = ?')
+      .get(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const body = req.body || {};
+    const next = { transferLimit: user.transferLimit, dailyTransferLimit: user.dailyTransferLimit };
+    for (const key of Object.keys(next)) {
+      if (body[key] === undefined) continue;
+      const parsed = parseLimit(body[key], key);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      next[key] = parsed.value;
+    }
+
+    db.prepare('UPDATE users SET transferLimit = ?, dailyTransferLimit = ? WHERE id = ?')
+      .run(next.transferLimit, next.dailyTransferLimit, user.id);
+
+    return res.json({ userId: user.userCode, overrides: next, effective: getTransferLimits(user.id) });
+  } catch (err) {
+    console.error('[points.limits.set] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/points/pin
+ * Auth required
+ *
+ * Body: { "password": "account password", "pin": "1234" }
+ * - sets or changes the transaction PIN (4-6 digits), stored as a bcrypt hash
+ */
+router.put('/pin', authRequired, (req, res) => {
+  try {
+    const { password, pin } = req.body || {};
+    if (!/^\d{4,6}$/.test(String(pin ?? ''))) {
+      return res.status(400).json({ error: 'pin must be 4-6 digits' });
+    }
+
+    const u = db.prepare('SELECT passwordHash FROM users WHERE id = ?').get(req.user.id);
+    if (!u || !password || !bcrypt.compareSync(String(password), u.passwordHash)) {
+      return res.status(401).json({ error: 'invalid password' });
+    }
+
+    setPin(req.user.id, String(pin));
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[points.pin] error:', err);
     return res.status(500).json({ error: 'internal server error' });
   }
 });
@@ -174,18 +281,15 @@ router.get('/', authRequired, (req, res) => {
     const dbUserId = req.user.id;
     const userCode = req.user.userCode;
 
-    const dbTotal = getDbPointsTotal(dbUserId);
-    const totalPoints = BASE_POINTS + dbTotal;
-
-    const rows = db.prepare(`
-      SELECT id, points, reason, createdAt
-      FROM user_points
-      WHERE userId = ?
-      ORDER BY createdAt DESC, id DESC
-    `).all(dbUserId);
+    const totalPoints = BASE_POINTS + getLedgerTotal(dbUserId);
 
-    const history = rows.map(r => ({
+    const history = getUserEntries(dbUserId).map(r => ({
       id: r.id,
+      txnId: r.txnId,
+      type: r.type,
+      points: r.points,
+      counterpartyUserId: r.counterpartyCode || null,
+      sourceRef: r.sourceRef,
       createdAt: r.createdAt,
       text: buildHistoryText(r),
     }));
@@ -193,6 +297,8 @@ router.get('/', authRequired, (req, res) => {
     return res.json({
       userId: userCode,
       totalPoints,
+      expiringSoon: getExpiringSoon(dbUserId, 30), // { days, points, nextExpiry }
+      tier: getTierSummary(dbUserId),
       history
     });
   } catch (err) {
@@ -201,4 +307,70 @@ router.get('/', authRequired, (req, res) => {
   }
 });
 
+// ------------------------ ADMIN ADJUST ------------------------
+/**
+ * POST /api/points/adjust
+ * Permission: points:adjust
+ *
+ * Body: { "uid": "RKXX6U2M", "points": -20, "type": "adjustment", "memo": "duplicate scan" }
+ * - type: "adjustment" (default, +/-) | "bonus" (positive only)
+ */
+router.post('/adjust', authRequired, requirePermission('points:adjust'), (req, res) => {
+  try {
+    const { uid, points, type = 'adjustment', memo } = req.body || {};
+
+    if (!['adjustment', 'bonus'].includes(type)) {
+      return res.status(400).json({ error: "type must be 'adjustment' or 'bonus'" });
+    }
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({ error: 'points must be a non-zero integer' });
+    }
+    if (type === 'bonus' && points < 0) {
+      return res.status(400).json({ error: 'bonus points must be positive' });
+    }
+    if (!uid || typeof uid !== 'string') return res.status(400).json({ error: 'uid is required' });
+
+    const user = db.prepare('SELECT id, userCode FROM users WHERE userCode = ?').get(uid.trim());
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const txnId = postSystemEntry(type, user.id, points, {
+      sourceType: 'admin',
+      sourceRef: String(req.user.id),
+      memo: memo ? String(memo) : null,
+    });
+
+    return res.status(201).json({
+      txnId,
+      userId: user.userCode,
+      type,
+      points,
+      balanceAfter: getEffectiveBalance(user.id)
+    });
+  } catch (err) {
+    console.error('[points.adjust] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ EXPIRY SWEEP ------------------------
+/**
+ * POST /api/points/expire
+ * Permission: points:manage - runs the expiry sweep now (it also runs on a timer, see jobs/expirePoints.js)
+ * - also returns pending transfers past their window to the sender
+ */
+router.post('/expire', authRequired, requirePermission('points:manage'), (req, res) => {
+  try {
+    const result = runExpirySweep();
+    return res.json({
+      ok: true,
+      expiredLots: result.lots,
+      expiredPoints: result.points,
+      expiredTransfers: result.transfers,
+    });
+  } catch (err) {
+    console.error('[points.expire] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
 module.exports = router;
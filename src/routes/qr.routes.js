@@ -1,6 +1,28 @@
 // src/routes/qr.routes.js
 const express = require('express');
 const { db, now, makeQrCodeNumeric, makeQrCodeAlnum } = require('../db');
+const {
+  isSigningEnabled,
+  isSignatureRequired,
+  isSignedPayload,
+  canSign,
+  signQrPayload,
+  verifyQrPayload,
+} = require('../services/qrSigning');
+const {
+  renderQrSvg,
+  renderQrPng,
+  parseSheetOptions,
+  layoutSheet,
+  sheetPageToSvg,
+  writeSheetPdf,
+} = require('../services/qrRender');
+const { permissionOrApiKey, optionalApiKey, optionalAuth } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { postSystemEntry } = require('../services/ledger');
+const { getUserTier } = require('../services/tiers');
+const { isRequiredFor, isVerified } = require('../services/verification');
+const { exportList } = require('../services/exporter');
 
 const router = express.Router();
 
@@ -14,15 +36,194 @@ function isPosInt(n) {
   return Number.isInteger(n) && n > 0;
 }
 
+// GET /api/qr export columns (?format=csv|xlsx&columns=)
+const QR_COLUMNS = [
+  { key: 'id', header: 'ID', type: 'number' },
+  { key: 'code', header: 'Code' },
+  { key: 'points', header: 'Points', type: 'number' },
+  { key: 'batchId', header: 'Batch', type: 'number' },
+  { key: 'createdAt', header: 'Created at', type: 'date' },
+  { key: 'redeemedBy', header: 'Redeemed by' },
+  { key: 'redeemedAt', header: 'Redeemed at', type: 'date' },
+  { key: 'scannedBy', header: 'Scanned by' },
+  { key: 'scanMode', header: 'Scan mode' },
+];
+
 function genCode(format, length) {
   if (format === 'numeric') return makeQrCodeNumeric(length);
   return makeQrCodeAlnum(length); // default
 }
 
+// undefined/null/'' -> null, otherwise must parse as a date (stored as ISO)
+function parseDateOrNull(v) {
+  if (v === undefined || v === null || v === '') return { ok: true, value: null };
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return { ok: false };
+  return { ok: true, value: d.toISOString() };
+}
+
+// validates { name, description, startsAt, expiresAt, defaultPoints, maxRedemptions }
+// returns { error } or { value }
+function parseBatchInput(input) {
+  const name = String(input?.name || '').trim();
+  if (!name) return { error: 'batch name is required' };
+
+  const startsAt = parseDateOrNull(input.startsAt);
+  if (!startsAt.ok) return { error: 'startsAt must be a valid date' };
+  const expiresAt = parseDateOrNull(input.expiresAt);
+  if (!expiresAt.ok) return { error: 'expiresAt must be a valid date' };
+  if (startsAt.value && expiresAt.value && expiresAt.value <= startsAt.value) {
+    return { error: 'expiresAt must be after startsAt' };
+  }
+
+  const defaultPoints = normalizeInt(input.defaultPoints, 0);
+  if (defaultPoints < 0) return { error: 'defaultPoints must be zero or a positive integer' };
+
+  let maxRedemptions = null;
+  if (input.maxRedemptions !== undefined && input.maxRedemptions !== null && input.maxRedemptions !== '') {
+    maxRedemptions = normalizeInt(input.maxRedemptions, 0);
+    if (!isPosInt(maxRedemptions)) return { error: 'maxRedemptions must be a positive integer' };
+  }
+
+  return {
+    value: {
+      name,
+      description: input.description ? String(input.description).trim() : null,
+      startsAt: startsAt.value,
+      expiresAt: expiresAt.value,
+      defaultPoints,
+      maxRedemptions,
+    }
+  };
+}
+
+function insertBatch(b) {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO qr_batches (name, description, startsAt, expiresAt, defaultPoints, maxRedemptions, createdAt)
+    VALUES (?,?,?,?,?,?,?)
+  `).run(b.name, b.description, b.startsAt, b.expiresAt, b.defaultPoints, b.maxRedemptions, now());
+  return getBatch(Number(lastInsertRowid));
+}
+
+function getBatch(id) {
+  return db.prepare('SELECT * FROM qr_batches WHERE id = ?').get(id) || null;
+}
+
+// printed vs redeemed counts + points paid out for one batch
+function getBatchStats(batch) {
+  const row = db.prepare(`
+    SELECT
+      COUNT(*) AS printed,
+      COALESCE(SUM(CASE WHEN redeemedByUserId IS NOT NULL THEN 1 ELSE 0 END), 0) AS redeemed,
+      COALESCE(SUM(CASE WHEN redeemedByUserId IS NOT NULL THEN points ELSE 0 END), 0) AS pointsPaid,
+      COALESCE(SUM(points), 0) AS pointsPrinted
+    FROM qr_codes
+    WHERE batchId = ?
+  `).get(batch.id);
+
+  const printed = Number(row.printed || 0);
+  const redeemed = Number(row.redeemed || 0);
+
+  return {
+    printed,
+    redeemed,
+    unredeemed: printed - redeemed,
+    pointsPrinted: Number(row.pointsPrinted || 0),
+    pointsPaid: Number(row.pointsPaid || 0),
+    remainingBudget: batch.maxRedemptions === null ? null : Math.max(0, batch.maxRedemptions - redeemed),
+  };
+}
+
+// ENV:
+//   QR_ALLOW_UID_SCAN=0                         disable the legacy body-uid mode (no token, no key)
+function isUidScanAllowed() {
+  return !['0', 'false', 'no'].includes(String(process.env.QR_ALLOW_UID_SCAN ?? '1').toLowerCase());
+}
+
+const USER_COLS = 'id, userCode, firstName, lastName, role';
+
+/**
+ * Who gets the points (beneficiary) and who scanned (scanner).
+ * - JWT, no uid / own uid  -> self
+ * - JWT + other uid        -> on_behalf (scanner needs permission qr:scan_on_behalf)
+ * - API key + uid          -> api_key
+ * - uid only               -> uid (legacy, QR_ALLOW_UID_SCAN)
+ * returns { status, body } on error or { beneficiary, scanner, mode }
+ */
+function resolveScanParties(req, userCode) {
+  if (req.user) {
+    const scanner = db.prepare(`SELECT ${USER_COLS} FROM users WHERE id = ?`).get(req.user.id);
+    if (!scanner) return { status: 401, body: { error: 'user not found' } };
+    if (!userCode || userCode === scanner.userCode) return { beneficiary: scanner, scanner, mode: 'self' };
+
+    if (!hasPermission(req.user, 'qr:scan_on_behalf')) {
+      return {
+        status: 403,
+        body: { error: 'your role cannot scan on behalf of another user', errorCode: 'SCAN_ON_BEHALF_FORBIDDEN' }
+      };
+    }
+    const beneficiary = db.prepare(`SELECT ${USER_COLS} FROM users WHERE userCode = ?`).get(userCode);
+    if (!beneficiary) return { status: 404, body: { error: 'user not found for given uid' } };
+    return { beneficiary, scanner, mode: 'on_behalf' };
+  }
+
+  if (!userCode) return { status: 400, body: { error: 'uid is required' } };
+
+  if (!req.apiKey && !isUidScanAllowed()) {
+    return { status: 401, body: { error: 'login required to scan', errorCode: 'SCAN_AUTH_REQUIRED' } };
+  }
+  const beneficiary = db.prepare(`SELECT ${USER_COLS} FROM users WHERE userCode = ?`).get(userCode);
+  if (!beneficiary) return { status: 404, body: { error: 'user not found for given uid' } };
+  return { beneficiary, scanner: null, mode: req.apiKey ? 'api_key' : 'uid' };
+}
+
+function recordScanRejection(reason, req, scanned, uid) {
+  db.prepare(`
+    INSERT INTO qr_scan_rejections (reason, code, uid, ip, createdAt)
+    VALUES (?,?,?,?,?)
+  `).run(reason, String(scanned || '').slice(0, 128), uid || null, req.ip || null, now());
+}
+
+// 'active' | 'scheduled' | 'expired'
+function batchStatus(batch, at = now()) {
+  if (batch.startsAt && at < batch.startsAt) return 'scheduled';
+  if (batch.expiresAt && at >= batch.expiresAt) return 'expired';
+  return 'active';
+}
+
+// resolves the batch for generator/manual mode:
+// - { batchId }            -> existing batch
+// - { batch: {...} }       -> new batch
+// - neither (generator)    -> new batch named after the run
+// returns { error, status } or { batch }
+function resolveBatch({ batchId, batch }, { required, fallbackName }) {
+  if (batchId !== undefined && batchId !== null && batchId !== '') {
+    const b = getBatch(normalizeInt(batchId, 0));
+    if (!b) return { status: 404, error: 'batch not found' };
+    return { batch: b };
+  }
+
+  if (batch && typeof batch === 'object') {
+    const parsed = parseBatchInput(batch);
+    if (parsed.error) return { status: 400, error: parsed.error };
+    return { batch: insertBatch(parsed.value) };
+  }
+
+  if (!required) return { batch: null };
+  return { batch: insertBatch({
+    name: fallbackName,
+    description: null,
+    startsAt: null,
+    expiresAt: null,
+    defaultPoints: 0,
+    maxRedemptions: null,
+  }) };
+}
+
 // ------------------------ ADD / GENERATE ------------------------
 /**
  * POST /api/qr/add
- * No auth
+ * JWT with permission qr:generate, or API key with that scope
  *
  * A) Manual insert:
  * 1) Single:   { "code": "1234567890", "points": 10 }
@@ -33,22 +234,35 @@ function genCode(format, length) {
  * { "count": 50, "points": 10, "format": "numeric", "length": 10 }
  * - format: "numeric" | "alnum"
  * - length: default 10 (numeric) / 12 (alnum)
+ *
+ * Batches (all modes):
+ * - "batchId": 3                         -> attach codes to an existing batch
+ * - "batch": { "name": "Summer 2025", ...} -> create the batch in the same call
+ * - generator mode always attaches to a batch (auto-created if none given)
+ * - points may be omitted when the batch has defaultPoints
+ *
+ * Signed payloads (generator mode):
+ * - "signed": true -> response also has "payloads" (print these instead of "codes")
+ *
+ * Generator responses include "sheetUrl" (PDF label sheet of the batch, see PRINTING)
  */
-router.post('/add', (req, res) => {
+router.post('/add', permissionOrApiKey('qr:generate'), (req, res) => {
   try {
-    const { code, codes, items, points, count, format, length } = req.body || {};
+    const { code, codes, items, points, count, format, length, batchId, batch, signed } = req.body || {};
 
     // -------- Generator mode --------
     if (count !== undefined) {
+      if (signed && !isSigningEnabled()) {
+        return res.status(400).json({ error: 'QR signing is not configured (QR_SIGNING_KEYS)' });
+      }
+
       const howMany = normalizeInt(count, 0);
-      const p = normalizeInt(points, 0);
       const fmt = (String(format || 'numeric').toLowerCase() === 'alnum') ? 'alnum' : 'numeric';
 
       const defaultLen = fmt === 'numeric' ? 10 : 12;
       const len = normalizeInt(length, defaultLen);
 
       if (!isPosInt(howMany)) return res.status(400).json({ error: 'count must be a positive integer' });
-      if (!isPosInt(p)) return res.status(400).json({ error: 'points must be a positive integer' });
       if (!isPosInt(len) || len < 4 || len > 64) {
         return res.status(400).json({ error: 'length must be between 4 and 64' });
       }
@@ -57,11 +271,25 @@ router.post('/add', (req, res) => {
       }
 
       const ins = db.prepare(`
-        INSERT OR IGNORE INTO qr_codes (code, points, createdAt)
-        VALUES (?,?,?)
+        INSERT OR IGNORE INTO qr_codes (code, points, batchId, createdAt)
+        VALUES (?,?,?,?)
       `);
 
       const tx = db.transaction(() => {
+        const resolved = resolveBatch({ batchId, batch }, {
+          required: true,
+          fallbackName: `Generated ${now()}`,
+        });
+        if (resolved.error) {
+          return { ok: false, status: resolved.status, error: resolved.error };
+        }
+        const b = resolved.batch;
+
+        const p = points === undefined ? b.defaultPoints : normalizeInt(points, 0);
+        if (!isPosInt(p)) {
+          return { ok: false, status: 400, error: 'points must be a positive integer' };
+        }
+
         let inserted = 0;
         let skipped = 0;
         const generatedCodes = [];
@@ -75,7 +303,7 @@ router.post('/add', (req, res) => {
           attempts++;
           const c = genCode(fmt, len);
 
-          const info = ins.run(c, p, now());
+          const info = ins.run(c, p, b.id, now());
           if (info.changes === 1) {
             inserted++;
             generatedCodes.push(c);
@@ -85,14 +313,17 @@ router.post('/add', (req, res) => {
         }
 
         if (inserted < howMany) {
-          return {
-            ok: false,
-            error: 'Could not generate enough unique codes, try increasing length',
-            requested: howMany,
-            inserted,
-            skipped,
-            attempts,
-          };
+          // throwing rolls back the codes (and an auto-created batch)
+          throw Object.assign(new Error('not enough unique codes'), {
+            result: {
+              ok: false,
+              error: 'Could not generate enough unique codes, try increasing length',
+              requested: howMany,
+              inserted,
+              skipped,
+              attempts,
+            },
+          });
         }
 
         return {
@@ -104,32 +335,44 @@ router.post('/add', (req, res) => {
           format: fmt,
           length: len,
           points: p,
+          batchId: b.id,
+          batchName: b.name,
           codes: generatedCodes, // 👈 return generated numbers for QR printing
+          ...(signed ? { payloads: generatedCodes.map(c => signQrPayload(c, b.id)) } : {}),
+          sheetUrl: `/api/qr/batches/${b.id}/sheet?format=pdf${signed ? '&signed=1' : ''}`,
         };
       });
 
-      const result = tx();
-      if (!result.ok) return res.status(409).json(result);
+      let result;
+      try {
+        result = tx();
+      } catch (e) {
+        if (e.result) return res.status(409).json(e.result);
+        throw e;
+      }
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
       return res.status(201).json(result);
     }
 
     // -------- Manual insert mode --------
+    // points: undefined = the batch's defaultPoints, filled in once the batch is resolved
     const toInsert = [];
+    const pointsOf = v => (v === undefined || v === null || v === '' ? undefined : normalizeInt(v, 0));
 
     // items mode
     if (Array.isArray(items) && items.length > 0) {
       for (const it of items) {
         const c = String(it?.code || '').trim();
-        const p = normalizeInt(it?.points, 0);
+        const p = pointsOf(it?.points);
         if (!c) continue;
-        if (!isPosInt(p)) continue;
+        if (p !== undefined && !isPosInt(p)) continue;
         toInsert.push({ code: c, points: p });
       }
     }
     // codes mode
     else if (Array.isArray(codes) && codes.length > 0) {
-      const p = normalizeInt(points, 0);
-      if (!isPosInt(p)) {
+      const p = pointsOf(points);
+      if (p !== undefined && !isPosInt(p)) {
         return res.status(400).json({ error: 'points must be a positive integer' });
       }
       for (const c0 of codes) {
@@ -141,9 +384,9 @@ router.post('/add', (req, res) => {
     // single mode
     else if (code) {
       const c = String(code).trim();
-      const p = normalizeInt(points, 0);
+      const p = pointsOf(points);
       if (!c) return res.status(400).json({ error: 'code is required' });
-      if (!isPosInt(p)) {
+      if (p !== undefined && !isPosInt(p)) {
         return res.status(400).json({ error: 'points must be a positive integer' });
       }
       toInsert.push({ code: c, points: p });
@@ -158,23 +401,59 @@ router.post('/add', (req, res) => {
     }
 
     const ins = db.prepare(`
-      INSERT OR IGNORE INTO qr_codes (code, points, createdAt)
-      VALUES (?,?,?)
+      INSERT OR IGNORE INTO qr_codes (code, points, batchId, createdAt)
+      VALUES (?,?,?,?)
     `);
 
     const tx = db.transaction(() => {
+      const resolved = resolveBatch({ batchId, batch }, { required: false });
+      if (resolved.error) return { status: resolved.status, body: { error: resolved.error } };
+      const b = resolved.batch;
+
+      // items without points are skipped when there is no batch default; codes / single mode fail
+      const fallback = b ? b.defaultPoints : 0;
+      const rows = toInsert
+        .map(row => ({ ...row, points: row.points === undefined ? fallback : row.points }))
+        .filter(row => isPosInt(row.points));
+      if (rows.length < toInsert.length && !(Array.isArray(items) && items.length > 0)) {
+        // throwing rolls back a batch created by this call
+        throw Object.assign(new Error('no points'), {
+          result: { status: 400, body: { error: 'points must be a positive integer (or use a batch with defaultPoints)' } },
+        });
+      }
+      if (rows.length === 0) {
+        throw Object.assign(new Error('no codes'), { result: { status: 400, body: { error: 'No valid codes to insert' } } });
+      }
+
       let inserted = 0;
       let skipped = 0;
 
-      for (const row of toInsert) {
-        const info = ins.run(row.code, row.points, now());
+      for (const row of rows) {
+        const info = ins.run(row.code, row.points, b ? b.id : null, now());
         if (info.changes === 1) inserted++;
         else skipped++;
       }
-      return { ok: true, mode: 'manual', requested: toInsert.length, inserted, skipped };
+      return {
+        status: 201,
+        body: {
+          ok: true,
+          mode: 'manual',
+          requested: rows.length,
+          inserted,
+          skipped,
+          batchId: b ? b.id : null,
+        }
+      };
     });
 
-    return res.status(201).json(tx());
+    let result;
+    try {
+      result = tx();
+    } catch (e) {
+      if (e.result) return res.status(e.result.status).json(e.result.body);
+      throw e;
+    }
+    return res.status(result.status).json(result.body);
   } catch (err) {
     console.error('[qr.add] error:', err);
     return res.status(500).json({ error: 'internal server error' });
@@ -184,82 +463,397 @@ router.post('/add', (req, res) => {
 // ------------------------ LIST ALL QR CODES ------------------------
 /**
  * GET /api/qr
- * No auth
+ * JWT with permission qr:read, or API key with that scope
  * Returns latest first
+ * Optional: ?batchId=3
+ *           ?signed=1  -> adds "payload" (signed print content) to each code
+ *           ?format=csv|xlsx&columns=&locale=&tz=  -> download (user codes instead of ids)
  */
-router.get('/', (req, res) => {
+router.get('/', permissionOrApiKey('qr:read'), (req, res) => {
   try {
+    const where = [];
+    const params = [];
+    if (req.query.batchId !== undefined) {
+      where.push('batchId = ?');
+      params.push(normalizeInt(req.query.batchId, 0));
+    }
+
+    if (req.query.format) {
+      const signed = req.query.signed === '1' || req.query.signed === 'true';
+      if (signed && !isSigningEnabled()) {
+        return res.status(400).json({ error: 'QR signing is not configured (QR_SIGNING_KEYS)' });
+      }
+      return exportList(req, res, {
+        name: 'qr-codes',
+        columns: signed ? [...QR_COLUMNS, { key: 'payload', header: 'Signed payload' }] : QR_COLUMNS,
+        nextPage: (last, limit) => db.prepare(`
+          SELECT q.id, q.code, q.points, q.batchId, q.createdAt, r.userCode AS redeemedBy, q.redeemedAt,
+                 s.userCode AS scannedBy, q.scanMode
+          FROM qr_codes q
+          LEFT JOIN users r ON r.id = q.redeemedByUserId
+          LEFT JOIN users s ON s.id = q.scannedByUserId
+          WHERE ${[...where.map(w => `q.${w}`), 'q.id < ?'].join(' AND ')}
+          ORDER BY q.id DESC LIMIT ?
+        `).all(...params, last ? last.id : Number.MAX_SAFE_INTEGER, limit)
+          .map(r => (signed ? { ...r, payload: canSign(r.code) ? signQrPayload(r.code, r.batchId) : null } : r)),
+      });
+    }
+
     const rows = db.prepare(`
       SELECT
-        id, code, points, createdAt,
-        redeemedByUserId, redeemedAt
+        id, code, points, batchId, createdAt,
+        redeemedByUserId, redeemedAt, scannedByUserId, scanMode
       FROM qr_codes
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
       ORDER BY id DESC
-    `).all();
+    `).all(...params);
 
-    res.json({ count: rows.length, items: rows });
+    const withPayload = req.query.signed === '1' || req.query.signed === 'true';
+    if (withPayload && !isSigningEnabled()) {
+      return res.status(400).json({ error: 'QR signing is not configured (QR_SIGNING_KEYS)' });
+    }
+    const items = withPayload
+      ? rows.map(r => ({ ...r, payload: canSign(r.code) ? signQrPayload(r.code, r.batchId) : null }))
+      : rows;
+
+    res.json({ count: items.length, items });
   } catch (err) {
     console.error('[qr.get] error:', err);
     return res.status(500).json({ error: 'internal server error' });
   }
 });
 
+// ------------------------ BATCHES ------------------------
+/**
+ * POST /api/qr/batches
+ * JWT with permission qr:generate, or API key with that scope
+ *
+ * Body: {
+ *   "name": "Summer 2025 / Lahore",
+ *   "description": "...",
+ *   "startsAt": "2025-06-01T00:00:00Z",   // optional
+ *   "expiresAt": "2025-09-01T00:00:00Z",  // optional
+ *   "defaultPoints": 10,                  // used when /add omits points
+ *   "maxRedemptions": 1000                // optional budget
+ * }
+ */
+router.post('/batches', permissionOrApiKey('qr:generate'), (req, res) => {
+  try {
+    const parsed = parseBatchInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const b = insertBatch(parsed.value);
+    return res.status(201).json({ ...b, status: batchStatus(b), stats: getBatchStats(b) });
+  } catch (err) {
+    console.error('[qr.batches.create] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/qr/batches
+ * JWT with permission qr:read, or API key with that scope
+ * Latest first, each with printed/redeemed counts and points paid out
+ */
+router.get('/batches', permissionOrApiKey('qr:read'), (req, res) => {
+  try {
+    const rows = db.prepare('SELECT * FROM qr_batches ORDER BY id DESC').all();
+    const items = rows.map(b => ({ ...b, status: batchStatus(b), stats: getBatchStats(b) }));
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[qr.batches.list] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/qr/batches/:id
+ * JWT with permission qr:read, or API key with that scope
+ */
+router.get('/batches/:id', permissionOrApiKey('qr:read'), (req, res) => {
+  try {
+    const b = getBatch(normalizeInt(req.params.id, 0));
+    if (!b) return res.status(404).json({ error: 'batch not found' });
+    res.json({ ...b, status: batchStatus(b), stats: getBatchStats(b) });
+  } catch (err) {
+    console.error('[qr.batches.get] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/qr/batches/:id
+ * JWT with permission qr:generate, or API key with that scope
+ * Any of: name, description, startsAt, expiresAt, defaultPoints, maxRedemptions
+ * (existing codes keep their points; defaultPoints only affects new codes)
+ */
+router.patch('/batches/:id', permissionOrApiKey('qr:generate'), (req, res) => {
+  try {
+    const b = getBatch(normalizeInt(req.params.id, 0));
+    if (!b) return res.status(404).json({ error: 'batch not found' });
+
+    const parsed = parseBatchInput({ ...b, ...(req.body || {}) });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    db.prepare(`
+      UPDATE qr_batches
+      SET name = ?, description = ?, startsAt = ?, expiresAt = ?, defaultPoints = ?, maxRedemptions = ?
+      WHERE id = ?
+    `).run(v.name, v.description, v.startsAt, v.expiresAt, v.defaultPoints, v.maxRedemptions, b.id);
+
+    const updated = getBatch(b.id);
+    res.json({ ...updated, status: batchStatus(updated), stats: getBatchStats(updated) });
+  } catch (err) {
+    console.error('[qr.batches.update] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ PRINTING ------------------------
+// what goes inside the printed symbol: the plain code or its signed payload
+function printContent(qr, signed) {
+  return signed ? signQrPayload(qr.code, qr.batchId) : qr.code;
+}
+
+function wantsSigned(query) {
+  return query.signed === '1' || query.signed === 'true';
+}
+
+/**
+ * GET /api/qr/image/:code
+ * JWT with permission qr:read, or API key with that scope
+ * ?format=svg|png (default svg)  ?size=256 (px, 64-2048)  ?signed=1
+ */
+router.get('/image/:code', permissionOrApiKey('qr:read'), async (req, res) => {
+  try {
+    const fmt = String(req.query.format || 'svg').toLowerCase();
+    if (!['svg', 'png'].includes(fmt)) return res.status(400).json({ error: 'format must be svg or png' });
+
+    const size = normalizeInt(req.query.size, 256);
+    if (size < 64 || size > 2048) return res.status(400).json({ error: 'size must be between 64 and 2048' });
+
+    const signed = wantsSigned(req.query);
+    if (signed && !isSigningEnabled()) {
+      return res.status(400).json({ error: 'QR signing is not configured (QR_SIGNING_KEYS)' });
+    }
+
+    const qr = db.prepare('SELECT code, batchId FROM qr_codes WHERE code = ?').get(String(req.params.code));
+    if (!qr) return res.status(404).json({ error: 'qr not found' });
+    if (signed && !canSign(qr.code)) return res.status(400).json({ error: 'this code cannot be signed' });
+
+    const content = printContent(qr, signed);
+    if (fmt === 'png') {
+      res.type('png');
+      return res.send(await renderQrPng(content, size));
+    }
+    res.type('svg');
+    return res.send(await renderQrSvg(content, size));
+  } catch (err) {
+    console.error('[qr.image] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/qr/batches/:id/sheet
+ * JWT with permission qr:read, or API key with that scope
+ * A4 label sheet of every code in the batch (oldest first)
+ *
+ * ?format=pdf|svg (default pdf)
+ * ?cols=4&rows=6          grid per page
+ * ?margin=10&gap=2        mm
+ * ?caption=1              "<code> · <points> pts" under each label
+ * ?cutMarks=1
+ * ?signed=1               print signed payloads
+ * ?unredeemed=1           skip codes already scanned
+ * ?page=1                 svg only (one page per response, X-Page-Count header)
+ */
+router.get('/batches/:id/sheet', permissionOrApiKey('qr:read'), (req, res) => {
+  try {
+    const b = getBatch(normalizeInt(req.params.id, 0));
+    if (!b) return res.status(404).json({ error: 'batch not found' });
+
+    const fmt = String(req.query.format || 'pdf').toLowerCase();
+    if (!['svg', 'pdf'].includes(fmt)) return res.status(400).json({ error: 'format must be pdf or svg' });
+
+    const opts = parseSheetOptions(req.query);
+    if (opts.error) return res.status(400).json({ error: opts.error });
+
+    const signed = wantsSigned(req.query);
+    if (signed && !isSigningEnabled()) {
+      return res.status(400).json({ error: 'QR signing is not configured (QR_SIGNING_KEYS)' });
+    }
+
+    const onlyUnredeemed = req.query.unredeemed === '1' || req.query.unredeemed === 'true';
+    const rows = db.prepare(`
+      SELECT code, points, batchId FROM qr_codes
+      WHERE batchId = ? ${onlyUnredeemed ? 'AND redeemedByUserId IS NULL' : ''}
+      ORDER BY id ASC
+    `).all(b.id);
+
+    if (rows.length === 0) return res.status(404).json({ error: 'batch has no codes to print' });
+    if (signed && rows.some(r => !canSign(r.code))) {
+      return res.status(400).json({ error: 'batch contains codes that cannot be signed' });
+    }
+
+    const labels = rows.map(r => ({
+      content: printContent(r, signed),
+      caption: `${r.code} · ${r.points} pts`,
+    }));
+    const pages = layoutSheet(labels, opts.value);
+    const fileBase = `qr-batch-${b.id}`;
+
+    if (fmt === 'svg') {
+      const page = normalizeInt(req.query.page, 1);
+      if (page < 1 || page > pages.length) {
+        return res.status(400).json({ error: `page must be between 1 and ${pages.length}` });
+      }
+      res.set('X-Page-Count', String(pages.length));
+      res.set('Content-Disposition', `inline; filename="${fileBase}-p${page}.svg"`);
+      res.type('svg');
+      return res.send(sheetPageToSvg(pages[page - 1]));
+    }
+
+    res.type('pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileBase}.pdf"`);
+    return writeSheetPdf(pages, res);
+  } catch (err) {
+    console.error('[qr.sheet] error:', err);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
 // ------------------------ SCAN / REDEEM ------------------------
 /**
  * POST /api/qr/scan
- * No auth (user provides uid)
+ * Auth: Bearer JWT (preferred), X-API-Key with scope qr:scan, or none (legacy uid mode)
  *
  * Body: { "code": "1234567890", "uid": "RKXX6U2M" }
+ * - with a JWT, uid is optional: points go to the logged-in user;
+ *   a different uid means "scan on behalf" (permission qr:scan_on_behalf),
+ *   the scanner is stored in qr_codes.scannedByUserId
+ * - without JWT/API key uid is required, unless QR_ALLOW_UID_SCAN=0 switches this mode off
+ * - code may also be a signed payload "Q1.<code>.<batchId>.<kid>.<sig>";
+ *   the signature is checked before any lookup (see services/qrSigning.js)
  * - code must exist in qr_codes
  * - must NOT be redeemed already
+ * - its batch (if any) must be active and within its redemption budget
+ * - the beneficiary must be verified when VERIFY_REQUIRED_FOR includes qr_scan
  * - uid is user's userCode
- * - on success: marks redeemed + adds points to user_points
+ * - on success: marks redeemed + writes a qr_redeem ledger transaction;
+ *   the beneficiary's tier qrMultiplier adds a separate tier bonus on top
+ *
+ * Errors carry an errorCode:
+ *   QR_NOT_FOUND, QR_ALREADY_SCANNED, QR_NOT_ACTIVE, QR_EXPIRED, BATCH_BUDGET_EXHAUSTED,
+ *   QR_BAD_SIGNATURE, QR_SIGNATURE_REQUIRED, SCAN_AUTH_REQUIRED, SCAN_ON_BEHALF_FORBIDDEN,
+ *   ACCOUNT_NOT_VERIFIED
  */
-router.post('/scan', (req, res) => {
+router.post('/scan', optionalAuth, optionalApiKey('qr:scan'), (req, res) => {
   try {
     const { code, uid } = req.body || {};
-    const qrCode = String(code || '').trim();
-    const userCode = String(uid || '').trim();
+    const scanned = String(code || '').trim();
+    const userCode = String(uid || '').trim() || req.user?.userCode || '';
 
-    if (!qrCode) return res.status(400).json({ error: 'code is required' });
+    if (!scanned) return res.status(400).json({ error: 'code is required' });
     if (!userCode) return res.status(400).json({ error: 'uid is required' });
 
-    // find user by userCode
-    const user = db
-      .prepare('SELECT id, userCode, firstName, lastName FROM users WHERE userCode = ?')
-      .get(userCode);
+    // signature first: forged payloads never reach the qr_codes lookup
+    let qrCode = scanned;
+    let signedBatchId;
+    if (isSignedPayload(scanned)) {
+      const v = verifyQrPayload(scanned);
+      if (!v.ok) {
+        recordScanRejection('bad_signature', req, scanned, userCode);
+        return res.status(403).json({ error: 'invalid qr signature', errorCode: 'QR_BAD_SIGNATURE' });
+      }
+      qrCode = v.code;
+      signedBatchId = v.batchId;
+    } else if (isSignatureRequired()) {
+      recordScanRejection('unsigned', req, scanned, userCode);
+      return res.status(400).json({ error: 'signed qr required', errorCode: 'QR_SIGNATURE_REQUIRED' });
+    }
+
+    const parties = resolveScanParties(req, userCode);
+    if (parties.body) return res.status(parties.status).json(parties.body);
+    const { beneficiary: user, scanner, mode } = parties;
 
-    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+    if (isRequiredFor('qr_scan') && !isVerified(user.id)) {
+      recordScanRejection('unverified', req, scanned, userCode);
+      return res.status(403).json({ error: 'account must be verified to earn points', errorCode: 'ACCOUNT_NOT_VERIFIED' });
+    }
 
     const scanTx = db.transaction(() => {
       const qr = db
-        .prepare('SELECT id, code, points, redeemedByUserId FROM qr_codes WHERE code = ?')
+        .prepare('SELECT id, code, points, batchId, redeemedByUserId FROM qr_codes WHERE code = ?')
         .get(qrCode);
 
-      if (!qr) return { status: 404, body: { error: 'qr not found' } };
-      if (qr.redeemedByUserId) return { status: 409, body: { error: 'qr already scanned' } };
+      if (!qr) {
+        recordScanRejection('not_found', req, scanned, userCode);
+        return { status: 404, body: { error: 'qr not found', errorCode: 'QR_NOT_FOUND' } };
+      }
+      // a valid signature for another batch means the payload was not issued for this code
+      if (signedBatchId !== undefined && (qr.batchId ?? null) !== signedBatchId) {
+        recordScanRejection('bad_signature', req, scanned, userCode);
+        return { status: 403, body: { error: 'invalid qr signature', errorCode: 'QR_BAD_SIGNATURE' } };
+      }
+      if (qr.redeemedByUserId) {
+        return { status: 409, body: { error: 'qr already scanned', errorCode: 'QR_ALREADY_SCANNED' } };
+      }
+
+      const batch = qr.batchId ? getBatch(qr.batchId) : null;
+      if (batch) {
+        const status = batchStatus(batch);
+        if (status === 'scheduled') {
+          return {
+            status: 403,
+            body: { error: 'qr is not active yet', errorCode: 'QR_NOT_ACTIVE', startsAt: batch.startsAt }
+          };
+        }
+        if (status === 'expired') {
+          return {
+            status: 410,
+            body: { error: 'qr has expired', errorCode: 'QR_EXPIRED', expiresAt: batch.expiresAt }
+          };
+        }
+        if (batch.maxRedemptions !== null && getBatchStats(batch).redeemed >= batch.maxRedemptions) {
+          return {
+            status: 409,
+            body: { error: 'campaign redemption limit reached', errorCode: 'BATCH_BUDGET_EXHAUSTED' }
+          };
+        }
+      }
 
       // mark redeemed (atomic)
       const upd = db.prepare(`
         UPDATE qr_codes
-        SET redeemedByUserId = ?, redeemedAt = ?
+        SET redeemedByUserId = ?, redeemedAt = ?, scannedByUserId = ?, scanMode = ?
         WHERE id = ? AND redeemedByUserId IS NULL
-      `).run(user.id, now(), qr.id);
+      `).run(user.id, now(), scanner ? scanner.id : null, mode, qr.id);
 
       if (upd.changes !== 1) {
-        return { status: 409, body: { error: 'qr already scanned' } };
+        return { status: 409, body: { error: 'qr already scanned', errorCode: 'QR_ALREADY_SCANNED' } };
       }
 
+      // tier at scan time (the scan itself may upgrade it)
+      const tier = getUserTier(user.id);
+
       // add points
-      db.prepare(`
-        INSERT INTO user_points (userId, points, reason, createdAt)
-        VALUES (?,?,?,?)
-      `).run(
-        user.id,
-        Number(qr.points),
-        `QR ${qr.code} redeemed`,
-        now()
-      );
+      const txnId = postSystemEntry('qr_redeem', user.id, Number(qr.points), {
+        sourceType: 'qr_code',
+        sourceRef: qr.code,
+      });
+
+      // tier multiplier: the extra points are a bonus, the QR itself keeps its face value
+      const tierBonus = tier ? Math.round(Number(qr.points) * (Number(tier.qrMultiplier) - 1)) : 0;
+      if (tierBonus > 0) {
+        postSystemEntry('bonus', user.id, tierBonus, {
+          sourceType: 'tier_bonus',
+          sourceRef: qr.code,
+          memo: `${tier.name} x${tier.qrMultiplier}`,
+        });
+      }
 
       const fullName = `${user.firstName || ''} ${user.lastName || ''}`.trim();
 
@@ -270,7 +864,12 @@ router.post('/scan', (req, res) => {
           uid: user.userCode,
           userName: fullName || user.userCode,
           code: qr.code,
-          pointsAdded: Number(qr.points),
+          batchId: qr.batchId ?? null,
+          pointsAdded: Number(qr.points) + tierBonus,
+          tierBonus,
+          txnId,
+          mode,
+          ...(mode === 'on_behalf' ? { scannedBy: scanner.userCode } : {}),
           message: 'QR scanned successfully'
         }
       };
@@ -284,6 +883,39 @@ router.post('/scan', (req, res) => {
   }
 });
 
+// ------------------------ SCAN REJECTIONS ------------------------
+/**
+ * GET /api/qr/scan-rejections
+ * JWT with permission qr:read, or API key with that scope
+ * Optional: ?since=2025-01-01 (default: last 7 days)
+ * Returns counts per reason (bad_signature vs not_found vs unsigned) + latest 50
+ */
+router.get('/scan-rejections', permissionOrApiKey('qr:read'), (req, res) => {
+  try {
+    const since = parseDateOrNull(req.query.since);
+    if (!since.ok) return res.status(400).json({ error: 'since must be a valid date' });
+    const from = since.value || new Date(Date.now() - 7 * 24 * 3600 * 1000).toISOString();
+
+    const counts = {};
+    for (const r of db.prepare(`
+      SELECT reason, COUNT(*) AS c FROM qr_scan_rejections
+      WHERE createdAt >= ? GROUP BY reason
+    `).all(from)) {
+      counts[r.reason] = Number(r.c);
+    }
+
+    const recent = db.prepare(`
+      SELECT id, reason, code, uid, ip, createdAt FROM qr_scan_rejections
+      WHERE createdAt >= ? ORDER BY id DESC LIMIT 50
+    `).all(from);
+
+    res.json({ since: from, counts, recent });
+  } catch (err) {
+    console.error('[qr.rejections] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
 module.exports = router;
 
 
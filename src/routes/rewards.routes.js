@@ -0,0 +1,385 @@
+// src/routes/rewards.routes.js
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { db, now } = require('../db');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { getEffectiveBalance, postSystemEntry } = require('../services/ledger');
+
+const router = express.Router();
+
+// reward images live on local disk, served without auth (for <img>) at /api/rewards/images/<file>
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.resolve(__dirname, '..', '..', 'uploads');
+const REWARD_IMAGE_DIR = path.join(UPLOAD_DIR, 'rewards');
+const IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+// pending -> approved -> dispatched -> delivered
+//        \-> rejected (refund)  <-/
+const ORDER_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['dispatched', 'rejected'],
+  dispatched: ['delivered'],
+  delivered: [],
+  rejected: [],
+};
+
+// ------------------------ helpers ------------------------
+function isPosInt(n) {
+  return Number.isInteger(n) && n > 0;
+}
+
+function toItem(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    active: !!row.active,
+    imageUrl: row.imagePath ? `/api/rewards/images/${path.basename(row.imagePath)}` : null,
+  };
+}
+
+function getItem(id) {
+  return toItem(db.prepare('SELECT * FROM reward_items WHERE id = ?').get(id));
+}
+
+// validates create/update body, `current` = existing row for updates
+function parseItemInput(body, current = {}) {
+  const merged = { ...current, ...body };
+
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+
+  const pointsCost = Number(merged.pointsCost);
+  if (!isPosInt(pointsCost)) return { error: 'pointsCost must be a positive integer' };
+
+  let stock = null; // null = unlimited
+  if (merged.stock !== undefined && merged.stock !== null && merged.stock !== '') {
+    stock = Number(merged.stock);
+    if (!Number.isInteger(stock) || stock < 0) return { error: 'stock must be zero or a positive integer' };
+  }
+
+  return {
+    value: {
+      name,
+      description: merged.description ? String(merged.description).trim() : null,
+      pointsCost,
+      stock,
+      active: merged.active === undefined ? 1 : (merged.active ? 1 : 0),
+    }
+  };
+}
+
+const ORDER_SELECT = `
+  SELECT
+    o.*,
+    i.name AS itemName,
+    u.userCode, u.email AS userEmail,
+    TRIM(COALESCE(u.firstName, '') || ' ' || COALESCE(u.lastName, '')) AS userName
+  FROM reward_orders o
+  JOIN reward_items i ON i.id = o.itemId
+  JOIN users u ON u.id = o.userId
+`;
+
+function getOrder(id) {
+  return db.prepare(`${ORDER_SELECT} WHERE o.id = ?`).get(id) || null;
+}
+
+// ------------------------ IMAGES ------------------------
+router.use('/images', express.static(REWARD_IMAGE_DIR, { fallthrough: false }));
+
+// ------------------------ ORDERS (user) ------------------------
+/**
+ * POST /api/rewards/orders
+ * Auth required
+ *
+ * Body: { "itemId": 3, "quantity": 1, "shippingAddress": "...", "note": "..." }
+ * - points are debited (reward_redeem ledger entry) and stock reserved in one transaction
+ * - shippingAddress defaults to the user's residentialAddress
+ */
+router.post('/orders', authRequired, (req, res) => {
+  try {
+    const { itemId, quantity = 1, shippingAddress, note } = req.body || {};
+    const qty = Number(quantity);
+    if (!isPosInt(qty) || qty > 100) return res.status(400).json({ error: 'quantity must be between 1 and 100' });
+
+    const user = db.prepare('SELECT id, userCode, residentialAddress FROM users WHERE id = ?').get(req.user.id);
+    if (!user) return res.status(404).json({ error: 'user not found' });
+
+    const address = String(shippingAddress || user.residentialAddress || '').trim();
+    if (!address) return res.status(400).json({ error: 'shippingAddress is required' });
+
+    const orderTx = db.transaction(() => {
+      const item = db.prepare('SELECT * FROM reward_items WHERE id = ?').get(Number(itemId));
+      if (!item || !item.active) return { status: 404, body: { error: 'reward not found' } };
+
+      const total = item.pointsCost * qty;
+      const balance = getEffectiveBalance(user.id);
+      if (balance < total) {
+        return { status: 400, body: { error: 'insufficient points', balance, required: total } };
+      }
+
+      const stockUpd = db.prepare(`
+        UPDATE reward_items SET stock = stock - ?, updatedAt = ?
+        WHERE id = ? AND stock IS NOT NULL AND stock >= ?
+      `);
+      if (item.stock !== null && stockUpd.run(qty, now(), item.id, qty).changes !== 1) {
+        return { status: 409, body: { error: 'out of stock', stock: item.stock } };
+      }
+
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO reward_orders
+          (userId, itemId, quantity, pointsCost, pointsTotal, status, shippingAddress, note, createdAt, updatedAt)
+        VALUES (?,?,?,?,?,'pending',?,?,?,?)
+      `).run(user.id, item.id, qty, item.pointsCost, total, address, note ? String(note) : null, now(), now());
+      const orderId = Number(lastInsertRowid);
+
+      const txnId = postSystemEntry('reward_redeem', user.id, -total, {
+        sourceType: 'reward_order',
+        sourceRef: String(orderId),
+        memo: item.name,
+      });
+      db.prepare('UPDATE reward_orders SET txnId = ? WHERE id = ?').run(txnId, orderId);
+
+      return { status: 201, body: { ...getOrder(orderId), balanceAfter: getEffectiveBalance(user.id) } };
+    });
+
+    const result = orderTx();
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('[rewards.order] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/rewards/orders
+ * Auth required - the caller's own orders, latest first
+ */
+router.get('/orders', authRequired, (req, res) => {
+  try {
+    const items = db.prepare(`${ORDER_SELECT} WHERE o.userId = ? ORDER BY o.id DESC`).all(req.user.id);
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[rewards.orders.mine] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ ORDERS (staff) ------------------------
+/**
+ * GET /api/rewards/orders/all
+ * Permission: reward_orders:read
+ * Optional: ?status=pending
+ */
+router.get('/orders/all', authRequired, requirePermission('reward_orders:read'), (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !ORDER_TRANSITIONS[status]) return res.status(400).json({ error: 'unknown status' });
+
+    const items = status
+      ? db.prepare(`${ORDER_SELECT} WHERE o.status = ? ORDER BY o.id DESC`).all(status)
+      : db.prepare(`${ORDER_SELECT} ORDER BY o.id DESC`).all();
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[rewards.orders.all] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/rewards/orders/:id/status
+ * Permission: reward_orders:manage
+ *
+ * Body: { "status": "approved" | "dispatched" | "delivered" | "rejected", "note": "...", "trackingRef": "..." }
+ * - rejected refunds the points (reward_refund ledger entry) and restocks the item
+ */
+router.post('/orders/:id/status', authRequired, requirePermission('reward_orders:manage'), (req, res) => {
+  try {
+    const { status, note, trackingRef } = req.body || {};
+
+    const tx = db.transaction(() => {
+      const order = db.prepare('SELECT * FROM reward_orders WHERE id = ?').get(Number(req.params.id));
+      if (!order) return { status: 404, body: { error: 'order not found' } };
+
+      const allowed = ORDER_TRANSITIONS[order.status] || [];
+      if (!allowed.includes(status)) {
+        return {
+          status: 409,
+          body: { error: `cannot move order from ${order.status} to ${status}`, allowed }
+        };
+      }
+
+      const at = now();
+      const stampCol = { approved: 'approvedAt', dispatched: 'dispatchedAt', delivered: 'deliveredAt', rejected: 'rejectedAt' }[status];
+
+      const upd = db.prepare(`
+        UPDATE reward_orders
+        SET status = ?, ${stampCol} = ?, updatedAt = ?,
+            adminNote = COALESCE(?, adminNote), trackingRef = COALESCE(?, trackingRef)
+        WHERE id = ? AND status = ?
+      `).run(status, at, at, note ? String(note) : null, trackingRef ? String(trackingRef) : null, order.id, order.status);
+      if (upd.changes !== 1) return { status: 409, body: { error: 'order changed, reload and retry' } };
+
+      if (status === 'rejected') {
+        const refundTxnId = postSystemEntry('reward_refund', order.userId, order.pointsTotal, {
+          sourceType: 'reward_order',
+          sourceRef: String(order.id),
+          memo: note ? String(note) : null,
+        });
+        db.prepare('UPDATE reward_orders SET refundTxnId = ? WHERE id = ?').run(refundTxnId, order.id);
+        db.prepare('UPDATE reward_items SET stock = stock + ? WHERE id = ? AND stock IS NOT NULL')
+          .run(order.quantity, order.itemId);
+      }
+
+      return { status: 200, body: getOrder(order.id) };
+    });
+
+    const result = tx();
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('[rewards.orders.status] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ CATALOG ------------------------
+/**
+ * GET /api/rewards
+ * Auth required - active rewards; with rewards:manage ?all=1 includes inactive ones
+ */
+router.get('/', authRequired, (req, res) => {
+  try {
+    const all = hasPermission(req.user, 'rewards:manage') && (req.query.all === '1' || req.query.all === 'true');
+    const rows = db.prepare(`
+      SELECT * FROM reward_items ${all ? '' : 'WHERE active = 1'} ORDER BY pointsCost ASC, id ASC
+    `).all();
+    const items = rows.map(toItem);
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[rewards.list] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/rewards/:id
+ * Auth required
+ */
+router.get('/:id', authRequired, (req, res) => {
+  try {
+    const item = getItem(Number(req.params.id));
+    if (!item || (!item.active && !hasPermission(req.user, 'rewards:manage'))) {
+      return res.status(404).json({ error: 'reward not found' });
+    }
+    res.json(item);
+  } catch (err) {
+    console.error('[rewards.detail] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/rewards
+ * Permission: rewards:manage
+ * Body: { "name": "Tea mug", "description": "...", "pointsCost": 500, "stock": 20, "active": true }
+ * - stock omitted/null = unlimited
+ */
+router.post('/', authRequired, requirePermission('rewards:manage'), (req, res) => {
+  try {
+    const parsed = parseItemInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO reward_items (name, description, pointsCost, stock, active, createdAt, updatedAt)
+      VALUES (?,?,?,?,?,?,?)
+    `).run(v.name, v.description, v.pointsCost, v.stock, v.active, now(), now());
+
+    res.status(201).json(getItem(Number(lastInsertRowid)));
+  } catch (err) {
+    console.error('[rewards.create] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/rewards/:id
+ * Permission: rewards:manage - any of name, description, pointsCost, stock, active
+ * (pending orders keep the pointsCost they were placed at)
+ */
+router.put('/:id', authRequired, requirePermission('rewards:manage'), (req, res) => {
+  try {
+    const current = db.prepare('SELECT * FROM reward_items WHERE id = ?').get(Number(req.params.id));
+    if (!current) return res.status(404).json({ error: 'reward not found' });
+
+    const parsed = parseItemInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    db.prepare(`
+      UPDATE reward_items
+      SET name = ?, description = ?, pointsCost = ?, stock = ?, active = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(v.name, v.description, v.pointsCost, v.stock, v.active, now(), current.id);
+
+    res.json(getItem(current.id));
+  } catch (err) {
+    console.error('[rewards.update] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/rewards/:id/image
+ * Permission: rewards:manage
+ * Body: raw image bytes, Content-Type image/png | image/jpeg | image/webp | image/gif (max 5 MB)
+ */
+router.put(
+  '/:id/image',
+  authRequired,
+  requirePermission('rewards:manage'),
+  express.raw({ type: Object.keys(IMAGE_TYPES), limit: '5mb' }),
+  (req, res) => {
+    try {
+      const current = db.prepare('SELECT * FROM reward_items WHERE id = ?').get(Number(req.params.id));
+      if (!current) return res.status(404).json({ error: 'reward not found' });
+
+      const ext = IMAGE_TYPES[String(req.headers['content-type'] || '').split(';')[0].trim()];
+      if (!ext) return res.status(415).json({ error: `Content-Type must be one of ${Object.keys(IMAGE_TYPES).join(', ')}` });
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ error: 'image body is empty' });
+
+      fs.mkdirSync(REWARD_IMAGE_DIR, { recursive: true });
+      const fileName = `${current.id}-${Date.now()}.${ext}`;
+      fs.writeFileSync(path.join(REWARD_IMAGE_DIR, fileName), req.body);
+
+      if (current.imagePath) {
+        fs.rm(path.join(UPLOAD_DIR, current.imagePath), { force: true }, () => {});
+      }
+      db.prepare('UPDATE reward_items SET imagePath = ?, updatedAt = ? WHERE id = ?')
+        .run(`rewards/${fileName}`, now(), current.id);
+
+      res.json(getItem(current.id));
+    } catch (err) {
+      console.error('[rewards.image] error:', err);
+      return res.status(500).json({ error: 'internal server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/rewards/:id
+ * Permission: rewards:manage - deactivates (orders keep pointing at the item)
+ */
+router.delete('/:id', authRequired, requirePermission('rewards:manage'), (req, res) => {
+  try {
+    const info = db.prepare('UPDATE reward_items SET active = 0, updatedAt = ? WHERE id = ?')
+      .run(now(), Number(req.params.id));
+    if (info.changes !== 1) return res.status(404).json({ error: 'reward not found' });
+    res.json(getItem(Number(req.params.id)));
+  } catch (err) {
+    console.error('[rewards.deactivate] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+// src/routes/roles.routes.js
+const express = require('express');
+const { db, now } = require('../db');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  isKnownPermission,
+  getRole,
+  listRoles,
+  setRolePermissions,
+  countSuperUsers,
+  assignRole,
+} = require('../services/permissions');
+
+const router = express.Router();
+
+// ------------------------ helpers ------------------------
+// validates { name, description, permissions }
+function parseRoleInput(body, current = {}) {
+  const merged = { ...current, ...body };
+
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+
+  const description = merged.description ? String(merged.description).trim() : null;
+
+  const permissions = merged.permissions ?? [];
+  if (!Array.isArray(permissions)) return { error: 'permissions must be an array' };
+  const unknown = permissions.filter(p => !isKnownPermission(p));
+  if (unknown.length) return { error: `unknown permissions: ${unknown.join(', ')}` };
+
+  return { value: { name, description, permissions } };
+}
+
+// throwing inside db.transaction rolls the change back
+const noSuperUserLeft = () => Object.assign(new Error('no super user left'), {
+  result: { status: 409, body: { error: 'at least one user must keep the * permission' } },
+});
+
+function runGuarded(res, fn) {
+  try {
+    return db.transaction(fn)();
+  } catch (e) {
+    if (e.result) return res.status(e.result.status).json(e.result.body);
+    throw e;
+  }
+}
+
+// ------------------------ LIST ------------------------
+/**
+ * GET /api/roles
+ * Permission: roles:read - roles with their permissions + the permission catalog
+ */
+router.get('/', authRequired, requirePermission('roles:read'), (req, res) => {
+  try {
+    const items = listRoles();
+    res.json({ count: items.length, items, permissions: PERMISSIONS });
+  } catch (err) {
+    console.error('[roles.list] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ CREATE ------------------------
+/**
+ * POST /api/roles
+ * Permission: roles:manage
+ *
+ * Body: { "code": "warehouse", "name": "Warehouse", "permissions": ["reward_orders:read"] }
+ */
+router.post('/', authRequired, requirePermission('roles:manage'), (req, res) => {
+  try {
+    const code = String(req.body?.code || '').trim().toLowerCase();
+    if (!/^[a-z][a-z0-9_]{1,31}$/.test(code)) {
+      return res.status(400).json({ error: 'code must be 2-32 chars (a-z, 0-9, _), starting with a letter' });
+    }
+    if (getRole(code)) return res.status(409).json({ error: 'role code already exists' });
+
+    const parsed = parseRoleInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    db.transaction(() => {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO roles (code, name, description, builtin, createdAt, updatedAt) VALUES (?,?,?,0,?,?)
+      `).run(code, v.name, v.description, now(), now());
+      setRolePermissions(lastInsertRowid, v.permissions);
+    })();
+
+    return res.status(201).json(getRole(code));
+  } catch (err) {
+    console.error('[roles.create] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ ASSIGN ------------------------
+/**
+ * PUT /api/roles/users/:uid
+ * Permission: roles:manage
+ *
+ * Body: { "role": "retailer" }
+ * - takes effect on the user's next request (roles are re-read every time)
+ */
+router.put('/users/:uid', authRequired, requirePermission('roles:manage'), (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, userCode, role FROM users WHERE userCode = ?').get(req.params.uid);
+    if (!user) return res.status(404).json({ error: 'user not found for given uid' });
+
+    const result = assignRole(user.id, String(req.body?.role || '').trim());
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.json({ ok: true, userId: user.userCode, from: result.from, role: result.to });
+  } catch (err) {
+    console.error('[roles.assign] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ UPDATE ------------------------
+/**
+ * PUT /api/roles/:code
+ * Permission: roles:manage - any of name, description, permissions (replaces the list)
+ */
+router.put('/:code', authRequired, requirePermission('roles:manage'), (req, res) => {
+  try {
+    const current = getRole(req.params.code);
+    if (!current) return res.status(404).json({ error: 'role not found' });
+
+    const parsed = parseRoleInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    return runGuarded(res, () => {
+      db.prepare('UPDATE roles SET name = ?, description = ?, updatedAt = ? WHERE id = ?')
+        .run(v.name, v.description, now(), current.id);
+      setRolePermissions(current.id, v.permissions);
+      if (countSuperUsers() === 0) throw noSuperUserLeft();
+      return res.json(getRole(current.code));
+    });
+  } catch (err) {
+    console.error('[roles.update] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ DELETE ------------------------
+/**
+ * DELETE /api/roles/:code
+ * Permission: roles:manage - custom roles without users only
+ */
+router.delete('/:code', authRequired, requirePermission('roles:manage'), (req, res) => {
+  try {
+    const role = getRole(req.params.code);
+    if (!role) return res.status(404).json({ error: 'role not found' });
+    if (role.builtin) return res.status(409).json({ error: 'built-in roles cannot be deleted' });
+    if (role.userCount > 0) {
+      return res.status(409).json({ error: 'role still has users, reassign them first', userCount: role.userCount });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM role_permissions WHERE roleId = ?').run(role.id);
+      db.prepare('DELETE FROM roles WHERE id = ?').run(role.id);
+    })();
+    return res.json({ ok: true, code: role.code });
+  } catch (err) {
+    console.error('[roles.delete] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+module.exports = router;
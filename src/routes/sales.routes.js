@@ -1,41 +1,391 @@
+// src/routes/sales.routes.js
 const express = require('express');
 const { db, now } = require('../db');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const {
+  listTaxRates,
+  getTaxRate,
+  getOrder,
+  listOrders,
+  createOrder,
+  updateDraft,
+  confirmOrder,
+  cancelOrder,
+  createCreditNote,
+} = require('../services/sales');
+const { getSku } = require('../services/skus');
+const { getRule, listRules, parseRuleInput, createRule, updateRule } = require('../services/saleRewards');
 
 const router = express.Router();
 
-// POST /api/sales  { skuNumber OR skuId, quantity }
-router.post('/', authRequired, (req, res) => {
-  const { skuNumber, skuId, quantity } = req.body || {};
-  const qty = Number(quantity || 0);
-  if ((!skuNumber && !skuId) || !qty || qty < 1) {
-    return res.status(400).json({ error: 'skuNumber or skuId and positive quantity required' });
+// ------------------------ helpers ------------------------
+// older clients post one SKU: { skuNumber | skuId, quantity } -> confirmed one-line order
+function orderInput(body) {
+  if (!Array.isArray(body.lines) && (body.skuNumber || body.skuId)) {
+    return {
+      input: { lines: [{ skuNumber: body.skuNumber, skuId: body.skuId, quantity: body.quantity }] },
+      confirm: true,
+    };
   }
+  return { input: body, confirm: body.confirm === true };
+}
+
+// the rep who booked it, or staff
+function canSee(req, order) {
+  return order.userId === req.user.id || hasPermission(req.user, 'sales:read');
+}
+
+function canEdit(req, order) {
+  return order.userId === req.user.id || hasPermission(req.user, 'sales:manage');
+}
+
+function paging(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, offset: (page - 1) * limit };
+}
 
-  const sku = skuId
-    ? db.prepare('SELECT id, price FROM skus WHERE id=?').get(skuId)
-    : db.prepare('SELECT id, price FROM skus WHERE number=?').get(skuNumber);
+function parseTaxRateInput(body, current = {}) {
+  const merged = { ...current, ...body };
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+  const rate = Number(merged.rate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) return { error: 'rate must be a percent between 0 and 100' };
+  return {
+    value: {
+      name,
+      rate,
+      isDefault: merged.isDefault ? 1 : 0,
+      active: merged.active === undefined ? 1 : (merged.active ? 1 : 0),
+    }
+  };
+}
+
+// only one default rate at a time
+function saveTaxRate(id, v) {
+  db.transaction(() => {
+    if (v.isDefault) db.prepare('UPDATE tax_rates SET isDefault = 0 WHERE id <> ?').run(id);
+    db.prepare('UPDATE tax_rates SET name = ?, rate = ?, isDefault = ?, active = ?, updatedAt = ? WHERE id = ?')
+      .run(v.name, v.rate, v.isDefault, v.active, now(), id);
+  })();
+}
+
+// ------------------------ TAX RATES ------------------------
+/**
+ * GET /api/sales/tax-rates
+ * Auth required - active rates; with sales:manage ?all=1 includes inactive ones
+ */
+router.get('/tax-rates', authRequired, (req, res) => {
+  try {
+    const all = hasPermission(req.user, 'sales:manage') && (req.query.all === '1' || req.query.all === 'true');
+    const items = listTaxRates({ all });
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[sales.taxRates] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
 
-  if (!sku) return res.status(404).json({ error: 'sku not found' });
+/**
+ * POST /api/sales/tax-rates
+ * Permission: sales:manage
+ * Body: { "code": "GST", "name": "GST", "rate": 17, "isDefault": false }
+ * - rate is a percent; existing orders keep the rate they were booked with
+ */
+router.post('/tax-rates', authRequired, requirePermission('sales:manage'), (req, res) => {
+  try {
+    const code = String(req.body?.code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_]{1,16}$/.test(code)) return res.status(400).json({ error: 'code must be 1-16 chars (A-Z, 0-9, _)' });
+    if (getTaxRate(code)) return res.status(409).json({ error: 'tax rate code already exists' });
 
-  const total = Number((sku.price * qty).toFixed(2));
-  const ins = db.prepare('INSERT INTO sales (userId, skuId, quantity, total, createdAt) VALUES (?,?,?,?,?)');
-  const { lastInsertRowid } = ins.run(req.user.id, sku.id, qty, total, now());
+    const parsed = parseTaxRateInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
 
-  res.status(201).json({ id: Number(lastInsertRowid), skuId: sku.id, quantity: qty, total });
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO tax_rates (code, name, rate, isDefault, active, createdAt, updatedAt) VALUES (?,?,?,0,1,?,?)
+    `).run(code, parsed.value.name, parsed.value.rate, now(), now());
+    saveTaxRate(Number(lastInsertRowid), parsed.value);
+
+    res.status(201).json(getTaxRate(code));
+  } catch (err) {
+    console.error('[sales.createTaxRate] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/sales/tax-rates/:code
+ * Permission: sales:manage - any of name, rate, isDefault, active
+ */
+router.put('/tax-rates/:code', authRequired, requirePermission('sales:manage'), (req, res) => {
+  try {
+    const current = getTaxRate(req.params.code);
+    if (!current) return res.status(404).json({ error: 'tax rate not found' });
+
+    const parsed = parseTaxRateInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (parsed.value.isDefault && !parsed.value.active) {
+      return res.status(400).json({ error: 'the default tax rate must be active' });
+    }
+
+    saveTaxRate(current.id, parsed.value);
+    res.json(getTaxRate(current.code));
+  } catch (err) {
+    console.error('[sales.updateTaxRate] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
 });
 
-// GET /api/sales (mine)
+// ------------------------ POINT RULES ------------------------
+/**
+ * GET /api/sales/point-rules?sku=SKU-100
+ * Auth required - active rules; with points:manage ?all=1 includes inactive ones
+ */
+router.get('/point-rules', authRequired, (req, res) => {
+  try {
+    let skuId;
+    if (req.query.sku) {
+      const sku = getSku(req.query.sku);
+      if (!sku) return res.status(404).json({ error: 'sku not found' });
+      skuId = sku.id;
+    }
+    const all = hasPermission(req.user, 'points:manage') && (req.query.all === '1' || req.query.all === 'true');
+    const items = listRules({ skuId, all });
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[sales.pointRules] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/sales/point-rules
+ * Permission: points:manage
+ *
+ * Body: { "sku": "SKU-100", "mode": "per_unit" | "percent", "value": 5,
+ *         "startsAt": "2026-01-01", "endsAt": null, "dailyCap": 500 }
+ * - per_unit: value points per unit sold; percent: value % of the line amount before tax
+ * - dailyCap: max points one user earns from this rule per day
+ */
+router.post('/point-rules', authRequired, requirePermission('points:manage'), (req, res) => {
+  try {
+    const sku = req.body?.sku ? getSku(req.body.sku) : null;
+    if (!sku) return res.status(404).json({ error: 'sku not found' });
+
+    const parsed = parseRuleInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const result = createRule(sku.id, parsed.value);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json(result.rule);
+  } catch (err) {
+    console.error('[sales.createPointRule] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/sales/point-rules/:id
+ * Permission: points:manage - any of mode, value, startsAt, endsAt, dailyCap, active
+ * (points already earned are not recomputed)
+ */
+router.put('/point-rules/:id', authRequired, requirePermission('points:manage'), (req, res) => {
+  try {
+    const current = getRule(Number(req.params.id));
+    if (!current) return res.status(404).json({ error: 'rule not found' });
+
+    const parsed = parseRuleInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    res.json(updateRule(current.id, parsed.value).rule);
+  } catch (err) {
+    console.error('[sales.updatePointRule] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/sales/point-rules/:id
+ * Permission: points:manage - deactivates
+ */
+router.delete('/point-rules/:id', authRequired, requirePermission('points:manage'), (req, res) => {
+  try {
+    const current = getRule(Number(req.params.id));
+    if (!current) return res.status(404).json({ error: 'rule not found' });
+    res.json(updateRule(current.id, { ...current, active: 0 }).rule);
+  } catch (err) {
+    console.error('[sales.deletePointRule] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ ORDERS ------------------------
+/**
+ * POST /api/sales
+ * Auth required - the caller is the rep on the order
+ *
+ * Body: {
+ *   "customer": { "uid": "AB12CD34", "name": "Corner Store", "phone": "+92..." },
+ *   "lines": [{ "sku": "SKU-100", "quantity": 10, "discount": { "type": "percent", "value": 5 }, "taxRate": "STD" }],
+ *   "discount": { "type": "amount", "value": 50 },
+ *   "note": "...",
+ *   "confirm": true            // false/omitted = draft
+ * }
+ * - prices come from the SKUs; lines without taxRate use the default rate
+ * - confirming earns points by the SKUs' point rules (see /point-rules)
+ * - { "skuNumber" | "skuId", "quantity" } still works and books a confirmed one-line order
+ */
+router.post('/', authRequired, (req, res) => {
+  try {
+    const { input, confirm } = orderInput(req.body || {});
+    const result = createOrder(req.user.id, input, { confirm });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json(result.order);
+  } catch (err) {
+    console.error('[sales.create] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/sales?status=&page=&limit=
+ * Auth required - orders booked by the caller
+ */
 router.get('/', authRequired, (req, res) => {
-  const rows = db.prepare(`
-    SELECT s.id, s.quantity, s.total, s.createdAt,
-           sk.number AS skuNumber, sk.name AS skuName, sk.price AS skuPrice
-    FROM sales s
-    JOIN skus sk ON sk.id = s.skuId
-    WHERE s.userId = ?
-    ORDER BY s.id DESC
-  `).all(req.user.id);
-  res.json(rows);
+  try {
+    const { limit, page, offset } = paging(req.query);
+    const { total, items } = listOrders({ userId: req.user.id, status: req.query.status, limit, offset });
+    res.json({ total, page, limit, count: items.length, items });
+  } catch (err) {
+    console.error('[sales.mine] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/sales/all?status=&uid=&from=&to=&q=&page=&limit=
+ * Permission: sales:read - q matches invoice number, customer name or phone
+ */
+router.get('/all', authRequired, requirePermission('sales:read'), (req, res) => {
+  try {
+    let userId;
+    if (req.query.uid) {
+      const u = db.prepare('SELECT id FROM users WHERE userCode = ?').get(String(req.query.uid));
+      if (!u) return res.status(404).json({ error: 'user not found for given uid' });
+      userId = u.id;
+    }
+    const { limit, page, offset } = paging(req.query);
+    const { total, items } = listOrders({
+      userId,
+      status: req.query.status,
+      from: req.query.from,
+      to: req.query.to,
+      q: req.query.q ? String(req.query.q).trim() : null,
+      limit,
+      offset,
+    });
+    res.json({ total, page, limit, count: items.length, items });
+  } catch (err) {
+    console.error('[sales.all] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/sales/:id
+ * Auth required - own orders, or sales:read; with lines and credit notes
+ */
+router.get('/:id', authRequired, (req, res) => {
+  try {
+    const order = getOrder(Number(req.params.id));
+    if (!order || !canSee(req, order)) return res.status(404).json({ error: 'order not found' });
+    res.json(order);
+  } catch (err) {
+    console.error('[sales.get] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/sales/:id
+ * Auth required - own drafts, or sales:manage; body as POST (replaces customer, lines, discount)
+ */
+router.put('/:id', authRequired, (req, res) => {
+  try {
+    const order = getOrder(Number(req.params.id));
+    if (!order || !canSee(req, order)) return res.status(404).json({ error: 'order not found' });
+    if (!canEdit(req, order)) return res.status(403).json({ error: 'missing permission: sales:manage', errorCode: 'FORBIDDEN' });
+
+    const result = updateDraft(order.id, req.body || {});
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json(result.order);
+  } catch (err) {
+    console.error('[sales.update] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/sales/:id/confirm
+ * Auth required - own drafts, or sales:manage; assigns the invoice number
+ */
+router.post('/:id/confirm', authRequired, (req, res) => {
+  try {
+    const order = getOrder(Number(req.params.id));
+    if (!order || !canSee(req, order)) return res.status(404).json({ error: 'order not found' });
+    if (!canEdit(req, order)) return res.status(403).json({ error: 'missing permission: sales:manage', errorCode: 'FORBIDDEN' });
+
+    const result = confirmOrder(order.id);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json(result.order);
+  } catch (err) {
+    console.error('[sales.confirm] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/sales/:id/cancel
+ * Auth required - own drafts; confirmed orders need sales:manage
+ * Body: { "reason": "optional" }
+ */
+router.post('/:id/cancel', authRequired, (req, res) => {
+  try {
+    const order = getOrder(Number(req.params.id));
+    if (!order || !canSee(req, order)) return res.status(404).json({ error: 'order not found' });
+    const allowed = hasPermission(req.user, 'sales:manage') || (order.status === 'draft' && order.userId === req.user.id);
+    if (!allowed) return res.status(403).json({ error: 'missing permission: sales:manage', errorCode: 'FORBIDDEN' });
+
+    const result = cancelOrder(order.id, req.body?.reason ? String(req.body.reason).trim() : null);
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json(result.order);
+  } catch (err) {
+    console.error('[sales.cancel] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/sales/:id/returns
+ * Permission: sales:manage
+ *
+ * Body: { "lines": [{ "lineId": 12, "quantity": 2 }], "reason": "damaged" }
+ * - issues a credit note (CN-...) for the returned units
+ */
+router.post('/:id/returns', authRequired, requirePermission('sales:manage'), (req, res) => {
+  try {
+    const result = createCreditNote(Number(req.params.id), {
+      items: req.body?.lines,
+      reason: req.body?.reason ? String(req.body.reason).trim() : null,
+      userId: req.user.id,
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json({ creditNote: result.creditNote, order: result.order });
+  } catch (err) {
+    console.error('[sales.return] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,252 @@
+// src/routes/skus.routes.js
+const express = require('express');
+const { db, now } = require('../db');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const {
+  getSku,
+  listSkus,
+  parseSkuInput,
+  createSku,
+  updateSku,
+  setArchived,
+  listPriceHistory,
+  listCategories,
+  getCategory,
+} = require('../services/skus');
+
+const router = express.Router();
+
+const STATUSES = ['sellable', 'active', 'inactive', 'archived', 'all'];
+
+// validates { name, description }
+function parseCategoryInput(body, current = {}) {
+  const merged = { ...current, ...body };
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+  return { value: { name, description: merged.description ? String(merged.description).trim() : null } };
+}
+
+// ------------------------ CATEGORIES ------------------------
+/**
+ * GET /api/skus/categories
+ * Auth required - with the number of (not archived) SKUs in each
+ */
+router.get('/categories', authRequired, (req, res) => {
+  try {
+    const items = listCategories();
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[skus.categories] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/skus/categories
+ * Permission: skus:manage
+ * Body: { "name": "Tea", "description": "..." }
+ */
+router.post('/categories', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const parsed = parseCategoryInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    if (db.prepare('SELECT 1 FROM sku_categories WHERE name = ?').get(v.name)) {
+      return res.status(409).json({ error: 'category already exists' });
+    }
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO sku_categories (name, description, createdAt, updatedAt) VALUES (?,?,?,?)
+    `).run(v.name, v.description, now(), now());
+
+    res.status(201).json(getCategory(lastInsertRowid));
+  } catch (err) {
+    console.error('[skus.createCategory] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/skus/categories/:id
+ * Permission: skus:manage - any of name, description
+ */
+router.put('/categories/:id', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const current = getCategory(req.params.id);
+    if (!current) return res.status(404).json({ error: 'category not found' });
+
+    const parsed = parseCategoryInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    if (db.prepare('SELECT 1 FROM sku_categories WHERE name = ? AND id <> ?').get(v.name, current.id)) {
+      return res.status(409).json({ error: 'category already exists' });
+    }
+    db.prepare('UPDATE sku_categories SET name = ?, description = ?, updatedAt = ? WHERE id = ?')
+      .run(v.name, v.description, now(), current.id);
+
+    res.json(getCategory(current.id));
+  } catch (err) {
+    console.error('[skus.updateCategory] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/skus/categories/:id
+ * Permission: skus:manage - archived SKUs in it lose their category
+ */
+router.delete('/categories/:id', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const current = getCategory(req.params.id);
+    if (!current) return res.status(404).json({ error: 'category not found' });
+    if (current.skuCount > 0) {
+      return res.status(409).json({ error: 'category still has SKUs, move them first', skuCount: current.skuCount });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE skus SET categoryId = NULL WHERE categoryId = ?').run(current.id);
+      db.prepare('DELETE FROM sku_categories WHERE id = ?').run(current.id);
+    })();
+    res.json({ ok: true, id: current.id });
+  } catch (err) {
+    console.error('[skus.deleteCategory] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ CATALOG ------------------------
+/**
+ * GET /api/skus?q=&categoryId=&status=
+ * Auth required - sellable SKUs; with skus:manage status may be
+ * active | inactive | archived | all
+ */
+router.get('/', authRequired, (req, res) => {
+  try {
+    const status = hasPermission(req.user, 'skus:manage') && STATUSES.includes(req.query.status)
+      ? req.query.status
+      : 'sellable';
+    const items = listSkus({ q: String(req.query.q || '').trim(), categoryId: req.query.categoryId, status });
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error('[skus.list] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/skus/:id   (id or SKU number)
+ * Auth required - staff also get the price history
+ */
+router.get('/:id', authRequired, (req, res) => {
+  try {
+    const sku = getSku(req.params.id);
+    const manager = hasPermission(req.user, 'skus:manage');
+    if (!sku || (!sku.sellable && !manager)) return res.status(404).json({ error: 'sku not found' });
+
+    res.json(manager ? { ...sku, priceHistory: listPriceHistory(sku.id) } : sku);
+  } catch (err) {
+    console.error('[skus.get] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /api/skus/:id/prices
+ * Permission: skus:manage - newest first
+ */
+router.get('/:id/prices', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const sku = getSku(req.params.id);
+    if (!sku) return res.status(404).json({ error: 'sku not found' });
+    const items = listPriceHistory(sku.id);
+    res.json({ skuId: sku.id, number: sku.number, count: items.length, items });
+  } catch (err) {
+    console.error('[skus.prices] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/skus
+ * Permission: skus:manage
+ *
+ * Body: { "number": "SKU-400", "name": "White Tea Pack", "price": 250, "unit": "pack",
+ *         "barcode": "5012345678900", "categoryId": 1, "description": "...", "active": true }
+ */
+router.post('/', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const parsed = parseSkuInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const result = createSku(parsed.value, { userId: req.user.id });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.status(201).json(result.sku);
+  } catch (err) {
+    console.error('[skus.create] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/skus/:id
+ * Permission: skus:manage
+ *
+ * Body: any SKU field, plus "priceNote" stored with a price change
+ * - past sales keep the unitPrice they were made at
+ */
+router.put('/:id', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const current = getSku(req.params.id);
+    if (!current) return res.status(404).json({ error: 'sku not found' });
+
+    const { priceNote, ...body } = req.body || {};
+    const parsed = parseSkuInput(body, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const result = updateSku(current, parsed.value, {
+      userId: req.user.id,
+      note: priceNote ? String(priceNote).trim() : null,
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json({ ...result.sku, priceChanged: result.priceChanged });
+  } catch (err) {
+    console.error('[skus.update] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/skus/:id
+ * Permission: skus:manage - archives (soft delete); sales keep pointing at the SKU
+ */
+router.delete('/:id', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const sku = getSku(req.params.id);
+    if (!sku) return res.status(404).json({ error: 'sku not found' });
+    if (sku.archived) return res.status(409).json({ error: 'sku is already archived' });
+    res.json(setArchived(sku.id, true));
+  } catch (err) {
+    console.error('[skus.archive] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/skus/:id/restore
+ * Permission: skus:manage - brings an archived SKU back (active flag unchanged)
+ */
+router.post('/:id/restore', authRequired, requirePermission('skus:manage'), (req, res) => {
+  try {
+    const sku = getSku(req.params.id);
+    if (!sku) return res.status(404).json({ error: 'sku not found' });
+    if (!sku.archived) return res.status(409).json({ error: 'sku is not archived' });
+    res.json(setArchived(sku.id, false));
+  } catch (err) {
+    console.error('[skus.restore] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+module.exports = router;
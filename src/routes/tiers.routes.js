@@ -0,0 +1,151 @@
+// src/routes/tiers.routes.js
+const express = require('express');
+const { db } = require('../db');
+const { authRequired, requirePermission } = require('../middleware/auth');
+const { listTiers, createTier, evaluateAllTiers, getTierSummary } = require('../services/tiers');
+
+const router = express.Router();
+
+// ------------------------ helpers ------------------------
+// validates { code, name, minLifetimePoints, qrMultiplier, transferLimit, dailyTransferLimit }
+function parseTierInput(body, current = {}) {
+  const merged = { ...current, ...body };
+
+  const code = String(merged.code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_]{2,20}$/.test(code)) return { error: 'code must be 2-20 chars (A-Z, 0-9, _)' };
+
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+
+  const minLifetimePoints = Number(merged.minLifetimePoints);
+  if (!Number.isInteger(minLifetimePoints) || minLifetimePoints < 0) {
+    return { error: 'minLifetimePoints must be zero or a positive integer' };
+  }
+
+  const qrMultiplier = Number(merged.qrMultiplier ?? 1);
+  if (!Number.isFinite(qrMultiplier) || qrMultiplier < 1 || qrMultiplier > 10) {
+    return { error: 'qrMultiplier must be between 1 and 10' };
+  }
+
+  const limits = {};
+  for (const key of ['transferLimit', 'dailyTransferLimit']) {
+    limits[key] = null;
+    if (merged[key] !== undefined && merged[key] !== null && merged[key] !== '') {
+      limits[key] = Number(merged[key]);
+      if (!Number.isInteger(limits[key]) || limits[key] <= 0) {
+        return { error: `${key} must be a positive integer or null` };
+      }
+    }
+  }
+
+  return { value: { code, name, minLifetimePoints, qrMultiplier, ...limits } };
+}
+
+function sendUniqueError(res, e) {
+  if (String(e.message).includes('UNIQUE')) {
+    return res.status(409).json({ error: 'tier code and minLifetimePoints must be unique' });
+  }
+  throw e;
+}
+
+// ------------------------ LIST ------------------------
+/**
+ * GET /api/tiers
+ * Auth required - all tiers (lowest first) + the caller's progress
+ */
+router.get('/', authRequired, (req, res) => {
+  try {
+    res.json({ items: listTiers(), mine: getTierSummary(req.user.id) });
+  } catch (err) {
+    console.error('[tiers.list] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// ------------------------ ADMIN ------------------------
+/**
+ * POST /api/tiers
+ * Permission: tiers:manage
+ * Body: { "code": "GOLD", "name": "Gold", "minLifetimePoints": 1000, "qrMultiplier": 1.25, "transferLimit": 2000, "dailyTransferLimit": 5000 }
+ * - every user is re-evaluated afterwards
+ */
+router.post('/', authRequired, requirePermission('tiers:manage'), (req, res) => {
+  try {
+    const parsed = parseTierInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    try {
+      createTier(parsed.value);
+    } catch (e) {
+      return sendUniqueError(res, e);
+    }
+
+    res.status(201).json({ items: listTiers(), reevaluated: evaluateAllTiers() });
+  } catch (err) {
+    console.error('[tiers.create] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PUT /api/tiers/:id
+ * Permission: tiers:manage - any of code, name, minLifetimePoints, qrMultiplier, transferLimit, dailyTransferLimit
+ */
+router.put('/:id', authRequired, requirePermission('tiers:manage'), (req, res) => {
+  try {
+    const current = db.prepare('SELECT * FROM tiers WHERE id = ?').get(Number(req.params.id));
+    if (!current) return res.status(404).json({ error: 'tier not found' });
+
+    const parsed = parseTierInput(req.body || {}, current);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.value;
+
+    try {
+      db.prepare(`
+        UPDATE tiers SET code = ?, name = ?, minLifetimePoints = ?, qrMultiplier = ?, transferLimit = ?, dailyTransferLimit = ?
+        WHERE id = ?
+      `).run(v.code, v.name, v.minLifetimePoints, v.qrMultiplier, v.transferLimit, v.dailyTransferLimit, current.id);
+    } catch (e) {
+      return sendUniqueError(res, e);
+    }
+
+    res.json({ items: listTiers(), reevaluated: evaluateAllTiers() });
+  } catch (err) {
+    console.error('[tiers.update] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/tiers/:id
+ * Permission: tiers:manage - members move to whichever tier now matches
+ */
+router.delete('/:id', authRequired, requirePermission('tiers:manage'), (req, res) => {
+  try {
+    const tx = db.transaction(() => {
+      db.prepare('UPDATE users SET tierId = NULL WHERE tierId = ?').run(Number(req.params.id));
+      return db.prepare('DELETE FROM tiers WHERE id = ?').run(Number(req.params.id)).changes;
+    });
+    if (tx() !== 1) return res.status(404).json({ error: 'tier not found' });
+
+    res.json({ items: listTiers(), reevaluated: evaluateAllTiers() });
+  } catch (err) {
+    console.error('[tiers.delete] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /api/tiers/reevaluate
+ * Permission: tiers:manage - recompute every user's tier
+ */
+router.post('/reevaluate', authRequired, requirePermission('tiers:manage'), (req, res) => {
+  try {
+    res.json(evaluateAllTiers());
+  } catch (err) {
+    console.error('[tiers.reevaluate] error:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+module.exports = router;
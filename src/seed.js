@@ -0,0 +1,52 @@
+// src/seed.js
+if (require.main === module) require('dotenv').config(); // before db.js reads DB_PATH
+const { db } = require('./db');
+const { seedDefaultRoles } = require('./services/permissions');
+
+/**
+ * Startup data (after migrations): built-in roles, the admin user, sample SKUs,
+ * tax rates, a default shift and tiers
+ *
+ * - every seed only adds what is missing, so running them again changes nothing;
+ *   each returns a log line when it added something, null otherwise
+ * - secrets (ADMIN_PASSWORD) are never logged
+ *
+ * CLI: npm run db:seed
+ */
+
+const SEEDS = [
+  ['admin', require('./seeds/admin')],
+  ['skus', require('./seeds/skus')],
+  ['taxRates', require('./seeds/taxRates')],
+  ['shifts', require('./seeds/shifts')],
+  ['tiers', require('./seeds/tiers')],
+];
+
+// returns the names of the seeds that added rows
+function runSeeds() {
+  seedDefaultRoles();
+  const added = [];
+  for (const [name, seed] of SEEDS) {
+    const message = db.transaction(seed)();
+    if (message) {
+      console.log(`[seed] ${message}`);
+      added.push(name);
+    }
+  }
+  return added;
+}
+
+module.exports = { runSeeds };
+
+// CLI: node src/seed.js
+if (require.main === module) {
+  try {
+    const { migrateOnStart } = require('./migrate');
+    migrateOnStart();
+    const added = runSeeds();
+    console.log(`[seed] done, ${added.length ? added.join(', ') : 'nothing to add'}`);
+  } catch (err) {
+    console.error('[seed] error:', err.message);
+    process.exitCode = 1;
+  }
+}
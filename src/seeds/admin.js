@@ -0,0 +1,33 @@
+// src/seeds/admin.js
+const bcrypt = require('bcryptjs');
+const { db, now, makeUserCode } = require('../db');
+
+/**
+ * The first admin, from ADMIN_EMAIL / ADMIN_PASSWORD, when no user has that email.
+ * The password is never logged; without ADMIN_PASSWORD the built-in default is
+ * used outside production only (change it after the first login).
+ */
+module.exports = function seedAdmin() {
+  const adminEmail = process.env.ADMIN_EMAIL || 'admin@example.com';
+  if (db.prepare('SELECT 1 FROM users WHERE email = ?').get(adminEmail)) return null;
+
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  if (!adminPassword && process.env.NODE_ENV === 'production') {
+    throw new Error('ADMIN_PASSWORD must be set to create the admin user in production');
+  }
+
+  // generate unique userCode
+  let userCode = makeUserCode();
+  while (db.prepare('SELECT 1 FROM users WHERE userCode=?').get(userCode)) {
+    userCode = makeUserCode();
+  }
+
+  db.prepare(`
+    INSERT INTO users (userCode, firstName, lastName, email, passwordHash, role, createdAt, emailVerifiedAt)
+    VALUES (?, 'Admin','User', ?, ?, 'admin', ?, ?)
+  `).run(userCode, adminEmail, bcrypt.hashSync(adminPassword || 'admin123', 10), now(), now());
+
+  return adminPassword
+    ? `admin ${adminEmail} created (password from ADMIN_PASSWORD)`
+    : `admin ${adminEmail} created with the default password, change it now`;
+};
@@ -0,0 +1,12 @@
+// src/seeds/shifts.js
+const { db, now } = require('../db');
+
+// a default 09:00-17:00 shift when there are none
+module.exports = function seedShifts() {
+  if (db.prepare('SELECT COUNT(*) AS c FROM shifts').get().c > 0) return null;
+
+  db.prepare(`
+    INSERT INTO shifts (name, startTime, endTime, graceMinutes, isDefault, createdAt, updatedAt) VALUES (?,?,?,?,1,?,?)
+  `).run('General', '09:00', '17:00', 10, now(), now());
+  return 'default shift added';
+};
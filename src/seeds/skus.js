@@ -0,0 +1,19 @@
+// src/seeds/skus.js
+const { db, now } = require('../db');
+
+// sample SKUs on an empty catalog, each with its first price
+module.exports = function seedSkus() {
+  if (db.prepare('SELECT COUNT(*) AS c FROM skus').get().c > 0) return null;
+
+  const ins = db.prepare('INSERT INTO skus (number, name, price, createdAt, updatedAt) VALUES (?,?,?,?,?)');
+  const price = db.prepare('INSERT INTO sku_price_history (skuId, price, effectiveFrom) VALUES (?,?,?)');
+  for (const [number, name, p] of [
+    ['SKU-100', 'Blue Tea Pack', 200],
+    ['SKU-200', 'Green Tea Pack', 180],
+    ['SKU-300', 'Black Tea Pack', 220],
+  ]) {
+    const { lastInsertRowid } = ins.run(number, name, p, now(), now());
+    price.run(lastInsertRowid, p, now());
+  }
+  return 'sample SKUs added';
+};
@@ -0,0 +1,14 @@
+// src/seeds/taxRates.js
+const { db, now } = require('../db');
+
+// standard + zero rate when there are none (SALES_TAX_RATE = percent of the default rate)
+module.exports = function seedTaxRates() {
+  if (db.prepare('SELECT COUNT(*) AS c FROM tax_rates').get().c > 0) return null;
+
+  const ins = db.prepare(`
+    INSERT INTO tax_rates (code, name, rate, isDefault, createdAt, updatedAt) VALUES (?,?,?,?,?,?)
+  `);
+  ins.run('STD', 'Standard', Number(process.env.SALES_TAX_RATE) || 0, 1, now(), now());
+  ins.run('ZERO', 'Zero rated', 0, 0, now(), now());
+  return 'tax rates added';
+};
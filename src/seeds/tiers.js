@@ -0,0 +1,13 @@
+// src/seeds/tiers.js
+const { db } = require('../db');
+const { createTier } = require('../services/tiers');
+
+// Silver / Gold / Platinum when there are no tiers
+module.exports = function seedTiers() {
+  if (db.prepare('SELECT COUNT(*) AS c FROM tiers').get().c > 0) return null;
+
+  createTier({ code: 'SILVER', name: 'Silver', minLifetimePoints: 0, qrMultiplier: 1, transferLimit: 500, dailyTransferLimit: 1000 });
+  createTier({ code: 'GOLD', name: 'Gold', minLifetimePoints: 1000, qrMultiplier: 1.25, transferLimit: 2000, dailyTransferLimit: 5000 });
+  createTier({ code: 'PLATINUM', name: 'Platinum', minLifetimePoints: 5000, qrMultiplier: 1.5, transferLimit: null, dailyTransferLimit: null });
+  return 'tiers added';
+};
@@ -4,10 +4,36 @@ const cors = require('cors');
 const morgan = require('morgan');
 const path = require('path');
 
-const { ensureDb } = require('./db');
+const { migrateOnStart } = require('./migrate');
+const { runSeeds } = require('./seed');
+const { migrateLegacyPoints, backfillLots } = require('./services/ledger');
+const { evaluateAllTiers } = require('./services/tiers');
+const { scheduleExpirySweep } = require('./jobs/expirePoints');
+const { scheduleBackups } = require('./jobs/backupDb');
+const { isDefaultSecret } = require('./services/sessions');
+const { migrateLegacySales } = require('./services/sales');
 
-// init DB / seed admin+skus (from ENV)
-ensureDb();
+// never sign tokens with the built-in fallback secret in production
+if (process.env.NODE_ENV === 'production' && isDefaultSecret()) {
+  console.error('[server] JWT_SECRET must be set in production, refusing to start');
+  process.exit(1);
+}
+
+// schema migrations, then roles / admin / sample data (from ENV)
+try {
+  migrateOnStart();
+  runSeeds();
+} catch (err) {
+  console.error('[server] database setup failed, refusing to start:', err.message);
+  process.exit(1);
+}
+// copy pre-ledger user_points rows into points_ledger (no-op once done)
+migrateLegacyPoints();
+backfillLots();
+// single-line sales rows become confirmed orders (no-op once done)
+migrateLegacySales();
+// tiers may have been (re)configured while the server was down
+evaluateAllTiers();
 
 const app = express();
 app.use(cors());
@@ -23,6 +49,15 @@ app.use('/api/points',     require('./routes/points.routes'));
 app.use('/api/profile', require('./routes/profile.routes'));
 //app.use('/api/qr',     require('./routes/qr.routes')); 
 app.use('/api/qr', require('./routes/qr.routes'));
+app.use('/api/api-keys', require('./routes/apikeys.routes'));
+app.use('/api/rewards', require('./routes/rewards.routes'));
+app.use('/api/tiers', require('./routes/tiers.routes'));
+app.use('/api/roles', require('./routes/roles.routes'));
+app.use('/api/admin/imports', require('./routes/imports.routes'));
+app.use('/api/admin', require('./routes/admin.routes'));
+app.use('/api/skus', require('./routes/skus.routes'));
+app.use('/api/sales', require('./routes/sales.routes'));
+app.use('/api/attendance', require('./routes/attendance.routes'));
 
 // ---- Admin Panel (static SPA) ----
 
@@ -43,4 +78,6 @@ app.get('/', (_, res) => res.status(404).json({
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log(`[server] listening on http://localhost:${PORT}`);
+  scheduleExpirySweep();
+  scheduleBackups();
 });
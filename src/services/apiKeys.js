@@ -0,0 +1,82 @@
+// src/services/apiKeys.js
+const crypto = require('crypto');
+const { db, now } = require('../db');
+
+/**
+ * API keys for machine clients (print vendor, scanners, ...)
+ *
+ * - raw key is shown once at creation: "ak_<prefix>_<secret>"
+ * - only sha256(raw key) is stored; keyPrefix is kept for display
+ * - scopes are stored comma separated
+ */
+
+const SCOPES = ['qr:generate', 'qr:read', 'qr:scan'];
+
+function hashKey(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+function toPublic(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.keyPrefix,
+    scopes: row.scopes ? row.scopes.split(',') : [],
+    expiresAt: row.expiresAt,
+    lastUsedAt: row.lastUsedAt,
+    lastUsedIp: row.lastUsedIp,
+    createdByUserId: row.createdByUserId,
+    createdAt: row.createdAt,
+    revokedAt: row.revokedAt,
+  };
+}
+
+// returns { key, record } - key is the only copy of the secret
+function createApiKey({ name, scopes, expiresAt, createdByUserId }) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `ak_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO api_keys (name, keyPrefix, keyHash, scopes, expiresAt, createdByUserId, createdAt)
+    VALUES (?,?,?,?,?,?,?)
+  `).run(name, prefix, hashKey(key), scopes.join(','), expiresAt || null, createdByUserId || null, now());
+
+  return { key, record: getApiKey(Number(lastInsertRowid)) };
+}
+
+function getApiKey(id) {
+  return toPublic(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+}
+
+function listApiKeys() {
+  return db.prepare('SELECT * FROM api_keys ORDER BY id DESC').all().map(toPublic);
+}
+
+function revokeApiKey(id) {
+  const info = db.prepare('UPDATE api_keys SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL').run(now(), id);
+  return info.changes === 1;
+}
+
+/**
+ * Looks up a raw key and records its use.
+ * Returns { ok: true, key } or { ok: false, error }
+ */
+function authenticateApiKey(raw, ip) {
+  const row = db.prepare('SELECT * FROM api_keys WHERE keyHash = ?').get(hashKey(raw));
+  if (!row) return { ok: false, error: 'invalid api key' };
+  if (row.revokedAt) return { ok: false, error: 'api key revoked' };
+  if (row.expiresAt && row.expiresAt <= now()) return { ok: false, error: 'api key expired' };
+
+  db.prepare('UPDATE api_keys SET lastUsedAt = ?, lastUsedIp = ? WHERE id = ?').run(now(), ip || null, row.id);
+  return { ok: true, key: toPublic(row) };
+}
+
+module.exports = {
+  SCOPES,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+};
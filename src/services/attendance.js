@@ -0,0 +1,379 @@
+// src/services/attendance.js
+const { db, now } = require('../db');
+
+/**
+ * Attendance geofencing (work_sites, user_work_sites, attendance)
+ *
+ * - a work site is a point + radius; users assigned to sites may only mark there,
+ *   users without assignments may mark at any active site
+ * - each IN/OUT is checked against the nearest allowed site (haversine distance);
+ *   the record keeps that site, the distance and the accuracy the client reported
+ * - with no active sites at all nothing is checked (geoStatus 'unchecked')
+ * - marks must alternate: IN while a shift is open or OUT without one is refused;
+ *   an IN older than ATTENDANCE_MAX_SHIFT_HOURS no longer counts as open (missing OUT)
+ * - staff corrections (add / edit / void) keep the old values in attendance_corrections
+ *
+ * ENV:
+ *   ATTENDANCE_GEOFENCE=reject        reject | flag (store it with geoStatus 'flagged') | off
+ *   ATTENDANCE_MAX_ACCURACY=          meters, unset = no limit; when set (e.g. 100) a fix less
+ *                                     accurate than this, or without an accuracy, counts as outside
+ *   ATTENDANCE_MAX_SHIFT_HOURS=16
+ */
+
+const FENCE_MODES = ['reject', 'flag', 'off'];
+const ACTIONS = ['IN', 'OUT'];
+const EARTH_RADIUS_M = 6371000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function fenceMode() {
+  const mode = String(process.env.ATTENDANCE_GEOFENCE || 'reject').trim().toLowerCase();
+  return FENCE_MODES.includes(mode) ? mode : 'reject';
+}
+
+// null = no accuracy limit (the default)
+function maxAccuracy() {
+  return Number(process.env.ATTENDANCE_MAX_ACCURACY) > 0 ? Number(process.env.ATTENDANCE_MAX_ACCURACY) : null;
+}
+
+function maxShiftMs() {
+  return (Number(process.env.ATTENDANCE_MAX_SHIFT_HOURS) > 0 ? Number(process.env.ATTENDANCE_MAX_SHIFT_HOURS) : 16) * HOUR_MS;
+}
+
+function fail(status, error, extra = {}) {
+  return { ok: false, status, body: { error, ...extra } };
+}
+
+// great-circle distance in meters
+function distanceMeters(a, b) {
+  const rad = d => d * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// ------------------------ sites ------------------------
+function toSite(row) {
+  return row ? { ...row, active: !!row.active } : null;
+}
+
+function getSite(id) {
+  return toSite(db.prepare(`
+    SELECT w.*, (SELECT COUNT(*) FROM user_work_sites x WHERE x.siteId = w.id) AS userCount
+    FROM work_sites w WHERE w.id = ?
+  `).get(Number(id)));
+}
+
+function listSites({ all = false } = {}) {
+  return db.prepare(`
+    SELECT w.*, (SELECT COUNT(*) FROM user_work_sites x WHERE x.siteId = w.id) AS userCount
+    FROM work_sites w ${all ? '' : 'WHERE w.active = 1'} ORDER BY w.name ASC
+  `).all().map(toSite);
+}
+
+function parseCoord(v, name, limit) {
+  const n = Number(v);
+  if (v === undefined || v === null || v === '' || !Number.isFinite(n) || Math.abs(n) > limit) {
+    return { error: `${name} must be a number between -${limit} and ${limit}` };
+  }
+  return { value: n };
+}
+
+// validates create/update body, `current` = existing site for updates
+function parseSiteInput(body, current = {}) {
+  const merged = { ...current, ...body };
+
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+
+  const lat = parseCoord(merged.lat, 'lat', 90);
+  if (lat.error) return { error: lat.error };
+  const lng = parseCoord(merged.lng, 'lng', 180);
+  if (lng.error) return { error: lng.error };
+
+  const radiusMeters = Number(merged.radiusMeters);
+  if (!Number.isInteger(radiusMeters) || radiusMeters < 10 || radiusMeters > 50000) {
+    return { error: 'radiusMeters must be a whole number between 10 and 50000' };
+  }
+
+  return {
+    value: {
+      name,
+      address: merged.address ? String(merged.address).trim() : null,
+      lat: lat.value,
+      lng: lng.value,
+      radiusMeters,
+      active: merged.active === undefined ? 1 : (merged.active ? 1 : 0),
+    }
+  };
+}
+
+function nameTaken(name, exceptId = 0) {
+  return !!db.prepare('SELECT 1 FROM work_sites WHERE name = ? AND id <> ?').get(name, exceptId);
+}
+
+/**
+ * returns { ok: true, site } or { ok: false, status, body }
+ */
+function createSite(v) {
+  if (nameTaken(v.name)) return { ok: false, status: 409, body: { error: 'site name already exists' } };
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO work_sites (name, address, lat, lng, radiusMeters, active, createdAt, updatedAt) VALUES (?,?,?,?,?,?,?,?)
+  `).run(v.name, v.address, v.lat, v.lng, v.radiusMeters, v.active, now(), now());
+  return { ok: true, site: getSite(lastInsertRowid) };
+}
+
+function updateSite(id, v) {
+  if (nameTaken(v.name, id)) return { ok: false, status: 409, body: { error: 'site name already exists' } };
+  db.prepare(`
+    UPDATE work_sites SET name = ?, address = ?, lat = ?, lng = ?, radiusMeters = ?, active = ?, updatedAt = ? WHERE id = ?
+  `).run(v.name, v.address, v.lat, v.lng, v.radiusMeters, v.active, now(), id);
+  return { ok: true, site: getSite(id) };
+}
+
+// ------------------------ assignments ------------------------
+function getUserSites(userId) {
+  return db.prepare(`
+    SELECT w.* FROM user_work_sites x JOIN work_sites w ON w.id = x.siteId
+    WHERE x.userId = ? ORDER BY w.name ASC
+  `).all(userId).map(toSite);
+}
+
+/**
+ * Replaces a user's site list ([] = may mark at any active site).
+ * returns { ok: true, sites } or { ok: false, status, body }
+ */
+function setUserSites(userId, siteIds) {
+  const ids = [...new Set(siteIds.map(Number))];
+  const missing = ids.filter(id => !db.prepare('SELECT 1 FROM work_sites WHERE id = ?').get(id));
+  if (missing.length) return { ok: false, status: 400, body: { error: `unknown siteIds: ${missing.join(', ')}` } };
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM user_work_sites WHERE userId = ?').run(userId);
+    const ins = db.prepare('INSERT INTO user_work_sites (userId, siteId, createdAt) VALUES (?,?,?)');
+    for (const id of ids) ins.run(userId, id, now());
+  })();
+  return { ok: true, sites: getUserSites(userId) };
+}
+
+// active sites the user may mark at
+function allowedSites(userId) {
+  const assigned = getUserSites(userId);
+  return assigned.length ? assigned.filter(s => s.active) : listSites();
+}
+
+// ------------------------ checking ------------------------
+/**
+ * Checks a mark position. `pos` = { lat, lng, accuracy } as sent by the client.
+ * returns { geoStatus: 'inside' | 'outside' | 'unchecked', siteId, distanceMeters, reason }
+ */
+function checkPosition(userId, pos) {
+  const unchecked = { geoStatus: 'unchecked', siteId: null, distanceMeters: null, reason: null };
+  if (fenceMode() === 'off') return unchecked;
+
+  const anySite = db.prepare('SELECT 1 FROM work_sites WHERE active = 1').get();
+  if (!anySite) return unchecked;
+
+  const sites = allowedSites(userId);
+  if (!sites.length) return { geoStatus: 'outside', siteId: null, distanceMeters: null, reason: 'no_active_site_assigned' };
+  if (pos.lat === null || pos.lng === null) {
+    return { geoStatus: 'outside', siteId: null, distanceMeters: null, reason: 'location_missing' };
+  }
+
+  let nearest = null;
+  for (const site of sites) {
+    const d = distanceMeters(pos, site);
+    if (!nearest || d < nearest.distance) nearest = { site, distance: d };
+  }
+  const result = { siteId: nearest.site.id, distanceMeters: Math.round(nearest.distance) };
+
+  if (nearest.distance > nearest.site.radiusMeters) {
+    return { ...result, geoStatus: 'outside', reason: 'outside_geofence' };
+  }
+  const limit = maxAccuracy();
+  if (limit && (pos.accuracy === null || pos.accuracy > limit)) {
+    return { ...result, geoStatus: 'outside', reason: 'accuracy_too_low' };
+  }
+  return { ...result, geoStatus: 'inside', reason: null };
+}
+
+// validates { lat, lng, accuracy } of a mark; all optional, lat/lng together
+function parsePosition(body) {
+  const given = v => v !== undefined && v !== null && v !== '';
+  if (given(body.lat) !== given(body.lng)) return { error: 'lat and lng must be sent together' };
+
+  let lat = null;
+  let lng = null;
+  if (given(body.lat)) {
+    const pLat = parseCoord(body.lat, 'lat', 90);
+    if (pLat.error) return { error: pLat.error };
+    const pLng = parseCoord(body.lng, 'lng', 180);
+    if (pLng.error) return { error: pLng.error };
+    lat = pLat.value;
+    lng = pLng.value;
+  }
+
+  let accuracy = null;
+  if (given(body.accuracy)) {
+    accuracy = Number(body.accuracy);
+    if (!Number.isFinite(accuracy) || accuracy < 0) return { error: 'accuracy must be a positive number of meters' };
+  }
+  return { value: { lat, lng, accuracy } };
+}
+
+/**
+ * Records an IN/OUT after the geofence check.
+ * returns { ok: true, record } or { ok: false, status, body } when rejected
+ */
+function markAttendance(userId, action, pos) {
+  const open = openShift(userId);
+  if (action === 'IN' && open) {
+    return fail(409, 'already checked in', { errorCode: 'ALREADY_CHECKED_IN', since: open.createdAt });
+  }
+  if (action === 'OUT' && !open) return fail(409, 'not checked in', { errorCode: 'NOT_CHECKED_IN' });
+
+  const check = checkPosition(userId, pos);
+
+  if (check.geoStatus === 'outside' && fenceMode() === 'reject') {
+    const site = check.siteId ? getSite(check.siteId) : null;
+    return {
+      ok: false,
+      status: 403,
+      body: {
+        error: 'not at a work site',
+        errorCode: 'OUTSIDE_GEOFENCE',
+        reason: check.reason,
+        nearestSite: site ? { id: site.id, name: site.name, radiusMeters: site.radiusMeters } : null,
+        distanceMeters: check.distanceMeters,
+      },
+    };
+  }
+
+  const geoStatus = check.geoStatus === 'outside' ? 'flagged' : check.geoStatus;
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO attendance (userId, action, lat, lng, accuracy, siteId, distanceMeters, geoStatus, flagReason, source, createdAt)
+    VALUES (?,?,?,?,?,?,?,?,?,'device',?)
+  `).run(userId, action, pos.lat, pos.lng, pos.accuracy, check.siteId, check.distanceMeters, geoStatus, check.reason, now());
+
+  return { ok: true, record: getRecord(lastInsertRowid) };
+}
+
+// ------------------------ records ------------------------
+const RECORD_SELECT = `
+  SELECT a.id, a.action, a.lat, a.lng, a.accuracy, a.siteId, w.name AS siteName,
+         a.distanceMeters, a.geoStatus, a.flagReason, a.source, a.correctedAt, a.voidedAt, a.createdAt
+  FROM attendance a LEFT JOIN work_sites w ON w.id = a.siteId
+`;
+
+// the user's latest IN when nothing followed it and it is recent enough to still be open
+function openShift(userId, at = now()) {
+  const last = db.prepare(`
+    SELECT id, action, createdAt FROM attendance
+    WHERE userId = ? AND voidedAt IS NULL AND createdAt <= ?
+    ORDER BY createdAt DESC, id DESC LIMIT 1
+  `).get(userId, at);
+  if (!last || last.action !== 'IN') return null;
+  return Date.parse(at) - Date.parse(last.createdAt) <= maxShiftMs() ? last : null;
+}
+
+function getRecord(id) {
+  return db.prepare(`${RECORD_SELECT} WHERE a.id = ?`).get(id) || null;
+}
+
+function listUserRecords(userId) {
+  return db.prepare(`${RECORD_SELECT} WHERE a.userId = ? ORDER BY a.id DESC`).all(userId);
+}
+
+// validates a correction { action, at, siteId, reason }, `current` = record for edits
+function parseCorrection(body, current = {}) {
+  const reason = String(body.reason || '').trim();
+  if (!reason) return { error: 'reason is required' };
+
+  const action = body.action ?? current.action;
+  if (!ACTIONS.includes(action)) return { error: "action must be 'IN' or 'OUT'" };
+
+  const atRaw = body.at ?? current.createdAt;
+  const t = Date.parse(atRaw);
+  if (!atRaw || Number.isNaN(t)) return { error: 'at must be a date-time' };
+  if (t > Date.now()) return { error: 'at cannot be in the future' };
+
+  let siteId = current.siteId ?? null;
+  if (body.siteId !== undefined) {
+    siteId = body.siteId === null || body.siteId === '' ? null : Number(body.siteId);
+    if (siteId !== null && !getSite(siteId)) return { error: 'unknown siteId' };
+  }
+  return { value: { action, at: new Date(t).toISOString(), siteId, reason } };
+}
+
+function logCorrection(attendanceId, kind, before, after, reason, byUserId) {
+  db.prepare(`
+    INSERT INTO attendance_corrections (attendanceId, kind, before, after, reason, correctedByUserId, createdAt)
+    VALUES (?,?,?,?,?,?,?)
+  `).run(attendanceId, kind, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, reason, byUserId, now());
+}
+
+// adds a missed IN/OUT for a user (source 'manual')
+function addRecord(userId, v, byUserId) {
+  return db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO attendance (userId, action, siteId, geoStatus, source, correctedAt, createdAt)
+      VALUES (?,?,?,'unchecked','manual',?,?)
+    `).run(userId, v.action, v.siteId, now(), v.at);
+    const record = getRecord(lastInsertRowid);
+    logCorrection(record.id, 'add', null, record, v.reason, byUserId);
+    return record;
+  })();
+}
+
+function editRecord(current, v, byUserId) {
+  return db.transaction(() => {
+    db.prepare('UPDATE attendance SET action = ?, siteId = ?, createdAt = ?, correctedAt = ? WHERE id = ?')
+      .run(v.action, v.siteId, v.at, now(), current.id);
+    const record = getRecord(current.id);
+    logCorrection(current.id, 'edit', current, record, v.reason, byUserId);
+    return record;
+  })();
+}
+
+function voidRecord(current, reason, byUserId) {
+  return db.transaction(() => {
+    db.prepare('UPDATE attendance SET voidedAt = ?, correctedAt = ? WHERE id = ?').run(now(), now(), current.id);
+    const record = getRecord(current.id);
+    logCorrection(current.id, 'void', current, record, reason, byUserId);
+    return record;
+  })();
+}
+
+function listCorrections(attendanceId) {
+  return db.prepare(`
+    SELECT c.id, c.kind, c.before, c.after, c.reason, u.userCode AS correctedBy, c.createdAt
+    FROM attendance_corrections c JOIN users u ON u.id = c.correctedByUserId
+    WHERE c.attendanceId = ? ORDER BY c.id
+  `).all(attendanceId).map(c => ({ ...c, before: JSON.parse(c.before), after: JSON.parse(c.after) }));
+}
+
+module.exports = {
+  FENCE_MODES,
+  ACTIONS,
+  fenceMode,
+  distanceMeters,
+  getSite,
+  listSites,
+  parseSiteInput,
+  createSite,
+  updateSite,
+  getUserSites,
+  setUserSites,
+  allowedSites,
+  checkPosition,
+  parsePosition,
+  markAttendance,
+  openShift,
+  getRecord,
+  listUserRecords,
+  parseCorrection,
+  addRecord,
+  editRecord,
+  voidRecord,
+  listCorrections,
+};
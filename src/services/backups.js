@@ -0,0 +1,278 @@
+// src/services/backups.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const Database = require('better-sqlite3');
+const { db, DB_PATH, ROOT_DIR } = require('../db');
+const { listMigrations } = require('../migrate');
+
+/**
+ * Online backups of the SQLite database (SQLite backup API, the server keeps serving)
+ *
+ * - a backup is <BACKUP_DIR>/data-<UTC time>[-label].sqlite plus a .json sidecar
+ *   { file, kind, label, createdAt, bytes, sha256, schemaVersion, integrity, durationMs };
+ *   it is written as .partial, the copy passes PRAGMA integrity_check, then it is renamed
+ * - kinds: scheduled | manual | snapshot (has a label) | pre-restore. Retention removes
+ *   scheduled and manual backups past the newest BACKUP_KEEP or older than
+ *   BACKUP_MAX_AGE_DAYS (never the newest one); snapshots and pre-restore copies stay
+ * - restore (CLI, server stopped) checks the sha256, the integrity, that the copy
+ *   has no migration this build does not know and that nothing else holds the database;
+ *   older copies migrate on the next start. "latest" never picks a pre-restore copy
+ *
+ * ENV:
+ *   BACKUP_DIR=backups            (relative paths are under the project root)
+ *   BACKUP_KEEP=14
+ *   BACKUP_MAX_AGE_DAYS=0         (0 = no age limit)
+ *   BACKUP_INTERVAL_MINUTES=1440  (scheduled backups, 0 = off)
+ */
+
+const KINDS = ['scheduled', 'manual', 'snapshot', 'pre-restore'];
+const PRUNED_KINDS = ['scheduled', 'manual'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function backupSettings() {
+  const keep = Number(process.env.BACKUP_KEEP);
+  const maxAgeDays = Number(process.env.BACKUP_MAX_AGE_DAYS);
+  const intervalMinutes = Number(process.env.BACKUP_INTERVAL_MINUTES ?? 1440);
+  return {
+    dir: path.resolve(ROOT_DIR, process.env.BACKUP_DIR || 'backups'),
+    intervalMinutes: Number.isFinite(intervalMinutes) && intervalMinutes > 0 ? intervalMinutes : 0,
+    keep: Number.isInteger(keep) && keep > 0 ? keep : 14,
+    maxAgeDays: Number.isFinite(maxAgeDays) && maxAgeDays > 0 ? maxAgeDays : 0,
+  };
+}
+
+async function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * integrity + applied migrations of a database file (opened read-only)
+ * returns { integrity: 'ok' | first problem, schemaVersion, migrations: [{ version, checksum }] }
+ */
+function inspectDatabase(file) {
+  const copy = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const integrity = copy.pragma('integrity_check', { simple: true });
+    let migrations = [];
+    try {
+      migrations = copy.prepare('SELECT version, checksum FROM schema_migrations ORDER BY version').all();
+    } catch (_) {
+      // copies from before versioned migrations have no schema_migrations table
+    }
+    const schemaVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+    return { integrity, schemaVersion, migrations };
+  } finally {
+    copy.close();
+  }
+}
+
+// ------------------------ list / retention ------------------------
+// backups from their sidecars, newest first; exists = false when the .sqlite is gone
+function listBackups() {
+  const { dir } = backupSettings();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => {
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+        return { ...meta, exists: fs.existsSync(path.join(dir, meta.file)) };
+      } catch (_) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+// name of a backup file or "latest" (the newest with a clean integrity check,
+// never a pre-restore copy: that is the database a restore just replaced)
+function findBackup(name) {
+  const items = listBackups();
+  if (name === 'latest') return items.find(b => b.integrity === 'ok' && b.exists && b.kind !== 'pre-restore') || null;
+  return items.find(b => b.file === name || b.file === `${name}.sqlite`) || null;
+}
+
+function removeBackup(meta) {
+  const { dir } = backupSettings();
+  fs.rmSync(path.join(dir, meta.file), { force: true });
+  fs.rmSync(path.join(dir, meta.file.replace(/\.sqlite$/, '.json')), { force: true });
+}
+
+// applies the retention rules, returns the removed file names
+function pruneBackups() {
+  const { keep, maxAgeDays } = backupSettings();
+  const items = listBackups();
+  const newest = items[0];
+  const cutoff = maxAgeDays ? new Date(Date.now() - maxAgeDays * DAY_MS).toISOString() : null;
+
+  const removed = [];
+  items.filter(b => PRUNED_KINDS.includes(b.kind)).forEach((b, i) => {
+    if (b === newest) return;
+    if (i >= keep || (cutoff && b.createdAt < cutoff)) {
+      removeBackup(b);
+      removed.push(b.file);
+    }
+  });
+  if (removed.length) console.log(`[backup] removed ${removed.length} old backups`);
+  return removed;
+}
+
+// ------------------------ backup ------------------------
+let running = null;
+
+function isBackupRunning() {
+  return !!running;
+}
+
+/**
+ * Copies the live database while it stays in use.
+ * opts: { kind: scheduled | manual | pre-restore, label } (a label makes it a snapshot)
+ * returns { ok: true, backup, pruned } or { ok: false, status, body }
+ */
+async function createBackup({ kind = 'manual', label = null } = {}) {
+  if (label !== null && label !== undefined && label !== '') {
+    label = String(label).trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{0,39}$/.test(label)) {
+      return { ok: false, status: 400, body: { error: 'label must be 1-40 letters, digits or dashes' } };
+    }
+    kind = 'snapshot';
+  } else {
+    label = null;
+  }
+  if (!KINDS.includes(kind)) return { ok: false, status: 400, body: { error: `kind must be one of: ${KINDS.join(', ')}` } };
+  if (running) return { ok: false, status: 409, body: { error: 'a backup is already running', errorCode: 'BACKUP_RUNNING' } };
+
+  running = (async () => {
+    const { dir } = backupSettings();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    const file = `data-${createdAt.replace(/[:.]/g, '-')}${label ? `-${label}` : ''}.sqlite`;
+    const partial = path.join(dir, `${file}.partial`);
+    const started = Date.now();
+
+    try {
+      await db.backup(partial);
+      const inspected = inspectDatabase(partial);
+      if (inspected.integrity !== 'ok') {
+        console.error(`[backup] ${file} failed the integrity check: ${inspected.integrity}`);
+        return { ok: false, status: 500, body: { error: 'backup failed the integrity check', errorCode: 'BACKUP_CORRUPT' } };
+      }
+
+      const meta = {
+        file,
+        kind,
+        label,
+        createdAt,
+        bytes: fs.statSync(partial).size,
+        sha256: await sha256File(partial),
+        schemaVersion: inspected.schemaVersion,
+        integrity: inspected.integrity,
+        durationMs: Date.now() - started,
+      };
+      fs.renameSync(partial, path.join(dir, file));
+      fs.writeFileSync(path.join(dir, file.replace(/\.sqlite$/, '.json')), `${JSON.stringify(meta, null, 2)}\n`);
+      console.log(`[backup] ${kind} backup ${file} (${meta.bytes} bytes, ${meta.durationMs} ms)`);
+
+      const pruned = PRUNED_KINDS.includes(kind) ? pruneBackups() : [];
+      return { ok: true, backup: { ...meta, exists: true }, pruned };
+    } finally {
+      fs.rmSync(partial, { force: true });
+    }
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+// ------------------------ restore ------------------------
+// null when DB_PATH can be locked exclusively (nothing else is reading or writing it),
+// else why not; the lock is released again right away
+function checkExclusiveLock() {
+  if (!fs.existsSync(DB_PATH)) return null;
+  const conn = new Database(DB_PATH, { fileMustExist: true, timeout: 2000 });
+  try {
+    conn.exec('BEGIN EXCLUSIVE');
+    conn.exec('ROLLBACK');
+    return null;
+  } catch (err) {
+    return err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED' ? 'it is in use' : err.message;
+  } finally {
+    conn.close();
+  }
+}
+
+/**
+ * Replaces the database with a backup (name or "latest"); the server must be stopped.
+ * opts: { safetyCopy = true } backs up the current database first (kind pre-restore)
+ * returns { ok: true, restored, safetyCopy, schemaVersion, latestVersion, pendingMigrations } or { ok: false, error }
+ */
+async function restoreBackup(name, { safetyCopy = true } = {}) {
+  const meta = findBackup(name);
+  if (!meta) return { ok: false, error: `backup not found: ${name}` };
+  const file = path.join(backupSettings().dir, meta.file);
+  if (!fs.existsSync(file)) return { ok: false, error: `backup file is missing: ${meta.file}` };
+
+  if (meta.sha256 && await sha256File(file) !== meta.sha256) {
+    return { ok: false, error: `${meta.file} changed since it was written (sha256 mismatch)` };
+  }
+  const inspected = inspectDatabase(file);
+  if (inspected.integrity !== 'ok') return { ok: false, error: `${meta.file} failed the integrity check: ${inspected.integrity}` };
+
+  // every migration in the copy has to be one this build has, unchanged
+  const known = new Map(listMigrations().map(m => [m.version, m.checksum]));
+  const foreign = inspected.migrations.filter(m => known.get(m.version) !== m.checksum);
+  if (foreign.length) {
+    return {
+      ok: false,
+      error: `${meta.file} has schema version ${inspected.schemaVersion} with migrations this build does not know `
+        + `(${foreign.map(m => m.version).join(', ')}), restore it with the build that made it`,
+    };
+  }
+
+  const locked = checkExclusiveLock();
+  if (locked) return { ok: false, error: `cannot lock ${DB_PATH} (${locked}), stop the server and try again` };
+
+  let safety = null;
+  if (safetyCopy) {
+    const result = await createBackup({ kind: 'pre-restore' });
+    if (!result.ok) return { ok: false, error: `could not back up the current database: ${result.body.error}` };
+    safety = result.backup.file;
+  }
+
+  const source = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    await source.backup(DB_PATH);
+  } finally {
+    source.close();
+  }
+
+  const latest = known.size ? Math.max(...known.keys()) : 0;
+  return {
+    ok: true,
+    restored: meta.file,
+    safetyCopy: safety,
+    schemaVersion: inspected.schemaVersion,
+    pendingMigrations: [...known.keys()].filter(v => v > inspected.schemaVersion).length,
+    latestVersion: latest,
+  };
+}
+
+module.exports = {
+  backupSettings,
+  inspectDatabase,
+  listBackups,
+  findBackup,
+  pruneBackups,
+  isBackupRunning,
+  createBackup,
+  restoreBackup,
+};
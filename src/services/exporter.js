@@ -0,0 +1,336 @@
+// src/services/exporter.js
+const zlib = require('zlib');
+
+/**
+ * CSV / XLSX downloads of admin lists, streamed page by page
+ *
+ * - a list describes its columns ({ key, header, type: string | number | date }) and a
+ *   nextPage(lastRow) function (keyset paging), so memory stays at one page whatever
+ *   the size; pages are written with backpressure and the DB is not held in between
+ * - ?columns=a,b picks and orders columns; ?locale= and ?tz= format dates
+ *   (Intl, e.g. en-GB + Asia/Karachi), numbers stay numbers
+ * - CSV: RFC 4180 quoting, UTF-8 BOM for Excel, and text starting with = + - @ is
+ *   prefixed with ' so spreadsheets do not run it as a formula
+ * - XLSX: a single sheet with inline strings, written as a streaming ZIP
+ *
+ * ENV:
+ *   EXPORT_LOCALE=en-GB
+ *   EXPORT_TZ=UTC
+ */
+
+const FORMATS = ['csv', 'xlsx'];
+const PAGE_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * validates ?format=&columns=&locale=&tz= against a list's columns
+ * returns { value: { format, columns, formatDate } } or { error }
+ */
+function parseExportOptions(query, columns) {
+  const format = String(query.format || '').toLowerCase();
+  if (!FORMATS.includes(format)) return { error: `format must be one of: ${FORMATS.join(', ')}` };
+
+  let selected = columns;
+  if (query.columns) {
+    const keys = String(query.columns).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = keys.filter(k => !columns.some(c => c.key === k));
+    if (unknown.length) return { error: `unknown columns: ${unknown.join(', ')} (available: ${columns.map(c => c.key).join(', ')})` };
+    selected = keys.map(k => columns.find(c => c.key === k));
+  }
+
+  let dateFormat;
+  try {
+    dateFormat = new Intl.DateTimeFormat(String(query.locale || process.env.EXPORT_LOCALE || 'en-GB'), {
+      dateStyle: 'short',
+      timeStyle: 'medium',
+      timeZone: String(query.tz || process.env.EXPORT_TZ || 'UTC'),
+    });
+  } catch {
+    return { error: 'unknown locale or tz' };
+  }
+  const formatDate = v => (v ? dateFormat.format(new Date(v)) : '');
+
+  return { value: { format, columns: selected, formatDate } };
+}
+
+// ------------------------ cell values ------------------------
+function cellValue(col, row, formatDate) {
+  const v = row[col.key];
+  if (v === null || v === undefined) return '';
+  if (col.type === 'date') return formatDate(v);
+  if (col.type === 'number') return Number(v);
+  if (typeof v === 'boolean') return v ? 'yes' : 'no';
+  return String(v);
+}
+
+function csvField(v) {
+  if (typeof v === 'number') return String(v);
+  let s = v;
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+function xmlText(s) {
+  return String(s)
+    .replace(/[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xlsxRow(values, style = 0) {
+  const s = style ? ` s="${style}"` : '';
+  const cells = values.map(v => (typeof v === 'number' && Number.isFinite(v)
+    ? `<c${s}><v>${v}</v></c>`
+    : `<c t="inlineStr"${s}><is><t xml:space="preserve">${xmlText(v)}</t></is></c>`));
+  return `<row>${cells.join('')}</row>`;
+}
+
+// ------------------------ zip (streaming, deflate + data descriptors) ------------------------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(d = new Date()) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// writes to `out` honouring backpressure; rejects (code EXPORT_ABORTED) when `out` closes
+// before it drains, e.g. the client went away, so the export stops instead of hanging
+function write(out, chunk) {
+  if (out.destroyed) return Promise.reject(aborted());
+  if (out.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = (err) => {
+      out.off('drain', settle);
+      out.off('error', settle);
+      out.off('close', onClose);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onClose = () => settle(aborted());
+    out.once('drain', settle);
+    out.once('error', settle);
+    out.once('close', onClose);
+  });
+}
+
+function aborted() {
+  return Object.assign(new Error('the output closed before the export finished'), { code: 'EXPORT_ABORTED' });
+}
+
+function zipWriter(out) {
+  const entries = [];
+  let offset = 0;
+  const { time, date } = dosDateTime();
+
+  async function raw(buf) {
+    offset += buf.length;
+    await write(out, buf);
+  }
+
+  /**
+   * Adds one file; `produce(push)` calls `await push(string)` for each piece of content.
+   */
+  async function file(name, produce) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);        // version needed
+    header.writeUInt16LE(0x0808, 6);    // data descriptor + utf-8 names
+    header.writeUInt16LE(8, 8);         // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuf.length, 26);
+    const entry = { nameBuf, offset, crc: 0, size: 0, compressed: 0 };
+    await raw(Buffer.concat([header, nameBuf]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pending = [];
+    deflate.on('data', chunk => {
+      entry.compressed += chunk.length;
+      const written = raw(chunk);
+      written.catch(() => {}); // surfaces through Promise.all below
+      pending.push(written);
+    });
+    const ended = new Promise((resolve, reject) => { deflate.on('end', resolve); deflate.on('error', reject); });
+    ended.catch(() => {});
+
+    await produce(async (str) => {
+      const buf = Buffer.from(str, 'utf8');
+      entry.crc = crc32(buf, entry.crc);
+      entry.size += buf.length;
+      try {
+        if (out.destroyed) throw aborted(); // deflate output may not have reached `out` yet
+        await write(deflate, buf);
+        await Promise.all(pending.splice(0));
+      } catch (err) {
+        deflate.destroy();
+        throw err;
+      }
+    });
+    deflate.end();
+    await ended;
+    await Promise.all(pending.splice(0));
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressed, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await raw(descriptor);
+    entries.push(entry);
+  }
+
+  async function finish() {
+    const start = offset;
+    for (const e of entries) {
+      const h = Buffer.alloc(46);
+      h.writeUInt32LE(0x02014b50, 0);
+      h.writeUInt16LE(20, 4);
+      h.writeUInt16LE(20, 6);
+      h.writeUInt16LE(0x0808, 8);
+      h.writeUInt16LE(8, 10);
+      h.writeUInt16LE(time, 12);
+      h.writeUInt16LE(date, 14);
+      h.writeUInt32LE(e.crc, 16);
+      h.writeUInt32LE(e.compressed, 20);
+      h.writeUInt32LE(e.size, 24);
+      h.writeUInt16LE(e.nameBuf.length, 28);
+      h.writeUInt32LE(e.offset, 42);
+      await raw(Buffer.concat([h, e.nameBuf]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await raw(end);
+  }
+
+  return { file, finish };
+}
+
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  // style 1 = bold header
+  'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>',
+};
+
+function workbookXml(sheetName) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<sheets><sheet name="${xmlText(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+}
+
+// ------------------------ streaming ------------------------
+// every row, one page at a time
+async function eachPage(nextPage, fn) {
+  let last = null;
+  for (;;) {
+    const rows = nextPage(last, PAGE_SIZE);
+    if (!rows.length) return;
+    await fn(rows);
+    if (rows.length < PAGE_SIZE) return;
+    last = rows[rows.length - 1];
+  }
+}
+
+/**
+ * Sends a list as a download.
+ * opts: { name (file / sheet name), format, columns, formatDate, nextPage(lastRow, limit) }
+ */
+async function sendExport(res, { name, format, columns, formatDate, nextPage }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${stamp}.${format}"`);
+
+  const values = row => columns.map(c => cellValue(c, row, formatDate));
+
+  if (format === 'csv') {
+    await write(res, '\uFEFF' + csvLine(columns.map(c => c.header)));
+    await eachPage(nextPage, rows => write(res, rows.map(r => csvLine(values(r))).join('')));
+    return res.end();
+  }
+
+  const zip = zipWriter(res);
+  for (const [part, xml] of Object.entries(XLSX_PARTS)) await zip.file(part, push => push(xml));
+  await zip.file('xl/workbook.xml', push => push(workbookXml(name)));
+  await zip.file('xl/worksheets/sheet1.xml', async (push) => {
+    await push('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+    await push(xlsxRow(columns.map(c => c.header), 1));
+    await eachPage(nextPage, rows => push(rows.map(r => xlsxRow(values(r))).join('')));
+    await push('</sheetData></worksheet>');
+  });
+  await zip.finish();
+  return res.end();
+}
+
+/**
+ * Route helper: validates the options and streams, or answers 400.
+ * list: { name, columns, nextPage(lastRow, limit) }
+ */
+async function exportList(req, res, list) {
+  const opts = parseExportOptions(req.query, list.columns);
+  if (opts.error) return res.status(400).json({ error: opts.error });
+  try {
+    await sendExport(res, { ...list, ...opts.value });
+  } catch (err) {
+    if (err.code === 'EXPORT_ABORTED') return; // the client went away
+    console.error(`[export.${list.name}] error:`, err);
+    if (!res.headersSent) return res.status(500).json({ error: 'internal server error' });
+    res.destroy(err);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  PAGE_SIZE,
+  parseExportOptions,
+  sendExport,
+  exportList,
+};
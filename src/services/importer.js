@@ -0,0 +1,408 @@
+// src/services/importer.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { db, now, makeUserCode } = require('../db');
+const { parseSkuInput, findConflict, createSku } = require('./skus');
+
+/**
+ * Bulk CSV imports of users, SKUs and QR codes (import_jobs)
+ *
+ * - an upload is validated in full first (dry run) and kept as a job with a row
+ *   report; committing validates the stored file again (the data may have changed
+ *   since) and inserts every row in one transaction: all rows or none
+ * - the header row names the columns, in any order and any case; others are ignored.
+ *   Comma or semicolon separated (Excel in many locales saves with ;), UTF-8
+ * - users:  firstName*, lastName, email*, phoneNumber, residentialAddress, city*, role
+ *           no passwords: accounts must set one through the mailed link or "Forgot password"
+ * - skus:   number*, name*, price, unit, barcode, category (name or id), description, active
+ * - qr:     code*, points, batchId (points may stay empty when the batch has defaultPoints)
+ *
+ * ENV:
+ *   IMPORT_MAX_ROWS=5000
+ */
+
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) > 0 ? Number(process.env.IMPORT_MAX_ROWS) : 5000;
+
+const KINDS = {
+  users: {
+    permission: 'users:manage',
+    columns: ['firstName', 'lastName', 'email', 'phoneNumber', 'residentialAddress', 'city', 'role'],
+    required: ['firstName', 'email', 'city'],
+  },
+  skus: {
+    permission: 'skus:manage',
+    columns: ['number', 'name', 'price', 'unit', 'barcode', 'category', 'description', 'active'],
+    required: ['number', 'name'],
+  },
+  qr: {
+    permission: 'qr:generate',
+    columns: ['code', 'points', 'batchId'],
+    required: ['code'],
+  },
+};
+
+// ------------------------ CSV ------------------------
+// RFC 4180 records (quoted fields may hold separators, "" and line breaks)
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const sep = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === sep) { record.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(field); records.push(record);
+      record = []; field = '';
+    } else field += ch;
+  }
+  if (quoted) return { error: 'unterminated quoted field' };
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+  return { records };
+}
+
+/**
+ * header + rows of a kind; row = { row (line of the file, header = 1), data }
+ * returns { value: rows } or { error } for problems with the file as a whole
+ */
+function readRows(kind, text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) return { error: parsed.error };
+  const [header, ...records] = parsed.records;
+  if (!header) return { error: 'the file is empty' };
+
+  const { columns, required } = KINDS[kind];
+  const index = {};
+  header.forEach((h, i) => {
+    const col = columns.find(c => c.toLowerCase() === h.trim().toLowerCase());
+    if (col && index[col] === undefined) index[col] = i;
+  });
+  const missing = required.filter(c => index[c] === undefined);
+  if (missing.length) return { error: `missing column(s): ${missing.join(', ')}` };
+
+  const rows = [];
+  records.forEach((rec, i) => {
+    if (rec.every(v => v.trim() === '')) return;
+    const data = {};
+    for (const [col, at] of Object.entries(index)) data[col] = (rec[at] || '').trim();
+    rows.push({ row: i + 2, data });
+  });
+  if (!rows.length) return { error: 'the file has no data rows' };
+  if (rows.length > MAX_ROWS) return { error: `too many rows (max ${MAX_ROWS} per import)` };
+  return { value: rows };
+}
+
+// ------------------------ row checks ------------------------
+// each returns { key, errors, value }; ctx.seen remembers keys of earlier rows
+
+// the row that had this key before, null when new (emails compare without case, as in the DB)
+function firstSeen(ctx, what, key, row) {
+  const k = `${what}:${what === 'email' ? String(key).toLowerCase() : key}`;
+  if (ctx.seen.has(k)) return ctx.seen.get(k);
+  ctx.seen.set(k, row);
+  return null;
+}
+
+function checkUser({ row, data }, ctx) {
+  const errors = [];
+  const email = data.email || '';
+  if (!data.firstName) errors.push('missing firstName');
+  if (!email) errors.push('missing email');
+  else if (!/^[^@\s]+@[^@\s]+$/.test(email)) errors.push('invalid email');
+  if (!data.city) errors.push('missing city');
+
+  if (email) {
+    const dup = firstSeen(ctx, 'email', email, row);
+    if (dup) errors.push(`duplicate email (row ${dup})`);
+    else if (db.prepare('SELECT 1 FROM users WHERE email = ? COLLATE NOCASE').get(email)) {
+      errors.push('email already registered');
+    }
+  }
+
+  const role = data.role || 'user';
+  if (!db.prepare('SELECT 1 FROM roles WHERE code = ?').get(role)) errors.push(`unknown role ${role}`);
+  else if (role !== 'user' && !ctx.canAssignRoles) errors.push('role other than user needs roles:manage');
+
+  return {
+    key: email,
+    errors,
+    value: {
+      firstName: data.firstName,
+      lastName: data.lastName || '',
+      email,
+      phoneNumber: data.phoneNumber || null,
+      residentialAddress: data.residentialAddress || null,
+      city: data.city,
+      role,
+    },
+  };
+}
+
+function parseFlag(v) {
+  if (v === undefined || v === '') return undefined;
+  if (/^(1|true|yes|y|active)$/i.test(v)) return true;
+  if (/^(0|false|no|n|inactive)$/i.test(v)) return false;
+  return null;
+}
+
+function checkSku({ row, data }, ctx) {
+  const errors = [];
+  const body = { ...data, category: undefined };
+
+  if (data.category) {
+    const cat = /^\d+$/.test(data.category)
+      ? db.prepare('SELECT id FROM sku_categories WHERE id = ?').get(Number(data.category))
+      : db.prepare('SELECT id FROM sku_categories WHERE name = ? COLLATE NOCASE').get(data.category);
+    if (cat) body.categoryId = cat.id;
+    else errors.push(`unknown category ${data.category}`);
+  }
+  if (data.price === '') delete body.price;
+  const active = parseFlag(data.active);
+  if (active === null) errors.push('active must be yes or no');
+  else body.active = active;
+
+  const parsed = parseSkuInput(body);
+  if (parsed.error) return { key: data.number, errors: [...errors, parsed.error] };
+  const v = parsed.value;
+
+  const dupNumber = firstSeen(ctx, 'number', v.number, row);
+  if (dupNumber) errors.push(`duplicate SKU number (row ${dupNumber})`);
+  const dupBarcode = v.barcode ? firstSeen(ctx, 'barcode', v.barcode, row) : null;
+  if (dupBarcode) errors.push(`duplicate barcode (row ${dupBarcode})`);
+  if (!dupNumber && !dupBarcode) {
+    const conflict = findConflict(v);
+    if (conflict) errors.push(conflict);
+  }
+  return { key: v.number, errors, value: v };
+}
+
+function checkQr({ row, data }, ctx) {
+  const errors = [];
+  const code = data.code;
+  if (!code) errors.push('missing code');
+  else if (code.length > 128) errors.push('code must be at most 128 characters');
+
+  let batch = null;
+  if (data.batchId) {
+    batch = /^\d+$/.test(data.batchId)
+      ? db.prepare('SELECT id, defaultPoints FROM qr_batches WHERE id = ?').get(Number(data.batchId))
+      : null;
+    if (!batch) errors.push(`unknown batchId ${data.batchId}`);
+  }
+
+  let points = null;
+  if (data.points) {
+    points = /^\d+$/.test(data.points) ? Number(data.points) : 0;
+    if (!(points > 0)) errors.push('points must be a positive integer');
+  } else if (batch && batch.defaultPoints > 0) {
+    points = batch.defaultPoints;
+  } else if (!data.batchId || batch) {
+    errors.push('missing points (and no batch defaultPoints)');
+  }
+
+  if (code) {
+    const dup = firstSeen(ctx, 'code', code, row);
+    if (dup) errors.push(`duplicate code (row ${dup})`);
+    else if (db.prepare('SELECT 1 FROM qr_codes WHERE code = ?').get(code)) errors.push('code already exists');
+  }
+  return { key: code, errors, value: { code, points, batchId: batch ? batch.id : null } };
+}
+
+const CHECKS = { users: checkUser, skus: checkSku, qr: checkQr };
+
+/**
+ * Dry run: checks every row, writes nothing.
+ * opts: { canAssignRoles } (users with a role other than "user")
+ * returns { value: [{ row, key, status: ok | error, error, value }] } or { error }
+ */
+function validateImport(kind, text, opts = {}) {
+  const read = readRows(kind, text);
+  if (read.error) return { error: read.error };
+
+  const ctx = { ...opts, seen: new Map() };
+  return {
+    value: read.value.map(r => {
+      const checked = CHECKS[kind](r, ctx);
+      return {
+        row: r.row,
+        key: checked.key || null,
+        status: checked.errors.length ? 'error' : 'ok',
+        error: checked.errors.join('; ') || null,
+        value: checked.value,
+      };
+    }),
+  };
+}
+
+// ------------------------ commit ------------------------
+// inserts validated values, returns the visible reference of each new row
+const INSERTS = {
+  users(values) {
+    // nobody knows this password and passwordResetRequired blocks it anyway,
+    // so one hash serves the whole import (bcrypt per row would take minutes)
+    const hash = bcrypt.hashSync(crypto.randomBytes(24).toString('base64url'), 10);
+    const ins = db.prepare(`
+      INSERT INTO users (
+        userCode, firstName, lastName, email, passwordHash, role,
+        residentialAddress, phoneNumber, city, passwordResetRequired, createdAt
+      )
+      VALUES (?,?,?,?,?,?,?,?,?,1,?)
+    `);
+    return values.map(v => {
+      const userCode = makeUserCode();
+      ins.run(userCode, v.firstName, v.lastName, v.email, hash, v.role,
+        v.residentialAddress, v.phoneNumber, v.city, now());
+      return userCode;
+    });
+  },
+
+  skus(values, { userId }) {
+    return values.map(v => {
+      const result = createSku(v, { userId });
+      if (!result.ok) throw new Error(`sku ${v.number}: ${result.body.error}`);
+      return String(result.sku.id);
+    });
+  },
+
+  qr(values) {
+    const ins = db.prepare('INSERT INTO qr_codes (code, points, batchId, createdAt) VALUES (?,?,?,?)');
+    return values.map(v => String(ins.run(v.code, v.points, v.batchId, now()).lastInsertRowid));
+  },
+};
+
+// ------------------------ jobs ------------------------
+function reportOf(rows) {
+  return rows.map(({ row, key, status, error, ref }) => ({ row, key, status, error, ref: ref || null }));
+}
+
+function countRows(rows) {
+  const errorRows = rows.filter(r => r.status === 'error').length;
+  return { totalRows: rows.length, validRows: rows.length - errorRows, errorRows };
+}
+
+function formatJob(row, { withReport = false } = {}) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    fileName: row.fileName,
+    status: row.status,
+    totalRows: row.totalRows,
+    validRows: row.validRows,
+    errorRows: row.errorRows,
+    createdBy: row.createdBy,
+    createdAt: row.createdAt,
+    committedBy: row.committedBy || null,
+    committedAt: row.committedAt,
+    ...(withReport ? { report: JSON.parse(row.report) } : {}),
+  };
+}
+
+const JOB_SELECT = `
+  SELECT j.*, c.userCode AS createdBy, m.userCode AS committedBy
+  FROM import_jobs j
+  LEFT JOIN users c ON c.id = j.createdByUserId
+  LEFT JOIN users m ON m.id = j.committedByUserId
+`;
+
+function getJobRow(id) {
+  return db.prepare(`${JOB_SELECT} WHERE j.id = ?`).get(Number(id));
+}
+
+function getJob(id) {
+  return formatJob(getJobRow(id), { withReport: true });
+}
+
+// newest first; kinds = the kinds the caller may import
+function listJobs({ kinds, limit = 50 }) {
+  if (!kinds.length) return [];
+  return db.prepare(`
+    ${JOB_SELECT} WHERE j.kind IN (${kinds.map(() => '?').join(',')}) ORDER BY j.id DESC LIMIT ?
+  `).all(...kinds, limit).map(r => formatJob(r));
+}
+
+/**
+ * Validates an upload and keeps it as a job (status validated | invalid).
+ * returns { ok: true, job } or { ok: false, status, body }
+ */
+function createJob(kind, text, { fileName = null, userId, canAssignRoles = false }) {
+  const checked = validateImport(kind, text, { canAssignRoles });
+  if (checked.error) return { ok: false, status: 400, body: { error: checked.error } };
+
+  const counts = countRows(checked.value);
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO import_jobs (kind, fileName, status, totalRows, validRows, errorRows, source, report, createdByUserId, createdAt)
+    VALUES (?,?,?,?,?,?,?,?,?,?)
+  `).run(
+    kind,
+    fileName ? String(fileName).slice(0, 200) : null,
+    counts.errorRows ? 'invalid' : 'validated',
+    counts.totalRows, counts.validRows, counts.errorRows,
+    String(text),
+    JSON.stringify(reportOf(checked.value)),
+    userId,
+    now()
+  );
+  return { ok: true, job: getJob(lastInsertRowid) };
+}
+
+/**
+ * Validates the job's file again and imports every row in one transaction.
+ * returns { ok: true, job, refs } or { ok: false, status, body }
+ * - any invalid row: nothing is imported, the job's report is refreshed (409 IMPORT_INVALID)
+ */
+function commitJob(id, { userId, canAssignRoles = false }) {
+  const job = getJobRow(id);
+  if (!job) return { ok: false, status: 404, body: { error: 'import not found' } };
+  if (job.status === 'committed') return { ok: false, status: 409, body: { error: 'import already committed' } };
+
+  const checked = validateImport(job.kind, job.source, { canAssignRoles });
+  if (checked.error) return { ok: false, status: 400, body: { error: checked.error } };
+  const rows = checked.value;
+  const counts = countRows(rows);
+
+  const saveJob = db.prepare(`
+    UPDATE import_jobs
+    SET status = ?, totalRows = ?, validRows = ?, errorRows = ?, report = ?, committedByUserId = ?, committedAt = ?
+    WHERE id = ?
+  `);
+
+  if (counts.errorRows) {
+    saveJob.run('invalid', counts.totalRows, counts.validRows, counts.errorRows, JSON.stringify(reportOf(rows)), null, null, job.id);
+    return {
+      ok: false,
+      status: 409,
+      body: { error: 'some rows are invalid, nothing was imported', errorCode: 'IMPORT_INVALID', job: getJob(job.id) },
+    };
+  }
+
+  const refs = db.transaction(() => {
+    const inserted = INSERTS[job.kind](rows.map(r => r.value), { userId });
+    rows.forEach((r, i) => { r.ref = inserted[i]; });
+    saveJob.run('committed', counts.totalRows, counts.validRows, 0, JSON.stringify(reportOf(rows)), userId, now(), job.id);
+    return inserted;
+  })();
+
+  return { ok: true, job: getJob(job.id), refs };
+}
+
+module.exports = {
+  KINDS,
+  MAX_ROWS,
+  parseCsv,
+  validateImport,
+  getJob,
+  listJobs,
+  createJob,
+  commitJob,
+};
@@ -0,0 +1,379 @@
+// src/services/ledger.js
+const crypto = require('crypto');
+const { db, now } = require('../db');
+const { evaluateTier } = require('./tiers');
+
+/**
+ * Double-entry points ledger (points_ledger)
+ *
+ * Every transaction is 2+ legs sharing one txnId, and its legs sum to 0:
+ * - user legs:   userId set,  account = 'user'
+ * - system legs: userId NULL, account = 'system:<type>' (where issued points come from / go to)
+ *
+ *   transfer   A -10 / B +10
+ *   qr_redeem  user +10 / system:qr_redeem -10
+ *   expiry     user -10 / system:expiry +10
+ *   transfer_hold  A -10 / system:escrow +10   (pending transfer, services/transfers.js)
+ *   sale_earn  user +10 / system:sale_earn -10 (services/saleRewards.js)
+ *
+ * A user's balance is BASE_POINTS + SUM(points) of their legs.
+ *
+ * Lots (point_lots): every credited user leg opens a lot that expires after
+ * POINTS_EXPIRY_MONTHS (default 12, 0 = never). Debits consume lots oldest-first;
+ * whatever is left after the lots comes out of BASE_POINTS, which never expires.
+ * expireLots() (jobs/expirePoints.js) writes 'expiry' debits for what is left in lapsed lots.
+ *
+ * Tiers (services/tiers.js) are re-evaluated for every user touched by a transaction.
+ */
+
+// ✅ Every user starts with 50 points by default
+const BASE_POINTS = 50;
+
+const TYPES = [
+  'transfer', 'qr_redeem', 'adjustment', 'bonus', 'expiry', 'reward_redeem', 'reward_refund',
+  'transfer_hold', 'transfer_release', 'reversal', 'sale_earn', 'sale_clawback',
+];
+
+const EXPIRY_MONTHS = Number.isInteger(Number(process.env.POINTS_EXPIRY_MONTHS))
+  ? Number(process.env.POINTS_EXPIRY_MONTHS)
+  : 12;
+
+// ------------------------ balances ------------------------
+function getLedgerTotal(userId) {
+  const row = db
+    .prepare('SELECT COALESCE(SUM(points), 0) AS total FROM points_ledger WHERE userId = ?')
+    .get(userId);
+  return Number(row?.total || 0);
+}
+
+function getEffectiveBalance(userId) {
+  return BASE_POINTS + getLedgerTotal(userId);
+}
+
+// ------------------------ lots ------------------------
+function lotExpiry(earnedAt) {
+  if (EXPIRY_MONTHS <= 0) return null;
+  const d = new Date(earnedAt);
+  d.setUTCMonth(d.getUTCMonth() + EXPIRY_MONTHS);
+  return d.toISOString();
+}
+
+function openLot(userId, ledgerEntryId, points, earnedAt) {
+  db.prepare(`
+    INSERT INTO point_lots (userId, ledgerEntryId, points, remaining, earnedAt, expiresAt, createdAt)
+    VALUES (?,?,?,?,?,?,?)
+  `).run(userId, ledgerEntryId, points, points, earnedAt, lotExpiry(earnedAt), now());
+}
+
+// FIFO: soonest-expiring lots first, never-expiring lots last
+function consumeLots(userId, points) {
+  const lots = db.prepare(`
+    SELECT id, remaining FROM point_lots
+    WHERE userId = ? AND remaining > 0
+    ORDER BY expiresAt IS NULL, expiresAt, id
+  `).all(userId);
+
+  const upd = db.prepare('UPDATE point_lots SET remaining = remaining - ? WHERE id = ?');
+  let left = points;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(lot.remaining, left);
+    upd.run(take, lot.id);
+    left -= take;
+  }
+  return points - left; // consumed from lots (rest came out of BASE_POINTS)
+}
+
+// expiry debits close their own lot in expireLots(), every other debit is FIFO
+function applyLots(type, userId, points, ledgerEntryId, at) {
+  if (points > 0) openLot(userId, ledgerEntryId, points, at);
+  else if (points < 0 && type !== 'expiry') consumeLots(userId, -points);
+}
+
+// points in lots expiring within `days` from now
+function getExpiringSoon(userId, days = 30) {
+  const from = now();
+  const to = new Date(Date.now() + days * 24 * 3600 * 1000).toISOString();
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(remaining), 0) AS points, MIN(expiresAt) AS nextExpiry
+    FROM point_lots
+    WHERE userId = ? AND remaining > 0 AND expiresAt > ? AND expiresAt <= ?
+  `).get(userId, from, to);
+  return { days, points: Number(row.points || 0), nextExpiry: row.nextExpiry || null };
+}
+
+/**
+ * Writes an 'expiry' debit for every lot that lapsed at or before `at`.
+ * Safe to run concurrently/repeatedly: a lot is only expired once.
+ * returns { lots, points }
+ */
+function expireLots(at = now()) {
+  const lots = db.prepare(`
+    SELECT id, userId, remaining FROM point_lots
+    WHERE remaining > 0 AND expiresAt IS NOT NULL AND expiresAt <= ?
+    ORDER BY expiresAt, id
+  `).all(at);
+
+  let expiredLots = 0;
+  let expiredPoints = 0;
+  const close = db.prepare('UPDATE point_lots SET remaining = 0, expiredAt = ? WHERE id = ? AND remaining = ?');
+
+  for (const lot of lots) {
+    db.transaction(() => {
+      if (close.run(now(), lot.id, lot.remaining).changes !== 1) return; // spent/expired meanwhile
+      postSystemEntry('expiry', lot.userId, -lot.remaining, {
+        sourceType: 'point_lot',
+        sourceRef: String(lot.id),
+      });
+      expiredLots++;
+      expiredPoints += lot.remaining;
+    })();
+  }
+  return { lots: expiredLots, points: expiredPoints };
+}
+
+/**
+ * Opens lots for ledgers written before lots existed: replays every user leg in order.
+ * Only runs while point_lots is empty.
+ */
+function backfillLots() {
+  if (db.prepare('SELECT 1 FROM point_lots LIMIT 1').get()) return 0;
+
+  const legs = db.prepare(`
+    SELECT id, type, userId, points, createdAt FROM points_ledger
+    WHERE userId IS NOT NULL
+    ORDER BY createdAt, id
+  `).all();
+  if (legs.length === 0) return 0;
+
+  db.transaction(() => {
+    for (const l of legs) applyLots(l.type, l.userId, l.points, l.id, l.createdAt);
+  })();
+
+  console.log(`[ledger] opened point lots from ${legs.length} ledger entries`);
+  return legs.length;
+}
+
+// ------------------------ writing ------------------------
+const insertLeg = () => db.prepare(`
+  INSERT INTO points_ledger
+    (txnId, type, userId, account, points, counterpartyUserId, sourceType, sourceRef, memo, legacyPointsId, createdAt)
+  VALUES (?,?,?,?,?,?,?,?,?,?,?)
+`);
+
+/**
+ * Writes one balanced transaction.
+ * legs: [{ userId } | { account }, points, counterpartyUserId? ]
+ * opts: { sourceType, sourceRef, memo, legacyPointsId, createdAt }
+ *       (memo / legacyPointsId / createdAt may also be set per leg)
+ * returns txnId
+ */
+function postTransaction(type, legs, opts = {}) {
+  if (!TYPES.includes(type)) throw new Error(`unknown ledger type: ${type}`);
+  if (!Array.isArray(legs) || legs.length < 2) throw new Error('a transaction needs at least 2 legs');
+
+  const sum = legs.reduce((acc, l) => acc + l.points, 0);
+  if (sum !== 0) throw new Error(`unbalanced transaction (${type}): legs sum to ${sum}`);
+
+  const txnId = opts.txnId || crypto.randomUUID();
+  const createdAt = opts.createdAt || now();
+  const stmt = insertLeg();
+
+  db.transaction(() => {
+    for (const l of legs) {
+      if (!Number.isInteger(l.points)) throw new Error('leg points must be an integer');
+      const legAt = l.createdAt || createdAt;
+      const info = stmt.run(
+        txnId,
+        type,
+        l.userId ?? null,
+        l.userId ? 'user' : (l.account || `system:${type}`),
+        l.points,
+        l.counterpartyUserId ?? null,
+        opts.sourceType ?? null,
+        opts.sourceRef ?? null,
+        l.memo ?? opts.memo ?? null,
+        l.legacyPointsId ?? opts.legacyPointsId ?? null,
+        legAt
+      );
+      if (l.userId) applyLots(type, l.userId, l.points, Number(info.lastInsertRowid), legAt);
+    }
+    for (const userId of new Set(legs.filter(l => l.userId).map(l => l.userId))) {
+      evaluateTier(userId);
+    }
+  })();
+
+  return txnId;
+}
+
+// user A -> user B
+function transferPoints(fromUserId, toUserId, points, opts = {}) {
+  return postTransaction('transfer', [
+    { userId: fromUserId, points: -points, counterpartyUserId: toUserId },
+    { userId: toUserId, points, counterpartyUserId: fromUserId },
+  ], opts);
+}
+
+// system -> user (points > 0) or user -> system (points < 0)
+function postSystemEntry(type, userId, points, opts = {}) {
+  return postTransaction(type, [
+    { userId, points },
+    { account: `system:${type}`, points: -points },
+  ], opts);
+}
+
+// ------------------------ reading ------------------------
+function buildHistoryText(entry) {
+  const pts = Number(entry.points || 0);
+  const absPts = Math.abs(pts);
+  const other = entry.counterpartyName || entry.counterpartyCode || 'another user';
+
+  switch (entry.type) {
+    case 'transfer':
+      return pts >= 0
+        ? `${absPts} reward points receive from ${other}`
+        : `${absPts} reward points send to ${other}`;
+    case 'qr_redeem':
+      return `${absPts} reward points earned from QR scan`;
+    case 'bonus':
+      if (entry.sourceType === 'tier_bonus') return `${absPts} bonus reward points (${entry.memo || 'tier bonus'})`;
+      return `${absPts} bonus reward points`;
+    case 'expiry':
+      return `${absPts} reward points expired`;
+    case 'reward_redeem':
+      return `${absPts} reward points redeemed${entry.memo ? ` for ${entry.memo}` : ''}`;
+    case 'reward_refund':
+      return `${absPts} reward points refunded (order #${entry.sourceRef})`;
+    case 'transfer_hold':
+      return `${absPts} reward points on hold for transfer #${entry.sourceRef} to ${other}`;
+    case 'transfer_release':
+      return `${absPts} reward points returned, transfer #${entry.sourceRef} to ${other} ${entry.memo || 'cancelled'}`;
+    case 'sale_earn':
+      return `${absPts} reward points earned from sale #${entry.sourceRef} (${entry.memo})`;
+    case 'sale_clawback':
+      return `${absPts} reward points taken back, sale #${entry.sourceRef} ${entry.memo}`;
+    case 'reversal':
+      return pts >= 0
+        ? `${absPts} reward points returned from ${other} (transfer #${entry.sourceRef} reversed)`
+        : `${absPts} reward points taken back by ${other} (transfer #${entry.sourceRef} reversed)`;
+    default:
+      if (pts > 0) return `${absPts} reward points added`;
+      if (pts < 0) return `${absPts} reward points deducted`;
+      return `0 points`;
+  }
+}
+
+// a user's legs, newest first, with counterparty details
+function getUserEntries(userId) {
+  return db.prepare(`
+    SELECT
+      l.id, l.txnId, l.type, l.points, l.sourceType, l.sourceRef, l.memo, l.createdAt,
+      l.counterpartyUserId,
+      c.userCode AS counterpartyCode,
+      NULLIF(TRIM(COALESCE(c.firstName, '') || ' ' || COALESCE(c.lastName, '')), '') AS counterpartyName
+    FROM points_ledger l
+    LEFT JOIN users c ON c.id = l.counterpartyUserId
+    WHERE l.userId = ?
+    ORDER BY l.createdAt DESC, l.id DESC
+  `).all(userId);
+}
+
+// ------------------------ legacy user_points ------------------------
+// reason formats written before the ledger existed:
+// - "SEND_TO:ABC12345" / "RECEIVE_FROM:ABC12345"
+// - "SEND to ABC12345" / "RECEIVED from ABC12345"
+// - "QR <code> redeemed" / "QR:<code>"
+function parseLegacyReason(reason) {
+  const r = typeof reason === 'string' ? reason.trim() : '';
+  let m;
+  if ((m = r.match(/^SEND_TO:(.+)$/)) || (m = r.match(/^SEND to (.+)$/))) {
+    return { kind: 'send', otherCode: m[1].trim() };
+  }
+  if ((m = r.match(/^RECEIVE_FROM:(.+)$/)) || (m = r.match(/^RECEIVED from (.+)$/))) {
+    return { kind: 'receive', otherCode: m[1].trim() };
+  }
+  if ((m = r.match(/^QR (\S+) redeemed$/)) || (m = r.match(/^QR:(\S+)$/))) {
+    return { kind: 'qr', code: m[1] };
+  }
+  return { kind: 'other' };
+}
+
+/**
+ * Copies user_points rows that are not in the ledger yet (idempotent via legacyPointsId).
+ * A SEND row directly followed by its RECEIVE row (the old transfer wrote them back to back)
+ * becomes one transfer transaction; any other row gets a system leg.
+ */
+function migrateLegacyPoints() {
+  const hasLegacy = db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name='user_points'").get();
+  if (!hasLegacy) return 0;
+
+  const rows = db.prepare(`
+    SELECT p.id, p.userId, p.points, p.reason, p.createdAt, u.userCode
+    FROM user_points p
+    LEFT JOIN users u ON u.id = p.userId
+    WHERE p.id NOT IN (SELECT legacyPointsId FROM points_ledger WHERE legacyPointsId IS NOT NULL)
+    ORDER BY p.id
+  `).all();
+  if (rows.length === 0) return 0;
+
+  const userIdByCode = code => db.prepare('SELECT id FROM users WHERE userCode = ?').get(code)?.id ?? null;
+
+  db.transaction(() => {
+    for (let i = 0; i < rows.length; i++) {
+      const r = rows[i];
+      const parsed = parseLegacyReason(r.reason);
+      const base = { memo: r.reason, legacyPointsId: r.id, createdAt: r.createdAt };
+
+      if (parsed.kind === 'send') {
+        const next = rows[i + 1];
+        const nextParsed = next ? parseLegacyReason(next.reason) : null;
+        if (next && nextParsed.kind === 'receive' && next.points === -r.points &&
+            next.id === r.id + 1 && parsed.otherCode === next.userCode && nextParsed.otherCode === r.userCode) {
+          postTransaction('transfer', [
+            { userId: r.userId, points: r.points, counterpartyUserId: next.userId, ...base },
+            {
+              userId: next.userId,
+              points: next.points,
+              counterpartyUserId: r.userId,
+              memo: next.reason,
+              legacyPointsId: next.id,
+              createdAt: next.createdAt,
+            },
+          ]);
+          i++;
+          continue;
+        }
+      }
+
+      if (parsed.kind === 'send' || parsed.kind === 'receive') {
+        postTransaction('transfer', [
+          { userId: r.userId, points: r.points, counterpartyUserId: userIdByCode(parsed.otherCode) },
+          { account: 'system:migration', points: -r.points },
+        ], base);
+      } else if (parsed.kind === 'qr') {
+        postSystemEntry('qr_redeem', r.userId, r.points, { ...base, sourceType: 'qr_code', sourceRef: parsed.code });
+      } else {
+        postSystemEntry('adjustment', r.userId, r.points, base);
+      }
+    }
+  })();
+
+  console.log(`[ledger] migrated ${rows.length} user_points rows`);
+  return rows.length;
+}
+
+module.exports = {
+  BASE_POINTS,
+  TYPES,
+  getLedgerTotal,
+  getEffectiveBalance,
+  postTransaction,
+  transferPoints,
+  postSystemEntry,
+  buildHistoryText,
+  getUserEntries,
+  getExpiringSoon,
+  expireLots,
+  backfillLots,
+  migrateLegacyPoints,
+};
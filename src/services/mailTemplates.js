@@ -0,0 +1,138 @@
+// src/services/mailTemplates.js
+
+/**
+ * Mail templates: { subject, text, html } with {{name}} placeholders.
+ * Values are HTML-escaped in html; unknown placeholders render empty.
+ */
+
+const APP_NAME = process.env.APP_NAME || 'Rewards';
+
+const TEMPLATES = {
+  password_reset: {
+    subject: 'Reset your {{appName}} password',
+    text: [
+      'Hi {{firstName}},',
+      '',
+      'Someone asked to reset the password of your {{appName}} account.',
+      'Open this link within {{ttlMinutes}} minutes to choose a new one:',
+      '',
+      '{{resetUrl}}',
+      '',
+      'If it was not you, ignore this email; your password stays the same.',
+    ].join('\n'),
+    html: `
+      <p>Hi {{firstName}},</p>
+      <p>Someone asked to reset the password of your {{appName}} account.
+         Open this link within {{ttlMinutes}} minutes to choose a new one:</p>
+      <p><a href="{{resetUrl}}">Reset password</a></p>
+      <p>If it was not you, ignore this email; your password stays the same.</p>
+    `,
+  },
+
+  verification_code: {
+    subject: 'Your {{appName}} verification code: {{code}}',
+    text: [
+      'Hi {{firstName}},',
+      '',
+      'Your {{appName}} verification code is {{code}}.',
+      'It expires in {{ttlMinutes}} minutes. Never share it with anyone.',
+    ].join('\n'),
+    html: `
+      <p>Hi {{firstName}},</p>
+      <p>Your {{appName}} verification code is <b>{{code}}</b>.</p>
+      <p>It expires in {{ttlMinutes}} minutes. Never share it with anyone.</p>
+    `,
+  },
+
+  account_created: {
+    subject: 'Your {{appName}} account is ready',
+    text: [
+      'Hi {{firstName}},',
+      '',
+      'An account was created for you on {{appName}} with this email address.',
+      'Open this link within {{ttlMinutes}} minutes to choose your password:',
+      '',
+      '{{resetUrl}}',
+      '',
+      'When it expires, use "Forgot password" on the sign-in page to get a new one.',
+    ].join('\n'),
+    html: `
+      <p>Hi {{firstName}},</p>
+      <p>An account was created for you on {{appName}} with this email address.
+         Open this link within {{ttlMinutes}} minutes to choose your password:</p>
+      <p><a href="{{resetUrl}}">Set password</a></p>
+      <p>When it expires, use "Forgot password" on the sign-in page to get a new one.</p>
+    `,
+  },
+
+  password_reset_required: {
+    subject: 'Choose a new {{appName}} password',
+    text: [
+      'Hi {{firstName}},',
+      '',
+      'An administrator asked you to choose a new password for your {{appName}} account',
+      'and every device was signed out. Open this link within {{ttlMinutes}} minutes:',
+      '',
+      '{{resetUrl}}',
+      '',
+      'Until then you cannot sign in with your old password.',
+    ].join('\n'),
+    html: `
+      <p>Hi {{firstName}},</p>
+      <p>An administrator asked you to choose a new password for your {{appName}} account
+         and every device was signed out. Open this link within {{ttlMinutes}} minutes:</p>
+      <p><a href="{{resetUrl}}">Choose a new password</a></p>
+      <p>Until then you cannot sign in with your old password.</p>
+    `,
+  },
+
+  password_changed: {
+    subject: 'Your {{appName}} password was changed',
+    text: [
+      'Hi {{firstName}},',
+      '',
+      'The password of your {{appName}} account was changed on {{changedAt}}',
+      'and {{signedOut}} was signed out.',
+      '',
+      'If it was not you, reset your password right away and contact support.',
+    ].join('\n'),
+    html: `
+      <p>Hi {{firstName}},</p>
+      <p>The password of your {{appName}} account was changed on {{changedAt}}
+         and {{signedOut}} was signed out.</p>
+      <p>If it was not you, reset your password right away and contact support.</p>
+    `,
+  },
+};
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function fill(tpl, vars, escape) {
+  return tpl.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const v = vars[key];
+    if (v === undefined || v === null) return '';
+    return escape ? escapeHtml(v) : String(v);
+  });
+}
+
+// returns { subject, text, html }
+function renderTemplate(name, vars = {}) {
+  const tpl = TEMPLATES[name];
+  if (!tpl) throw new Error(`unknown mail template: ${name}`);
+
+  const all = { appName: APP_NAME, ...vars };
+  return {
+    subject: fill(tpl.subject, all, false),
+    text: fill(tpl.text, all, false),
+    html: fill(tpl.html, all, true).trim(),
+  };
+}
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -0,0 +1,87 @@
+// src/services/mailer.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { renderTemplate } = require('./mailTemplates');
+
+/**
+ * Outgoing mail through a pluggable transport
+ *
+ * transport = { name, send({ from, to, subject, text, html }) -> Promise<{ messageId }> }
+ * - smtp:   nodemailer
+ * - outbox: one JSON file per message in MAIL_OUTBOX_DIR (local dev / tests)
+ *
+ * ENV:
+ *   MAIL_TRANSPORT=smtp|outbox   default: smtp when SMTP_HOST is set, else outbox
+ *   MAIL_FROM="Rewards <no-reply@example.com>"
+ *   SMTP_HOST, SMTP_PORT=587, SMTP_SECURE=1 (port 465), SMTP_USER, SMTP_PASS
+ *   MAIL_OUTBOX_DIR=./outbox
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: ['1', 'true'].includes(String(process.env.SMTP_SECURE || '')) || port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function createOutboxTransport(dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')) {
+  return {
+    name: 'outbox',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${messageId}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+      return { messageId, file };
+    },
+  };
+}
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+  const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+  if (kind === 'smtp') transport = createSmtpTransport();
+  else if (kind === 'outbox') transport = createOutboxTransport();
+  else throw new Error(`unknown MAIL_TRANSPORT: ${kind}`);
+  return transport;
+}
+
+// swap the transport (tests, other providers)
+function setTransport(t) {
+  transport = t;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+async function sendTemplate(to, templateName, vars) {
+  return sendMail({ to, ...renderTemplate(templateName, vars) });
+}
+
+module.exports = {
+  createSmtpTransport,
+  createOutboxTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendTemplate,
+};
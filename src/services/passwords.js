@@ -0,0 +1,98 @@
+// src/services/passwords.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { db, now } = require('../db');
+const { sendTemplate } = require('./mailer');
+
+/**
+ * Password changes + reset tokens (password_resets)
+ *
+ * - a reset token is single-use, stored as a sha256 hash and expires after
+ *   PASSWORD_RESET_TTL_MINUTES (default 30); issuing one drops the user's older unused tokens
+ * - PASSWORD_RESET_URL is the link mailed to the user, {token} is replaced
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) > 0
+  ? Number(process.env.PASSWORD_RESET_TTL_MINUTES)
+  : 30;
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+// null when OK, else an error message
+function checkPasswordStrength(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// also clears an admin-forced reset
+function setPassword(userId, password) {
+  db.prepare('UPDATE users SET passwordHash = ?, passwordResetRequired = 0 WHERE id = ?')
+    .run(bcrypt.hashSync(password, 10), userId);
+}
+
+function resetUrl(token) {
+  const tpl = process.env.PASSWORD_RESET_URL
+    || `${process.env.APP_URL || `http://localhost:${process.env.PORT || 8080}`}/admin/#/reset-password?token={token}`;
+  return tpl.replace('{token}', encodeURIComponent(token));
+}
+
+// returns { token, expiresAt, ttlMinutes }; the raw token is only ever mailed
+function issueResetToken(userId, { ip } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000).toISOString();
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM password_resets WHERE userId = ? AND usedAt IS NULL').run(userId);
+    db.prepare(`
+      INSERT INTO password_resets (userId, tokenHash, requestedIp, createdAt, expiresAt)
+      VALUES (?,?,?,?,?)
+    `).run(userId, hashToken(token), ip || null, now(), expiresAt);
+  })();
+
+  return { token, expiresAt, ttlMinutes: RESET_TTL_MINUTES };
+}
+
+/**
+ * Marks the token used and sets the new password.
+ * returns { ok: true, userId } or { ok: false, status, body }
+ */
+function consumeResetToken(token, newPassword) {
+  return db.transaction(() => {
+    const row = db.prepare('SELECT * FROM password_resets WHERE tokenHash = ?').get(hashToken(token));
+    if (!row || row.usedAt || row.expiresAt <= now()) {
+      return { ok: false, status: 400, body: { error: 'reset link is invalid or has expired', errorCode: 'RESET_TOKEN_INVALID' } };
+    }
+
+    db.prepare('UPDATE password_resets SET usedAt = ? WHERE id = ?').run(now(), row.id);
+    setPassword(row.userId, newPassword);
+    return { ok: true, userId: row.userId };
+  })();
+}
+
+// mails a fresh reset link (account_created, password_reset_required);
+// failures are logged, the caller reports them
+async function mailResetLink(user, template, ip) {
+  const { token, ttlMinutes } = issueResetToken(user.id, { ip });
+  try {
+    await sendTemplate(user.email, template, { firstName: user.firstName, resetUrl: resetUrl(token), ttlMinutes });
+    return true;
+  } catch (err) {
+    console.error(`[passwords.${template}] mail error:`, err);
+    return false;
+  }
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  checkPasswordStrength,
+  setPassword,
+  resetUrl,
+  issueResetToken,
+  consumeResetToken,
+  mailResetLink,
+};
@@ -0,0 +1,162 @@
+// src/services/permissions.js
+const { db, now } = require('../db');
+
+/**
+ * Roles + permissions (roles, role_permissions)
+ *
+ * - users.role holds a roles.code; authRequired re-reads it on every request
+ *   and sets req.user.permissions, so a demotion applies at once
+ * - '*' grants everything (admin)
+ * - built-in roles are created on startup when missing, never overwritten; a permission
+ *   added later reaches an existing built-in role through a migration (see 002)
+ */
+
+const PERMISSIONS = {
+  'users:read': 'view users and their sessions',
+  'users:manage': 'edit users',
+  'users:sessions': "revoke users' sessions",
+  'roles:read': 'view roles and their permissions',
+  'roles:manage': 'edit roles and assign them to users',
+  'api_keys:manage': 'create and revoke API keys',
+  'qr:generate': 'create QR codes and batches',
+  'qr:read': 'list QR codes, batches, images and scan rejections',
+  'qr:scan_on_behalf': "scan QR codes for another user's uid",
+  'points:adjust': 'manual point adjustments and bonuses',
+  'points:manage': 'transfer limits, sales earning rules and the expiry sweep',
+  'transfers:reverse': 'reverse completed transfers',
+  'tiers:manage': 'edit membership tiers',
+  'rewards:manage': 'edit the rewards catalog',
+  'reward_orders:read': 'view all reward orders',
+  'reward_orders:manage': 'approve, dispatch and reject reward orders',
+  'skus:manage': 'edit SKUs',
+  'sales:read': 'view all sales orders',
+  'sales:manage': 'tax rates, cancel any order, returns and credit notes',
+  'stats:read': 'dashboard analytics',
+  'attendance:read': 'view all attendance and timesheets',
+  'attendance:manage': 'work sites, shifts, assignments and attendance corrections',
+  'backups:manage': 'create and list database backups',
+};
+
+const ALL = '*';
+
+const readOnly = Object.keys(PERMISSIONS).filter(p => p.endsWith(':read'));
+
+const DEFAULT_ROLES = [
+  { code: 'admin', name: 'Administrator', permissions: [ALL] },
+  { code: 'user', name: 'User', permissions: [] },
+  { code: 'distributor', name: 'Distributor', permissions: ['qr:scan_on_behalf'] },
+  { code: 'retailer', name: 'Retailer', permissions: ['qr:scan_on_behalf'] },
+  { code: 'sales_rep', name: 'Sales rep', permissions: ['qr:scan_on_behalf', 'users:read'] },
+  { code: 'auditor', name: 'Auditor (read-only)', permissions: readOnly },
+  {
+    code: 'support',
+    name: 'Support',
+    permissions: ['users:read', 'users:sessions', 'reward_orders:read', 'reward_orders:manage', 'points:adjust'],
+  },
+];
+
+function isKnownPermission(p) {
+  return p === ALL || Object.prototype.hasOwnProperty.call(PERMISSIONS, p);
+}
+
+// creates missing built-in roles (startup)
+function seedDefaultRoles() {
+  const insRole = db.prepare(`
+    INSERT INTO roles (code, name, builtin, createdAt, updatedAt) VALUES (?,?,1,?,?)
+  `);
+  const insPerm = db.prepare('INSERT INTO role_permissions (roleId, permission) VALUES (?,?)');
+
+  let created = 0;
+  db.transaction(() => {
+    for (const r of DEFAULT_ROLES) {
+      if (db.prepare('SELECT 1 FROM roles WHERE code = ?').get(r.code)) continue;
+      const { lastInsertRowid } = insRole.run(r.code, r.name, now(), now());
+      for (const p of r.permissions) insPerm.run(lastInsertRowid, p);
+      created++;
+    }
+  })();
+  if (created) console.log(`[roles] created ${created} built-in roles`);
+}
+
+function getRolePermissions(roleCode) {
+  return db.prepare(`
+    SELECT rp.permission FROM role_permissions rp JOIN roles r ON r.id = rp.roleId WHERE r.code = ?
+  `).all(roleCode).map(r => r.permission);
+}
+
+// current role + permissions of a user, null when the user is gone
+function loadUserAccess(userId) {
+  const u = db.prepare('SELECT role, suspendedAt FROM users WHERE id = ?').get(userId);
+  if (!u) return null;
+  return { role: u.role, suspended: !!u.suspendedAt, permissions: getRolePermissions(u.role) };
+}
+
+// user = req.user (permissions set by authRequired)
+function hasPermission(user, permission) {
+  const perms = user?.permissions || [];
+  return perms.includes(ALL) || perms.includes(permission);
+}
+
+function getRole(code) {
+  const role = db.prepare('SELECT * FROM roles WHERE code = ?').get(code);
+  if (!role) return null;
+  const userCount = db.prepare('SELECT COUNT(*) AS c FROM users WHERE role = ?').get(code).c;
+  return { ...role, builtin: !!role.builtin, permissions: getRolePermissions(code), userCount };
+}
+
+function listRoles() {
+  return db.prepare('SELECT code FROM roles ORDER BY builtin DESC, code ASC').all().map(r => getRole(r.code));
+}
+
+function setRolePermissions(roleId, permissions) {
+  db.prepare('DELETE FROM role_permissions WHERE roleId = ?').run(roleId);
+  const ins = db.prepare('INSERT INTO role_permissions (roleId, permission) VALUES (?,?)');
+  for (const p of new Set(permissions)) ins.run(roleId, p);
+}
+
+// users whose role grants '*'
+function countSuperUsers() {
+  return db.prepare(`
+    SELECT COUNT(*) AS c FROM users u
+    JOIN roles r ON r.code = u.role
+    JOIN role_permissions rp ON rp.roleId = r.id AND rp.permission = ?
+  `).get(ALL).c;
+}
+
+/**
+ * Gives a user another role; refuses when no user would keep '*'.
+ * returns { ok: true, from, to } or { ok: false, status, body }
+ */
+function assignRole(userId, roleCode) {
+  if (!db.prepare('SELECT 1 FROM roles WHERE code = ?').get(roleCode)) {
+    return { ok: false, status: 400, body: { error: 'unknown role' } };
+  }
+  const noSuperUserLeft = new Error('no super user left');
+  try {
+    return db.transaction(() => {
+      const from = db.prepare('SELECT role FROM users WHERE id = ?').get(userId).role;
+      db.prepare('UPDATE users SET role = ? WHERE id = ?').run(roleCode, userId);
+      if (countSuperUsers() === 0) throw noSuperUserLeft; // rolls back
+      return { ok: true, from, to: roleCode };
+    })();
+  } catch (e) {
+    if (e !== noSuperUserLeft) throw e;
+    return { ok: false, status: 409, body: { error: 'at least one user must keep the * permission' } };
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL,
+  DEFAULT_ROLES,
+  isKnownPermission,
+  seedDefaultRoles,
+  getRolePermissions,
+  loadUserAccess,
+  hasPermission,
+  getRole,
+  listRoles,
+  setRolePermissions,
+  countSuperUsers,
+  assignRole,
+};
@@ -0,0 +1,235 @@
+// src/services/qrRender.js
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+
+/**
+ * QR rendering (no network): single symbols as SVG/PNG and
+ * paginated A4 label sheets as SVG/PDF.
+ *
+ * Sheets are laid out once in millimetres (layoutSheet) and then
+ * serialized by sheetPageToSvg / writeSheetPdf.
+ */
+
+const A4 = { w: 210, h: 297 }; // mm
+const MM_TO_PT = 72 / 25.4;
+const QUIET_MODULES = 4;
+const CELL_PADDING = 1.5; // mm
+
+const SHEET_DEFAULTS = {
+  cols: 4,
+  rows: 6,
+  margin: 10,   // mm, page margin
+  gap: 2,       // mm, between labels
+  caption: true,
+  cutMarks: true,
+};
+
+const SHEET_LIMITS = {
+  cols: [1, 10],
+  rows: [1, 20],
+  margin: [0, 40],
+  gap: [0, 20],
+};
+
+// ------------------------ single symbol ------------------------
+function renderQrSvg(text, size = 256) {
+  return QRCode.toString(text, { type: 'svg', width: size, margin: QUIET_MODULES, errorCorrectionLevel: 'M' });
+}
+
+function renderQrPng(text, size = 256) {
+  return QRCode.toBuffer(text, { type: 'png', width: size, margin: QUIET_MODULES, errorCorrectionLevel: 'M' });
+}
+
+// ------------------------ sheet layout ------------------------
+/**
+ * Validates raw (query string) options against SHEET_LIMITS.
+ * Returns { error } or { value }
+ */
+function parseSheetOptions(raw = {}) {
+  const value = { ...SHEET_DEFAULTS };
+
+  for (const key of Object.keys(SHEET_LIMITS)) {
+    if (raw[key] === undefined || raw[key] === '') continue;
+    const n = Number(raw[key]);
+    const [min, max] = SHEET_LIMITS[key];
+    if (!Number.isFinite(n) || n < min || n > max) {
+      return { error: `${key} must be between ${min} and ${max}` };
+    }
+    value[key] = (key === 'cols' || key === 'rows') ? Math.trunc(n) : n;
+  }
+
+  for (const key of ['caption', 'cutMarks']) {
+    if (raw[key] === undefined || raw[key] === '') continue;
+    value[key] = !['0', 'false', 'no'].includes(String(raw[key]).toLowerCase());
+  }
+
+  const cellW = (A4.w - 2 * value.margin - (value.cols - 1) * value.gap) / value.cols;
+  const cellH = (A4.h - 2 * value.margin - (value.rows - 1) * value.gap) / value.rows;
+  if (cellW < 15 || cellH < 15) return { error: 'labels too small, use fewer cols/rows or smaller margins' };
+
+  return { value };
+}
+
+// dark modules as rects, horizontal runs merged
+function qrRects(text, x, y, size) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const n = modules.size;
+  const unit = size / (n + 2 * QUIET_MODULES);
+  const rects = [];
+
+  for (let r = 0; r < n; r++) {
+    let c = 0;
+    while (c < n) {
+      if (!modules.get(r, c)) { c++; continue; }
+      const start = c;
+      while (c < n && modules.get(r, c)) c++;
+      rects.push({
+        x: x + (QUIET_MODULES + start) * unit,
+        y: y + (QUIET_MODULES + r) * unit,
+        w: (c - start) * unit,
+        h: unit,
+      });
+    }
+  }
+  return rects;
+}
+
+/**
+ * labels: [{ content, caption }]
+ * returns pages: [{ rects, texts, lines }] in mm
+ */
+function layoutSheet(labels, opts) {
+  const { cols, rows, margin, gap, caption, cutMarks } = opts;
+  const perPage = cols * rows;
+  const cellW = (A4.w - 2 * margin - (cols - 1) * gap) / cols;
+  const cellH = (A4.h - 2 * margin - (rows - 1) * gap) / rows;
+  const captionH = caption ? Math.min(6, cellH * 0.18) : 0;
+  const qrSize = Math.min(cellW, cellH - captionH) - 2 * CELL_PADDING;
+
+  const pages = [];
+  for (let i = 0; i < labels.length; i += perPage) {
+    const page = { rects: [], texts: [], lines: [] };
+
+    labels.slice(i, i + perPage).forEach((label, k) => {
+      const cx = margin + (k % cols) * (cellW + gap);
+      const cy = margin + Math.floor(k / cols) * (cellH + gap);
+
+      page.rects.push(...qrRects(label.content, cx + (cellW - qrSize) / 2, cy + CELL_PADDING, qrSize));
+
+      if (caption && label.caption) {
+        page.texts.push({
+          x: cx,
+          y: cy + CELL_PADDING + qrSize + captionH * 0.15,
+          w: cellW,
+          size: captionH * 0.55,
+          text: label.caption,
+        });
+      }
+    });
+
+    if (cutMarks) page.lines = cutMarkLines(opts, cellW, cellH);
+    pages.push(page);
+  }
+  return pages;
+}
+
+// short ticks in the page margin, lined up with every label edge
+function cutMarkLines({ cols, rows, margin, gap }, cellW, cellH) {
+  const len = Math.min(4, margin - 1);
+  if (len <= 0) return [];
+
+  const xs = new Set();
+  const ys = new Set();
+  for (let c = 0; c < cols; c++) {
+    xs.add(margin + c * (cellW + gap));
+    xs.add(margin + c * (cellW + gap) + cellW);
+  }
+  for (let r = 0; r < rows; r++) {
+    ys.add(margin + r * (cellH + gap));
+    ys.add(margin + r * (cellH + gap) + cellH);
+  }
+
+  const lines = [];
+  for (const x of xs) {
+    lines.push({ x1: x, y1: margin - 1 - len, x2: x, y2: margin - 1 });
+    lines.push({ x1: x, y1: A4.h - margin + 1, x2: x, y2: A4.h - margin + 1 + len });
+  }
+  for (const y of ys) {
+    lines.push({ x1: margin - 1 - len, y1: y, x2: margin - 1, y2: y });
+    lines.push({ x1: A4.w - margin + 1, y1: y, x2: A4.w - margin + 1 + len, y2: y });
+  }
+  return lines;
+}
+
+// ------------------------ serializers ------------------------
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, ch => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+  }[ch]));
+}
+
+const r3 = n => Math.round(n * 1000) / 1000;
+
+function sheetPageToSvg(page) {
+  const d = page.rects.map(r => `M${r3(r.x)} ${r3(r.y)}h${r3(r.w)}v${r3(r.h)}h${r3(-r.w)}z`).join('');
+
+  const texts = page.texts.map(t =>
+    `<text x="${r3(t.x + t.w / 2)}" y="${r3(t.y + t.size)}" font-size="${r3(t.size)}" ` +
+    `text-anchor="middle" font-family="Helvetica, Arial, sans-serif">${escapeXml(t.text)}</text>`
+  ).join('');
+
+  const lines = page.lines.map(l =>
+    `<line x1="${r3(l.x1)}" y1="${r3(l.y1)}" x2="${r3(l.x2)}" y2="${r3(l.y2)}"/>`
+  ).join('');
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${A4.w}mm" height="${A4.h}mm" viewBox="0 0 ${A4.w} ${A4.h}">`,
+    `<rect width="${A4.w}" height="${A4.h}" fill="#fff"/>`,
+    `<path fill="#000" d="${d}"/>`,
+    texts,
+    lines ? `<g stroke="#000" stroke-width="0.2">${lines}</g>` : '',
+    '</svg>',
+  ].join('');
+}
+
+// streams all pages as one PDF into `out` (e.g. an express response)
+function writeSheetPdf(pages, out) {
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+  doc.pipe(out);
+
+  for (const page of pages) {
+    doc.addPage();
+
+    for (const r of page.rects) {
+      doc.rect(r.x * MM_TO_PT, r.y * MM_TO_PT, r.w * MM_TO_PT, r.h * MM_TO_PT);
+    }
+    if (page.rects.length) doc.fill('#000');
+
+    doc.font('Helvetica');
+    for (const t of page.texts) {
+      doc.fontSize(t.size * MM_TO_PT).text(t.text, t.x * MM_TO_PT, t.y * MM_TO_PT, {
+        width: t.w * MM_TO_PT,
+        align: 'center',
+        lineBreak: false,
+      });
+    }
+
+    if (page.lines.length) {
+      for (const l of page.lines) {
+        doc.moveTo(l.x1 * MM_TO_PT, l.y1 * MM_TO_PT).lineTo(l.x2 * MM_TO_PT, l.y2 * MM_TO_PT);
+      }
+      doc.lineWidth(0.5).stroke('#000');
+    }
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  renderQrSvg,
+  renderQrPng,
+  parseSheetOptions,
+  layoutSheet,
+  sheetPageToSvg,
+  writeSheetPdf,
+};
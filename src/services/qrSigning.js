@@ -0,0 +1,106 @@
+// src/services/qrSigning.js
+const crypto = require('crypto');
+
+/**
+ * Signed QR payloads
+ *
+ * Printed content:  Q1.<code>.<batchId>.<kid>.<sig>
+ * - code:    the value stored in qr_codes.code
+ * - batchId: qr_codes.batchId (0 when the code has no batch)
+ * - kid:     key id, so old print runs keep verifying after a rotation
+ * - sig:     base64url HMAC-SHA256 over "Q1.<code>.<batchId>.<kid>", truncated to 16 bytes
+ *
+ * ENV:
+ *   QR_SIGNING_KEYS="k1:oldsecret,k2:newsecret"   all keys that may verify
+ *   QR_SIGNING_KID=k2                             key used to sign new codes (default: last one)
+ *   QR_REQUIRE_SIGNED=1                           reject plain codes at scan time
+ */
+
+const PREFIX = 'Q1';
+const SIG_BYTES = 16;
+const SAFE_PART = /^[A-Za-z0-9_-]+$/;
+
+function loadKeys() {
+  const keys = new Map();
+  const raw = String(process.env.QR_SIGNING_KEYS || '').trim();
+  if (!raw) return keys;
+
+  for (const pair of raw.split(',')) {
+    const i = pair.indexOf(':');
+    if (i <= 0) continue;
+    const kid = pair.slice(0, i).trim();
+    const secret = pair.slice(i + 1).trim();
+    if (SAFE_PART.test(kid) && secret) keys.set(kid, secret);
+  }
+  return keys;
+}
+
+const KEYS = loadKeys();
+const ACTIVE_KID = process.env.QR_SIGNING_KID || [...KEYS.keys()].pop() || null;
+
+if (ACTIVE_KID && !KEYS.has(ACTIVE_KID)) {
+  console.warn(`[qr] QR_SIGNING_KID "${ACTIVE_KID}" is not in QR_SIGNING_KEYS, signing disabled`);
+}
+
+function isSigningEnabled() {
+  return !!ACTIVE_KID && KEYS.has(ACTIVE_KID);
+}
+
+function isSignatureRequired() {
+  return process.env.QR_REQUIRE_SIGNED === '1' || process.env.QR_REQUIRE_SIGNED === 'true';
+}
+
+function isSignedPayload(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}.`);
+}
+
+function hmac(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest().subarray(0, SIG_BYTES);
+}
+
+// only codes without separators can be signed (generated codes always qualify)
+function canSign(code) {
+  return SAFE_PART.test(String(code || ''));
+}
+
+function signQrPayload(code, batchId) {
+  if (!isSigningEnabled()) throw new Error('QR signing is not configured');
+  if (!canSign(code)) throw new Error(`code "${code}" cannot be signed`);
+
+  const body = `${PREFIX}.${code}.${Number(batchId) || 0}.${ACTIVE_KID}`;
+  return `${body}.${hmac(KEYS.get(ACTIVE_KID), body).toString('base64url')}`;
+}
+
+/**
+ * Parses and verifies a signed payload without touching the database.
+ * Returns { ok: true, code, batchId, kid } or { ok: false, reason }
+ * reason: 'malformed' | 'unknown_key' | 'bad_signature'
+ */
+function verifyQrPayload(payload) {
+  const parts = String(payload || '').split('.');
+  if (parts.length !== 5 || parts[0] !== PREFIX) return { ok: false, reason: 'malformed' };
+
+  const [, code, batchRaw, kid, sig] = parts;
+  if (!canSign(code) || !/^\d+$/.test(batchRaw)) return { ok: false, reason: 'malformed' };
+
+  const secret = KEYS.get(kid);
+  if (!secret) return { ok: false, reason: 'unknown_key' };
+
+  const expected = hmac(secret, `${PREFIX}.${code}.${batchRaw}.${kid}`);
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'bad_signature' };
+  }
+
+  const batchId = Number(batchRaw);
+  return { ok: true, code, batchId: batchId || null, kid };
+}
+
+module.exports = {
+  isSigningEnabled,
+  isSignatureRequired,
+  isSignedPayload,
+  canSign,
+  signQrPayload,
+  verifyQrPayload,
+};
@@ -0,0 +1,245 @@
+// src/services/saleRewards.js
+const { db, now } = require('../db');
+const { postSystemEntry } = require('./ledger');
+
+/**
+ * Points earned from sales (sku_point_rules, sale_point_awards)
+ *
+ * - a rule gives per_unit points (value x quantity) or a percent of the line amount
+ *   before tax (floored), optionally only between startsAt and endsAt
+ * - dailyCap limits what one user earns from a rule per UTC day
+ * - points are posted per order line ('sale_earn') when the order is confirmed, inside
+ *   the confirming transaction; when several rules match a line the newest wins
+ * - cancelling the order claws back everything left, a credit note claws back the
+ *   returned share of each line ('sale_clawback')
+ *
+ * ENV:
+ *   SALES_POINTS_TO=rep      rep (who booked the order) | customer (the customer's
+ *                            account, or the rep when the order has none)
+ */
+
+const MODES = ['per_unit', 'percent'];
+
+function fail(status, error) {
+  return { ok: false, status, body: { error } };
+}
+
+// ------------------------ rules ------------------------
+const RULE_SELECT = `
+  SELECT r.*, s.number AS skuNumber, s.name AS skuName
+  FROM sku_point_rules r JOIN skus s ON s.id = r.skuId
+`;
+
+function toRule(row) {
+  return row ? { ...row, active: !!row.active } : null;
+}
+
+function getRule(id) {
+  return toRule(db.prepare(`${RULE_SELECT} WHERE r.id = ?`).get(id));
+}
+
+function listRules({ skuId, all = false } = {}) {
+  const where = [];
+  const params = [];
+  if (skuId) { where.push('r.skuId = ?'); params.push(skuId); }
+  if (!all) where.push('r.active = 1');
+  return db.prepare(`
+    ${RULE_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY s.number ASC, r.id DESC
+  `).all(...params).map(toRule);
+}
+
+function parseDate(v, name) {
+  if (v === undefined || v === null || v === '') return { value: null };
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) return { error: `${name} must be a date` };
+  return { value: new Date(t).toISOString() };
+}
+
+// validates create/update body, `current` = existing rule for updates
+function parseRuleInput(body, current = {}) {
+  const merged = { ...current, ...body };
+
+  const mode = String(merged.mode || '').trim();
+  if (!MODES.includes(mode)) return { error: `mode must be one of: ${MODES.join(', ')}` };
+
+  const value = Number(merged.value);
+  if (!Number.isFinite(value) || value <= 0) return { error: 'value must be a positive number' };
+  if (mode === 'per_unit' && !Number.isInteger(value)) return { error: 'per_unit value must be whole points' };
+  if (mode === 'percent' && value > 100) return { error: 'percent value cannot exceed 100' };
+
+  const startsAt = parseDate(merged.startsAt, 'startsAt');
+  if (startsAt.error) return { error: startsAt.error };
+  const endsAt = parseDate(merged.endsAt, 'endsAt');
+  if (endsAt.error) return { error: endsAt.error };
+  if (startsAt.value && endsAt.value && endsAt.value <= startsAt.value) return { error: 'endsAt must be after startsAt' };
+
+  let dailyCap = null;
+  if (merged.dailyCap !== undefined && merged.dailyCap !== null && merged.dailyCap !== '') {
+    dailyCap = Number(merged.dailyCap);
+    if (!Number.isInteger(dailyCap) || dailyCap < 1) return { error: 'dailyCap must be a positive integer' };
+  }
+
+  return {
+    value: {
+      mode,
+      value,
+      startsAt: startsAt.value,
+      endsAt: endsAt.value,
+      dailyCap,
+      active: merged.active === undefined ? 1 : (merged.active ? 1 : 0),
+    }
+  };
+}
+
+// newest active rule of the SKU whose window contains `at`
+function ruleFor(skuId, at) {
+  return db.prepare(`
+    SELECT * FROM sku_point_rules
+    WHERE skuId = ? AND active = 1
+      AND (startsAt IS NULL OR startsAt <= ?) AND (endsAt IS NULL OR endsAt > ?)
+    ORDER BY id DESC LIMIT 1
+  `).get(skuId, at, at) || null;
+}
+
+function pointsFor(rule, line) {
+  if (rule.mode === 'per_unit') return Math.floor(rule.value * line.quantity);
+  const amount = line.lineTotal - line.taxAmount;
+  return Math.floor(amount * rule.value / 100);
+}
+
+// ------------------------ awarding ------------------------
+function recipientOf(order) {
+  if (process.env.SALES_POINTS_TO === 'customer' && order.customerUserId) return order.customerUserId;
+  return order.userId;
+}
+
+/**
+ * Posts the points of a just-confirmed order; call inside the confirming transaction.
+ * returns the points awarded
+ */
+function awardOrderPoints(orderId) {
+  const order = db.prepare('SELECT * FROM sales_orders WHERE id = ?').get(orderId);
+  const lines = db.prepare('SELECT * FROM sales_order_lines WHERE orderId = ? ORDER BY id').all(orderId);
+  const userId = recipientOf(order);
+  const at = order.confirmedAt || now();
+  const day = at.slice(0, 10);
+
+  let total = 0;
+  for (const line of lines) {
+    const rule = ruleFor(line.skuId, at);
+    if (!rule) continue;
+
+    let points = pointsFor(rule, line);
+    if (rule.dailyCap) {
+      const earnedToday = db.prepare(`
+        SELECT COALESCE(SUM(points - clawedBack), 0) AS p FROM sale_point_awards
+        WHERE ruleId = ? AND userId = ? AND substr(createdAt, 1, 10) = ?
+      `).get(rule.id, userId, day).p;
+      points = Math.min(points, Math.max(0, rule.dailyCap - earnedToday));
+    }
+    if (points <= 0) continue;
+
+    postSystemEntry('sale_earn', userId, points, {
+      sourceType: 'sales_order',
+      sourceRef: String(order.id),
+      memo: `${line.skuNumber} × ${line.quantity}`,
+      createdAt: at,
+    });
+    db.prepare(`
+      INSERT INTO sale_point_awards (orderId, orderLineId, ruleId, userId, points, createdAt) VALUES (?,?,?,?,?,?)
+    `).run(order.id, line.id, rule.id, userId, points, at);
+    total += points;
+  }
+  return total;
+}
+
+function clawBack(award, points, reason, line) {
+  if (points <= 0) return 0;
+  postSystemEntry('sale_clawback', award.userId, -points, {
+    sourceType: 'sales_order',
+    sourceRef: String(award.orderId),
+    memo: `${reason}: ${line.skuNumber} × ${line.quantity}`,
+  });
+  db.prepare('UPDATE sale_point_awards SET clawedBack = clawedBack + ? WHERE id = ?').run(points, award.id);
+  return points;
+}
+
+/**
+ * Takes back what is left of an order's points (cancellation); call inside its transaction.
+ * returns the points taken back
+ */
+function clawBackOrder(orderId) {
+  const awards = db.prepare(`
+    SELECT a.*, l.skuNumber, l.quantity FROM sale_point_awards a
+    JOIN sales_order_lines l ON l.id = a.orderLineId
+    WHERE a.orderId = ? AND a.points > a.clawedBack
+  `).all(orderId);
+  return awards.reduce((sum, a) => sum + clawBack(a, a.points - a.clawedBack, 'cancelled', a), 0);
+}
+
+/**
+ * Takes back the share of returned units; call inside the credit note's transaction
+ * after sales_order_lines.returnedQuantity was updated.
+ * returned: [{ lineId, quantity }]
+ */
+function clawBackReturn(returned) {
+  let total = 0;
+  for (const r of returned) {
+    const award = db.prepare('SELECT * FROM sale_point_awards WHERE orderLineId = ?').get(r.lineId);
+    if (!award || award.points <= award.clawedBack) continue;
+    const line = db.prepare('SELECT * FROM sales_order_lines WHERE id = ?').get(r.lineId);
+
+    // all units back = whatever is left, else the pro-rata share
+    const points = line.returnedQuantity >= line.quantity
+      ? award.points - award.clawedBack
+      : Math.min(award.points - award.clawedBack, Math.round(award.points * r.quantity / line.quantity));
+    total += clawBack(award, points, 'returned', { skuNumber: line.skuNumber, quantity: r.quantity });
+  }
+  return total;
+}
+
+// { awarded, clawedBack, lines: [...] } for an order
+function getOrderPoints(orderId) {
+  const lines = db.prepare(`
+    SELECT a.orderLineId, a.ruleId, a.points, a.clawedBack, u.userCode AS userId
+    FROM sale_point_awards a JOIN users u ON u.id = a.userId
+    WHERE a.orderId = ? ORDER BY a.id
+  `).all(orderId);
+  return {
+    awarded: lines.reduce((s, l) => s + l.points, 0),
+    clawedBack: lines.reduce((s, l) => s + l.clawedBack, 0),
+    lines,
+  };
+}
+
+// ------------------------ rule writes ------------------------
+function createRule(skuId, v) {
+  if (!db.prepare('SELECT 1 FROM skus WHERE id = ?').get(skuId)) return fail(404, 'sku not found');
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO sku_point_rules (skuId, mode, value, startsAt, endsAt, dailyCap, active, createdAt, updatedAt)
+    VALUES (?,?,?,?,?,?,?,?,?)
+  `).run(skuId, v.mode, v.value, v.startsAt, v.endsAt, v.dailyCap, v.active, now(), now());
+  return { ok: true, rule: getRule(lastInsertRowid) };
+}
+
+function updateRule(id, v) {
+  db.prepare(`
+    UPDATE sku_point_rules
+    SET mode = ?, value = ?, startsAt = ?, endsAt = ?, dailyCap = ?, active = ?, updatedAt = ?
+    WHERE id = ?
+  `).run(v.mode, v.value, v.startsAt, v.endsAt, v.dailyCap, v.active, now(), id);
+  return { ok: true, rule: getRule(id) };
+}
+
+module.exports = {
+  MODES,
+  getRule,
+  listRules,
+  parseRuleInput,
+  createRule,
+  updateRule,
+  awardOrderPoints,
+  clawBackOrder,
+  clawBackReturn,
+  getOrderPoints,
+};
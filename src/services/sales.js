@@ -0,0 +1,468 @@
+// src/services/sales.js
+const { db, now } = require('../db');
+const { getSku } = require('./skus');
+const { awardOrderPoints, clawBackOrder, clawBackReturn, getOrderPoints } = require('./saleRewards');
+
+/**
+ * Sales orders (sales_orders, sales_order_lines, credit_notes, tax_rates)
+ *
+ * - draft -> confirmed -> cancelled; drafts can be edited, confirming assigns the
+ *   next invoice number, a confirmed order can only be cancelled while it has no credit notes
+ * - amounts per line: gross = unitPrice * quantity, minus the line discount, minus its
+ *   share of the order discount (split by net amount), plus tax at the line's rate
+ * - returns are credit notes against confirmed lines; they reverse quantity and amounts
+ *   pro rata, the last returned unit takes whatever rounding is left
+ * - invoice / credit note numbers come from document_sequences and have no gaps
+ * - confirming earns points by the SKUs' rules, cancelling / returning claws them
+ *   back, in the same transaction (services/saleRewards.js)
+ *
+ * ENV:
+ *   INVOICE_PREFIX=INV-        CREDIT_NOTE_PREFIX=CN-
+ *   SALES_TAX_RATE=0           percent of the seeded default rate (first start only)
+ */
+
+const STATUSES = ['draft', 'confirmed', 'cancelled'];
+const DISCOUNT_TYPES = ['percent', 'amount'];
+const MAX_LINES = 200;
+
+const round2 = n => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+function fail(status, error, extra = {}) {
+  return { ok: false, status, body: { error, ...extra } };
+}
+
+// next gap-free number of a sequence, call inside the transaction that uses it
+function nextNumber(name, prefix) {
+  db.prepare('INSERT OR IGNORE INTO document_sequences (name, lastValue) VALUES (?, 0)').run(name);
+  db.prepare('UPDATE document_sequences SET lastValue = lastValue + 1 WHERE name = ?').run(name);
+  const { lastValue } = db.prepare('SELECT lastValue FROM document_sequences WHERE name = ?').get(name);
+  return `${prefix}${String(lastValue).padStart(6, '0')}`;
+}
+
+const invoicePrefix = () => process.env.INVOICE_PREFIX ?? 'INV-';
+const creditNotePrefix = () => process.env.CREDIT_NOTE_PREFIX ?? 'CN-';
+
+// ------------------------ tax rates ------------------------
+function listTaxRates({ all = false } = {}) {
+  return db.prepare(`
+    SELECT * FROM tax_rates ${all ? '' : 'WHERE active = 1'} ORDER BY isDefault DESC, code ASC
+  `).all().map(r => ({ ...r, isDefault: !!r.isDefault, active: !!r.active }));
+}
+
+function getTaxRate(code) {
+  const r = db.prepare('SELECT * FROM tax_rates WHERE code = ?').get(String(code).toUpperCase());
+  return r ? { ...r, isDefault: !!r.isDefault, active: !!r.active } : null;
+}
+
+function getDefaultTaxRate() {
+  return db.prepare('SELECT * FROM tax_rates WHERE isDefault = 1 AND active = 1').get() || null;
+}
+
+// ------------------------ pricing ------------------------
+// { type, value } or null; `base` caps amount discounts
+function parseDiscount(raw, base, label) {
+  if (raw === undefined || raw === null || raw === '') return { value: null };
+  const type = String(raw.type || '').trim();
+  const value = Number(raw.value);
+  if (!DISCOUNT_TYPES.includes(type)) return { error: `${label} discount type must be percent or amount` };
+  if (!Number.isFinite(value) || value < 0) return { error: `${label} discount must be zero or positive` };
+  if (type === 'percent' && value > 100) return { error: `${label} discount cannot exceed 100%` };
+  if (type === 'amount' && round2(value) > base) return { error: `${label} discount cannot exceed its amount` };
+  return { value: { type, value: round2(value) } };
+}
+
+function discountAmount(d, base) {
+  if (!d) return 0;
+  return d.type === 'percent' ? round2(base * d.value / 100) : Math.min(d.value, base);
+}
+
+/**
+ * Validates an order body and computes every amount.
+ * input: { customer: { uid, name, phone }, lines: [{ sku | skuId | skuNumber, quantity,
+ *          discount: { type, value }, taxRate: "STD" }], discount: { type, value }, note }
+ * returns { ok: true, header, lines } or { ok: false, status, body }
+ */
+function priceOrder(input) {
+  const rawLines = Array.isArray(input.lines) ? input.lines : [];
+  if (rawLines.length === 0) return fail(400, 'at least one line is required');
+  if (rawLines.length > MAX_LINES) return fail(400, `at most ${MAX_LINES} lines per order`);
+
+  const defaultRate = getDefaultTaxRate();
+  const lines = [];
+  for (const [i, raw] of rawLines.entries()) {
+    const label = `line ${i + 1}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail(400, `${label} must be an object`);
+    const key = raw.sku ?? raw.skuId ?? raw.skuNumber;
+    const sku = key !== undefined && key !== null && key !== '' ? getSku(key) : null;
+    if (!sku) return fail(404, `${label}: sku not found`);
+    if (!sku.sellable) return fail(409, `${label}: sku ${sku.number} is not available for sale`);
+
+    const quantity = Number(raw.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) return fail(400, `${label}: quantity must be a positive integer`);
+
+    let tax = defaultRate;
+    if (raw.taxRate !== undefined && raw.taxRate !== null && raw.taxRate !== '') {
+      tax = getTaxRate(raw.taxRate);
+      if (!tax || !tax.active) return fail(400, `${label}: unknown tax rate ${raw.taxRate}`);
+    }
+
+    const gross = round2(sku.price * quantity);
+    const discount = parseDiscount(raw.discount, gross, label);
+    if (discount.error) return fail(400, discount.error);
+    const lineDiscount = discountAmount(discount.value, gross);
+
+    lines.push({
+      skuId: sku.id,
+      skuNumber: sku.number,
+      skuName: sku.name,
+      quantity,
+      unitPrice: sku.price,
+      discountType: discount.value?.type || null,
+      discountValue: discount.value?.value || 0,
+      discountAmount: lineDiscount,
+      taxRateCode: tax ? tax.code : null,
+      taxRate: tax ? Number(tax.rate) : 0,
+      gross,
+      net: round2(gross - lineDiscount),
+    });
+  }
+
+  // order discount, split over the lines by their net amount
+  const netSum = round2(lines.reduce((s, l) => s + l.net, 0));
+  const orderDiscount = parseDiscount(input.discount, netSum, 'order');
+  if (orderDiscount.error) return fail(400, orderDiscount.error);
+  const orderDiscountAmount = discountAmount(orderDiscount.value, netSum);
+
+  let allocated = 0;
+  lines.forEach((l, i) => {
+    const share = i === lines.length - 1
+      ? round2(orderDiscountAmount - allocated)
+      : (netSum > 0 ? round2(orderDiscountAmount * l.net / netSum) : 0);
+    allocated = round2(allocated + share);
+    const taxable = round2(l.net - share);
+    l.orderDiscountShare = share;
+    l.taxAmount = round2(taxable * l.taxRate / 100);
+    l.lineTotal = round2(taxable + l.taxAmount);
+  });
+
+  // customer: an account (uid) and/or free text
+  const customer = input.customer || {};
+  let customerUserId = null;
+  let customerName = customer.name ? String(customer.name).trim() : null;
+  if (customer.uid) {
+    const u = db.prepare('SELECT id, firstName, lastName FROM users WHERE userCode = ?').get(String(customer.uid));
+    if (!u) return fail(404, 'customer not found for given uid');
+    customerUserId = u.id;
+    customerName = customerName || `${u.firstName} ${u.lastName || ''}`.trim();
+  }
+
+  const sum = f => round2(lines.reduce((s, l) => s + l[f], 0));
+  return {
+    ok: true,
+    header: {
+      customerUserId,
+      customerName,
+      customerPhone: customer.phone ? String(customer.phone).trim() : null,
+      discountType: orderDiscount.value?.type || null,
+      discountValue: orderDiscount.value?.value || 0,
+      subtotal: sum('gross'),
+      discountTotal: round2(sum('discountAmount') + orderDiscountAmount),
+      taxTotal: sum('taxAmount'),
+      total: sum('lineTotal'),
+      note: input.note ? String(input.note).trim() : null,
+    },
+    lines,
+  };
+}
+
+function insertLines(orderId, lines) {
+  const ins = db.prepare(`
+    INSERT INTO sales_order_lines (
+      orderId, skuId, skuNumber, skuName, quantity, unitPrice, discountType, discountValue,
+      discountAmount, orderDiscountShare, taxRateCode, taxRate, taxAmount, lineTotal
+    )
+    VALUES (@orderId, @skuId, @skuNumber, @skuName, @quantity, @unitPrice, @discountType, @discountValue,
+            @discountAmount, @orderDiscountShare, @taxRateCode, @taxRate, @taxAmount, @lineTotal)
+  `);
+  for (const l of lines) {
+    const { gross, net, ...row } = l;
+    ins.run({ ...row, orderId });
+  }
+}
+
+// ------------------------ reads ------------------------
+const ORDER_SELECT = `
+  SELECT
+    o.*,
+    u.userCode, u.email AS userEmail,
+    TRIM(COALESCE(u.firstName, '') || ' ' || COALESCE(u.lastName, '')) AS userName,
+    c.userCode AS customerUserCode
+  FROM sales_orders o
+  JOIN users u ON u.id = o.userId
+  LEFT JOIN users c ON c.id = o.customerUserId
+`;
+
+function getOrder(id) {
+  const order = db.prepare(`${ORDER_SELECT} WHERE o.id = ?`).get(id);
+  if (!order) return null;
+
+  const lines = db.prepare('SELECT * FROM sales_order_lines WHERE orderId = ? ORDER BY id').all(order.id);
+  const creditNotes = db.prepare('SELECT * FROM credit_notes WHERE orderId = ? ORDER BY id').all(order.id);
+  const cnLines = db.prepare('SELECT * FROM credit_note_lines WHERE creditNoteId = ? ORDER BY id');
+  for (const cn of creditNotes) cn.lines = cnLines.all(cn.id);
+
+  return { ...order, lines, creditNotes, points: getOrderPoints(order.id) };
+}
+
+/**
+ * filters: { userId, status, from, to (ISO, on createdAt), q (invoice / customer), limit, offset }
+ * returns { total, items } (headers only)
+ */
+function listOrders({ userId, status, from, to, q, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (userId) { where.push('o.userId = ?'); params.push(userId); }
+  if (status && STATUSES.includes(status)) { where.push('o.status = ?'); params.push(status); }
+  if (from) { where.push('o.createdAt >= ?'); params.push(from); }
+  if (to) { where.push('o.createdAt < ?'); params.push(to); }
+  if (q) {
+    where.push('(o.invoiceNumber LIKE ? OR o.customerName LIKE ? OR o.customerPhone LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS c FROM sales_orders o ${whereSql}`).get(...params).c;
+  const items = db.prepare(`
+    ${ORDER_SELECT} ${whereSql} ORDER BY o.id DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+  return { total, items };
+}
+
+// ------------------------ writes ------------------------
+// confirms + earns the order's points, call inside a transaction
+function assignInvoice(orderId, at) {
+  db.prepare(`
+    UPDATE sales_orders SET status = 'confirmed', invoiceNumber = ?, confirmedAt = ?, updatedAt = ? WHERE id = ?
+  `).run(nextNumber('invoice', invoicePrefix()), at, at, orderId);
+  awardOrderPoints(orderId);
+}
+
+/**
+ * New order booked by userId; confirm = true confirms it right away.
+ * returns { ok: true, order } or { ok: false, status, body }
+ */
+function createOrder(userId, input, { confirm = false } = {}) {
+  const priced = priceOrder(input);
+  if (!priced.ok) return priced;
+  const h = priced.header;
+
+  const id = db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO sales_orders (
+        userId, customerUserId, customerName, customerPhone, status, discountType, discountValue,
+        subtotal, discountTotal, taxTotal, total, note, createdAt, updatedAt
+      )
+      VALUES (?,?,?,?,'draft',?,?,?,?,?,?,?,?,?)
+    `).run(
+      userId, h.customerUserId, h.customerName, h.customerPhone, h.discountType, h.discountValue,
+      h.subtotal, h.discountTotal, h.taxTotal, h.total, h.note, now(), now()
+    );
+    const orderId = Number(lastInsertRowid);
+    insertLines(orderId, priced.lines);
+    if (confirm) assignInvoice(orderId, now());
+    return orderId;
+  })();
+
+  return { ok: true, order: getOrder(id) };
+}
+
+// replaces a draft's customer, lines and discount (prices are re-read from the SKUs)
+function updateDraft(orderId, input) {
+  const order = db.prepare('SELECT * FROM sales_orders WHERE id = ?').get(orderId);
+  if (!order) return fail(404, 'order not found');
+  if (order.status !== 'draft') return fail(409, 'only draft orders can be edited', { status: order.status });
+
+  const priced = priceOrder(input);
+  if (!priced.ok) return priced;
+  const h = priced.header;
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE sales_orders
+      SET customerUserId = ?, customerName = ?, customerPhone = ?, discountType = ?, discountValue = ?,
+          subtotal = ?, discountTotal = ?, taxTotal = ?, total = ?, note = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(
+      h.customerUserId, h.customerName, h.customerPhone, h.discountType, h.discountValue,
+      h.subtotal, h.discountTotal, h.taxTotal, h.total, h.note, now(), order.id
+    );
+    db.prepare('DELETE FROM sales_order_lines WHERE orderId = ?').run(order.id);
+    insertLines(order.id, priced.lines);
+  })();
+
+  return { ok: true, order: getOrder(order.id) };
+}
+
+function confirmOrder(orderId) {
+  return db.transaction(() => {
+    const order = db.prepare('SELECT status FROM sales_orders WHERE id = ?').get(orderId);
+    if (!order) return fail(404, 'order not found');
+    if (order.status !== 'draft') return fail(409, `order is ${order.status}`);
+    assignInvoice(orderId, now());
+    return { ok: true, order: getOrder(orderId) };
+  })();
+}
+
+// drafts, or confirmed orders without credit notes (the invoice number stays used)
+function cancelOrder(orderId, reason) {
+  return db.transaction(() => {
+    const order = db.prepare('SELECT status, creditedTotal FROM sales_orders WHERE id = ?').get(orderId);
+    if (!order) return fail(404, 'order not found');
+    if (order.status === 'cancelled') return fail(409, 'order is already cancelled');
+    if (order.creditedTotal > 0) return fail(409, 'order has credit notes, it cannot be cancelled');
+
+    db.prepare(`
+      UPDATE sales_orders SET status = 'cancelled', cancelledAt = ?, cancelReason = ?, updatedAt = ? WHERE id = ?
+    `).run(now(), reason || null, now(), orderId);
+    if (order.status === 'confirmed') clawBackOrder(orderId);
+    return { ok: true, order: getOrder(orderId) };
+  })();
+}
+
+/**
+ * Credit note for returned units of a confirmed order.
+ * items: [{ lineId, quantity }]
+ * returns { ok: true, creditNote, order } or { ok: false, status, body }
+ */
+function createCreditNote(orderId, { items, reason, userId }) {
+  if (!Array.isArray(items) || items.length === 0) return fail(400, 'lines to return are required');
+
+  // the same line twice counts once, with both quantities
+  const wanted = new Map();
+  for (const [i, item] of items.entries()) {
+    const label = `line ${i + 1}`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return fail(400, `${label} must be an object`);
+    const lineId = Number(item.lineId);
+    if (!Number.isInteger(lineId) || lineId < 1) return fail(400, `${label}: lineId must be a positive integer`);
+    const qty = Number(item.quantity);
+    if (!Number.isInteger(qty) || qty < 1) return fail(400, `${label}: quantity must be a positive integer`);
+    wanted.set(lineId, (wanted.get(lineId) || 0) + qty);
+  }
+
+  return db.transaction(() => {
+    const order = db.prepare('SELECT * FROM sales_orders WHERE id = ?').get(orderId);
+    if (!order) return fail(404, 'order not found');
+    if (order.status !== 'confirmed') return fail(409, 'only confirmed orders can have returns');
+
+    const credited = db.prepare(`
+      SELECT COALESCE(SUM(netAmount), 0) AS net, COALESCE(SUM(taxAmount), 0) AS tax
+      FROM credit_note_lines WHERE orderLineId = ?
+    `);
+
+    const rows = [];
+    for (const [lineId, qty] of wanted) {
+      const line = db.prepare('SELECT * FROM sales_order_lines WHERE id = ? AND orderId = ?').get(lineId, order.id);
+      if (!line) return fail(404, `line ${lineId} not found on this order`);
+      const left = line.quantity - line.returnedQuantity;
+      if (qty > left) return fail(409, `line ${line.id}: only ${left} left to return`);
+
+      const lineNet = round2(line.lineTotal - line.taxAmount);
+      let netAmount;
+      let taxAmount;
+      if (qty === left) { // last units take the rounding that is left
+        const prev = credited.get(line.id);
+        netAmount = round2(lineNet - prev.net);
+        taxAmount = round2(line.taxAmount - prev.tax);
+      } else {
+        netAmount = round2(lineNet * qty / line.quantity);
+        taxAmount = round2(line.taxAmount * qty / line.quantity);
+      }
+      rows.push({ line, qty, netAmount, taxAmount, total: round2(netAmount + taxAmount) });
+    }
+
+    const sum = f => round2(rows.reduce((s, r) => s + r[f], 0));
+    const creditNumber = nextNumber('credit_note', creditNotePrefix());
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO credit_notes (creditNumber, orderId, reason, netAmount, taxAmount, total, createdByUserId, createdAt)
+      VALUES (?,?,?,?,?,?,?,?)
+    `).run(creditNumber, order.id, reason || null, sum('netAmount'), sum('taxAmount'), sum('total'), userId || null, now());
+
+    const insLine = db.prepare(`
+      INSERT INTO credit_note_lines (creditNoteId, orderLineId, quantity, netAmount, taxAmount, total)
+      VALUES (?,?,?,?,?,?)
+    `);
+    for (const r of rows) {
+      insLine.run(lastInsertRowid, r.line.id, r.qty, r.netAmount, r.taxAmount, r.total);
+      db.prepare('UPDATE sales_order_lines SET returnedQuantity = returnedQuantity + ? WHERE id = ?').run(r.qty, r.line.id);
+    }
+    db.prepare('UPDATE sales_orders SET creditedTotal = ROUND(creditedTotal + ?, 2), updatedAt = ? WHERE id = ?')
+      .run(sum('total'), now(), order.id);
+    clawBackReturn(rows.map(r => ({ lineId: r.line.id, quantity: r.qty })));
+
+    const order2 = getOrder(order.id);
+    return { ok: true, creditNote: order2.creditNotes.find(c => c.id === Number(lastInsertRowid)), order: order2 };
+  })();
+}
+
+// ------------------------ legacy sales ------------------------
+/**
+ * Copies single-line `sales` rows into confirmed orders (idempotent via legacySaleId),
+ * oldest first so their invoice numbers follow the original order. No tax.
+ */
+function migrateLegacySales() {
+  const rows = db.prepare(`
+    SELECT s.*, sk.number AS skuNumber, sk.name AS skuName
+    FROM sales s
+    JOIN skus sk ON sk.id = s.skuId
+    WHERE s.id NOT IN (SELECT legacySaleId FROM sales_orders WHERE legacySaleId IS NOT NULL)
+    ORDER BY s.id
+  `).all();
+  if (rows.length === 0) return 0;
+
+  db.transaction(() => {
+    for (const s of rows) {
+      const unitPrice = s.unitPrice ?? round2(s.total / s.quantity);
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO sales_orders (
+          invoiceNumber, userId, status, subtotal, discountTotal, taxTotal, total,
+          legacySaleId, createdAt, updatedAt, confirmedAt
+        )
+        VALUES (?,?,'confirmed',?,0,0,?,?,?,?,?)
+      `).run(nextNumber('invoice', invoicePrefix()), s.userId, s.total, s.total, s.id, s.createdAt, s.createdAt, s.createdAt);
+      insertLines(Number(lastInsertRowid), [{
+        skuId: s.skuId,
+        skuNumber: s.skuNumber,
+        skuName: s.skuName,
+        quantity: s.quantity,
+        unitPrice,
+        discountType: null,
+        discountValue: 0,
+        discountAmount: 0,
+        orderDiscountShare: 0,
+        taxRateCode: null,
+        taxRate: 0,
+        taxAmount: 0,
+        lineTotal: s.total,
+      }]);
+    }
+  })();
+
+  console.log(`[sales] migrated ${rows.length} legacy sales into orders`);
+  return rows.length;
+}
+
+module.exports = {
+  STATUSES,
+  round2,
+  listTaxRates,
+  getTaxRate,
+  priceOrder,
+  getOrder,
+  listOrders,
+  createOrder,
+  updateDraft,
+  confirmOrder,
+  cancelOrder,
+  createCreditNote,
+  migrateLegacySales,
+};
@@ -0,0 +1,173 @@
+// src/services/sessions.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db, now } = require('../db');
+
+/**
+ * Login sessions
+ *
+ * - login/signup opens a session (one per device) and returns
+ *   a short-lived access JWT (payload carries sid) + a refresh token
+ * - refresh tokens are stored as sha256 hashes in refresh_tokens and rotate on every
+ *   POST /api/auth/refresh; presenting an already-rotated token revokes the whole session
+ * - authRequired rejects access tokens whose session is revoked or expired
+ *
+ * ENV:
+ *   JWT_SECRET                 required when NODE_ENV=production
+ *   ACCESS_TOKEN_TTL=15m       jsonwebtoken expiresIn
+ *   REFRESH_TOKEN_DAYS=30      session lifetime, not extended by refreshing
+ */
+
+const DEFAULT_SECRET = 'super-secret-change-me';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) > 0 ? Number(process.env.REFRESH_TOKEN_DAYS) : 30;
+
+// server.js refuses to start in production with the fallback secret
+function isDefaultSecret() {
+  return JWT_SECRET === DEFAULT_SECRET;
+}
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,               // numeric DB id
+      userCode: user.userCode,   // 8-char visible ID
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+// new refresh token for a session; returns the raw token (shown once)
+function addRefreshToken(sessionId) {
+  const raw = `rt_${crypto.randomBytes(32).toString('base64url')}`;
+  db.prepare('INSERT INTO refresh_tokens (sessionId, tokenHash, createdAt) VALUES (?,?,?)')
+    .run(sessionId, hashToken(raw), now());
+  return raw;
+}
+
+function tokenPair(user, session, refreshToken) {
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+// ------------------------ sessions ------------------------
+/**
+ * Opens a session for `user` ({ id, userCode, email, role }).
+ * returns { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+function createSession(user, { userAgent, ip } = {}) {
+  return db.transaction(() => {
+    // housekeeping: this user's long-expired sessions
+    db.prepare(`
+      DELETE FROM refresh_tokens WHERE sessionId IN (SELECT id FROM sessions WHERE userId = ? AND expiresAt < ?)
+    `).run(user.id, now());
+    db.prepare('DELETE FROM sessions WHERE userId = ? AND expiresAt < ?').run(user.id, now());
+
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000).toISOString();
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO sessions (userId, userAgent, ip, createdAt, lastUsedAt, expiresAt)
+      VALUES (?,?,?,?,?,?)
+    `).run(user.id, userAgent ? String(userAgent).slice(0, 255) : null, ip || null, now(), now(), expiresAt);
+
+    const session = { id: Number(lastInsertRowid), expiresAt };
+    return tokenPair(user, session, addRefreshToken(session.id));
+  })();
+}
+
+/**
+ * Rotates a refresh token.
+ * returns { ok: true, ...tokenPair } or { ok: false, status, body }
+ */
+function refreshSession(rawToken, { ip } = {}) {
+  return db.transaction(() => {
+    const row = db.prepare(`
+      SELECT rt.id, rt.usedAt, s.id AS sessionId, s.userId, s.expiresAt, s.revokedAt
+      FROM refresh_tokens rt
+      JOIN sessions s ON s.id = rt.sessionId
+      WHERE rt.tokenHash = ?
+    `).get(hashToken(rawToken));
+
+    if (!row) return { ok: false, status: 401, body: { error: 'invalid refresh token' } };
+    if (row.revokedAt) return { ok: false, status: 401, body: { error: 'session revoked', errorCode: 'SESSION_REVOKED' } };
+    if (row.expiresAt <= now()) return { ok: false, status: 401, body: { error: 'session expired', errorCode: 'SESSION_EXPIRED' } };
+
+    if (row.usedAt) {
+      // an old token came back: someone else may hold the current one
+      revokeSession(row.sessionId, 'refresh_token_reuse');
+      console.warn(`[sessions] refresh token reuse on session ${row.sessionId} (user ${row.userId}), session revoked`);
+      return { ok: false, status: 401, body: { error: 'refresh token reused, session revoked', errorCode: 'REFRESH_TOKEN_REUSED' } };
+    }
+
+    const user = db.prepare('SELECT id, userCode, email, role, suspendedAt FROM users WHERE id = ?').get(row.userId);
+    if (!user) return { ok: false, status: 401, body: { error: 'user not found' } };
+    if (user.suspendedAt) return { ok: false, status: 403, body: { error: 'account suspended', errorCode: 'ACCOUNT_SUSPENDED' } };
+
+    db.prepare('UPDATE refresh_tokens SET usedAt = ? WHERE id = ?').run(now(), row.id);
+    db.prepare('UPDATE sessions SET lastUsedAt = ?, ip = COALESCE(?, ip) WHERE id = ?').run(now(), ip || null, row.sessionId);
+
+    return { ok: true, ...tokenPair(user, { id: row.sessionId, expiresAt: row.expiresAt }, addRefreshToken(row.sessionId)) };
+  })();
+}
+
+function isSessionActive(sessionId) {
+  const s = db.prepare('SELECT revokedAt, expiresAt FROM sessions WHERE id = ?').get(sessionId);
+  return !!s && !s.revokedAt && s.expiresAt > now();
+}
+
+function getSession(id) {
+  return db.prepare('SELECT * FROM sessions WHERE id = ?').get(id) || null;
+}
+
+// reason: logout | logout_all | admin | refresh_token_reuse | password_change | password_reset | suspended
+function revokeSession(id, reason) {
+  return db.prepare('UPDATE sessions SET revokedAt = ?, revokedReason = ? WHERE id = ? AND revokedAt IS NULL')
+    .run(now(), reason, id).changes;
+}
+
+// exceptSessionId: keep the caller's own session (e.g. after changing the password)
+function revokeUserSessions(userId, reason, { exceptSessionId = null } = {}) {
+  return db.prepare(`
+    UPDATE sessions SET revokedAt = ?, revokedReason = ?
+    WHERE userId = ? AND revokedAt IS NULL AND id IS NOT ?
+  `).run(now(), reason, userId, exceptSessionId).changes;
+}
+
+// newest first; active = not revoked and not expired
+function listUserSessions(userId) {
+  return db.prepare(`
+    SELECT id, userAgent, ip, createdAt, lastUsedAt, expiresAt, revokedAt, revokedReason,
+           (revokedAt IS NULL AND expiresAt > ?) AS active
+    FROM sessions WHERE userId = ? ORDER BY id DESC
+  `).all(now(), userId).map(s => ({ ...s, active: !!s.active }));
+}
+
+module.exports = {
+  JWT_SECRET,
+  isDefaultSecret,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  getSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+};
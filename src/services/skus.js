@@ -0,0 +1,238 @@
+// src/services/skus.js
+const { db, now } = require('../db');
+
+/**
+ * SKU catalog (skus, sku_categories, sku_price_history)
+ *
+ * - a SKU is sellable when active = 1 and it is not archived (archivedAt set = soft delete)
+ * - every price change adds a sku_price_history row, so a sale can be
+ *   read against the price that was current when it was made (priceAt)
+ * - barcode is optional and unique; numeric EAN-8 / UPC-A / EAN-13 / GTIN-14
+ *   values must carry a valid check digit
+ */
+
+const SKU_SELECT = `
+  SELECT s.*, c.name AS categoryName
+  FROM skus s
+  LEFT JOIN sku_categories c ON c.id = s.categoryId
+`;
+
+function toSku(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    active: !!row.active,
+    archived: !!row.archivedAt,
+    sellable: !!row.active && !row.archivedAt,
+  };
+}
+
+// key = numeric id or SKU number
+function getSku(key) {
+  const row = /^\d+$/.test(String(key))
+    ? db.prepare(`${SKU_SELECT} WHERE s.id = ?`).get(Number(key))
+    : null;
+  return toSku(row || db.prepare(`${SKU_SELECT} WHERE s.number = ?`).get(String(key)));
+}
+
+/**
+ * filters: { q, categoryId, status: sellable (default) | active | inactive | archived | all }
+ */
+function listSkus({ q, categoryId, status = 'sellable' } = {}) {
+  const where = [];
+  const params = [];
+
+  if (status === 'sellable') where.push('s.active = 1 AND s.archivedAt IS NULL');
+  else if (status === 'active') where.push('s.active = 1');
+  else if (status === 'inactive') where.push('s.active = 0 AND s.archivedAt IS NULL');
+  else if (status === 'archived') where.push('s.archivedAt IS NOT NULL');
+
+  if (categoryId) {
+    where.push('s.categoryId = ?');
+    params.push(Number(categoryId));
+  }
+  if (q) {
+    where.push('(s.number LIKE ? OR s.name LIKE ? OR s.barcode = ?)');
+    params.push(`%${q}%`, `%${q}%`, String(q));
+  }
+
+  return db.prepare(`
+    ${SKU_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY s.number ASC
+  `).all(...params).map(toSku);
+}
+
+// GTIN check digit (EAN-8, UPC-A, EAN-13, GTIN-14)
+function isValidGtin(code) {
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+function parseBarcode(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return { value: null };
+  const code = String(raw).trim();
+  if (!/^[A-Za-z0-9-]{4,32}$/.test(code)) return { error: 'barcode must be 4-32 letters, digits or dashes' };
+  if (/^\d+$/.test(code) && [8, 12, 13, 14].includes(code.length) && !isValidGtin(code)) {
+    return { error: 'barcode check digit is invalid' };
+  }
+  return { value: code };
+}
+
+// validates create/update body, `current` = existing row for updates
+function parseSkuInput(body, current = {}) {
+  const merged = { ...current, ...body };
+
+  const number = String(merged.number || '').trim();
+  if (!number) return { error: 'number is required' };
+  if (number.length > 64) return { error: 'number must be at most 64 characters' };
+
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+
+  const price = Number(merged.price ?? 0);
+  if (!Number.isFinite(price) || price < 0) return { error: 'price must be zero or a positive number' };
+
+  const unit = String(merged.unit || 'pcs').trim().toLowerCase();
+  if (!/^[a-z0-9 ._-]{1,16}$/.test(unit)) return { error: 'unit must be 1-16 characters' };
+
+  const barcode = parseBarcode(merged.barcode);
+  if (barcode.error) return { error: barcode.error };
+
+  let categoryId = null;
+  if (merged.categoryId !== undefined && merged.categoryId !== null && merged.categoryId !== '') {
+    categoryId = Number(merged.categoryId);
+    if (!db.prepare('SELECT 1 FROM sku_categories WHERE id = ?').get(categoryId)) return { error: 'unknown categoryId' };
+  }
+
+  // true / false / 1 / 0 (JSON, query or form values); the string "false" is not active
+  let active = 1;
+  if (merged.active !== undefined) {
+    const flag = String(merged.active).trim().toLowerCase();
+    if (flag === 'true' || flag === '1') active = 1;
+    else if (flag === 'false' || flag === '0') active = 0;
+    else return { error: 'active must be true or false' };
+  }
+
+  return {
+    value: {
+      number,
+      name,
+      description: merged.description ? String(merged.description).trim() : null,
+      price: Number(price.toFixed(2)),
+      unit,
+      barcode: barcode.value,
+      categoryId,
+      active,
+    }
+  };
+}
+
+// which unique column a value collides with, null when free
+function findConflict(v, exceptId = 0) {
+  if (db.prepare('SELECT 1 FROM skus WHERE number = ? AND id <> ?').get(v.number, exceptId)) {
+    return 'SKU number already exists';
+  }
+  if (v.barcode && db.prepare('SELECT 1 FROM skus WHERE barcode = ? AND id <> ?').get(v.barcode, exceptId)) {
+    return 'barcode already used by another SKU';
+  }
+  return null;
+}
+
+function recordPrice(skuId, price, previousPrice, { userId = null, note = null } = {}) {
+  db.prepare(`
+    INSERT INTO sku_price_history (skuId, price, previousPrice, changedByUserId, note, effectiveFrom)
+    VALUES (?,?,?,?,?,?)
+  `).run(skuId, price, previousPrice, userId, note, now());
+}
+
+/**
+ * Inserts a SKU (v = parseSkuInput value) with its first price.
+ * returns { ok: true, sku } or { ok: false, status, body }
+ */
+function createSku(v, { userId = null } = {}) {
+  const conflict = findConflict(v);
+  if (conflict) return { ok: false, status: 409, body: { error: conflict } };
+
+  const id = db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO skus (number, name, description, price, unit, barcode, categoryId, active, createdAt, updatedAt)
+      VALUES (?,?,?,?,?,?,?,?,?,?)
+    `).run(v.number, v.name, v.description, v.price, v.unit, v.barcode, v.categoryId, v.active, now(), now());
+    recordPrice(Number(lastInsertRowid), v.price, null, { userId });
+    return Number(lastInsertRowid);
+  })();
+
+  return { ok: true, sku: getSku(id) };
+}
+
+/**
+ * Updates a SKU; a new price is added to its history (note = optional reason).
+ * returns { ok: true, sku, priceChanged } or { ok: false, status, body }
+ */
+function updateSku(current, v, { userId = null, note = null } = {}) {
+  const conflict = findConflict(v, current.id);
+  if (conflict) return { ok: false, status: 409, body: { error: conflict } };
+
+  const priceChanged = Number(current.price) !== v.price;
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE skus
+      SET number = ?, name = ?, description = ?, price = ?, unit = ?, barcode = ?, categoryId = ?, active = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(v.number, v.name, v.description, v.price, v.unit, v.barcode, v.categoryId, v.active, now(), current.id);
+    if (priceChanged) recordPrice(current.id, v.price, Number(current.price), { userId, note });
+  })();
+
+  return { ok: true, sku: getSku(current.id), priceChanged };
+}
+
+function setArchived(skuId, archived) {
+  db.prepare('UPDATE skus SET archivedAt = ?, updatedAt = ? WHERE id = ?')
+    .run(archived ? now() : null, now(), skuId);
+  return getSku(skuId);
+}
+
+function listPriceHistory(skuId) {
+  return db.prepare(`
+    SELECT h.id, h.price, h.previousPrice, h.note, h.effectiveFrom, u.userCode AS changedBy
+    FROM sku_price_history h
+    LEFT JOIN users u ON u.id = h.changedByUserId
+    WHERE h.skuId = ? ORDER BY h.effectiveFrom DESC, h.id DESC
+  `).all(skuId);
+}
+
+// the price a SKU had at `at` (ISO), null before its first price
+function priceAt(skuId, at) {
+  const row = db.prepare(`
+    SELECT price FROM sku_price_history
+    WHERE skuId = ? AND effectiveFrom <= ? ORDER BY effectiveFrom DESC, id DESC LIMIT 1
+  `).get(skuId, at);
+  return row ? row.price : null;
+}
+
+// ------------------------ categories ------------------------
+function listCategories() {
+  return db.prepare(`
+    SELECT c.*, (SELECT COUNT(*) FROM skus s WHERE s.categoryId = c.id AND s.archivedAt IS NULL) AS skuCount
+    FROM sku_categories c ORDER BY c.name ASC
+  `).all();
+}
+
+function getCategory(id) {
+  return listCategories().find(c => c.id === Number(id)) || null;
+}
+
+module.exports = {
+  getSku,
+  listSkus,
+  parseSkuInput,
+  findConflict,
+  createSku,
+  updateSku,
+  setArchived,
+  listPriceHistory,
+  priceAt,
+  listCategories,
+  getCategory,
+};
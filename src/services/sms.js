@@ -0,0 +1,91 @@
+// src/services/sms.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outgoing SMS through a pluggable transport (same shape as services/mailer.js)
+ *
+ * transport = { name, send({ to, text }) -> Promise<{ messageId }> }
+ * - webhook: POSTs { to, text, from } as JSON to SMS_WEBHOOK_URL (gateway / provider bridge)
+ * - outbox:  one JSON file per message in SMS_OUTBOX_DIR (local dev / tests)
+ * - console: logs the message
+ *
+ * ENV:
+ *   SMS_TRANSPORT=webhook|outbox|console   default: webhook when SMS_WEBHOOK_URL is set, else console
+ *   SMS_WEBHOOK_URL, SMS_WEBHOOK_TOKEN (sent as Bearer), SMS_FROM
+ *   SMS_OUTBOX_DIR=./outbox/sms
+ */
+
+function createWebhookTransport(url = process.env.SMS_WEBHOOK_URL) {
+  return {
+    name: 'webhook',
+    async send({ to, text }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.SMS_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`;
+
+      const res = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ to, text, from: process.env.SMS_FROM || undefined }),
+      });
+      if (!res.ok) throw new Error(`sms webhook answered ${res.status}`);
+      const body = await res.json().catch(() => ({}));
+      return { messageId: body.messageId || body.id || null };
+    },
+  };
+}
+
+function createOutboxTransport(dir = process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), 'outbox', 'sms')) {
+  return {
+    name: 'outbox',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${messageId}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+      return { messageId, file };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, text }) {
+      console.log(`[sms] to ${to}: ${text}`);
+      return { messageId: null };
+    },
+  };
+}
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+  const kind = process.env.SMS_TRANSPORT || (process.env.SMS_WEBHOOK_URL ? 'webhook' : 'console');
+  if (kind === 'webhook') transport = createWebhookTransport();
+  else if (kind === 'outbox') transport = createOutboxTransport();
+  else if (kind === 'console') transport = createConsoleTransport();
+  else throw new Error(`unknown SMS_TRANSPORT: ${kind}`);
+  return transport;
+}
+
+// swap the transport (tests, other providers)
+function setTransport(t) {
+  transport = t;
+}
+
+async function sendSms({ to, text }) {
+  return getTransport().send({ to, text });
+}
+
+module.exports = {
+  createWebhookTransport,
+  createOutboxTransport,
+  createConsoleTransport,
+  getTransport,
+  setTransport,
+  sendSms,
+};
@@ -0,0 +1,260 @@
+// src/services/stats.js
+const { db } = require('../db');
+const { EARNING_TYPES } = require('./tiers');
+
+/**
+ * Dashboard analytics: totals and time series straight from aggregate queries
+ *
+ * - buckets are UTC days, ISO weeks (keyed by their Monday) or months
+ * - sales are confirmed orders by confirmedAt, revenue net of returns (credit note lines)
+ * - points issued = positive ledger legs of tiers.EARNING_TYPES; transferred = completed transfers
+ * - city filters by the user behind each row (new user, sales rep, marker, redeemer,
+ *   earner, sender); sku only narrows sales. QR codes generated ignore both filters
+ */
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 400;
+
+const SERIES_KEYS = [
+  'newUsers', 'salesOrders', 'salesUnits', 'salesRevenue', 'attendanceMarks',
+  'qrGenerated', 'qrRedeemed', 'pointsIssued', 'pointsTransferred',
+];
+
+// SQL expression turning an ISO column into the bucket key
+function bucketSql(col, granularity) {
+  if (granularity === 'month') return `substr(${col}, 1, 7)`;
+  if (granularity === 'week') return `date(substr(${col}, 1, 10), '-6 days', 'weekday 1')`;
+  return `substr(${col}, 1, 10)`;
+}
+
+// same key in JS, for filling empty buckets
+function bucketOf(date, granularity) {
+  const d = new Date(`${date}T00:00:00.000Z`);
+  if (granularity === 'month') return date.slice(0, 7);
+  if (granularity === 'week') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+function allBuckets(from, to, granularity) {
+  const keys = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+    const key = bucketOf(new Date(t).toISOString().slice(0, 10), granularity);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * validates ?from=&to=&granularity= (dates inclusive, default the last 30 days by day)
+ * returns { value: { from, to, granularity } } or { error }
+ */
+// a real calendar day as YYYY-MM-DD (Date.parse would roll 2026-02-31 over to March)
+function isDay(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const t = Date.parse(`${v}T00:00:00.000Z`);
+  return !Number.isNaN(t) && new Date(t).toISOString().slice(0, 10) === v;
+}
+
+function parseStatsRange(query) {
+  const granularity = String(query.granularity || 'day');
+  if (!GRANULARITIES.includes(granularity)) return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const to = String(query.to || today);
+  if (!isDay(to)) return { error: 'from and to must be YYYY-MM-DD' };
+  const from = String(query.from || new Date(Date.parse(to) - 29 * DAY_MS).toISOString().slice(0, 10));
+  if (!isDay(from)) return { error: 'from and to must be YYYY-MM-DD' };
+  if (to < from) return { error: 'to must not be before from' };
+  if (allBuckets(from, to, granularity).length > MAX_BUCKETS) {
+    return { error: `too many ${granularity} buckets, narrow the range or use a coarser granularity` };
+  }
+  return { value: { from, to, granularity } };
+}
+
+// [whereSql, params] for "column within [from, to]" plus the optional city of users alias `u`
+function scope(col, { from, to, city }) {
+  const where = [`${col} >= ?`, `${col} < ?`];
+  const params = [`${from}T00:00:00.000Z`, new Date(Date.parse(to) + DAY_MS).toISOString()];
+  if (city) { where.push('u.city = ? COLLATE NOCASE'); params.push(city); }
+  return [where, params];
+}
+
+function grouped(sql, params) {
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * Time series for { from, to, granularity, city, skuId }.
+ * returns [{ bucket, newUsers, salesOrders, ... }] with every bucket present
+ */
+function getSeries(f) {
+  const g = f.granularity;
+  const rows = new Map(allBuckets(f.from, f.to, g).map(b => [b, { bucket: b, ...Object.fromEntries(SERIES_KEYS.map(k => [k, 0])) }]));
+  const put = (list, map) => {
+    for (const r of list) {
+      const row = rows.get(r.b);
+      if (row) for (const [key, col] of Object.entries(map)) row[key] += Number(r[col] || 0);
+    }
+  };
+
+  let [w, p] = scope('u.createdAt', f);
+  put(grouped(`
+    SELECT ${bucketSql('u.createdAt', g)} AS b, COUNT(*) AS n FROM users u WHERE ${w.join(' AND ')} GROUP BY b
+  `, p), { newUsers: 'n' });
+
+  [w, p] = scope('o.confirmedAt', f);
+  if (f.skuId) { w.push('l.skuId = ?'); p.push(f.skuId); }
+  put(grouped(`
+    SELECT ${bucketSql('o.confirmedAt', g)} AS b, COUNT(DISTINCT o.id) AS orders,
+           SUM(l.quantity - l.returnedQuantity) AS units,
+           SUM(l.lineTotal - COALESCE((SELECT SUM(c.total) FROM credit_note_lines c WHERE c.orderLineId = l.id), 0)) AS revenue
+    FROM sales_order_lines l
+    JOIN sales_orders o ON o.id = l.orderId
+    JOIN users u ON u.id = o.userId
+    WHERE o.status = 'confirmed' AND ${w.join(' AND ')}
+    GROUP BY b
+  `, p), { salesOrders: 'orders', salesUnits: 'units', salesRevenue: 'revenue' });
+
+  [w, p] = scope('a.createdAt', f);
+  put(grouped(`
+    SELECT ${bucketSql('a.createdAt', g)} AS b, COUNT(*) AS n
+    FROM attendance a JOIN users u ON u.id = a.userId
+    WHERE a.voidedAt IS NULL AND ${w.join(' AND ')} GROUP BY b
+  `, p), { attendanceMarks: 'n' });
+
+  [w, p] = scope('q.createdAt', { ...f, city: null });
+  put(grouped(`
+    SELECT ${bucketSql('q.createdAt', g)} AS b, COUNT(*) AS n FROM qr_codes q WHERE ${w.join(' AND ')} GROUP BY b
+  `, p), { qrGenerated: 'n' });
+
+  [w, p] = scope('q.redeemedAt', f);
+  put(grouped(`
+    SELECT ${bucketSql('q.redeemedAt', g)} AS b, COUNT(*) AS n
+    FROM qr_codes q JOIN users u ON u.id = q.redeemedByUserId
+    WHERE ${w.join(' AND ')} GROUP BY b
+  `, p), { qrRedeemed: 'n' });
+
+  [w, p] = scope('pl.createdAt', f);
+  put(grouped(`
+    SELECT ${bucketSql('pl.createdAt', g)} AS b, SUM(pl.points) AS n
+    FROM points_ledger pl JOIN users u ON u.id = pl.userId
+    WHERE pl.points > 0 AND pl.type IN (${EARNING_TYPES.map(() => '?').join(',')}) AND ${w.join(' AND ')}
+    GROUP BY b
+  `, [...EARNING_TYPES, ...p]), { pointsIssued: 'n' });
+
+  [w, p] = scope('t.completedAt', f);
+  put(grouped(`
+    SELECT ${bucketSql('t.completedAt', g)} AS b, SUM(t.points) AS n
+    FROM transfers t JOIN users u ON u.id = t.senderId
+    WHERE t.status = 'completed' AND ${w.join(' AND ')} GROUP BY b
+  `, p), { pointsTransferred: 'n' });
+
+  return [...rows.values()].map(r => ({ ...r, salesRevenue: Math.round(r.salesRevenue * 100) / 100 }));
+}
+
+/**
+ * All-time totals for { city, skuId } (the same filters as the series).
+ */
+function getTotals({ city = null, skuId = null } = {}) {
+  const cityWhere = city ? 'AND u.city = ? COLLATE NOCASE' : '';
+  const cityParams = city ? [city] : [];
+  const one = (sql, params = []) => db.prepare(sql).get(...params);
+
+  const users = one(`
+    SELECT COUNT(*) AS total, SUM(CASE WHEN u.suspendedAt IS NULL THEN 1 ELSE 0 END) AS active
+    FROM users u WHERE 1 = 1 ${cityWhere}
+  `, cityParams);
+
+  const skus = one(`
+    SELECT COUNT(*) AS total, SUM(CASE WHEN active = 1 AND archivedAt IS NULL THEN 1 ELSE 0 END) AS sellable FROM skus
+  `);
+
+  const sales = one(`
+    SELECT COUNT(DISTINCT o.id) AS orders, COALESCE(SUM(l.quantity - l.returnedQuantity), 0) AS units,
+           COALESCE(SUM(l.lineTotal - COALESCE((SELECT SUM(c.total) FROM credit_note_lines c WHERE c.orderLineId = l.id), 0)), 0) AS revenue
+    FROM sales_order_lines l
+    JOIN sales_orders o ON o.id = l.orderId
+    JOIN users u ON u.id = o.userId
+    WHERE o.status = 'confirmed' ${skuId ? 'AND l.skuId = ?' : ''} ${cityWhere}
+  `, [...(skuId ? [skuId] : []), ...cityParams]);
+
+  const attendance = one(`
+    SELECT COUNT(*) AS marks, COUNT(DISTINCT a.userId) AS users
+    FROM attendance a JOIN users u ON u.id = a.userId
+    WHERE a.voidedAt IS NULL ${cityWhere}
+  `, cityParams);
+
+  const qr = {
+    generated: one('SELECT COUNT(*) AS n FROM qr_codes').n,
+    redeemed: one(`
+      SELECT COUNT(*) AS n FROM qr_codes q JOIN users u ON u.id = q.redeemedByUserId WHERE q.redeemedAt IS NOT NULL ${cityWhere}
+    `, cityParams).n,
+  };
+
+  const points = {
+    issued: one(`
+      SELECT COALESCE(SUM(pl.points), 0) AS n FROM points_ledger pl JOIN users u ON u.id = pl.userId
+      WHERE pl.points > 0 AND pl.type IN (${EARNING_TYPES.map(() => '?').join(',')}) ${cityWhere}
+    `, [...EARNING_TYPES, ...cityParams]).n,
+    transferred: one(`
+      SELECT COALESCE(SUM(t.points), 0) AS n FROM transfers t JOIN users u ON u.id = t.senderId
+      WHERE t.status = 'completed' ${cityWhere}
+    `, cityParams).n,
+  };
+
+  return {
+    users: { total: users.total, active: users.active || 0 },
+    skus: { total: skus.total, sellable: skus.sellable || 0 },
+    sales: { orders: sales.orders, units: sales.units, revenue: Math.round(sales.revenue * 100) / 100 },
+    attendance,
+    qr,
+    points,
+  };
+}
+
+// sums of a series, the totals of the range
+function sumSeries(series) {
+  const sums = Object.fromEntries(SERIES_KEYS.map(k => [k, 0]));
+  for (const r of series) for (const k of SERIES_KEYS) sums[k] += r[k];
+  sums.salesRevenue = Math.round(sums.salesRevenue * 100) / 100;
+  return sums;
+}
+
+// distinct non-empty user cities, for the filter dropdown
+function listCities() {
+  return db.prepare(`
+    SELECT DISTINCT TRIM(city) AS city FROM users WHERE city IS NOT NULL AND TRIM(city) <> '' ORDER BY city COLLATE NOCASE
+  `).all().map(r => r.city);
+}
+
+// last confirmed order lines, for the dashboard table
+function recentSales({ city = null, skuId = null, limit = 10 } = {}) {
+  const where = ["o.status = 'confirmed'"];
+  const params = [];
+  if (skuId) { where.push('l.skuId = ?'); params.push(skuId); }
+  if (city) { where.push('u.city = ? COLLATE NOCASE'); params.push(city); }
+  return db.prepare(`
+    SELECT l.id, o.id AS orderId, o.invoiceNumber, u.email AS userEmail, l.skuNumber AS sku,
+           l.quantity, l.lineTotal AS total, o.confirmedAt AS createdAt
+    FROM sales_order_lines l
+    JOIN sales_orders o ON o.id = l.orderId
+    JOIN users u ON u.id = o.userId
+    WHERE ${where.join(' AND ')}
+    ORDER BY o.confirmedAt DESC, l.id DESC LIMIT ?
+  `).all(...params, limit);
+}
+
+module.exports = {
+  GRANULARITIES,
+  SERIES_KEYS,
+  parseStatsRange,
+  getSeries,
+  getTotals,
+  sumSeries,
+  listCities,
+  recentSales,
+};
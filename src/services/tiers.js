@@ -0,0 +1,136 @@
+// src/services/tiers.js
+const { db, now } = require('../db');
+
+/**
+ * Membership tiers
+ *
+ * - a user's tier is the highest tier whose minLifetimePoints <= lifetime earned points
+ * - lifetime earned = SUM of positive ledger legs of EARNING_TYPES, minus CLAWBACK_TYPES
+ *   (received transfers, refunds and adjustments do not count; spending never lowers it,
+ *   a cancelled or returned sale does)
+ * - evaluateTier() runs after every ledger write (services/ledger.js) and stores
+ *   users.tierId; changes are logged in tier_history
+ */
+
+const EARNING_TYPES = ['qr_redeem', 'bonus', 'sale_earn'];
+const CLAWBACK_TYPES = ['sale_clawback'];
+
+function listTiers() {
+  return db.prepare('SELECT * FROM tiers ORDER BY minLifetimePoints ASC, id ASC').all();
+}
+
+function getLifetimeEarned(userId) {
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(points), 0) AS total
+    FROM points_ledger
+    WHERE userId = ? AND (
+      (points > 0 AND type IN (${EARNING_TYPES.map(() => '?').join(',')}))
+      OR type IN (${CLAWBACK_TYPES.map(() => '?').join(',')})
+    )
+  `).get(userId, ...EARNING_TYPES, ...CLAWBACK_TYPES);
+  return Number(row?.total || 0);
+}
+
+function tierFor(lifetime, tiers = listTiers()) {
+  let current = null;
+  for (const t of tiers) {
+    if (lifetime >= t.minLifetimePoints) current = t;
+  }
+  return current;
+}
+
+/**
+ * Re-computes and stores the user's tier (upgrade or downgrade).
+ * returns { changed, from, to }
+ */
+function evaluateTier(userId) {
+  const user = db.prepare('SELECT id, tierId FROM users WHERE id = ?').get(userId);
+  if (!user) return { changed: false };
+
+  const lifetime = getLifetimeEarned(userId);
+  const target = tierFor(lifetime);
+  const targetId = target ? target.id : null;
+  if ((user.tierId ?? null) === targetId) return { changed: false, from: user.tierId, to: targetId };
+
+  db.prepare('UPDATE users SET tierId = ?, tierUpdatedAt = ? WHERE id = ?').run(targetId, now(), userId);
+  db.prepare(`
+    INSERT INTO tier_history (userId, fromTierId, toTierId, lifetimePoints, createdAt)
+    VALUES (?,?,?,?,?)
+  `).run(userId, user.tierId ?? null, targetId, lifetime, now());
+
+  return { changed: true, from: user.tierId ?? null, to: targetId };
+}
+
+// inserts a validated tier { code, name, minLifetimePoints, qrMultiplier, transferLimit, dailyTransferLimit }
+function createTier(v) {
+  return db.prepare(`
+    INSERT INTO tiers (code, name, minLifetimePoints, qrMultiplier, transferLimit, dailyTransferLimit, createdAt)
+    VALUES (?,?,?,?,?,?,?)
+  `).run(v.code, v.name, v.minLifetimePoints, v.qrMultiplier, v.transferLimit, v.dailyTransferLimit, now()).lastInsertRowid;
+}
+
+// after thresholds change
+function evaluateAllTiers() {
+  const ids = db.prepare('SELECT id FROM users').all().map(r => r.id);
+  let changed = 0;
+  db.transaction(() => {
+    for (const id of ids) if (evaluateTier(id).changed) changed++;
+  })();
+  return { users: ids.length, changed };
+}
+
+function getUserTier(userId) {
+  const row = db.prepare('SELECT t.* FROM users u JOIN tiers t ON t.id = u.tierId WHERE u.id = ?').get(userId);
+  return row || tierFor(getLifetimeEarned(userId));
+}
+
+// benefits of the user's current tier (defaults when the user has no tier)
+function getTierBenefits(userId) {
+  const t = getUserTier(userId);
+  return {
+    qrMultiplier: t ? Number(t.qrMultiplier) : 1,
+    transferLimit: t ? t.transferLimit : null,
+    dailyTransferLimit: t ? t.dailyTransferLimit : null,
+  };
+}
+
+// current tier + progress to the next one, for /api/auth/me and /api/points
+function getTierSummary(userId) {
+  const tiers = listTiers();
+  const lifetime = getLifetimeEarned(userId);
+  const current = tierFor(lifetime, tiers);
+  const next = tiers.find(t => t.minLifetimePoints > lifetime) || null;
+
+  const floor = current ? current.minLifetimePoints : 0;
+  return {
+    code: current ? current.code : null,
+    name: current ? current.name : null,
+    lifetimePoints: lifetime,
+    benefits: {
+      qrMultiplier: current ? Number(current.qrMultiplier) : 1,
+      transferLimit: current ? current.transferLimit : null,
+      dailyTransferLimit: current ? current.dailyTransferLimit : null,
+    },
+    next: next
+      ? {
+        code: next.code,
+        name: next.name,
+        minLifetimePoints: next.minLifetimePoints,
+        pointsNeeded: next.minLifetimePoints - lifetime,
+        progress: Math.min(1, Math.max(0, (lifetime - floor) / (next.minLifetimePoints - floor))),
+      }
+      : null,
+  };
+}
+
+module.exports = {
+  EARNING_TYPES,
+  listTiers,
+  getLifetimeEarned,
+  evaluateTier,
+  createTier,
+  evaluateAllTiers,
+  getUserTier,
+  getTierBenefits,
+  getTierSummary,
+};
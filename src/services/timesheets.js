@@ -0,0 +1,379 @@
+// src/services/timesheets.js
+const { db, now } = require('../db');
+
+/**
+ * Shifts and daily timesheets computed from the attendance stream
+ *
+ * - a shift is startTime-endTime (HH:MM local, an end before the start runs past
+ *   midnight) with graceMinutes; users.shiftId picks one, else the default shift
+ * - events are paired IN -> OUT; a workday is the local date of the IN. An IN with no
+ *   OUT within ATTENDANCE_MAX_SHIFT_HOURS is 'missing_out', an OUT with no IN 'missing_in'
+ * - per day: workedMinutes (closed pairs), late (first IN after start + grace, counted
+ *   from the start), early leave (last OUT before end - grace, counted to the end),
+ *   overtime (worked beyond the shift length); voided records are ignored
+ * - only days with at least one record are listed
+ *
+ * ENV:
+ *   ATTENDANCE_TZ_OFFSET=0            minutes east of UTC the shift times are in (e.g. 300 = UTC+5)
+ *   ATTENDANCE_MAX_SHIFT_HOURS=16
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_RANGE_DAYS = 92;
+
+function tzOffsetMs() {
+  return (Number(process.env.ATTENDANCE_TZ_OFFSET) || 0) * MINUTE_MS;
+}
+
+function maxShiftMs() {
+  return (Number(process.env.ATTENDANCE_MAX_SHIFT_HOURS) > 0 ? Number(process.env.ATTENDANCE_MAX_SHIFT_HOURS) : 16) * 60 * MINUTE_MS;
+}
+
+// local YYYY-MM-DD of a UTC ISO time
+function localDate(iso) {
+  return new Date(Date.parse(iso) + tzOffsetMs()).toISOString().slice(0, 10);
+}
+
+// UTC ms of HH:MM local on a local date
+function localTimeMs(date, hhmm) {
+  return Date.parse(`${date}T${hhmm}:00.000Z`) - tzOffsetMs();
+}
+
+function today() {
+  return localDate(now());
+}
+
+const minutes = ms => Math.max(0, Math.round(ms / MINUTE_MS));
+const hours = mins => Math.round(mins / 60 * 100) / 100;
+
+// ------------------------ shifts ------------------------
+function toShift(row) {
+  return row ? { ...row, isDefault: !!row.isDefault, active: !!row.active } : null;
+}
+
+function getShift(id) {
+  return toShift(db.prepare(`
+    SELECT s.*, (SELECT COUNT(*) FROM users u WHERE u.shiftId = s.id) AS userCount FROM shifts s WHERE s.id = ?
+  `).get(Number(id)));
+}
+
+function listShifts({ all = false } = {}) {
+  return db.prepare(`
+    SELECT s.*, (SELECT COUNT(*) FROM users u WHERE u.shiftId = s.id) AS userCount
+    FROM shifts s ${all ? '' : 'WHERE s.active = 1'} ORDER BY s.startTime ASC, s.name ASC
+  `).all().map(toShift);
+}
+
+function defaultShift() {
+  return toShift(db.prepare('SELECT * FROM shifts WHERE isDefault = 1 AND active = 1 LIMIT 1').get());
+}
+
+// the user's own active shift, else the default one (null when neither exists)
+function shiftForUser(userId) {
+  const own = db.prepare(`
+    SELECT s.* FROM users u JOIN shifts s ON s.id = u.shiftId WHERE u.id = ? AND s.active = 1
+  `).get(userId);
+  return own ? toShift(own) : defaultShift();
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// validates create/update body, `current` = existing shift for updates
+function parseShiftInput(body, current = {}) {
+  const merged = { ...current, ...body };
+
+  const name = String(merged.name || '').trim();
+  if (!name) return { error: 'name is required' };
+
+  const startTime = String(merged.startTime || '').trim();
+  const endTime = String(merged.endTime || '').trim();
+  if (!TIME_RE.test(startTime) || !TIME_RE.test(endTime)) return { error: 'startTime and endTime must be HH:MM' };
+  if (startTime === endTime) return { error: 'endTime must differ from startTime' };
+
+  const graceMinutes = Number(merged.graceMinutes ?? 0);
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > 240) {
+    return { error: 'graceMinutes must be a whole number between 0 and 240' };
+  }
+
+  return {
+    value: {
+      name,
+      startTime,
+      endTime,
+      graceMinutes,
+      isDefault: merged.isDefault ? 1 : 0,
+      active: merged.active === undefined ? 1 : (merged.active ? 1 : 0),
+    }
+  };
+}
+
+function nameTaken(name, exceptId = 0) {
+  return !!db.prepare('SELECT 1 FROM shifts WHERE name = ? AND id <> ?').get(name, exceptId);
+}
+
+// only one default shift at a time
+function writeShift(id, v) {
+  db.transaction(() => {
+    if (v.isDefault) db.prepare('UPDATE shifts SET isDefault = 0 WHERE id <> ?').run(id);
+    db.prepare(`
+      UPDATE shifts SET name = ?, startTime = ?, endTime = ?, graceMinutes = ?, isDefault = ?, active = ?, updatedAt = ? WHERE id = ?
+    `).run(v.name, v.startTime, v.endTime, v.graceMinutes, v.isDefault, v.active, now(), id);
+  })();
+}
+
+/**
+ * returns { ok: true, shift } or { ok: false, status, body }
+ */
+function createShift(v) {
+  if (nameTaken(v.name)) return { ok: false, status: 409, body: { error: 'shift name already exists' } };
+  if (v.isDefault && !v.active) return { ok: false, status: 400, body: { error: 'the default shift must be active' } };
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO shifts (name, startTime, endTime, graceMinutes, isDefault, active, createdAt, updatedAt) VALUES (?,?,?,?,0,?,?,?)
+  `).run(v.name, v.startTime, v.endTime, v.graceMinutes, v.active, now(), now());
+  writeShift(Number(lastInsertRowid), v);
+  return { ok: true, shift: getShift(lastInsertRowid) };
+}
+
+function updateShift(id, v) {
+  if (nameTaken(v.name, id)) return { ok: false, status: 409, body: { error: 'shift name already exists' } };
+  if (v.isDefault && !v.active) return { ok: false, status: 400, body: { error: 'the default shift must be active' } };
+  writeShift(id, v);
+  return { ok: true, shift: getShift(id) };
+}
+
+// shiftId null = back to the default shift
+function assignShift(userId, shiftId) {
+  if (shiftId !== null && !db.prepare('SELECT 1 FROM shifts WHERE id = ?').get(shiftId)) {
+    return { ok: false, status: 400, body: { error: 'unknown shiftId' } };
+  }
+  db.prepare('UPDATE users SET shiftId = ? WHERE id = ?').run(shiftId, userId);
+  return { ok: true, shift: shiftForUser(userId) };
+}
+
+// ------------------------ timesheets ------------------------
+// validates ?from=&to= (local dates, inclusive); defaults to today
+function parseRange(query) {
+  const from = String(query.from || today());
+  const to = String(query.to || from);
+  const re = /^\d{4}-\d{2}-\d{2}$/;
+  if (!re.test(from) || !re.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+    return { error: 'from and to must be YYYY-MM-DD' };
+  }
+  if (to < from) return { error: 'to must not be before from' };
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `range is limited to ${MAX_RANGE_DAYS} days` };
+  }
+  return { value: { from, to } };
+}
+
+// ?month=YYYY-MM -> { from, to }
+function monthRange(month) {
+  const m = String(month || today().slice(0, 7));
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(m)) return { error: 'month must be YYYY-MM' };
+  const [y, mo] = m.split('-').map(Number);
+  const last = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  return { value: { month: m, from: `${m}-01`, to: `${m}-${String(last).padStart(2, '0')}` } };
+}
+
+// pairs a user's events (oldest first) into sessions
+function pairSessions(events) {
+  const sessions = [];
+  let open = null;
+  const close = (out) => {
+    sessions.push({ in: open, out, missingOut: !out });
+    open = null;
+  };
+
+  for (const e of events) {
+    if (open && Date.parse(e.createdAt) - Date.parse(open.createdAt) > maxShiftMs()) close(null);
+    if (e.action === 'IN') {
+      if (open) close(null);
+      open = e;
+    } else if (open) {
+      close(e);
+    } else {
+      sessions.push({ in: null, out: e, missingIn: true });
+    }
+  }
+  // an IN still within the max shift length is just in progress
+  if (open) {
+    const stale = Date.now() - Date.parse(open.createdAt) > maxShiftMs();
+    sessions.push({ in: open, out: null, missingOut: stale, inProgress: !stale });
+  }
+  return sessions;
+}
+
+function computeDay(date, sessions, shift) {
+  const ins = sessions.filter(s => s.in).map(s => Date.parse(s.in.createdAt));
+  const outs = sessions.filter(s => s.out).map(s => Date.parse(s.out.createdAt));
+  const workedMinutes = sessions
+    .filter(s => s.in && s.out)
+    .reduce((sum, s) => sum + minutes(Date.parse(s.out.createdAt) - Date.parse(s.in.createdAt)), 0);
+
+  const firstIn = ins.length ? Math.min(...ins) : null;
+  const lastOut = outs.length ? Math.max(...outs) : null;
+  const missingOut = sessions.some(s => s.missingOut);
+  const missingIn = sessions.some(s => s.missingIn);
+  const inProgress = sessions.some(s => s.inProgress);
+
+  let lateMinutes = 0;
+  let earlyLeaveMinutes = 0;
+  let overtimeMinutes = 0;
+  let scheduled = null;
+  if (shift) {
+    const start = localTimeMs(date, shift.startTime);
+    let end = localTimeMs(date, shift.endTime);
+    if (end <= start) end += DAY_MS;
+    const grace = shift.graceMinutes * MINUTE_MS;
+    scheduled = { start: new Date(start).toISOString(), end: new Date(end).toISOString(), minutes: minutes(end - start) };
+
+    if (firstIn !== null && firstIn > start + grace) lateMinutes = minutes(firstIn - start);
+    if (lastOut !== null && !missingOut && !inProgress && lastOut < end - grace) earlyLeaveMinutes = minutes(end - lastOut);
+    overtimeMinutes = Math.max(0, workedMinutes - scheduled.minutes);
+  }
+
+  const anomalies = [];
+  if (lateMinutes) anomalies.push('late');
+  if (earlyLeaveMinutes) anomalies.push('early_leave');
+  if (missingOut) anomalies.push('missing_out');
+  if (missingIn) anomalies.push('missing_in');
+  if (sessions.some(s => [s.in, s.out].some(e => e && e.geoStatus === 'flagged'))) anomalies.push('flagged_location');
+
+  const siteIds = [...new Set(sessions.flatMap(s => [s.in, s.out]).filter(e => e && e.siteId).map(e => e.siteId))];
+  return {
+    date,
+    shift: shift ? { id: shift.id, name: shift.name, startTime: shift.startTime, endTime: shift.endTime } : null,
+    scheduled,
+    firstIn: firstIn !== null ? new Date(firstIn).toISOString() : null,
+    lastOut: lastOut !== null ? new Date(lastOut).toISOString() : null,
+    workedMinutes,
+    workedHours: hours(workedMinutes),
+    lateMinutes,
+    earlyLeaveMinutes,
+    overtimeMinutes,
+    missingOut,
+    inProgress,
+    anomalies,
+    siteIds,
+    sessions: sessions.map(s => ({
+      inId: s.in?.id ?? null,
+      in: s.in?.createdAt ?? null,
+      outId: s.out?.id ?? null,
+      out: s.out?.createdAt ?? null,
+      minutes: s.in && s.out ? minutes(Date.parse(s.out.createdAt) - Date.parse(s.in.createdAt)) : null,
+    })),
+  };
+}
+
+/**
+ * Daily rows for { from, to } (local dates, inclusive), optionally one user / one site.
+ * returns [{ userId (code), userEmail, name, ...day }] ordered by date, then user
+ */
+function dailyTimesheets({ from, to, userId = null, siteId = null }) {
+  // a shift can start the evening before `from` local time or end the morning after `to`
+  const fromUtc = new Date(localTimeMs(from, '00:00') - maxShiftMs()).toISOString();
+  const toUtc = new Date(localTimeMs(to, '00:00') + DAY_MS + maxShiftMs()).toISOString();
+
+  const params = [fromUtc, toUtc];
+  let userFilter = '';
+  if (userId) { userFilter = 'AND a.userId = ?'; params.push(userId); }
+  const events = db.prepare(`
+    SELECT a.id, a.userId, a.action, a.siteId, a.geoStatus, a.createdAt
+    FROM attendance a
+    WHERE a.voidedAt IS NULL AND a.createdAt >= ? AND a.createdAt < ? ${userFilter}
+    ORDER BY a.userId, a.createdAt, a.id
+  `).all(...params);
+
+  const byUser = new Map();
+  for (const e of events) {
+    if (!byUser.has(e.userId)) byUser.set(e.userId, []);
+    byUser.get(e.userId).push(e);
+  }
+
+  const users = new Map();
+  const userInfo = id => {
+    if (!users.has(id)) {
+      users.set(id, db.prepare('SELECT userCode, email, firstName, lastName FROM users WHERE id = ?').get(id));
+    }
+    return users.get(id);
+  };
+
+  const rows = [];
+  for (const [uid, list] of byUser) {
+    const shift = shiftForUser(uid);
+    const days = new Map();
+    for (const s of pairSessions(list)) {
+      const date = localDate((s.in || s.out).createdAt);
+      if (date < from || date > to) continue;
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(s);
+    }
+    for (const [date, sessions] of days) {
+      const day = computeDay(date, sessions, shift);
+      if (siteId && !day.siteIds.includes(Number(siteId))) continue;
+      const u = userInfo(uid);
+      rows.push({
+        userId: u.userCode,
+        userEmail: u.email,
+        name: [u.firstName, u.lastName].filter(Boolean).join(' '),
+        ...day,
+      });
+    }
+  }
+  return rows.sort((a, b) => a.date.localeCompare(b.date) || a.userId.localeCompare(b.userId));
+}
+
+/**
+ * Per-user totals for a month (same filters as dailyTimesheets).
+ */
+function monthlyTimesheets({ month, from, to, userId = null, siteId = null }) {
+  const totals = new Map();
+  for (const d of dailyTimesheets({ from, to, userId, siteId })) {
+    if (!totals.has(d.userId)) {
+      totals.set(d.userId, {
+        userId: d.userId,
+        userEmail: d.userEmail,
+        name: d.name,
+        month,
+        daysWorked: 0,
+        workedMinutes: 0,
+        lateDays: 0,
+        lateMinutes: 0,
+        earlyLeaveDays: 0,
+        earlyLeaveMinutes: 0,
+        overtimeMinutes: 0,
+        missingOutDays: 0,
+        anomalyDays: 0,
+      });
+    }
+    const t = totals.get(d.userId);
+    if (d.workedMinutes > 0) t.daysWorked += 1;
+    t.workedMinutes += d.workedMinutes;
+    t.lateMinutes += d.lateMinutes;
+    t.earlyLeaveMinutes += d.earlyLeaveMinutes;
+    t.overtimeMinutes += d.overtimeMinutes;
+    if (d.lateMinutes) t.lateDays += 1;
+    if (d.earlyLeaveMinutes) t.earlyLeaveDays += 1;
+    if (d.missingOut) t.missingOutDays += 1;
+    if (d.anomalies.length) t.anomalyDays += 1;
+  }
+  return [...totals.values()]
+    .map(t => ({ ...t, workedHours: hours(t.workedMinutes), overtimeHours: hours(t.overtimeMinutes) }))
+    .sort((a, b) => a.userId.localeCompare(b.userId));
+}
+
+module.exports = {
+  getShift,
+  listShifts,
+  defaultShift,
+  shiftForUser,
+  parseShiftInput,
+  createShift,
+  updateShift,
+  assignShift,
+  parseRange,
+  monthRange,
+  dailyTimesheets,
+  monthlyTimesheets,
+};
@@ -0,0 +1,290 @@
+// src/services/transfers.js
+const bcrypt = require('bcryptjs');
+const { db, now } = require('../db');
+const { getEffectiveBalance, postTransaction, transferPoints } = require('./ledger');
+const { getTierBenefits } = require('./tiers');
+
+/**
+ * Point transfers between users (transfers table + ledger)
+ *
+ * - below TRANSFER_PENDING_THRESHOLD: completed at once (one 'transfer' txn)
+ * - at/above it: the sender's points go to system:escrow ('transfer_hold') and the
+ *   transfer stays pending until the receiver accepts ('transfer' escrow -> receiver),
+ *   the receiver declines / the sender cancels / TRANSFER_PENDING_HOURS pass
+ *   ('transfer_release' escrow -> sender)
+ * - admins can reverse a completed transfer ('reversal' receiver -> sender)
+ *
+ * Limits (points): per transfer and per rolling 24h, resolved
+ * user override -> tier -> TRANSFER_TX_LIMIT / TRANSFER_DAILY_LIMIT -> none.
+ *
+ * ENV:
+ *   TRANSFER_PENDING_THRESHOLD=1000   0/empty = never pending
+ *   TRANSFER_PENDING_HOURS=48
+ *   TRANSFER_PIN_REQUIRED=1           every sender must have and enter a PIN
+ *   TRANSFER_TX_LIMIT / TRANSFER_DAILY_LIMIT
+ */
+
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+const ESCROW = 'system:escrow';
+
+function envInt(name) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function pendingThreshold() {
+  return envInt('TRANSFER_PENDING_THRESHOLD');
+}
+
+function isPinRequired() {
+  return ['1', 'true', 'yes'].includes(String(process.env.TRANSFER_PIN_REQUIRED || '').toLowerCase());
+}
+
+function fail(status, error, extra = {}) {
+  return { ok: false, status, body: { error, ...extra } };
+}
+
+// ------------------------ limits ------------------------
+function getTransferLimits(userId) {
+  const user = db.prepare('SELECT transferLimit, dailyTransferLimit FROM users WHERE id = ?').get(userId) || {};
+  const tier = getTierBenefits(userId);
+  return {
+    perTransfer: user.transferLimit ?? tier.transferLimit ?? envInt('TRANSFER_TX_LIMIT'),
+    daily: user.dailyTransferLimit ?? tier.dailyTransferLimit ?? envInt('TRANSFER_DAILY_LIMIT'),
+  };
+}
+
+// rolling 24h; cancelled/declined/expired transfers never moved points and do not count
+function getSentLast24h(userId) {
+  const since = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(points), 0) AS total FROM transfers
+    WHERE senderId = ? AND createdAt >= ? AND status IN ('pending', 'completed', 'reversed')
+  `).get(userId, since);
+  return Number(row.total || 0);
+}
+
+// ------------------------ PIN ------------------------
+function setPin(userId, pin) {
+  db.prepare(`
+    UPDATE users SET transactionPinHash = ?, pinFailedCount = 0, pinLockedUntil = NULL WHERE id = ?
+  `).run(bcrypt.hashSync(String(pin), 10), userId);
+}
+
+function hasPin(userId) {
+  return !!db.prepare('SELECT transactionPinHash FROM users WHERE id = ?').get(userId)?.transactionPinHash;
+}
+
+// null when OK, else a failure; locks after PIN_MAX_ATTEMPTS wrong PINs
+function checkPin(userId, pin) {
+  const u = db.prepare('SELECT transactionPinHash, pinFailedCount, pinLockedUntil FROM users WHERE id = ?').get(userId);
+  if (!u?.transactionPinHash) {
+    return isPinRequired() ? fail(403, 'set a transaction PIN first', { errorCode: 'PIN_NOT_SET' }) : null;
+  }
+  if (u.pinLockedUntil && u.pinLockedUntil > now()) {
+    return fail(423, 'PIN locked, try again later', { errorCode: 'PIN_LOCKED', lockedUntil: u.pinLockedUntil });
+  }
+  if (pin === undefined || pin === null || pin === '') {
+    return fail(400, 'pin is required', { errorCode: 'PIN_REQUIRED' });
+  }
+  if (bcrypt.compareSync(String(pin), u.transactionPinHash)) {
+    if (u.pinFailedCount) db.prepare('UPDATE users SET pinFailedCount = 0, pinLockedUntil = NULL WHERE id = ?').run(userId);
+    return null;
+  }
+
+  const failed = (u.pinFailedCount || 0) + 1;
+  const lockedUntil = failed >= PIN_MAX_ATTEMPTS
+    ? new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000).toISOString()
+    : null;
+  db.prepare('UPDATE users SET pinFailedCount = ?, pinLockedUntil = ? WHERE id = ?')
+    .run(lockedUntil ? 0 : failed, lockedUntil, userId);
+  return fail(401, 'wrong PIN', { errorCode: 'PIN_INVALID', attemptsLeft: lockedUntil ? 0 : PIN_MAX_ATTEMPTS - failed });
+}
+
+// ------------------------ transfers ------------------------
+const TRANSFER_SELECT = `
+  SELECT t.*, s.userCode AS senderCode, r.userCode AS receiverCode
+  FROM transfers t
+  JOIN users s ON s.id = t.senderId
+  JOIN users r ON r.id = t.receiverId
+`;
+
+function getTransfer(id) {
+  return db.prepare(`${TRANSFER_SELECT} WHERE t.id = ?`).get(id) || null;
+}
+
+function listUserTransfers(userId, status) {
+  return status
+    ? db.prepare(`${TRANSFER_SELECT} WHERE (t.senderId = ? OR t.receiverId = ?) AND t.status = ? ORDER BY t.id DESC`)
+      .all(userId, userId, status)
+    : db.prepare(`${TRANSFER_SELECT} WHERE t.senderId = ? OR t.receiverId = ? ORDER BY t.id DESC`)
+      .all(userId, userId);
+}
+
+/**
+ * Validates limits + PIN, then completes or holds the transfer.
+ * returns { ok: true, transfer } or { ok: false, status, body }
+ */
+function createTransfer({ senderId, receiverId, points, pin }) {
+  const limits = getTransferLimits(senderId);
+  if (limits.perTransfer !== null && points > limits.perTransfer) {
+    return fail(400, 'transfer limit exceeded', { errorCode: 'TRANSFER_LIMIT', transferLimit: limits.perTransfer });
+  }
+
+  const pinFail = checkPin(senderId, pin);
+  if (pinFail) return pinFail;
+
+  return db.transaction(() => {
+    if (limits.daily !== null) {
+      const used = getSentLast24h(senderId);
+      if (used + points > limits.daily) {
+        return fail(400, 'daily transfer limit exceeded', {
+          errorCode: 'DAILY_TRANSFER_LIMIT',
+          dailyLimit: limits.daily,
+          remainingToday: Math.max(0, limits.daily - used),
+        });
+      }
+    }
+
+    const balance = getEffectiveBalance(senderId);
+    if (balance < points) return fail(400, 'insufficient points', { senderBalance: balance });
+
+    const threshold = pendingThreshold();
+    const pending = threshold !== null && points >= threshold;
+    const at = now();
+    const expiresAt = pending
+      ? new Date(Date.now() + (envInt('TRANSFER_PENDING_HOURS') || 48) * 3600 * 1000).toISOString()
+      : null;
+
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO transfers (senderId, receiverId, points, status, expiresAt, createdAt, updatedAt)
+      VALUES (?,?,?,?,?,?,?)
+    `).run(senderId, receiverId, points, pending ? 'pending' : 'completed', expiresAt, at, at);
+    const id = Number(lastInsertRowid);
+    const ref = { sourceType: 'transfer', sourceRef: String(id) };
+
+    if (pending) {
+      const holdTxnId = postTransaction('transfer_hold', [
+        { userId: senderId, points: -points, counterpartyUserId: receiverId },
+        { account: ESCROW, points },
+      ], ref);
+      db.prepare('UPDATE transfers SET holdTxnId = ? WHERE id = ?').run(holdTxnId, id);
+    } else {
+      const txnId = transferPoints(senderId, receiverId, points, ref);
+      db.prepare('UPDATE transfers SET txnId = ?, completedAt = ? WHERE id = ?').run(txnId, at, id);
+    }
+
+    return { ok: true, transfer: getTransfer(id) };
+  })();
+}
+
+// loads a pending transfer inside a transaction, checking who may act on it
+function loadPending(id, { userId, as }) {
+  const t = db.prepare('SELECT * FROM transfers WHERE id = ?').get(id);
+  if (!t) return fail(404, 'transfer not found');
+  if (as === 'receiver' && t.receiverId !== userId) return fail(403, 'only the receiver can do this');
+  if (as === 'sender' && t.senderId !== userId) return fail(403, 'only the sender can do this');
+  if (t.status !== 'pending') return fail(409, `transfer is ${t.status}`);
+  return { ok: true, t };
+}
+
+function acceptTransfer(id, receiverId) {
+  return db.transaction(() => {
+    const loaded = loadPending(id, { userId: receiverId, as: 'receiver' });
+    if (!loaded.ok) return loaded;
+    const { t } = loaded;
+    if (t.expiresAt <= now()) return fail(409, 'transfer window has passed');
+
+    const txnId = postTransaction('transfer', [
+      { account: ESCROW, points: -t.points },
+      { userId: t.receiverId, points: t.points, counterpartyUserId: t.senderId },
+    ], { sourceType: 'transfer', sourceRef: String(t.id) });
+
+    db.prepare(`UPDATE transfers SET status = 'completed', txnId = ?, completedAt = ?, updatedAt = ? WHERE id = ?`)
+      .run(txnId, now(), now(), t.id);
+    return { ok: true, transfer: getTransfer(t.id) };
+  })();
+}
+
+// escrow -> sender; status: cancelled (sender) | declined (receiver) | expired (sweep)
+function releaseHeld(t, status) {
+  const refundTxnId = postTransaction('transfer_release', [
+    { account: ESCROW, points: -t.points },
+    { userId: t.senderId, points: t.points, counterpartyUserId: t.receiverId },
+  ], { sourceType: 'transfer', sourceRef: String(t.id), memo: status });
+
+  db.prepare('UPDATE transfers SET status = ?, refundTxnId = ?, cancelledAt = ?, updatedAt = ? WHERE id = ?')
+    .run(status, refundTxnId, now(), now(), t.id);
+}
+
+function cancelTransfer(id, senderId) {
+  return db.transaction(() => {
+    const loaded = loadPending(id, { userId: senderId, as: 'sender' });
+    if (!loaded.ok) return loaded;
+    releaseHeld(loaded.t, 'cancelled');
+    return { ok: true, transfer: getTransfer(id) };
+  })();
+}
+
+function declineTransfer(id, receiverId) {
+  return db.transaction(() => {
+    const loaded = loadPending(id, { userId: receiverId, as: 'receiver' });
+    if (!loaded.ok) return loaded;
+    releaseHeld(loaded.t, 'declined');
+    return { ok: true, transfer: getTransfer(id) };
+  })();
+}
+
+// pending transfers nobody acted on within the window go back to the sender
+function expirePendingTransfers() {
+  const due = db.prepare(`SELECT * FROM transfers WHERE status = 'pending' AND expiresAt <= ?`).all(now());
+  for (const t of due) {
+    db.transaction(() => {
+      const fresh = db.prepare(`SELECT status FROM transfers WHERE id = ?`).get(t.id);
+      if (fresh.status === 'pending') releaseHeld(t, 'expired');
+    })();
+  }
+  return due.length;
+}
+
+/**
+ * Admin reversal of a completed transfer: compensating 'reversal' txn receiver -> sender.
+ * The receiver's balance may go negative if the points were already spent.
+ */
+function reverseTransfer(id, { adminId, reason }) {
+  return db.transaction(() => {
+    const t = db.prepare('SELECT * FROM transfers WHERE id = ?').get(id);
+    if (!t) return fail(404, 'transfer not found');
+    if (t.status !== 'completed') return fail(409, `only completed transfers can be reversed (is ${t.status})`);
+
+    const reversalTxnId = postTransaction('reversal', [
+      { userId: t.receiverId, points: -t.points, counterpartyUserId: t.senderId },
+      { userId: t.senderId, points: t.points, counterpartyUserId: t.receiverId },
+    ], { sourceType: 'transfer', sourceRef: String(t.id), memo: reason });
+
+    db.prepare(`
+      UPDATE transfers
+      SET status = 'reversed', reversalTxnId = ?, reversedAt = ?, reversedByUserId = ?, reversalReason = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(reversalTxnId, now(), adminId, reason, now(), t.id);
+    return { ok: true, transfer: getTransfer(t.id) };
+  })();
+}
+
+module.exports = {
+  isPinRequired,
+  getTransferLimits,
+  getSentLast24h,
+  setPin,
+  hasPin,
+  checkPin,
+  getTransfer,
+  listUserTransfers,
+  createTransfer,
+  acceptTransfer,
+  cancelTransfer,
+  declineTransfer,
+  expirePendingTransfers,
+  reverseTransfer,
+};
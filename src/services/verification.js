@@ -0,0 +1,153 @@
+// src/services/verification.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { db, now } = require('../db');
+const { sendTemplate } = require('./mailer');
+const { sendSms } = require('./sms');
+
+/**
+ * Email / phone verification with one-time codes (otp_codes)
+ *
+ * - 6-digit codes, bcrypt-hashed, valid OTP_TTL_MINUTES (default 10),
+ *   OTP_MAX_ATTEMPTS wrong guesses (default 5) burn the code
+ * - a new code replaces the unused one; resends are throttled to one per
+ *   OTP_RESEND_SECONDS (default 60) and OTP_MAX_PER_HOUR (default 5) per channel
+ * - success sets users.emailVerifiedAt / users.phoneVerifiedAt
+ *
+ * ENV:
+ *   VERIFY_CHANNELS=email,phone         channels a user must verify to count as verified
+ *   VERIFY_REQUIRED_FOR=transfer,qr_scan  actions blocked until then (empty = none)
+ */
+
+const CHANNELS = ['email', 'phone'];
+const CHANNEL_COLUMN = { email: 'emailVerifiedAt', phone: 'phoneVerifiedAt' };
+const CHANNEL_DESTINATION = { email: 'email', phone: 'phoneNumber' };
+
+const envInt = (name, def) => (Number(process.env[name]) > 0 ? Number(process.env[name]) : def);
+const TTL_MINUTES = envInt('OTP_TTL_MINUTES', 10);
+const MAX_ATTEMPTS = envInt('OTP_MAX_ATTEMPTS', 5);
+const RESEND_SECONDS = envInt('OTP_RESEND_SECONDS', 60);
+const MAX_PER_HOUR = envInt('OTP_MAX_PER_HOUR', 5);
+
+function envList(name, def) {
+  return String(process.env[name] ?? def).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function requiredChannels() {
+  return envList('VERIFY_CHANNELS', 'email,phone').filter(c => CHANNELS.includes(c));
+}
+
+function isRequiredFor(action) {
+  return envList('VERIFY_REQUIRED_FOR', '').includes(action);
+}
+
+// { email: bool, phone: bool, verified: bool, required: [...] }
+function getVerificationStatus(userId) {
+  const u = db.prepare('SELECT emailVerifiedAt, phoneVerifiedAt FROM users WHERE id = ?').get(userId) || {};
+  const status = { email: !!u.emailVerifiedAt, phone: !!u.phoneVerifiedAt };
+  const required = requiredChannels();
+  return { ...status, verified: required.every(c => status[c]), required };
+}
+
+function isVerified(userId) {
+  return getVerificationStatus(userId).verified;
+}
+
+function fail(status, error, extra = {}) {
+  return { ok: false, status, body: { error, ...extra } };
+}
+
+/**
+ * Creates a code and sends it by mail or SMS.
+ * returns { ok: true, channel, expiresAt, resendAfter } or { ok: false, status, body }
+ */
+async function sendCode(userId, channel) {
+  if (!CHANNELS.includes(channel)) return fail(400, `channel must be one of: ${CHANNELS.join(', ')}`);
+
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+  if (!user) return fail(404, 'user not found');
+  if (user[CHANNEL_COLUMN[channel]]) return fail(409, `${channel} already verified`);
+
+  const destination = user[CHANNEL_DESTINATION[channel]];
+  if (!destination) return fail(400, `no ${channel} on this account`);
+
+  // --- throttle ---
+  const last = db.prepare(`
+    SELECT createdAt FROM otp_codes WHERE userId = ? AND channel = ? ORDER BY id DESC LIMIT 1
+  `).get(userId, channel);
+  if (last) {
+    const wait = Math.ceil((Date.parse(last.createdAt) + RESEND_SECONDS * 1000 - Date.now()) / 1000);
+    if (wait > 0) return fail(429, `wait ${wait}s before requesting a new code`, { errorCode: 'OTP_THROTTLED', retryAfter: wait });
+  }
+  const hourAgo = new Date(Date.now() - 3600 * 1000).toISOString();
+  const sentLastHour = db.prepare(`
+    SELECT COUNT(*) AS c FROM otp_codes WHERE userId = ? AND channel = ? AND createdAt >= ?
+  `).get(userId, channel, hourAgo).c;
+  if (sentLastHour >= MAX_PER_HOUR) {
+    return fail(429, 'too many codes requested, try again later', { errorCode: 'OTP_THROTTLED', retryAfter: 3600 });
+  }
+
+  // --- new code (replaces any open one) ---
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + TTL_MINUTES * 60 * 1000).toISOString();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE otp_codes SET consumedAt = ? WHERE userId = ? AND channel = ? AND consumedAt IS NULL
+    `).run(now(), userId, channel);
+    db.prepare(`
+      INSERT INTO otp_codes (userId, channel, destination, codeHash, attempts, expiresAt, createdAt)
+      VALUES (?,?,?,?,0,?,?)
+    `).run(userId, channel, destination, bcrypt.hashSync(code, 10), expiresAt, now());
+  })();
+
+  if (channel === 'email') {
+    await sendTemplate(destination, 'verification_code', { firstName: user.firstName, code, ttlMinutes: TTL_MINUTES });
+  } else {
+    await sendSms({ to: destination, text: `Your verification code is ${code}. It expires in ${TTL_MINUTES} minutes.` });
+  }
+
+  return { ok: true, channel, expiresAt, resendAfter: RESEND_SECONDS };
+}
+
+/**
+ * Checks a code; wrong guesses count against the open code.
+ * returns { ok: true, status: {...} } or { ok: false, status, body }
+ */
+function verifyCode(userId, channel, code) {
+  if (!CHANNELS.includes(channel)) return fail(400, `channel must be one of: ${CHANNELS.join(', ')}`);
+
+  const otp = db.prepare(`
+    SELECT * FROM otp_codes WHERE userId = ? AND channel = ? AND consumedAt IS NULL ORDER BY id DESC LIMIT 1
+  `).get(userId, channel);
+  if (!otp || otp.expiresAt <= now()) {
+    return fail(400, 'no valid code, request a new one', { errorCode: 'OTP_EXPIRED' });
+  }
+
+  if (!bcrypt.compareSync(String(code ?? ''), otp.codeHash)) {
+    const attempts = otp.attempts + 1;
+    const burned = attempts >= MAX_ATTEMPTS;
+    db.prepare('UPDATE otp_codes SET attempts = ?, consumedAt = ? WHERE id = ?')
+      .run(attempts, burned ? now() : null, otp.id);
+    return fail(400, burned ? 'too many wrong codes, request a new one' : 'wrong code', {
+      errorCode: burned ? 'OTP_ATTEMPTS_EXCEEDED' : 'OTP_INVALID',
+      attemptsLeft: MAX_ATTEMPTS - attempts,
+    });
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE otp_codes SET consumedAt = ? WHERE id = ?').run(now(), otp.id);
+    db.prepare(`UPDATE users SET ${CHANNEL_COLUMN[channel]} = ? WHERE id = ?`).run(now(), userId);
+  })();
+
+  return { ok: true, status: getVerificationStatus(userId) };
+}
+
+module.exports = {
+  CHANNELS,
+  requiredChannels,
+  isRequiredFor,
+  getVerificationStatus,
+  isVerified,
+  sendCode,
+  verifyCode,
+};
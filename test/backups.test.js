@@ -0,0 +1,121 @@
+// test/backups.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { freshDb, createUser } = require('./helpers');
+
+const env = freshDb('backups', { BACKUP_KEEP: '50', BACKUP_MAX_AGE_DAYS: '0' });
+const { DB_PATH } = require('../src/db');
+const { backupSettings, listBackups, createBackup, restoreBackup } = require('../src/services/backups');
+
+test.after(() => env.close());
+
+const { dir } = backupSettings();
+const sha256 = file => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+const userCount = () => env.db.prepare('SELECT COUNT(*) AS c FROM users').get().c;
+
+// edits a backup in place and writes its sidecar sha256 again, so only the check under test fails
+function tamper(meta, edit) {
+  const file = path.join(dir, meta.file);
+  const conn = new Database(file);
+  try {
+    edit(conn);
+  } finally {
+    conn.close();
+  }
+  const sidecar = path.join(dir, meta.file.replace(/\.sqlite$/, '.json'));
+  fs.writeFileSync(sidecar, JSON.stringify({ ...meta, sha256: sha256(file) }));
+}
+
+test('a backup is a checked copy with a matching sidecar', async () => {
+  const r = await createBackup();
+  assert.strictEqual(r.ok, true);
+  const { backup } = r;
+  assert.strictEqual(backup.kind, 'manual');
+  assert.strictEqual(backup.integrity, 'ok');
+  assert.strictEqual(backup.schemaVersion, 2);
+  assert.strictEqual(backup.sha256, sha256(path.join(dir, backup.file)));
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(f => f.endsWith('.partial')), []);
+
+  const snap = await createBackup({ label: 'Before-Import' });
+  assert.strictEqual(snap.backup.kind, 'snapshot');
+  assert.match(snap.backup.file, /-before-import\.sqlite$/);
+  assert.strictEqual((await createBackup({ label: 'no spaces' })).status, 400);
+});
+
+test('restore puts the copy back and keeps a pre-restore copy of what it replaced', async () => {
+  const { backup } = await createBackup();
+  const before = userCount();
+  createUser();
+  assert.strictEqual(userCount(), before + 1);
+
+  const r = await restoreBackup('latest');
+  assert.strictEqual(r.ok, true, r.error);
+  assert.strictEqual(r.restored, backup.file);
+  assert.strictEqual(r.pendingMigrations, 0);
+  assert.strictEqual(userCount(), before);
+
+  const safety = listBackups().find(b => b.file === r.safetyCopy);
+  assert.strictEqual(safety.kind, 'pre-restore');
+  // "latest" skips the pre-restore copy
+  assert.strictEqual((await restoreBackup('latest', { safetyCopy: false })).restored, backup.file);
+});
+
+test('refuses a copy whose sha256 does not match its sidecar', async () => {
+  const { backup } = await createBackup();
+  fs.appendFileSync(path.join(dir, backup.file), 'x');
+
+  const r = await restoreBackup(backup.file, { safetyCopy: false });
+  assert.strictEqual(r.ok, false);
+  assert.strictEqual(r.error, `${backup.file} changed since it was written (sha256 mismatch)`);
+});
+
+test('refuses a copy that fails the integrity check', async () => {
+  const { backup } = await createBackup();
+  // point an index at another column, so its entries no longer match the table
+  tamper(backup, (conn) => {
+    conn.unsafeMode(true);
+    conn.pragma('writable_schema = ON');
+    conn.prepare(`UPDATE sqlite_master SET sql = 'CREATE INDEX idx_users_createdAt ON users(email)' WHERE name = 'idx_users_createdAt'`).run();
+  });
+
+  const r = await restoreBackup(backup.file, { safetyCopy: false });
+  assert.strictEqual(r.ok, false);
+  assert.match(r.error, new RegExp(`^${backup.file} failed the integrity check: `));
+});
+
+test('refuses a copy with migrations this build does not know', async () => {
+  const { backup } = await createBackup();
+  tamper(backup, (conn) => {
+    conn.prepare(`
+      INSERT INTO schema_migrations (version, name, checksum, appliedAt, durationMs) VALUES (999, 'future', 'abc', ?, 1)
+    `).run(new Date().toISOString());
+  });
+
+  const r = await restoreBackup(backup.file, { safetyCopy: false });
+  assert.strictEqual(r.ok, false);
+  assert.match(r.error, /has schema version 999 with migrations this build does not know \(999\)/);
+});
+
+test('refuses while another connection holds the database', async () => {
+  const { backup } = await createBackup();
+  const other = new Database(DB_PATH);
+  other.exec('BEGIN IMMEDIATE');
+  try {
+    const count = listBackups().length;
+    const r = await restoreBackup(backup.file);
+    assert.strictEqual(r.ok, false);
+    assert.strictEqual(r.error, `cannot lock ${DB_PATH} (it is in use), stop the server and try again`);
+    assert.strictEqual(listBackups().length, count); // no pre-restore copy either
+  } finally {
+    other.exec('ROLLBACK');
+    other.close();
+  }
+});
+
+test('unknown names are reported', async () => {
+  assert.deepStrictEqual(await restoreBackup('nope'), { ok: false, error: 'backup not found: nope' });
+});
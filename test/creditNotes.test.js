@@ -0,0 +1,113 @@
+// test/creditNotes.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { freshDb, createUser } = require('./helpers');
+
+const env = freshDb('credit-notes', { SALES_TAX_RATE: '10' });
+const { createOrder, createCreditNote, cancelOrder } = require('../src/services/sales');
+
+test.after(() => env.close());
+
+const staff = createUser({ role: 'admin' });
+
+// SKU-100 (200) x3 less 5%, SKU-200 (180) x1, 10 off the order, 10% tax
+function confirmedOrder() {
+  const r = createOrder(staff, {
+    lines: [
+      { sku: 'SKU-100', quantity: 3, discount: { type: 'percent', value: 5 } },
+      { sku: 'SKU-200', quantity: 1 },
+    ],
+    discount: { type: 'amount', value: 10 },
+  }, { confirm: true });
+  assert.strictEqual(r.ok, true);
+  return r.order;
+}
+
+test('splits the order discount by net amount and taxes what is left', () => {
+  const order = confirmedOrder();
+  const [a, b] = order.lines;
+
+  assert.strictEqual(a.discountAmount, 30);
+  assert.strictEqual(a.orderDiscountShare, 7.6);
+  assert.strictEqual(a.taxAmount, 56.24);
+  assert.strictEqual(a.lineTotal, 618.64);
+  assert.strictEqual(b.orderDiscountShare, 2.4);
+  assert.strictEqual(b.taxAmount, 17.76);
+  assert.strictEqual(b.lineTotal, 195.36);
+
+  assert.strictEqual(order.subtotal, 780);
+  assert.strictEqual(order.discountTotal, 40);
+  assert.strictEqual(order.taxTotal, 74);
+  assert.strictEqual(order.total, 814);
+});
+
+test('credits returned units pro rata, the last unit takes the rounding', () => {
+  const order = confirmedOrder();
+  const lineId = order.lines[0].id;
+
+  const first = createCreditNote(order.id, { items: [{ lineId, quantity: 1 }], reason: 'damaged', userId: staff });
+  assert.strictEqual(first.ok, true);
+  assert.match(first.creditNote.creditNumber, /^CN-/);
+  assert.deepStrictEqual(
+    [first.creditNote.netAmount, first.creditNote.taxAmount, first.creditNote.total],
+    [187.47, 18.75, 206.22]
+  );
+
+  const second = createCreditNote(order.id, { items: [{ lineId, quantity: 1 }], userId: staff });
+  assert.deepStrictEqual([second.creditNote.netAmount, second.creditNote.taxAmount], [187.47, 18.75]);
+
+  const last = createCreditNote(order.id, { items: [{ lineId, quantity: 1 }], userId: staff });
+  assert.deepStrictEqual([last.creditNote.netAmount, last.creditNote.taxAmount], [187.46, 18.74]);
+
+  // together exactly the line
+  assert.strictEqual(last.order.lines[0].returnedQuantity, 3);
+  assert.strictEqual(last.order.creditedTotal, 618.64);
+  assert.notStrictEqual(first.creditNote.creditNumber, second.creditNote.creditNumber);
+});
+
+test('merges repeated lines and refuses more than is left to return', () => {
+  const order = confirmedOrder();
+  const lineId = order.lines[0].id;
+
+  const r = createCreditNote(order.id, { items: [{ lineId, quantity: 1 }, { lineId, quantity: 1 }], userId: staff });
+  assert.strictEqual(r.creditNote.lines.length, 1);
+  assert.strictEqual(r.creditNote.lines[0].quantity, 2);
+
+  const over = createCreditNote(order.id, { items: [{ lineId, quantity: 2 }], userId: staff });
+  assert.strictEqual(over.status, 409);
+  assert.strictEqual(over.body.error, `line ${lineId}: only 1 left to return`);
+  assert.strictEqual(cancelOrder(order.id).status, 409);
+});
+
+test('rejects malformed return lines with a 400', () => {
+  const order = confirmedOrder();
+  const lineId = order.lines[0].id;
+
+  for (const [items, error] of [
+    [[], 'lines to return are required'],
+    [null, 'lines to return are required'],
+    [[null], 'line 1 must be an object'],
+    [[[lineId, 1]], 'line 1 must be an object'],
+    [[{ lineId, quantity: 1 }, 'x'], 'line 2 must be an object'],
+    [[{ quantity: 1 }], 'line 1: lineId must be a positive integer'],
+    [[{ lineId: 0, quantity: 1 }], 'line 1: lineId must be a positive integer'],
+    [[{ lineId, quantity: 0 }], 'line 1: quantity must be a positive integer'],
+    [[{ lineId, quantity: 1.5 }], 'line 1: quantity must be a positive integer'],
+    [[{ lineId, quantity: -1 }], 'line 1: quantity must be a positive integer'],
+  ]) {
+    const r = createCreditNote(order.id, { items, userId: staff });
+    assert.deepStrictEqual([r.status, r.body.error], [400, error], JSON.stringify(items));
+  }
+  assert.strictEqual(env.db.prepare('SELECT COUNT(*) AS c FROM credit_notes WHERE orderId = ?').get(order.id).c, 0);
+});
+
+test('returns only against confirmed orders and their own lines', () => {
+  const draft = createOrder(staff, { lines: [{ sku: 'SKU-300', quantity: 1 }] }).order;
+  const onDraft = createCreditNote(draft.id, { items: [{ lineId: draft.lines[0].id, quantity: 1 }], userId: staff });
+  assert.strictEqual(onDraft.status, 409);
+
+  const order = confirmedOrder();
+  const foreign = createCreditNote(order.id, { items: [{ lineId: draft.lines[0].id, quantity: 1 }], userId: staff });
+  assert.strictEqual(foreign.status, 404);
+  assert.strictEqual(createCreditNote(999999, { items: [{ lineId: 1, quantity: 1 }] }).status, 404);
+});
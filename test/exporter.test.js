@@ -0,0 +1,154 @@
+// test/exporter.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const zlib = require('zlib');
+const { PAGE_SIZE, parseExportOptions, sendExport } = require('../src/services/exporter');
+
+// a response stand-in that keeps what was written
+function collector() {
+  const chunks = [];
+  const headers = {};
+  const res = new Writable({
+    write(chunk, enc, cb) {
+      chunks.push(chunk);
+      cb();
+    },
+  });
+  res.setHeader = (k, v) => { headers[k.toLowerCase()] = v; };
+  res.body = () => Buffer.concat(chunks);
+  res.headers = headers;
+  return res;
+}
+
+// keyset paging over an array, like the list helpers do with SQL
+const pager = rows => (last, limit) => {
+  const from = last ? rows.indexOf(last) + 1 : 0;
+  return rows.slice(from, from + limit);
+};
+
+// reads every file of a ZIP through its central directory, checking sizes and CRCs
+function unzip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory');
+  const count = buf.readUInt16LE(end + 10);
+  let p = buf.readUInt32LE(end + 16);
+  assert.strictEqual(p + buf.readUInt32LE(end + 12), end, 'central directory size');
+
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(buf.readUInt32LE(p), 0x02014b50, 'central header signature');
+    const crc = buf.readUInt32LE(p + 16);
+    const compressed = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const offset = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    assert.strictEqual(buf.readUInt32LE(offset), 0x04034b50, `${name}: local header signature`);
+    const dataStart = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+    const data = zlib.inflateRawSync(buf.subarray(dataStart, dataStart + compressed));
+    assert.strictEqual(data.length, size, `${name}: size`);
+    assert.strictEqual(zlib.crc32(data), crc, `${name}: crc`);
+
+    const descriptor = dataStart + compressed;
+    assert.strictEqual(buf.readUInt32LE(descriptor), 0x08074b50, `${name}: data descriptor`);
+    assert.strictEqual(buf.readUInt32LE(descriptor + 4), crc);
+    files[name] = data.toString('utf8');
+  }
+  return files;
+}
+
+const columns = [
+  { key: 'id', header: 'ID', type: 'number' },
+  { key: 'name', header: 'Name', type: 'string' },
+  { key: 'at', header: 'Created', type: 'date' },
+];
+const options = query => parseExportOptions({ locale: 'en-GB', tz: 'UTC', ...query }, columns).value;
+
+test('CSV: BOM, RFC 4180 quoting and formula prefixes', async () => {
+  const rows = [
+    { id: 1, name: 'plain', at: '2026-03-04T05:06:07.000Z' },
+    { id: 2, name: 'a, "quoted"\nline', at: null },
+    { id: 3, name: '=HYPERLINK("x")', at: null },
+    { id: 4, name: '+1', at: null },
+    { id: 5, name: '-2', at: null },
+    { id: 6, name: '@SUM(A1)', at: null },
+    { id: -7, name: null, at: null },
+  ];
+  const res = collector();
+  await sendExport(res, { name: 'users', ...options({ format: 'csv' }), nextPage: pager(rows) });
+
+  assert.strictEqual(res.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.match(res.headers['content-disposition'], /^attachment; filename="users-\d{4}-\d{2}-\d{2}\.csv"$/);
+  const text = res.body().toString('utf8');
+  assert.ok(text.startsWith('\uFEFF'));
+  assert.deepStrictEqual(text.slice(1).split('\r\n'), [
+    'ID,Name,Created',
+    '1,plain,"04/03/2026, 05:06:07"',
+    '2,"a, ""quoted""\nline",',
+    `3,"'=HYPERLINK(""x"")",`,
+    "4,'+1,",
+    "5,'-2,",
+    "6,'@SUM(A1),",
+    '-7,,',
+    '',
+  ]);
+});
+
+test('CSV: picks and orders ?columns and formats dates by ?tz', async () => {
+  const rows = [{ id: 1, name: 'x', at: '2026-03-04T22:00:00.000Z' }];
+  const res = collector();
+  await sendExport(res, {
+    name: 'users', ...options({ format: 'csv', columns: 'at,id', tz: 'Asia/Karachi' }), nextPage: pager(rows),
+  });
+  assert.strictEqual(res.body().toString('utf8'), '\uFEFFCreated,ID\r\n"05/03/2026, 03:00:00",1\r\n');
+});
+
+test('XLSX: a valid ZIP with the workbook parts and every page of rows', async () => {
+  const rows = Array.from({ length: PAGE_SIZE * 2 + 3 }, (_, i) => ({
+    id: i + 1, name: i === 0 ? 'Tom & <Jerry> "x"' : `row ${i + 1}`, at: '2026-01-02T03:04:05.000Z',
+  }));
+  const res = collector();
+  await sendExport(res, { name: 'users', ...options({ format: 'xlsx' }), nextPage: pager(rows) });
+  assert.ok(res.writableEnded);
+
+  const files = unzip(res.body());
+  assert.deepStrictEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml',
+    'xl/workbook.xml', 'xl/worksheets/sheet1.xml',
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="users" sheetId="1" r:id="rId1"\/>/);
+
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.strictEqual(sheet.match(/<row>/g).length, rows.length + 1);
+  assert.ok(sheet.includes('<c t="inlineStr" s="1"><is><t xml:space="preserve">ID</t></is></c>'));
+  assert.ok(sheet.includes('<c><v>1</v></c><c t="inlineStr"><is><t xml:space="preserve">Tom &amp; &lt;Jerry&gt; &quot;x&quot;</t></is></c>'));
+  assert.ok(sheet.includes(`<c><v>${rows.length}</v></c>`));
+  assert.ok(sheet.endsWith('</sheetData></worksheet>'));
+});
+
+test('stops with EXPORT_ABORTED when the output closes mid-export', async () => {
+  const res = collector();
+  const rows = Array.from({ length: PAGE_SIZE * 3 }, (_, i) => ({ id: i, name: 'x', at: null }));
+  let pages = 0;
+  const nextPage = (last, limit) => {
+    if (++pages === 2) res.destroy(); // the client went away
+    return pager(rows)(last, limit);
+  };
+  await assert.rejects(
+    sendExport(res, { name: 'users', ...options({ format: 'xlsx' }), nextPage }),
+    { code: 'EXPORT_ABORTED' }
+  );
+  assert.strictEqual(pages, 2);
+});
+
+test('parseExportOptions rejects unknown formats, columns and time zones', () => {
+  assert.match(parseExportOptions({ format: 'pdf' }, columns).error, /format must be one of: csv, xlsx/);
+  assert.match(parseExportOptions({ format: 'csv', columns: 'id,email' }, columns).error, /unknown columns: email/);
+  assert.strictEqual(parseExportOptions({ format: 'csv', tz: 'Mars/Olympus' }, columns).error, 'unknown locale or tz');
+  assert.deepStrictEqual(options({ format: 'CSV', columns: 'name' }).columns.map(c => c.key), ['name']);
+});
@@ -0,0 +1,54 @@
+// test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Shared setup for the service tests (node --test runs every file in its own process)
+ *
+ * freshDb() points DB_PATH / BACKUP_DIR at a temp dir, so call it before anything
+ * requires src/db.js; `env` is applied first for settings read at module load
+ * (POINTS_EXPIRY_MONTHS, ...). Returns { db, dir, close }.
+ */
+function freshDb(name, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  Object.assign(process.env, {
+    DB_PATH: path.join(dir, 'data.sqlite'),
+    BACKUP_DIR: path.join(dir, 'backups'),
+  }, env);
+
+  const { db } = require('../src/db');
+  require('../src/migrate').migrate();
+  require('../src/seed').runSeeds();
+
+  return {
+    db,
+    dir,
+    close() {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+let seq = 0;
+
+// inserts a user, returns its id
+function createUser(fields = {}) {
+  const { db, now, makeUserCode } = require('../src/db');
+  seq++;
+  return Number(db.prepare(`
+    INSERT INTO users (userCode, firstName, lastName, email, passwordHash, role, createdAt)
+    VALUES (?,?,?,?,?,?,?)
+  `).run(
+    fields.userCode || makeUserCode(),
+    fields.firstName || `User${seq}`,
+    fields.lastName || 'Test',
+    fields.email || `user${seq}@test.local`,
+    'x',
+    fields.role || 'user',
+    now()
+  ).lastInsertRowid);
+}
+
+module.exports = { freshDb, createUser };
@@ -0,0 +1,128 @@
+// test/importer.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { freshDb, createUser } = require('./helpers');
+
+const env = freshDb('importer');
+const { now } = require('../src/db');
+const { parseCsv, validateImport, createJob, commitJob } = require('../src/services/importer');
+
+test.after(() => env.close());
+
+const admin = createUser({ role: 'admin', email: 'taken@test.local' });
+const csv = lines => lines.join('\r\n');
+const errorsOf = rows => rows.map(r => [r.row, r.status, r.error]);
+
+test('parseCsv sniffs ; or , from the header and keeps quoted separators and breaks', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFa;b\n1;"x;y"\n').records, [['a', 'b'], ['1', 'x;y']]);
+  assert.deepStrictEqual(parseCsv('a,b\r\n"say ""hi""","two\r\nlines"').records, [['a', 'b'], ['say "hi"', 'two\r\nlines']]);
+  // a header with both keeps the comma
+  assert.deepStrictEqual(parseCsv('a,"b;c"\n1,2').records, [['a', 'b;c'], ['1', '2']]);
+  assert.strictEqual(parseCsv('a,b\n"open,2').error, 'unterminated quoted field');
+});
+
+test('dry run flags missing fields, bad values and duplicates in the file and the DB', () => {
+  const { value } = validateImport('users', csv([
+    'Email;FIRSTNAME;city;ignored',
+    'ana@test.local;Ana;Lahore;x',
+    ';Bo;Karachi;x',
+    'cy@test.local;;;x',
+    'ANA@test.local;Ana again;Lahore;x',
+    'taken@test.local;Taken;Lahore;x',
+    'not-an-email;Dee;Lahore;x',
+    ';;;',
+  ]));
+  assert.deepStrictEqual(errorsOf(value), [
+    [2, 'ok', null],
+    [3, 'error', 'missing email'],
+    [4, 'error', 'missing firstName; missing city'],
+    [5, 'error', 'duplicate email (row 2)'],
+    [6, 'error', 'email already registered'],
+    [7, 'error', 'invalid email'],
+  ]);
+  assert.strictEqual(env.db.prepare(`SELECT COUNT(*) AS c FROM users WHERE email = 'ana@test.local'`).get().c, 0);
+});
+
+test('dry run checks roles against roles:manage', () => {
+  const file = csv(['firstName,email,city,role', 'Ed,ed@test.local,Lahore,admin', 'Fi,fi@test.local,Lahore,wizard']);
+  assert.deepStrictEqual(errorsOf(validateImport('users', file).value), [
+    [2, 'error', 'role other than user needs roles:manage'],
+    [3, 'error', 'unknown role wizard'],
+  ]);
+  assert.strictEqual(validateImport('users', file, { canAssignRoles: true }).value[0].status, 'ok');
+});
+
+test('whole-file problems are errors, not row reports', () => {
+  assert.strictEqual(validateImport('skus', '').error, 'the file is empty');
+  assert.strictEqual(validateImport('skus', 'number,price\nX,1').error, 'missing column(s): name');
+  assert.strictEqual(validateImport('skus', 'number,name\n,\n').error, 'the file has no data rows');
+});
+
+test('SKU and QR rows: duplicates, existing keys and batch defaultPoints', () => {
+  const skus = validateImport('skus', csv([
+    'number,name,price,active',
+    'N-1,One,10,yes',
+    'N-1,One again,10,',
+    'SKU-100,Seeded,5,',
+    'N-2,Two,5,maybe',
+  ])).value;
+  assert.deepStrictEqual(skus.map(r => r.status), ['ok', 'error', 'error', 'error']);
+  assert.match(skus[1].error, /duplicate SKU number \(row 2\)/);
+  assert.match(skus[3].error, /active must be yes or no/);
+
+  const batchId = env.db.prepare(`INSERT INTO qr_batches (name, defaultPoints, createdAt) VALUES ('b', 7, ?)`).run(now()).lastInsertRowid;
+  const qr = validateImport('qr', csv([
+    'code,points,batchId',
+    'Q1,,' + batchId,
+    'Q2,,',
+    'Q1,5,',
+    'Q3,-4,',
+    'Q4,5,999',
+  ])).value;
+  assert.deepStrictEqual(errorsOf(qr), [
+    [2, 'ok', null],
+    [3, 'error', 'missing points (and no batch defaultPoints)'],
+    [4, 'error', 'duplicate code (row 2)'],
+    [5, 'error', 'points must be a positive integer'],
+    [6, 'error', 'unknown batchId 999'],
+  ]);
+  assert.strictEqual(qr[0].value.points, 7);
+});
+
+test('commit imports every row in one go and only once', () => {
+  const created = createJob('users', csv([
+    'firstName,lastName,email,city',
+    'Gil,One,gil@test.local,Lahore',
+    'Hal,Two,hal@test.local,Karachi',
+  ]), { fileName: 'people.csv', userId: admin });
+  assert.strictEqual(created.job.status, 'validated');
+  assert.strictEqual(created.job.validRows, 2);
+
+  const committed = commitJob(created.job.id, { userId: admin });
+  assert.strictEqual(committed.ok, true);
+  assert.strictEqual(committed.job.status, 'committed');
+  assert.strictEqual(committed.refs.length, 2);
+  assert.deepStrictEqual(committed.job.report.map(r => r.ref), committed.refs);
+
+  const users = env.db.prepare(`
+    SELECT firstName, city, role, passwordResetRequired FROM users WHERE email IN ('gil@test.local', 'hal@test.local') ORDER BY id
+  `).all();
+  assert.deepStrictEqual(users, [
+    { firstName: 'Gil', city: 'Lahore', role: 'user', passwordResetRequired: 1 },
+    { firstName: 'Hal', city: 'Karachi', role: 'user', passwordResetRequired: 1 },
+  ]);
+  assert.strictEqual(commitJob(created.job.id, { userId: admin }).status, 409);
+});
+
+test('commit re-validates: rows that became invalid import nothing', () => {
+  const created = createJob('qr', csv(['code,points', 'R1,5', 'R2,5']), { userId: admin });
+  assert.strictEqual(created.job.status, 'validated');
+  env.db.prepare(`INSERT INTO qr_codes (code, points, createdAt) VALUES ('R2', 1, ?)`).run(now());
+
+  const r = commitJob(created.job.id, { userId: admin });
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.errorCode, 'IMPORT_INVALID');
+  assert.strictEqual(r.body.job.status, 'invalid');
+  assert.strictEqual(r.body.job.report[1].error, 'code already exists');
+  assert.strictEqual(env.db.prepare(`SELECT COUNT(*) AS c FROM qr_codes WHERE code = 'R1'`).get().c, 0);
+});
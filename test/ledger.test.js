@@ -0,0 +1,96 @@
+// test/ledger.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { freshDb, createUser } = require('./helpers');
+
+const env = freshDb('ledger', { POINTS_EXPIRY_MONTHS: '12' });
+const {
+  BASE_POINTS, getEffectiveBalance, postTransaction, transferPoints, postSystemEntry, getExpiringSoon, expireLots,
+} = require('../src/services/ledger');
+
+test.after(() => env.close());
+
+const monthsAgo = n => {
+  const d = new Date();
+  d.setUTCMonth(d.getUTCMonth() - n);
+  return d.toISOString();
+};
+const lotsOf = userId => env.db.prepare('SELECT points, remaining, expiredAt FROM point_lots WHERE userId = ? ORDER BY id').all(userId);
+const ledgerSum = () => env.db.prepare('SELECT COALESCE(SUM(points), 0) AS s FROM points_ledger').get().s;
+
+test('rejects unbalanced, unknown and fractional transactions', () => {
+  const a = createUser();
+  assert.throws(() => postTransaction('bonus', [{ userId: a, points: 10 }, { account: 'system:bonus', points: -9 }]), /unbalanced/);
+  assert.throws(() => postTransaction('gift', [{ userId: a, points: 10 }, { account: 'system:gift', points: -10 }]), /unknown ledger type/);
+  assert.throws(() => postTransaction('bonus', [{ userId: a, points: 10 }]), /at least 2 legs/);
+  assert.throws(() => postTransaction('bonus', [{ userId: a, points: 0.5 }, { account: 'system:bonus', points: -0.5 }]), /integer/);
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS);
+});
+
+test('every transaction balances and balances are BASE_POINTS + legs', () => {
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('qr_redeem', a, 40);
+  const txnId = transferPoints(a, b, 30);
+
+  const legs = env.db.prepare('SELECT userId, account, points, counterpartyUserId FROM points_ledger WHERE txnId = ? ORDER BY id').all(txnId);
+  assert.deepStrictEqual(legs, [
+    { userId: a, account: 'user', points: -30, counterpartyUserId: b },
+    { userId: b, account: 'user', points: 30, counterpartyUserId: a },
+  ]);
+  const system = env.db.prepare(`SELECT account, points FROM points_ledger WHERE type = 'qr_redeem' AND userId IS NULL`).all();
+  assert.deepStrictEqual(system, [{ account: 'system:qr_redeem', points: -40 }]);
+
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS + 10);
+  assert.strictEqual(getEffectiveBalance(b), BASE_POINTS + 30);
+  assert.strictEqual(ledgerSum(), 0);
+});
+
+test('debits consume the soonest-expiring lots first, then BASE_POINTS', () => {
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 100);                                   // expires in 12 months
+  postSystemEntry('bonus', a, 100, { createdAt: monthsAgo(11) });    // expires in 1 month
+
+  transferPoints(a, b, 150);
+  assert.deepStrictEqual(lotsOf(a).map(l => l.remaining), [50, 0]);
+
+  transferPoints(a, b, 80);
+  assert.deepStrictEqual(lotsOf(a).map(l => l.remaining), [0, 0]);
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS - 30);
+});
+
+test('expireLots writes an expiry debit for what is left in lapsed lots, once', () => {
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 100, { createdAt: monthsAgo(13) });   // lapsed a month ago
+  postSystemEntry('bonus', a, 20);
+  transferPoints(a, b, 30);                                          // 70 left in the old lot
+
+  const result = expireLots();
+  assert.strictEqual(result.lots, 1);
+  assert.strictEqual(result.points, 70);
+
+  const expiry = env.db.prepare(`SELECT userId, account, points FROM points_ledger WHERE type = 'expiry' ORDER BY id`).all();
+  assert.deepStrictEqual(expiry, [
+    { userId: a, account: 'user', points: -70 },
+    { userId: null, account: 'system:expiry', points: 70 },
+  ]);
+  assert.deepStrictEqual(lotsOf(a).map(l => l.remaining), [0, 20]);
+  assert.ok(lotsOf(a)[0].expiredAt);
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS + 20);
+  assert.strictEqual(ledgerSum(), 0);
+
+  assert.deepStrictEqual(expireLots(), { lots: 0, points: 0 });
+});
+
+test('getExpiringSoon sums the lots lapsing within the window', () => {
+  const a = createUser();
+  postSystemEntry('bonus', a, 25, { createdAt: new Date(Date.now() - 350 * 86400000).toISOString() });
+  postSystemEntry('bonus', a, 60);
+
+  const soon = getExpiringSoon(a, 30);
+  assert.strictEqual(soon.points, 25);
+  assert.ok(soon.nextExpiry > new Date().toISOString());
+  assert.strictEqual(getExpiringSoon(a, 400).points, 85);
+});
@@ -0,0 +1,135 @@
+// test/saleRewards.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { freshDb, createUser } = require('./helpers');
+
+const env = freshDb('sale-rewards', { SALES_TAX_RATE: '10', SALES_POINTS_TO: 'rep' });
+const { BASE_POINTS, getEffectiveBalance } = require('../src/services/ledger');
+const { parseSkuInput, createSku } = require('../src/services/skus');
+const { parseRuleInput, createRule } = require('../src/services/saleRewards');
+const { createOrder, cancelOrder, createCreditNote } = require('../src/services/sales');
+
+test.after(() => env.close());
+
+let skus = 0;
+function newSku(price) {
+  skus++;
+  const { value } = parseSkuInput({ number: `T-${skus}`, name: `Test ${skus}`, price });
+  return createSku(value).sku;
+}
+
+function newRule(sku, body) {
+  const { value, error } = parseRuleInput(body);
+  assert.strictEqual(error, undefined);
+  return createRule(sku.id, value).rule;
+}
+
+function sell(rep, lines) {
+  const r = createOrder(rep, { lines: lines.map(([sku, quantity]) => ({ sku: sku.number, quantity })) }, { confirm: true });
+  assert.strictEqual(r.ok, true);
+  return r.order;
+}
+
+test('per_unit rules earn value x quantity, percent rules a floored share before tax', () => {
+  const rep = createUser();
+  const perUnit = newSku(200);
+  const percent = newSku(220);
+  newRule(perUnit, { mode: 'per_unit', value: 5 });
+  newRule(percent, { mode: 'percent', value: 7.5 });    // 7.5% of 220 = 16.5
+
+  const order = sell(rep, [[perUnit, 3], [percent, 1]]);
+  assert.deepStrictEqual(order.points.lines.map(l => l.points), [15, 16]);
+  assert.strictEqual(order.points.awarded, 31);
+  assert.strictEqual(getEffectiveBalance(rep), BASE_POINTS + 31);
+
+  const legs = env.db.prepare(`SELECT points, memo FROM points_ledger WHERE type = 'sale_earn' AND userId = ? ORDER BY id`).all(rep);
+  assert.deepStrictEqual(legs, [
+    { points: 15, memo: `${perUnit.number} × 3` },
+    { points: 16, memo: `${percent.number} × 1` },
+  ]);
+});
+
+test('the newest rule in its window wins, drafts earn nothing', () => {
+  const rep = createUser();
+  const sku = newSku(100);
+  newRule(sku, { mode: 'per_unit', value: 2 });
+  newRule(sku, { mode: 'per_unit', value: 9, startsAt: new Date(Date.now() + 86400000).toISOString() });
+  newRule(sku, { mode: 'per_unit', value: 4, active: false });
+
+  const draft = createOrder(rep, { lines: [{ sku: sku.number, quantity: 1 }] }).order;
+  assert.strictEqual(draft.points.awarded, 0);
+  assert.strictEqual(sell(rep, [[sku, 1]]).points.awarded, 2);
+
+  newRule(sku, { mode: 'per_unit', value: 3 });
+  assert.strictEqual(sell(rep, [[sku, 1]]).points.awarded, 3);
+});
+
+test('dailyCap limits what one user earns from a rule per day', () => {
+  const rep = createUser();
+  const other = createUser();
+  const sku = newSku(50);
+  newRule(sku, { mode: 'per_unit', value: 10, dailyCap: 25 });
+
+  assert.strictEqual(sell(rep, [[sku, 2]]).points.awarded, 20);
+  const capped = sell(rep, [[sku, 2]]);
+  assert.strictEqual(capped.points.awarded, 5);
+  assert.strictEqual(sell(rep, [[sku, 1]]).points.awarded, 0);
+  assert.strictEqual(sell(other, [[sku, 2]]).points.awarded, 20);
+
+  // points clawed back free the cap again
+  cancelOrder(capped.id, 'test');
+  assert.strictEqual(sell(rep, [[sku, 3]]).points.awarded, 5);
+  assert.strictEqual(getEffectiveBalance(rep), BASE_POINTS + 25);
+});
+
+test('returns claw back the returned share, the last units whatever is left', () => {
+  const rep = createUser();
+  const sku = newSku(200);
+  newRule(sku, { mode: 'per_unit', value: 5 });
+
+  const order = sell(rep, [[sku, 3]]);
+  const lineId = order.lines[0].id;
+  assert.strictEqual(getEffectiveBalance(rep), BASE_POINTS + 15);
+
+  const first = createCreditNote(order.id, { items: [{ lineId, quantity: 1 }], userId: rep });
+  assert.strictEqual(first.order.points.clawedBack, 5);
+  assert.strictEqual(getEffectiveBalance(rep), BASE_POINTS + 10);
+
+  const rest = createCreditNote(order.id, { items: [{ lineId, quantity: 2 }], userId: rep });
+  assert.strictEqual(rest.order.points.clawedBack, 15);
+  assert.strictEqual(getEffectiveBalance(rep), BASE_POINTS);
+
+  const legs = env.db.prepare(`
+    SELECT points, memo FROM points_ledger WHERE type = 'sale_clawback' AND userId = ? ORDER BY id
+  `).all(rep);
+  assert.deepStrictEqual(legs, [
+    { points: -5, memo: `returned: ${sku.number} × 1` },
+    { points: -10, memo: `returned: ${sku.number} × 2` },
+  ]);
+});
+
+test('cancelling a confirmed order claws back what is left', () => {
+  const rep = createUser();
+  const sku = newSku(200);
+  newRule(sku, { mode: 'per_unit', value: 7 });
+
+  const order = sell(rep, [[sku, 4]]);
+  createCreditNote(order.id, { items: [{ lineId: order.lines[0].id, quantity: 1 }], userId: rep });
+  assert.strictEqual(getEffectiveBalance(rep), BASE_POINTS + 21);
+
+  // an order with credit notes cannot be cancelled, so use a fresh one
+  const other = sell(rep, [[sku, 2]]);
+  const cancelled = cancelOrder(other.id, 'mistake');
+  assert.strictEqual(cancelled.order.points.clawedBack, 14);
+  assert.strictEqual(getEffectiveBalance(rep), BASE_POINTS + 21);
+});
+
+test('parseRuleInput rejects bad rules', () => {
+  assert.match(parseRuleInput({ mode: 'flat', value: 1 }).error, /mode must be one of/);
+  assert.match(parseRuleInput({ mode: 'per_unit', value: 1.5 }).error, /whole points/);
+  assert.match(parseRuleInput({ mode: 'percent', value: 101 }).error, /cannot exceed 100/);
+  assert.match(parseRuleInput({ mode: 'per_unit', value: 1, dailyCap: 0 }).error, /dailyCap/);
+  assert.match(parseRuleInput({
+    mode: 'per_unit', value: 1, startsAt: '2026-02-01', endsAt: '2026-01-01',
+  }).error, /endsAt must be after startsAt/);
+});
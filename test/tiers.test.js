@@ -0,0 +1,47 @@
+// test/tiers.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// a fresh database, set before db.js reads DB_PATH
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiers-'));
+process.env.DB_PATH = path.join(dir, 'data.sqlite');
+
+const { db } = require('../src/db');
+const { migrate } = require('../src/migrate');
+const seedTiers = require('../src/seeds/tiers');
+const { listTiers, createTier } = require('../src/services/tiers');
+
+test.after(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('seeds the default tiers on a new database', () => {
+  migrate();
+  assert.strictEqual(seedTiers(), 'tiers added');
+  assert.deepStrictEqual(listTiers().map(t => t.code), ['SILVER', 'GOLD', 'PLATINUM']);
+  assert.strictEqual(seedTiers(), null);
+});
+
+test('createTier stores every field', () => {
+  const id = createTier({
+    code: 'DIAMOND', name: 'Diamond', minLifetimePoints: 20000, qrMultiplier: 2, transferLimit: null, dailyTransferLimit: 9000,
+  });
+  const row = db.prepare('SELECT * FROM tiers WHERE id = ?').get(id);
+  assert.strictEqual(row.code, 'DIAMOND');
+  assert.strictEqual(row.name, 'Diamond');
+  assert.strictEqual(row.minLifetimePoints, 20000);
+  assert.strictEqual(Number(row.qrMultiplier), 2);
+  assert.strictEqual(row.transferLimit, null);
+  assert.strictEqual(row.dailyTransferLimit, 9000);
+  assert.ok(row.createdAt);
+});
+
+test('createTier rejects a duplicate code', () => {
+  assert.throws(() => createTier({
+    code: 'GOLD', name: 'Gold again', minLifetimePoints: 30000, qrMultiplier: 1, transferLimit: null, dailyTransferLimit: null,
+  }), /UNIQUE/);
+});
@@ -0,0 +1,134 @@
+// test/transfers.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { freshDb, createUser } = require('./helpers');
+
+const env = freshDb('transfers', { TRANSFER_PENDING_THRESHOLD: '200', TRANSFER_PIN_REQUIRED: '' });
+const { BASE_POINTS, getEffectiveBalance, postSystemEntry } = require('../src/services/ledger');
+const {
+  createTransfer, acceptTransfer, cancelTransfer, reverseTransfer,
+} = require('../src/services/transfers');
+
+test.after(() => env.close());
+
+const legsOf = txnId => env.db.prepare(`
+  SELECT type, userId, account, points FROM points_ledger WHERE txnId = ? ORDER BY id
+`).all(txnId);
+const ledgerRows = () => env.db.prepare('SELECT COUNT(*) AS c FROM points_ledger').get().c;
+
+test('refuses a transfer larger than the sender balance and writes nothing', () => {
+  const a = createUser();
+  const b = createUser();
+  const before = ledgerRows();
+
+  const r = createTransfer({ senderId: a, receiverId: b, points: BASE_POINTS + 1 });
+  assert.strictEqual(r.ok, false);
+  assert.strictEqual(r.status, 400);
+  assert.deepStrictEqual(r.body, { error: 'insufficient points', senderBalance: BASE_POINTS });
+  assert.strictEqual(ledgerRows(), before);
+  assert.strictEqual(env.db.prepare('SELECT COUNT(*) AS c FROM transfers WHERE senderId = ?').get(a).c, 0);
+});
+
+test('enforces the tier per-transfer limit', () => {
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 900);                 // Silver: 500 per transfer
+
+  const r = createTransfer({ senderId: a, receiverId: b, points: 501 });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.errorCode, 'TRANSFER_LIMIT');
+  assert.strictEqual(r.body.transferLimit, 500);
+});
+
+test('completes a small transfer with one balanced transfer txn', () => {
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 100);
+
+  const r = createTransfer({ senderId: a, receiverId: b, points: 120 });
+  assert.strictEqual(r.ok, true);
+  assert.strictEqual(r.transfer.status, 'completed');
+  assert.deepStrictEqual(legsOf(r.transfer.txnId), [
+    { type: 'transfer', userId: a, account: 'user', points: -120 },
+    { type: 'transfer', userId: b, account: 'user', points: 120 },
+  ]);
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS + 100 - 120);
+  assert.strictEqual(getEffectiveBalance(b), BASE_POINTS + 120);
+});
+
+test('holds a large transfer in escrow until the receiver accepts', () => {
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 300);
+
+  const r = createTransfer({ senderId: a, receiverId: b, points: 250 });
+  assert.strictEqual(r.transfer.status, 'pending');
+  assert.deepStrictEqual(legsOf(r.transfer.holdTxnId), [
+    { type: 'transfer_hold', userId: a, account: 'user', points: -250 },
+    { type: 'transfer_hold', userId: null, account: 'system:escrow', points: 250 },
+  ]);
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS + 50);
+  assert.strictEqual(getEffectiveBalance(b), BASE_POINTS);
+
+  assert.strictEqual(acceptTransfer(r.transfer.id, a).status, 403);
+  const accepted = acceptTransfer(r.transfer.id, b);
+  assert.strictEqual(accepted.transfer.status, 'completed');
+  assert.deepStrictEqual(legsOf(accepted.transfer.txnId), [
+    { type: 'transfer', userId: null, account: 'system:escrow', points: -250 },
+    { type: 'transfer', userId: b, account: 'user', points: 250 },
+  ]);
+  assert.strictEqual(getEffectiveBalance(b), BASE_POINTS + 250);
+  assert.strictEqual(cancelTransfer(r.transfer.id, a).status, 409);
+});
+
+test('a cancelled pending transfer returns the held points to the sender', () => {
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 300);
+
+  const { transfer } = createTransfer({ senderId: a, receiverId: b, points: 200 });
+  const cancelled = cancelTransfer(transfer.id, a);
+  assert.strictEqual(cancelled.transfer.status, 'cancelled');
+  assert.deepStrictEqual(legsOf(cancelled.transfer.refundTxnId), [
+    { type: 'transfer_release', userId: null, account: 'system:escrow', points: -200 },
+    { type: 'transfer_release', userId: a, account: 'user', points: 200 },
+  ]);
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS + 300);
+  assert.strictEqual(getEffectiveBalance(b), BASE_POINTS);
+});
+
+test('reversing a completed transfer posts a compensating reversal, once', () => {
+  const admin = createUser({ role: 'admin' });
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 100);
+
+  const { transfer } = createTransfer({ senderId: a, receiverId: b, points: 80 });
+  const reversed = reverseTransfer(transfer.id, { adminId: admin, reason: 'sent by mistake' });
+  assert.strictEqual(reversed.ok, true);
+  assert.strictEqual(reversed.transfer.status, 'reversed');
+  assert.strictEqual(reversed.transfer.reversedByUserId, admin);
+  assert.strictEqual(reversed.transfer.reversalReason, 'sent by mistake');
+  assert.deepStrictEqual(legsOf(reversed.transfer.reversalTxnId), [
+    { type: 'reversal', userId: b, account: 'user', points: -80 },
+    { type: 'reversal', userId: a, account: 'user', points: 80 },
+  ]);
+  assert.strictEqual(getEffectiveBalance(a), BASE_POINTS + 100);
+  assert.strictEqual(getEffectiveBalance(b), BASE_POINTS);
+
+  const again = reverseTransfer(transfer.id, { adminId: admin, reason: 'again' });
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(reverseTransfer(999999, { adminId: admin, reason: 'x' }).status, 404);
+});
+
+test('only completed transfers can be reversed', () => {
+  const admin = createUser({ role: 'admin' });
+  const a = createUser();
+  const b = createUser();
+  postSystemEntry('bonus', a, 300);
+
+  const { transfer } = createTransfer({ senderId: a, receiverId: b, points: 220 });
+  const r = reverseTransfer(transfer.id, { adminId: admin, reason: 'x' });
+  assert.strictEqual(r.status, 409);
+  assert.match(r.body.error, /is pending/);
+});